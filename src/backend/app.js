@@ -94,6 +94,8 @@ const crossHospitalController = require('./controllers/CrossHospitalController')
 const consentController = require('./controllers/ConsentController');
 const fhirController = require('./controllers/FhirController');
 const dicomController = require('./controllers/DicomController');
+const auditController = require('./controllers/AuditController');
+const masterPatientIndexController = require('./controllers/MasterPatientIndexController');
 
 // Register API routes
 app.use('/api/patients', patientController);
@@ -104,6 +106,8 @@ app.use('/api/cross-hospital', crossHospitalController);
 app.use('/api/consents', consentController);
 app.use('/api/fhir', fhirController);
 app.use('/api/dicom', dicomController);
+app.use('/api/audit', auditController);
+app.use('/api/mpi', masterPatientIndexController);
 
 // Error handling middleware
 app.use((req, res, next) => {
@@ -0,0 +1,39 @@
+/**
+ * Purposes of use for disclosures between hospitals
+ * Codes are from the HL7 v3 PurposeOfUse vocabulary so they can be carried in FHIR resources
+ */
+
+const PURPOSE_OF_USE = {
+  treatment: { code: 'TREAT', display: 'treatment' },
+  emergency: { code: 'ETREAT', display: 'Emergency Treatment' },
+  emergency_treatment: { code: 'ETREAT', display: 'Emergency Treatment' },
+  care_coordination: { code: 'CAREMGT', display: 'care management' },
+  payment: { code: 'HPAYMT', display: 'healthcare payment' },
+  operations: { code: 'HOPERAT', display: 'healthcare operations' },
+  research: { code: 'HRESCH', display: 'healthcare research' },
+  public_health: { code: 'PUBHLTH', display: 'public health' },
+  patient_request: { code: 'PATRQT', display: 'patient requested' }
+};
+
+// Purposes that a consent given for treatment also covers
+const TREATMENT_PURPOSES = ['treatment', 'emergency', 'emergency_treatment', 'care_coordination'];
+
+/**
+ * Map free-text purpose such as "Emergency Treatment" to its purpose-of-use key
+ * @param {string} purpose - Purpose as recorded or requested
+ * @returns {string|null} - Purpose-of-use key, or null if it is not a known purpose
+ */
+function normalizePurpose(purpose) {
+  if (!purpose || typeof purpose !== 'string') {
+    return null;
+  }
+
+  const key = purpose.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return PURPOSE_OF_USE[key] ? key : null;
+}
+
+module.exports = {
+  PURPOSE_OF_USE,
+  TREATMENT_PURPOSES,
+  normalizePurpose
+};
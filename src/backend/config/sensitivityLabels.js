@@ -0,0 +1,88 @@
+/**
+ * Sensitivity labels for segmenting specially protected health information
+ * Codes are from the HL7 v3 ActCode sensitivity vocabulary so they can be
+ * carried as FHIR security labels
+ */
+
+const SENSITIVITY_LABEL_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+
+// Labels that require explicit consent are withheld unless a consent names them;
+// the others are shared under a general consent unless a consent excludes them
+const SENSITIVITY_LABELS = {
+  substance_use: {
+    code: 'ETH',
+    display: 'substance abuse information sensitivity',
+    regulation: '42 CFR Part 2',
+    requiresExplicitConsent: true
+  },
+  hiv: {
+    code: 'HIV',
+    display: 'HIV/AIDS information sensitivity',
+    requiresExplicitConsent: true
+  },
+  mental_health: {
+    code: 'MH',
+    display: 'mental health information sensitivity',
+    requiresExplicitConsent: false
+  },
+  sexual_health: {
+    code: 'STD',
+    display: 'sexually transmitted disease information sensitivity',
+    requiresExplicitConsent: false
+  },
+  reproductive_health: {
+    code: 'SEX',
+    display: 'sexuality and reproductive health information sensitivity',
+    requiresExplicitConsent: false
+  },
+  genetic: {
+    code: 'GDIS',
+    display: 'genetic disease information sensitivity',
+    requiresExplicitConsent: false
+  },
+  domestic_violence: {
+    code: 'SDV',
+    display: 'sexual assault, abuse, or domestic violence information sensitivity',
+    requiresExplicitConsent: false
+  }
+};
+
+/**
+ * Validate and de-duplicate a list of sensitivity labels
+ * @param {Array<string>} labels - Label keys
+ * @returns {Array<string>} - Normalized labels
+ * @throws {Error} If the list is not an array or holds an unknown label
+ */
+function normalizeSensitivityLabels(labels) {
+  if (labels === undefined || labels === null) {
+    return [];
+  }
+
+  if (!Array.isArray(labels)) {
+    throw new Error('Sensitivity labels must be an array');
+  }
+
+  for (const label of labels) {
+    if (!SENSITIVITY_LABELS[label]) {
+      throw new Error(`Unknown sensitivity label: ${label}`);
+    }
+  }
+
+  return [...new Set(labels)];
+}
+
+/**
+ * Find the label key for an HL7 security label code
+ * @param {string} code - ActCode sensitivity code
+ * @returns {string|null} - Label key or null if unknown
+ */
+function labelForCode(code) {
+  return Object.keys(SENSITIVITY_LABELS).find(label => SENSITIVITY_LABELS[label].code === code) || null;
+}
+
+module.exports = {
+  SENSITIVITY_LABEL_SYSTEM,
+  SENSITIVITY_LABELS,
+  normalizeSensitivityLabels,
+  labelForCode
+};
@@ -0,0 +1,133 @@
+/**
+ * Hospital data-sharing rules evaluated by the consent policy engine
+ *
+ * Rules restrict what patient consents allow; they never release data a consent does not.
+ * A rule denies a disclosure when every condition in `match` holds, unless every
+ * condition in `unless` also holds. Conditions:
+ *   purposes             - purpose-of-use keys (see config/purposeOfUse.js)
+ *   roles                - roles of the requesting user
+ *   dataTypes            - requested data or record types
+ *   requestingHospitals  - IDs of requesting hospitals
+ *   sensitivityLabels    - matches when the data carries any of these labels
+ *   timeWindow           - { start: 'HH:MM', end: 'HH:MM', days: [0-6], timezone }, inside the window
+ *   recordAgeDays        - { min, max }, age of an individual record; checked when records are released
+ *
+ * The defaults below can be replaced with a JSON array of rules in SHARING_POLICY_FILE.
+ */
+
+const fs = require('fs');
+const { SENSITIVITY_LABELS } = require('./sensitivityLabels');
+const { PURPOSE_OF_USE } = require('./purposeOfUse');
+
+const DEFAULT_RULES = [
+  {
+    id: 'research-excludes-sensitive-records',
+    description: 'Records with sensitivity labels are not released for research',
+    match: {
+      purposes: ['research'],
+      sensitivityLabels: Object.keys(SENSITIVITY_LABELS)
+    }
+  },
+  {
+    id: 'payment-record-age',
+    description: 'Records older than seven years are not released for payment',
+    match: {
+      purposes: ['payment'],
+      recordAgeDays: { min: 7 * 365 }
+    }
+  }
+];
+
+const CONDITION_KEYS = ['purposes', 'roles', 'dataTypes', 'requestingHospitals', 'sensitivityLabels', 'timeWindow', 'recordAgeDays'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Check the conditions of a rule
+ * @param {string} ruleId - Rule ID, for error messages
+ * @param {Object} conditions - Rule conditions
+ * @throws {Error} If a condition is unknown or malformed
+ */
+function validateConditions(ruleId, conditions) {
+  for (const [key, value] of Object.entries(conditions)) {
+    if (!CONDITION_KEYS.includes(key)) {
+      throw new Error(`Sharing rule ${ruleId}: unknown condition ${key}`);
+    }
+
+    if (['purposes', 'roles', 'dataTypes', 'requestingHospitals', 'sensitivityLabels'].includes(key) &&
+        (!Array.isArray(value) || value.length === 0)) {
+      throw new Error(`Sharing rule ${ruleId}: ${key} must be a non-empty array`);
+    }
+  }
+
+  const unknownPurpose = (conditions.purposes || []).find(purpose => !PURPOSE_OF_USE[purpose]);
+  if (unknownPurpose) {
+    throw new Error(`Sharing rule ${ruleId}: unknown purpose ${unknownPurpose}`);
+  }
+
+  if (conditions.timeWindow) {
+    const { start, end, days } = conditions.timeWindow;
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      throw new Error(`Sharing rule ${ruleId}: timeWindow needs start and end as HH:MM`);
+    }
+    if (days !== undefined && (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      throw new Error(`Sharing rule ${ruleId}: timeWindow days must be weekday numbers 0-6`);
+    }
+  }
+
+  if (conditions.recordAgeDays) {
+    const { min, max } = conditions.recordAgeDays;
+    if (min === undefined && max === undefined) {
+      throw new Error(`Sharing rule ${ruleId}: recordAgeDays needs min or max`);
+    }
+  }
+}
+
+/**
+ * Validate a list of sharing rules
+ * @param {Array<Object>} rules - Rules
+ * @returns {Array<Object>} - The same rules
+ * @throws {Error} If a rule is malformed
+ */
+function validateSharingRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Sharing rules must be an array');
+  }
+
+  const ids = new Set();
+
+  for (const rule of rules) {
+    if (!rule.id || ids.has(rule.id)) {
+      throw new Error(`Sharing rules need unique ids: ${rule.id}`);
+    }
+    ids.add(rule.id);
+
+    if (!rule.description) {
+      throw new Error(`Sharing rule ${rule.id}: description is required, it is the reason given for denials`);
+    }
+
+    validateConditions(rule.id, rule.match || {});
+    validateConditions(rule.id, rule.unless || {});
+  }
+
+  return rules;
+}
+
+/**
+ * Load the sharing rules from SHARING_POLICY_FILE, or the defaults
+ * @returns {Array<Object>} - Validated rules
+ */
+function loadSharingRules() {
+  const policyFile = process.env.SHARING_POLICY_FILE;
+
+  if (!policyFile) {
+    return validateSharingRules(DEFAULT_RULES);
+  }
+
+  return validateSharingRules(JSON.parse(fs.readFileSync(policyFile, 'utf8')));
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  validateSharingRules,
+  loadSharingRules
+};
@@ -0,0 +1,508 @@
+/**
+ * Audit Controller
+ * Handles API endpoints for searching, exporting and verifying the audit log
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const AuditService = require('../services/AuditService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Roles allowed to read the audit log
+const AUDIT_ROLES = ['admin', 'compliance'];
+
+// Filters shared by search, statistics and export
+const criteriaSchema = {
+  actor_id: Joi.string(),
+  patient_id: Joi.string(),
+  resource_type: Joi.string(),
+  resource_id: Joi.string(),
+  type: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
+  event_type: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string())),
+  hospital_id: Joi.string(),
+  success: Joi.boolean(),
+  start_date: Joi.date().iso(),
+  end_date: Joi.date().iso().min(Joi.ref('start_date'))
+};
+
+/**
+ * Convert validated request filters to AuditService search criteria
+ * @param {Object} value - Validated filters
+ * @returns {Object} Search criteria
+ */
+const toCriteria = (value) => {
+  const criteria = {
+    actorId: value.actor_id,
+    patientId: value.patient_id,
+    resourceType: value.resource_type,
+    resourceId: value.resource_id,
+    type: value.type,
+    eventType: value.event_type,
+    hospitalId: value.hospital_id,
+    success: value.success,
+    startDate: value.start_date,
+    endDate: value.end_date
+  };
+  
+  // Drop filters that weren't supplied
+  Object.keys(criteria).forEach(key => criteria[key] === undefined && delete criteria[key]);
+  
+  return criteria;
+};
+
+/**
+ * Record a query against the audit log in the audit log
+ * @param {Object} req - Express request
+ * @param {string} eventType - Kind of audit query
+ * @param {string} status - Outcome of the query
+ * @param {Object} criteria - Search criteria used
+ * @param {Object} details - Additional details
+ */
+const logAuditQuery = (req, eventType, status, criteria = {}, details = {}) => {
+  return AuditService.logAuditAccess({
+    eventType,
+    status,
+    userId: req.user.id,
+    hospitalId: req.user.hospital_id,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    criteria,
+    details
+  });
+};
+
+/**
+ * @route GET /api/audit/logs
+ * @desc Search audit logs
+ * @access Private (Admin, Compliance)
+ */
+router.get('/logs',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    let criteria = {};
+    try {
+      // Validate query parameters
+      const schema = Joi.object({
+        ...criteriaSchema,
+        page: Joi.number().integer().min(1).default(1),
+        page_size: Joi.number().integer().min(1).max(1000).default(20),
+        sort_by: Joi.string().valid('timestamp', 'type', 'eventType', 'level', 'status', 'userId', 'hospitalId', 'resourceType', 'patientId').default('timestamp'),
+        sort_order: Joi.string().valid('asc', 'desc').default('desc')
+      });
+      
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      criteria = toCriteria(value);
+      
+      const results = await AuditService.searchLogs(criteria, {
+        page: value.page,
+        pageSize: value.page_size,
+        sortBy: value.sort_by,
+        sortOrder: value.sort_order
+      });
+      
+      await logAuditQuery(req, 'audit_search', 'success', criteria, {
+        page: value.page,
+        resultCount: results.logs.length,
+        total: results.total
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: results
+      });
+    } catch (error) {
+      console.error('Error searching audit logs:', error);
+      await logAuditQuery(req, 'audit_search', 'error', criteria, { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search audit logs'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/audit/statistics
+ * @desc Get audit log statistics
+ * @access Private (Admin, Compliance)
+ */
+router.get('/statistics',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    let criteria = {};
+    try {
+      // Validate query parameters
+      const interval = Joi.string().valid('hourly', 'daily', 'weekly');
+      const schema = Joi.object({
+        ...criteriaSchema,
+        interval: Joi.alternatives().try(interval, Joi.array().items(interval))
+      });
+      
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      criteria = toCriteria(value);
+      
+      const statistics = await AuditService.getStatistics(criteria, {
+        intervals: value.interval
+      });
+      
+      await logAuditQuery(req, 'audit_statistics', 'success', criteria);
+      
+      res.status(200).json({
+        success: true,
+        data: statistics
+      });
+    } catch (error) {
+      console.error('Error getting audit statistics:', error);
+      await logAuditQuery(req, 'audit_statistics', 'error', criteria, { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get audit statistics'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/audit/exports
+ * @desc Export audit logs to CSV, NDJSON or a FHIR AuditEvent bundle
+ * @access Private (Admin, Compliance)
+ */
+router.post('/exports',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    let criteria = {};
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        ...criteriaSchema,
+        format: Joi.string().valid('csv', 'ndjson', 'fhir').default('ndjson')
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      criteria = toCriteria(value);
+      
+      const { manifest } = await AuditService.exportLogs(criteria, value.format);
+      
+      await logAuditQuery(req, 'audit_export', 'success', criteria, {
+        exportId: manifest.exportId,
+        format: value.format,
+        recordCount: manifest.recordCount
+      });
+      
+      res.status(201).json({
+        success: true,
+        data: {
+          manifest,
+          download_url: `${req.baseUrl}/exports/${manifest.fileName}`,
+          manifest_url: `${req.baseUrl}/exports/${manifest.fileName}/manifest`
+        }
+      });
+    } catch (error) {
+      console.error('Error exporting audit logs:', error);
+      await logAuditQuery(req, 'audit_export', 'error', criteria, { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export audit logs'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/audit/exports/:fileName
+ * @desc Download an audit log export
+ * @access Private (Admin, Compliance)
+ */
+router.get('/exports/:fileName',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    try {
+      const auditExport = await AuditService.getExport(req.params.fileName);
+      if (!auditExport) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export not found'
+        });
+      }
+      
+      // The export's criteria are on the audit_export entry with the same exportId
+      await logAuditQuery(req, 'audit_export_download', 'success', {}, {
+        exportId: auditExport.manifest.exportId,
+        fileName: auditExport.manifest.fileName
+      });
+      
+      res.set('Content-Type', auditExport.manifest.contentType);
+      res.set('X-Audit-Export-SHA256', auditExport.manifest.sha256);
+      res.download(auditExport.filePath, auditExport.manifest.fileName);
+    } catch (error) {
+      console.error('Error downloading audit export:', error);
+      await logAuditQuery(req, 'audit_export_download', 'error', {}, {
+        fileName: req.params.fileName,
+        error: error.message
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download audit export'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/audit/exports/:fileName/manifest
+ * @desc Get the signed manifest of an audit log export
+ * @access Private (Admin, Compliance)
+ */
+router.get('/exports/:fileName/manifest',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    try {
+      const auditExport = await AuditService.getExport(req.params.fileName);
+      if (!auditExport) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export not found'
+        });
+      }
+      
+      await logAuditQuery(req, 'audit_export_manifest', 'success', {}, {
+        exportId: auditExport.manifest.exportId,
+        fileName: auditExport.manifest.fileName
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: auditExport.manifest
+      });
+    } catch (error) {
+      console.error('Error getting audit export manifest:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get audit export manifest'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/audit/integrity
+ * @desc Verify the integrity of the audit log
+ * @access Private (Admin, Compliance)
+ */
+router.get('/integrity',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    try {
+      // Validate query parameters
+      const schema = Joi.object({
+        start_date: criteriaSchema.start_date,
+        end_date: criteriaSchema.end_date
+      });
+      
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const results = await AuditService.verifyIntegrity(value.start_date, value.end_date);
+      
+      await logAuditQuery(req, 'audit_integrity_check', 'success', {
+        startDate: value.start_date,
+        endDate: value.end_date
+      }, {
+        verified: results.verified,
+        totalLogs: results.totalLogs,
+        invalidLogs: results.invalidLogs,
+        missingLogs: results.missingLogs,
+        outOfOrderLogs: results.outOfOrderLogs
+      });
+      
+      // A failed verification is worth more than an info entry
+      if (!results.verified) {
+        await AuditService.logSecurityEvent({
+          eventType: 'audit_integrity_violation',
+          severity: 'critical',
+          status: 'failure',
+          userId: req.user.id,
+          hospitalId: req.user.hospital_id,
+          ipAddress: req.ip,
+          details: {
+            invalidLogs: results.invalidLogs,
+            missingLogs: results.missingLogs,
+            outOfOrderLogs: results.outOfOrderLogs,
+            invalidCheckpoints: results.invalidCheckpoints.length
+          }
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: results
+      });
+    } catch (error) {
+      console.error('Error verifying audit log integrity:', error);
+      await logAuditQuery(req, 'audit_integrity_check', 'error', {}, { error: error.message });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify audit log integrity'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/audit/legal-holds
+ * @desc List legal holds on the audit log
+ * @access Private (Admin, Compliance)
+ */
+router.get('/legal-holds',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    try {
+      const includeReleased = req.query.include_released === 'true';
+      const holds = await AuditService.getLegalHolds({ includeReleased });
+      
+      await logAuditQuery(req, 'legal_hold_list', 'success', {}, { includeReleased });
+      
+      res.status(200).json({
+        success: true,
+        data: holds
+      });
+    } catch (error) {
+      console.error('Error getting legal holds:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get legal holds'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/audit/legal-holds
+ * @desc Place a legal hold preventing deletion of audit logs for a patient or date range
+ * @access Private (Admin, Compliance)
+ */
+router.post('/legal-holds',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        patient_id: Joi.string(),
+        start_date: Joi.date().iso(),
+        end_date: Joi.date().iso().min(Joi.ref('start_date')),
+        reason: Joi.string().required(),
+        case_reference: Joi.string()
+      }).or('patient_id', 'start_date', 'end_date');
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const hold = await AuditService.placeLegalHold({
+        patientId: value.patient_id,
+        startDate: value.start_date,
+        endDate: value.end_date,
+        reason: value.reason,
+        caseReference: value.case_reference
+      }, req.user);
+      
+      res.status(201).json({
+        success: true,
+        data: hold
+      });
+    } catch (error) {
+      console.error('Error placing legal hold:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to place legal hold'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/audit/legal-holds/:id/release
+ * @desc Release a legal hold
+ * @access Private (Admin, Compliance)
+ */
+router.post('/legal-holds/:id/release',
+  authenticate,
+  authorize(AUDIT_ROLES),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        reason: Joi.string().required()
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const hold = await AuditService.releaseLegalHold(req.params.id, req.user, value.reason);
+      if (!hold) {
+        return res.status(404).json({
+          success: false,
+          error: 'Legal hold not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: hold
+      });
+    } catch (error) {
+      console.error('Error releasing legal hold:', error);
+      res.status(error.message === 'Legal hold has already been released' ? 409 : 500).json({
+        success: false,
+        error: error.message || 'Failed to release legal hold'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -5,13 +5,35 @@
 
 const express = require('express');
 const Joi = require('joi');
+const fs = require('fs');
+const path = require('path');
+const { SENSITIVITY_LABELS } = require('../config/sensitivityLabels');
+const { PURPOSE_OF_USE, normalizePurpose } = require('../config/purposeOfUse');
 const ConsentService = require('../services/ConsentService');
+const ConsentPolicyEngine = require('../services/ConsentPolicyEngine');
+const ConsentRevocationService = require('../services/ConsentRevocationService');
+const ConsentVersionService = require('../services/ConsentVersionService');
 const PatientService = require('../services/PatientService');
+const PatientRelationshipService = require('../services/PatientRelationshipService');
 const AuditService = require('../services/AuditService');
 const { authenticate, authorize } = require('../middleware/auth');
+const { createUploadMiddleware } = require('../middleware/fileUpload');
 
 const router = express.Router();
 
+// Consent forms are stored with other uploaded documents
+const consentFormUpload = createUploadMiddleware({
+  type: 'document',
+  subdir: 'documents',
+  fieldName: 'document',
+  maxFiles: 1
+});
+
+// A consent naming a purpose the policy engine cannot recognize would permit nothing
+const consentPurposeSchema = Joi.string()
+  .custom((value, helpers) => (normalizePurpose(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': `"purpose" must be one of: ${Object.keys(PURPOSE_OF_USE).join(', ')}` });
+
 /**
  * @route GET /api/consents
  * @desc Get all consents with pagination and filtering
@@ -39,9 +61,16 @@ router.get('/',
       
       // Log consent search
       AuditService.logConsentEvent({
-        event_type: 'consent_search',
-        user_id: req.user.id,
-        search_criteria: options
+        eventType: 'consent_search',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: options.patientId,
+        details: {
+          hospitalId: options.hospitalId,
+          consentType: options.consentType,
+          status: options.status
+        }
       });
       
       res.status(200).json({
@@ -58,6 +87,216 @@ router.get('/',
   }
 );
 
+/**
+ * @route GET /api/consents/check
+ * @desc Check if consent and sharing rules permit disclosure for a specific patient and hospital
+ * @access Private (Admin, Doctor, Nurse)
+ */
+router.get('/check',
+  authenticate,
+  authorize(['admin', 'doctor', 'nurse', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate query parameters
+      const schema = Joi.object({
+        patient_id: Joi.string().required(),
+        hospital_id: Joi.string().required(),
+        data_type: Joi.string().valid(
+          'demographics', 'medications', 'lab_results', 'imaging', 'diagnoses',
+          'procedures', 'allergies', 'immunizations', 'vitals', 'notes'
+        ).required(),
+        sensitivity_labels: Joi.array().items(Joi.string().valid(...Object.keys(SENSITIVITY_LABELS))).single(),
+        purpose: Joi.string().valid(...Object.keys(PURPOSE_OF_USE)).default('treatment'),
+        requester_role: Joi.string()
+      });
+      
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      // Evaluate consents together with this hospital's sharing rules
+      const decision = await ConsentPolicyEngine.evaluate({
+        patientId: value.patient_id,
+        requestingHospitalId: value.hospital_id,
+        dataTypes: [value.data_type],
+        purpose: value.purpose,
+        role: value.requester_role,
+        sensitivityLabels: value.sensitivity_labels
+      });
+      
+      // Log consent check
+      AuditService.logConsentEvent({
+        eventType: 'consent_check',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: value.patient_id,
+        targetHospitalId: value.hospital_id,
+        details: {
+          dataType: value.data_type,
+          sensitivityLabels: value.sensitivity_labels,
+          purpose: value.purpose,
+          requesterRole: value.requester_role,
+          decision: decision.decision,
+          reasons: decision.reasons.map(reason => reason.ruleId || reason.code)
+        }
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: {
+          has_consent: decision.permitted,
+          decision: decision.decision,
+          reasons: decision.reasons,
+          consent_ids: decision.consents.map(consent => consent.id)
+        }
+      });
+    } catch (error) {
+      console.error('Error checking consent:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check consent'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/consents/stats
+ * @desc Get consent statistics
+ * @access Private (Admin, Hospital Admin)
+ */
+router.get('/stats',
+  authenticate,
+  authorize(['admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Get consent statistics
+      const stats = await ConsentService.getConsentStatistics();
+      
+      // Log stats access
+      AuditService.logConsentEvent({
+        eventType: 'consent_stats_access',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      console.error('Error getting consent statistics:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get consent statistics'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/consents/revocations
+ * @desc Report on revocation notices sent to other hospitals and their acknowledgements
+ * @access Private (Admin, Hospital Admin)
+ */
+router.get('/revocations',
+  authenticate,
+  authorize(['admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate query parameters
+      const schema = Joi.object({
+        status: Joi.string().valid('pending', 'acknowledged', 'failed'),
+        consent_id: Joi.string(),
+        target_hospital_id: Joi.string(),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        sort_by: Joi.string().valid('created_at', 'next_attempt_at', 'acknowledged_at', 'attempts', 'status').default('created_at'),
+        sort_order: Joi.string().valid('asc', 'desc').default('desc')
+      });
+      
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const notices = await ConsentRevocationService.getNotices({
+        status: value.status,
+        consentId: value.consent_id,
+        targetHospitalId: value.target_hospital_id,
+        page: value.page,
+        limit: value.limit,
+        sortBy: value.sort_by,
+        sortOrder: value.sort_order
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: notices
+      });
+    } catch (error) {
+      console.error('Error getting consent revocation notices:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get consent revocation notices'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/consents/revocations/:noticeId/retry
+ * @desc Resend a revocation notice that was never acknowledged
+ * @access Private (Admin, Hospital Admin)
+ */
+router.post('/revocations/:noticeId/retry',
+  authenticate,
+  authorize(['admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const notice = await ConsentRevocationService.retryNotice(req.params.noticeId);
+      if (!notice) {
+        return res.status(404).json({
+          success: false,
+          error: 'Failed revocation notice not found'
+        });
+      }
+      
+      AuditService.logConsentEvent({
+        eventType: 'consent_revocation_retry',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        consentId: notice.consent_id,
+        targetHospitalId: notice.target_hospital_id,
+        details: {
+          noticeId: notice.notice_id
+        }
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: notice
+      });
+    } catch (error) {
+      console.error('Error retrying consent revocation notice:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retry consent revocation notice'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/consents/:id
  * @desc Get a specific consent by ID
@@ -82,9 +321,12 @@ router.get('/:id',
       
       // Log consent access
       AuditService.logConsentEvent({
-        event_type: 'consent_access',
-        user_id: req.user.id,
-        consent_id: consentId
+        eventType: 'consent_access',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: consent.patient_id,
+        consentId
       });
       
       res.status(200).json({
@@ -101,6 +343,345 @@ router.get('/:id',
   }
 );
 
+/**
+ * @route GET /api/consents/:id/versions
+ * @desc Get the version history of a consent
+ * @access Private (Admin, Doctor, Nurse)
+ */
+router.get('/:id/versions',
+  authenticate,
+  authorize(['admin', 'doctor', 'nurse', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const consentId = req.params.id;
+      
+      const consent = await ConsentService.getConsentById(consentId);
+      if (!consent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Consent not found'
+        });
+      }
+      
+      const versions = await ConsentVersionService.getVersions(consentId);
+      
+      // Log consent history access
+      AuditService.logConsentEvent({
+        eventType: 'consent_history_access',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: consent.patient_id,
+        consentId
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: versions
+      });
+    } catch (error) {
+      console.error('Error getting consent versions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get consent versions'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/consents/:id/as-of
+ * @desc Get the version of a consent that was in force at a point in time
+ * @access Private (Admin, Doctor, Nurse)
+ */
+router.get('/:id/as-of',
+  authenticate,
+  authorize(['admin', 'doctor', 'nurse', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const consentId = req.params.id;
+      
+      // Validate query parameters
+      const schema = Joi.object({
+        date: Joi.date().iso().required()
+      });
+      
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const version = await ConsentVersionService.getVersionAt(consentId, value.date);
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: 'No version of this consent was recorded by that date'
+        });
+      }
+      
+      // Log point-in-time lookup
+      AuditService.logConsentEvent({
+        eventType: 'consent_history_access',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: version.terms.patient_id,
+        consentId,
+        details: {
+          asOf: value.date,
+          version: version.version_number
+        }
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: version
+      });
+    } catch (error) {
+      console.error('Error getting consent version in force:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get consent version'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/consents/:id/versions/:version
+ * @desc Get one version of a consent with its signatures
+ * @access Private (Admin, Doctor, Nurse)
+ */
+router.get('/:id/versions/:version',
+  authenticate,
+  authorize(['admin', 'doctor', 'nurse', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const consentId = req.params.id;
+      const versionNumber = parseInt(req.params.version, 10);
+      
+      const version = Number.isInteger(versionNumber)
+        ? await ConsentVersionService.getVersion(consentId, versionNumber)
+        : null;
+      if (!version) {
+        return res.status(404).json({
+          success: false,
+          error: 'Consent version not found'
+        });
+      }
+      
+      // Log consent version access
+      AuditService.logConsentEvent({
+        eventType: 'consent_history_access',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: version.terms.patient_id,
+        consentId,
+        details: {
+          version: versionNumber
+        }
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: version
+      });
+    } catch (error) {
+      console.error('Error getting consent version:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get consent version'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/consents/:id/versions/:version/document
+ * @desc Download the consent form of a version
+ * @access Private (Admin, Doctor, Nurse)
+ */
+router.get('/:id/versions/:version/document',
+  authenticate,
+  authorize(['admin', 'doctor', 'nurse', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const consentId = req.params.id;
+      const versionNumber = parseInt(req.params.version, 10);
+      
+      const document = Number.isInteger(versionNumber)
+        ? await ConsentVersionService.getVersionDocument(consentId, versionNumber)
+        : null;
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Consent form not found'
+        });
+      }
+      
+      // A form that no longer matches its hash cannot back the signatures over it
+      if (!document.intact) {
+        return res.status(409).json({
+          success: false,
+          error: 'Consent form no longer matches its recorded hash'
+        });
+      }
+      
+      // Log consent form download
+      AuditService.logConsentEvent({
+        eventType: 'consent_form_download',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        consentId,
+        details: {
+          version: versionNumber
+        }
+      });
+      
+      res.set('Digest', `sha-256=${Buffer.from(document.hash, 'hex').toString('base64')}`);
+      res.type(document.mimeType);
+      res.sendFile(path.resolve(document.path));
+    } catch (error) {
+      console.error('Error downloading consent form:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to download consent form'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/consents/:id/versions/:version/signatures
+ * @desc Record a detached signature over a version's consent form
+ * @access Private (Admin, Doctor, Nurse, Patient)
+ */
+router.post('/:id/versions/:version/signatures',
+  authenticate,
+  authorize(['admin', 'doctor', 'nurse', 'patient', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const consentId = req.params.id;
+      const versionNumber = parseInt(req.params.version, 10);
+      
+      // Validate request body
+      const schema = Joi.object({
+        signer_role: Joi.string().valid('patient', 'representative', 'witness', 'clinician').required(),
+        signer_name: Joi.string().required(),
+        signer_id: Joi.string(),
+        public_key: Joi.string().required(),
+        signature: Joi.string().base64().required(),
+        signed_at: Joi.date().iso()
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const consent = await ConsentService.getConsentById(consentId);
+      if (!consent || !Number.isInteger(versionNumber)) {
+        return res.status(404).json({
+          success: false,
+          error: consent ? 'Consent version not found' : 'Consent not found'
+        });
+      }
+      
+      // Patients may only sign their own consents as the patient, and representatives
+      // only the consents of patients they represent, as the representative
+      if (req.user.role === 'patient') {
+        const actor = await PatientRelationshipService.authorizeActor(req.user, consent.patient_id, 'manage_consent');
+        const expectedRole = actor.relationship ? 'representative' : 'patient';
+        
+        if (!actor.allowed || value.signer_role !== expectedRole) {
+          return res.status(403).json({
+            success: false,
+            error: 'You can only sign your own consents as the patient, or those of patients you represent as the representative'
+          });
+        }
+      }
+      
+      // Verify and record signature (logged by the version service); only a patient or
+      // representative signing for themselves verifies the consent
+      const signature = await ConsentVersionService.addSignature(
+        consentId,
+        versionNumber,
+        value,
+        req.user.id,
+        req.user.role === 'patient'
+      );
+      
+      res.status(201).json({
+        success: true,
+        data: signature
+      });
+    } catch (error) {
+      console.error('Error recording consent signature:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to record consent signature'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/consents/:id/form
+ * @desc Upload a consent form, recorded as a new version of the consent
+ * @access Private (Admin, Doctor)
+ */
+router.post('/:id/form',
+  authenticate,
+  authorize(['admin', 'doctor', 'hospital_admin']),
+  consentFormUpload,
+  async (req, res) => {
+    try {
+      const consentId = req.params.id;
+      
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'A consent form file is required'
+        });
+      }
+      
+      const existingConsent = await ConsentService.getConsentById(consentId);
+      if (!existingConsent || existingConsent.status !== 'active') {
+        fs.unlinkSync(req.file.path);
+        return res.status(existingConsent ? 409 : 404).json({
+          success: false,
+          error: existingConsent ? `Cannot attach a form to a ${existingConsent.status} consent` : 'Consent not found'
+        });
+      }
+      
+      // Record the new version (logged by the consent service)
+      const consent = await ConsentService.attachConsentForm(consentId, {
+        path: req.file.path,
+        mimeType: req.file.mimetype
+      }, req.user.id);
+      
+      res.status(201).json({
+        success: true,
+        data: consent
+      });
+    } catch (error) {
+      console.error('Error uploading consent form:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to upload consent form'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/consents/patient/:patientId
  * @desc Get all consents for a specific patient
@@ -127,9 +708,11 @@ router.get('/patient/:patientId',
       
       // Log consent access
       AuditService.logConsentEvent({
-        event_type: 'patient_consents_access',
-        user_id: req.user.id,
-        patient_id: patientId
+        eventType: 'patient_consents_access',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId
       });
       
       res.status(200).json({
@@ -172,9 +755,11 @@ router.get('/active/patient/:patientId',
       
       // Log consent access
       AuditService.logConsentEvent({
-        event_type: 'active_consents_access',
-        user_id: req.user.id,
-        patient_id: patientId
+        eventType: 'active_consents_access',
+        status: 'success',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId
       });
       
       res.status(200).json({
@@ -212,9 +797,11 @@ router.post('/',
         )).min(1).required(),
         start_date: Joi.date().iso().required(),
         end_date: Joi.date().iso().greater(Joi.ref('start_date')),
-        purpose: Joi.string().required(),
+        purpose: consentPurposeSchema.required(),
         witness_name: Joi.string(),
-        additional_notes: Joi.string()
+        additional_notes: Joi.string(),
+        included_sensitivity_labels: Joi.array().items(Joi.string().valid(...Object.keys(SENSITIVITY_LABELS))).unique(),
+        excluded_sensitivity_labels: Joi.array().items(Joi.string().valid(...Object.keys(SENSITIVITY_LABELS))).unique()
       });
       
       const { error, value } = schema.validate(req.body);
@@ -234,23 +821,21 @@ router.post('/',
         });
       }
       
-      // Create consent
-      const consentData = {
-        ...value,
-        status: 'active',
-        created_by: req.user.id
-      };
-      
-      const consent = await ConsentService.createConsent(consentData);
-      
-      // Log consent creation
-      AuditService.logConsentEvent({
-        event_type: 'consent_create',
-        user_id: req.user.id,
+      // Create consent (logged by the consent service)
+      const consent = await ConsentService.createConsent({
         patient_id: value.patient_id,
-        consent_id: consent.id,
+        consenting_hospital_id: req.user.hospital_id,
+        target_hospital_id: value.granted_to_hospital_id,
         consent_type: value.consent_type,
-        granted_to_hospital_id: value.granted_to_hospital_id
+        specific_data_types: value.data_types,
+        start_date: value.start_date,
+        end_date: value.end_date,
+        purpose: value.purpose,
+        witness_name: value.witness_name,
+        notes: value.additional_notes,
+        included_sensitivity_labels: value.included_sensitivity_labels,
+        excluded_sensitivity_labels: value.excluded_sensitivity_labels,
+        created_by: req.user.id
       });
       
       res.status(201).json({
@@ -259,9 +844,9 @@ router.post('/',
       });
     } catch (error) {
       console.error('Error creating consent:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to create consent'
+        error: error.status ? error.message : 'Failed to create consent'
       });
     }
   }
@@ -287,8 +872,10 @@ router.put('/:id',
           'procedures', 'allergies', 'immunizations', 'vitals', 'notes'
         )).min(1),
         end_date: Joi.date().iso(),
-        purpose: Joi.string(),
-        additional_notes: Joi.string()
+        purpose: consentPurposeSchema,
+        additional_notes: Joi.string(),
+        included_sensitivity_labels: Joi.array().items(Joi.string().valid(...Object.keys(SENSITIVITY_LABELS))).unique(),
+        excluded_sensitivity_labels: Joi.array().items(Joi.string().valid(...Object.keys(SENSITIVITY_LABELS))).unique()
       });
       
       const { error, value } = schema.validate(req.body);
@@ -308,16 +895,13 @@ router.put('/:id',
         });
       }
       
-      // Update consent
-      const updatedConsent = await ConsentService.updateConsent(consentId, value);
-      
-      // Log consent update
-      AuditService.logConsentEvent({
-        event_type: 'consent_update',
-        user_id: req.user.id,
-        consent_id: consentId,
-        updates: value
-      });
+      // Update consent (logged by the consent service)
+      const { data_types: dataTypes, additional_notes: notes, ...updates } = value;
+      const updatedConsent = await ConsentService.updateConsent(consentId, {
+        ...updates,
+        ...(dataTypes ? { specific_data_types: dataTypes } : {}),
+        ...(notes !== undefined ? { notes } : {})
+      }, req.user.id);
       
       res.status(200).json({
         success: true,
@@ -325,9 +909,9 @@ router.put('/:id',
       });
     } catch (error) {
       console.error('Error updating consent:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Failed to update consent'
+        error: error.status ? error.message : 'Failed to update consent'
       });
     }
   }
@@ -354,31 +938,20 @@ router.delete('/:id',
         });
       }
       
-      // If user is a patient, verify they are revoking their own consent
-      if (req.user.role === 'patient' && existingConsent.patient_id !== req.user.id) {
+      // If user is a patient, verify they are revoking their own consent or one they manage as a representative
+      const actor = await PatientRelationshipService.authorizeActor(req.user, existingConsent.patient_id, 'manage_consent');
+      if (!actor.allowed) {
         return res.status(403).json({
           success: false,
-          error: 'You can only revoke your own consents'
+          error: 'You can only revoke your own consents or those of patients you represent'
         });
       }
       
-      // Revoke consent
-      const revokeData = {
-        status: 'revoked',
-        revoked_at: new Date().toISOString(),
+      // Revoke consent (logged by the consent service)
+      const revokedConsent = await ConsentService.revokeConsent(consentId, {
         revoked_by: req.user.id,
-        revocation_reason: req.body.reason || 'User requested revocation'
-      };
-      
-      const revokedConsent = await ConsentService.revokeConsent(consentId, revokeData);
-      
-      // Log consent revocation
-      AuditService.logConsentEvent({
-        event_type: 'consent_revoke',
-        user_id: req.user.id,
-        consent_id: consentId,
-        patient_id: existingConsent.patient_id,
-        revocation_reason: revokeData.revocation_reason
+        revocation_reason: req.body.reason || 'User requested revocation',
+        acting_relationship: actor.relationship
       });
       
       res.status(200).json({
@@ -395,98 +968,4 @@ router.delete('/:id',
   }
 );
 
-/**
- * @route GET /api/consents/check
- * @desc Check if consent exists for a specific patient and hospital
- * @access Private (Admin, Doctor, Nurse)
- */
-router.get('/check',
-  authenticate,
-  authorize(['admin', 'doctor', 'nurse', 'hospital_admin']),
-  async (req, res) => {
-    try {
-      // Validate query parameters
-      const schema = Joi.object({
-        patient_id: Joi.string().required(),
-        hospital_id: Joi.string().required(),
-        data_type: Joi.string().valid(
-          'demographics', 'medications', 'lab_results', 'imaging', 'diagnoses',
-          'procedures', 'allergies', 'immunizations', 'vitals', 'notes'
-        ).required()
-      });
-      
-      const { error, value } = schema.validate(req.query);
-      if (error) {
-        return res.status(400).json({
-          success: false,
-          error: error.details[0].message
-        });
-      }
-      
-      // Check consent
-      const hasConsent = await ConsentService.checkConsent(
-        value.patient_id,
-        value.hospital_id,
-        value.data_type
-      );
-      
-      // Log consent check
-      AuditService.logConsentEvent({
-        event_type: 'consent_check',
-        user_id: req.user.id,
-        patient_id: value.patient_id,
-        hospital_id: value.hospital_id,
-        data_type: value.data_type,
-        has_consent: hasConsent
-      });
-      
-      res.status(200).json({
-        success: true,
-        data: {
-          has_consent: hasConsent
-        }
-      });
-    } catch (error) {
-      console.error('Error checking consent:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to check consent'
-      });
-    }
-  }
-);
-
-/**
- * @route GET /api/consents/stats
- * @desc Get consent statistics
- * @access Private (Admin, Hospital Admin)
- */
-router.get('/stats',
-  authenticate,
-  authorize(['admin', 'hospital_admin']),
-  async (req, res) => {
-    try {
-      // Get consent statistics
-      const stats = await ConsentService.getConsentStatistics();
-      
-      // Log stats access
-      AuditService.logConsentEvent({
-        event_type: 'consent_stats_access',
-        user_id: req.user.id
-      });
-      
-      res.status(200).json({
-        success: true,
-        data: stats
-      });
-    } catch (error) {
-      console.error('Error getting consent statistics:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Failed to get consent statistics'
-      });
-    }
-  }
-);
-
 module.exports = router;
\ No newline at end of file
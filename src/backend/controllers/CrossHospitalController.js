@@ -10,11 +10,42 @@ const CrossHospitalService = require('../services/CrossHospitalService');
 const PatientService = require('../services/PatientService');
 const ConsentService = require('../services/ConsentService');
 const HospitalService = require('../services/HospitalService');
+const EmergencyAccessService = require('../services/EmergencyAccessService');
+const AccessRequestService = require('../services/AccessRequestService');
+const RecordLocatorService = require('../services/RecordLocatorService');
+const PatientTimelineService = require('../services/PatientTimelineService');
 const AuditService = require('../services/AuditService');
 const { authenticate, authorize } = require('../middleware/auth');
+const { PURPOSE_OF_USE } = require('../config/purposeOfUse');
 
 const router = express.Router();
 
+// Limits on an access token, asked for by the requesting hospital or set by the approver
+const scopeSchema = Joi.object({
+  date_from: Joi.date().iso(),
+  date_to: Joi.date().iso(),
+  document_ids: Joi.array().items(Joi.string()).min(1).unique(),
+  max_uses: Joi.number().integer().min(1)
+});
+
+/**
+ * Map a validated scope to the service's field names
+ * @param {Object} scope - Validated scope
+ * @returns {Object|null} - Scope, or null if none was given
+ */
+function toScope(scope) {
+  if (!scope) {
+    return null;
+  }
+
+  return {
+    dateFrom: scope.date_from,
+    dateTo: scope.date_to,
+    documentIds: scope.document_ids,
+    maxUses: scope.max_uses
+  };
+}
+
 /**
  * @route GET /api/cross-hospital/status
  * @desc Get cross-hospital network status
@@ -55,9 +86,10 @@ router.post('/request-access',
       const schema = Joi.object({
         patient_global_id: Joi.string().required(),
         target_hospital_id: Joi.string().required(),
-        purpose: Joi.string().required(),
+        purpose: Joi.string().valid(...Object.keys(PURPOSE_OF_USE)).required(),
         record_types: Joi.array().items(Joi.string()).min(1).required(),
-        request_notes: Joi.string().allow('', null)
+        request_notes: Joi.string().allow('', null),
+        scope: scopeSchema
       });
       
       const { error, value } = schema.validate(req.body);
@@ -76,7 +108,7 @@ router.post('/request-access',
         req.user.id, // From auth middleware
         value.purpose,
         value.record_types,
-        value.request_notes
+        { requestingUserRole: req.user.role, scope: toScope(value.scope) }
       );
       
       // Log cross-hospital access request
@@ -105,9 +137,182 @@ router.post('/request-access',
   }
 );
 
+/**
+ * @route POST /api/cross-hospital/emergency-access
+ * @desc Break the glass: request records from another hospital without consent in an emergency
+ * @access Private (Doctor, Nurse)
+ */
+router.post('/emergency-access',
+  authenticate,
+  authorize(['doctor', 'nurse']),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        patient_global_id: Joi.string().required(),
+        target_hospital_id: Joi.string().required(),
+        justification: Joi.string().trim().min(EmergencyAccessService.config.minJustificationLength).required(),
+        record_types: Joi.array().items(Joi.string()).min(1).required()
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      // Request emergency access (logged as a critical security event by the service)
+      const accessRequest = await CrossHospitalService.requestEmergencyAccess(
+        value.patient_global_id,
+        req.hospital.id,
+        value.target_hospital_id,
+        req.user.id,
+        value.justification,
+        value.record_types,
+        req.user.role
+      );
+      
+      if (!accessRequest.success) {
+        return res.status(403).json({
+          success: false,
+          error: accessRequest.message
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: accessRequest
+      });
+    } catch (error) {
+      console.error('Error requesting emergency cross-hospital access:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to request emergency cross-hospital access'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/cross-hospital/emergency-overrides
+ * @desc Get emergency access overrides granted by this hospital for post-hoc review
+ * @access Private (Privacy Officer, Admin, Hospital Admin)
+ */
+router.get('/emergency-overrides',
+  authenticate,
+  authorize(['privacy_officer', 'admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate query parameters
+      const schema = Joi.object({
+        review_status: Joi.string().valid('pending', 'approved', 'flagged'),
+        patient_id: Joi.string(),
+        requesting_hospital_id: Joi.string(),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        sort_by: Joi.string().valid('created_at', 'expires_at', 'reviewed_at', 'review_status').default('created_at'),
+        sort_order: Joi.string().valid('asc', 'desc').default('asc')
+      });
+      
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const overrides = await EmergencyAccessService.getOverrides({
+        reviewStatus: value.review_status,
+        patientId: value.patient_id,
+        requestingHospitalId: value.requesting_hospital_id,
+        page: value.page,
+        limit: value.limit,
+        sortBy: value.sort_by,
+        sortOrder: value.sort_order
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: overrides
+      });
+    } catch (error) {
+      console.error('Error getting emergency access overrides:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get emergency access overrides'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/cross-hospital/emergency-overrides/:overrideId/review
+ * @desc Approve or flag an emergency access override; flagging revokes its token
+ * @access Private (Privacy Officer, Admin)
+ */
+router.post('/emergency-overrides/:overrideId/review',
+  authenticate,
+  authorize(['privacy_officer', 'admin']),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        decision: Joi.string().valid('approved', 'flagged').required(),
+        notes: Joi.string().when('decision', {
+          is: 'flagged',
+          then: Joi.required()
+        })
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const existing = await EmergencyAccessService.getOverrideById(req.params.overrideId);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Emergency access override not found'
+        });
+      }
+      
+      // Record review (logged by the emergency access service)
+      const override = await EmergencyAccessService.reviewOverride(req.params.overrideId, value, {
+        id: req.user.id,
+        hospital_id: req.hospital.id
+      });
+      
+      if (!override) {
+        return res.status(409).json({
+          success: false,
+          error: 'Emergency access override has already been reviewed'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: override
+      });
+    } catch (error) {
+      console.error('Error reviewing emergency access override:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to review emergency access override'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/cross-hospital/access-requests
- * @desc Get access requests for the current hospital
+ * @desc Get access requests received by the current hospital, or sent by it with ?direction=outgoing
  * @access Private (Hospital Admin)
  */
 router.get('/access-requests',
@@ -117,16 +322,17 @@ router.get('/access-requests',
     try {
       // Get query parameters
       const status = req.query.status;
+      const direction = req.query.direction === 'outgoing' ? 'outgoing' : 'incoming';
       const limit = parseInt(req.query.limit) || 10;
       const offset = parseInt(req.query.offset) || 0;
       
       // Get access requests
-      const accessRequests = await CrossHospitalService.getAccessRequests(
-        req.hospital.id,
+      const accessRequests = await AccessRequestService.getRequests({
+        direction,
         status,
         limit,
         offset
-      );
+      });
       
       res.status(200).json({
         success: true,
@@ -156,8 +362,10 @@ router.post('/approve-access/:requestId',
       
       // Validate request body
       const schema = Joi.object({
+        requesting_hospital_id: Joi.string().required(),
         expiry_time: Joi.string().isoDate().required(),
-        approved_record_types: Joi.array().items(Joi.string()).min(1).required()
+        approved_record_types: Joi.array().items(Joi.string()).min(1).required(),
+        scope: scopeSchema
       });
       
       const { error, value } = schema.validate(req.body);
@@ -168,25 +376,18 @@ router.post('/approve-access/:requestId',
         });
       }
       
-      // Approve access request
-      const approvedRequest = await CrossHospitalService.approveAccessRequest(
+      // Approve access request; the requesting hospital collects its access token over the gateway
+      const approvedRequest = await AccessRequestService.approveRequest(
+        value.requesting_hospital_id,
         requestId,
-        req.hospital.id,
         req.user.id,
-        value.expiry_time,
-        value.approved_record_types
+        {
+          expiresAt: value.expiry_time,
+          recordTypes: value.approved_record_types,
+          scope: toScope(value.scope)
+        }
       );
       
-      // Log cross-hospital access approval
-      AuditService.logCrossHospitalEvent({
-        event_type: 'cross_hospital_access_approved',
-        user_id: req.user.id,
-        hospital_id: req.hospital.id,
-        request_id: requestId,
-        approved_record_types: value.approved_record_types,
-        expiry_time: value.expiry_time
-      });
-      
       res.status(200).json({
         success: true,
         data: approvedRequest
@@ -195,7 +396,8 @@ router.post('/approve-access/:requestId',
       console.error('Error approving cross-hospital access:', error);
       res.status(error.status || 500).json({
         success: false,
-        error: error.message || 'Failed to approve cross-hospital access'
+        error: error.message || 'Failed to approve cross-hospital access',
+        reasons: error.reasons
       });
     }
   }
@@ -215,6 +417,7 @@ router.post('/deny-access/:requestId',
       
       // Validate request body
       const schema = Joi.object({
+        requesting_hospital_id: Joi.string().required(),
         denial_reason: Joi.string().required()
       });
       
@@ -227,22 +430,13 @@ router.post('/deny-access/:requestId',
       }
       
       // Deny access request
-      const deniedRequest = await CrossHospitalService.denyAccessRequest(
+      const deniedRequest = await AccessRequestService.denyRequest(
+        value.requesting_hospital_id,
         requestId,
-        req.hospital.id,
         req.user.id,
         value.denial_reason
       );
       
-      // Log cross-hospital access denial
-      AuditService.logCrossHospitalEvent({
-        event_type: 'cross_hospital_access_denied',
-        user_id: req.user.id,
-        hospital_id: req.hospital.id,
-        request_id: requestId,
-        denial_reason: value.denial_reason
-      });
-      
       res.status(200).json({
         success: true,
         data: deniedRequest
@@ -257,6 +451,37 @@ router.post('/deny-access/:requestId',
   }
 );
 
+/**
+ * @route GET /api/cross-hospital/locate/:globalId
+ * @desc Find the connected hospitals that hold records for a patient
+ * @access Private (Doctor, Nurse, Hospital Admin)
+ */
+router.get('/locate/:globalId',
+  authenticate,
+  authorize(['doctor', 'nurse', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Locate the patient's records, reusing a recent lookup unless a refresh is asked for
+      const locations = await RecordLocatorService.locatePatient(
+        req.params.globalId,
+        req.user,
+        { refresh: req.query.refresh === 'true' }
+      );
+      
+      res.status(200).json({
+        success: true,
+        data: locations
+      });
+    } catch (error) {
+      console.error('Error locating patient records:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to locate patient records'
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/cross-hospital/patient/:globalId
  * @desc Get patient data from another hospital using an access token
@@ -308,6 +533,51 @@ router.get('/patient/:globalId',
   }
 );
 
+/**
+ * @route POST /api/cross-hospital/patient/:globalId/timeline
+ * @desc Get one chronological view of a patient's records from several hospitals
+ * @access Private (Doctor, Nurse, Hospital Admin)
+ */
+router.post('/patient/:globalId/timeline',
+  authenticate,
+  authorize(['doctor', 'nurse', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        access_tokens: Joi.array().items(Joi.string()).min(1).max(20).unique().required()
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      // Merge the records each token gives access to
+      const timeline = await PatientTimelineService.getTimeline(
+        req.params.globalId,
+        value.access_tokens,
+        req.hospital.id,
+        req.user.id
+      );
+      
+      res.status(200).json({
+        success: true,
+        data: timeline
+      });
+    } catch (error) {
+      console.error('Error getting patient timeline:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get patient timeline'
+      });
+    }
+  }
+);
+
 /**
  * @route POST /api/cross-hospital/revoke-access
  * @desc Revoke an approved access token
@@ -390,18 +660,19 @@ router.get('/audit-log',
       const startDate = req.query.start_date ? new Date(req.query.start_date) : null;
       const endDate = req.query.end_date ? new Date(req.query.end_date) : null;
       const eventType = req.query.event_type;
-      const limit = parseInt(req.query.limit) || 100;
-      const offset = parseInt(req.query.offset) || 0;
+      const page = parseInt(req.query.page) || 1;
+      const pageSize = parseInt(req.query.limit) || 100;
       
       // Get audit log
-      const auditLog = await AuditService.searchAuditLog({
-        event_category: 'cross_hospital',
-        event_type: eventType,
-        hospital_id: req.hospital.id,
-        start_date: startDate,
-        end_date: endDate,
-        limit,
-        offset
+      const auditLog = await AuditService.searchLogs({
+        type: 'cross_hospital',
+        eventType,
+        hospitalId: req.hospital.id,
+        startDate,
+        endDate
+      }, {
+        page,
+        pageSize
       });
       
       res.status(200).json({
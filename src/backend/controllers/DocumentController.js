@@ -14,6 +14,7 @@ const authMiddleware = require('../middleware/authMiddleware');
 const rbacMiddleware = require('../middleware/rbacMiddleware');
 const auditService = require('../services/AuditService');
 const aiService = require('../services/AIService');
+const { normalizeSensitivityLabels } = require('../config/sensitivityLabels');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -157,12 +158,21 @@ router.post('/', authMiddleware, upload.single('file'), async (req, res) => {
       return res.status(400).json({ message: 'No file uploaded' });
     }
     
-    const { patientId, title, type, tags } = req.body;
+    const { patientId, title, type, tags, sensitivityLabels } = req.body;
     
     if (!patientId || !title || !type) {
       return res.status(400).json({ message: 'Missing required fields: patientId, title, and type are required' });
     }
     
+    // Process sensitivity labels if provided (sent as JSON like tags)
+    let parsedLabels;
+    try {
+      parsedLabels = normalizeSensitivityLabels(sensitivityLabels ? JSON.parse(sensitivityLabels) : []);
+    } catch (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ message: 'Invalid sensitivityLabels', error: error.message });
+    }
+    
     // Check if user has access to the patient's documents
     const hasAccess = await documentService.checkPatientAccess(req.user.id, patientId);
     if (!hasAccess) {
@@ -185,6 +195,7 @@ router.post('/', authMiddleware, upload.single('file'), async (req, res) => {
       originalFilename: req.file.originalname,
       uploadedBy: req.user.id,
       tags: parsedTags,
+      sensitivityLabels: parsedLabels,
       status: 'processing'
     };
     
@@ -386,6 +397,54 @@ router.post('/:id/versions', authMiddleware, upload.single('file'), async (req,
   }
 });
 
+/**
+ * @route PUT /api/documents/:id/sensitivity-labels
+ * @desc Replace the sensitivity labels on a document
+ * @access Private (Admin, Doctor)
+ */
+router.put('/:id/sensitivity-labels', authMiddleware, rbacMiddleware(['admin', 'doctor']), async (req, res) => {
+  try {
+    const documentId = req.params.id;
+    
+    let labels;
+    try {
+      labels = normalizeSensitivityLabels(req.body.sensitivityLabels);
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid sensitivityLabels', error: error.message });
+    }
+    
+    const document = await documentService.getDocumentById(documentId);
+    
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    
+    // Check if user has access to the patient's documents
+    const hasAccess = await documentService.checkPatientAccess(req.user.id, document.patientId);
+    if (!hasAccess) {
+      return res.status(403).json({ message: 'Access denied to this document' });
+    }
+    
+    const updatedDocument = await documentService.updateDocument(documentId, {
+      sensitivityLabels: labels
+    });
+    
+    // Log the relabeling
+    await auditService.logActivity({
+      userId: req.user.id,
+      action: 'UPDATE',
+      resourceType: 'DOCUMENT',
+      resourceId: documentId,
+      details: `Changed sensitivity labels on document ${document.title} from [${(document.sensitivityLabels || []).join(', ')}] to [${labels.join(', ')}]`
+    });
+    
+    res.json(updatedDocument);
+  } catch (error) {
+    console.error('Error updating document sensitivity labels:', error);
+    res.status(500).json({ message: 'Failed to update sensitivity labels', error: error.message });
+  }
+});
+
 /**
  * @route DELETE /api/documents/:id
  * @desc Soft delete a document
@@ -6,6 +6,7 @@
 const express = require('express');
 const Joi = require('joi');
 const FhirService = require('../services/FhirService');
+const ConsentService = require('../services/ConsentService');
 const AuditService = require('../services/AuditService');
 const { authenticate, authorize } = require('../middleware/auth');
 
@@ -571,6 +572,231 @@ router.post('/DocumentReference',
   }
 );
 
+/**
+ * @route GET /api/fhir/Consent
+ * @desc Search for consents
+ * @access Private
+ */
+router.get('/Consent',
+  authenticate,
+  authorize(['doctor', 'nurse', 'admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Extract search parameters
+      const searchParams = {
+        patient: req.query.patient,
+        actor: req.query.actor,
+        status: req.query.status,
+        _count: parseInt(req.query._count) || 10,
+        _page: parseInt(req.query._page) || 1
+      };
+      
+      // Consents are served from the local consent store; inactive covers revoked and expired
+      const result = await ConsentService.getConsents({
+        patientId: searchParams.patient ? searchParams.patient.replace(/^Patient\//, '') : undefined,
+        hospitalId: searchParams.actor ? searchParams.actor.replace(/^Organization\//, '') : undefined,
+        status: searchParams.status === 'inactive' ? ['revoked', 'expired'] : searchParams.status,
+        page: searchParams._page,
+        limit: searchParams._count
+      });
+      
+      const baseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+      const bundle = {
+        resourceType: 'Bundle',
+        type: 'searchset',
+        total: result.pagination.total,
+        link: [
+          {
+            relation: 'self',
+            url: `${baseUrl}${req.url}`
+          }
+        ],
+        entry: result.data.map(consent => ({
+          fullUrl: `${baseUrl}/Consent/${consent.id}`,
+          resource: FhirService.convertToFhirConsent(consent),
+          search: {
+            mode: 'match'
+          }
+        }))
+      };
+      
+      // Log FHIR search
+      AuditService.logFhirOperation({
+        operationType: 'search',
+        status: 'success',
+        resourceType: 'Consent',
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: searchParams.patient ? searchParams.patient.replace(/^Patient\//, '') : undefined,
+        details: {
+          searchParams,
+          resultCount: bundle.entry.length
+        }
+      });
+      
+      res.status(200).json(bundle);
+    } catch (error) {
+      console.error('Error searching consents:', error);
+      res.status(error.status || 500).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'exception',
+            diagnostics: error.message || 'Failed to search consents'
+          }
+        ]
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/fhir/Consent/:id
+ * @desc Get consent by ID
+ * @access Private
+ */
+router.get('/Consent/:id',
+  authenticate,
+  authorize(['doctor', 'nurse', 'admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const consentId = req.params.id;
+      
+      // Get consent
+      const consent = await ConsentService.getConsentById(consentId);
+      if (!consent) {
+        return res.status(404).json({
+          resourceType: 'OperationOutcome',
+          issue: [
+            {
+              severity: 'error',
+              code: 'not-found',
+              diagnostics: `Consent/${consentId} not found`
+            }
+          ]
+        });
+      }
+      
+      // Log FHIR read
+      AuditService.logFhirOperation({
+        operationType: 'read',
+        status: 'success',
+        resourceType: 'Consent',
+        resourceId: consentId,
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: consent.patient_id
+      });
+      
+      res.status(200).json(FhirService.convertToFhirConsent(consent));
+    } catch (error) {
+      console.error('Error getting consent:', error);
+      res.status(error.status || 500).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: 'exception',
+            diagnostics: error.message || 'Failed to get consent'
+          }
+        ]
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/fhir/Consent
+ * @desc Submit a consent
+ * @access Private
+ */
+router.post('/Consent',
+  authenticate,
+  authorize(['doctor', 'admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate request body
+      if (!req.body || !req.body.resourceType || req.body.resourceType !== 'Consent') {
+        return res.status(400).json({
+          resourceType: 'OperationOutcome',
+          issue: [
+            {
+              severity: 'error',
+              code: 'invalid',
+              diagnostics: 'Invalid resource type. Expected Consent.'
+            }
+          ]
+        });
+      }
+      
+      let consentData;
+      try {
+        consentData = FhirService.convertFromFhirConsent(req.body);
+      } catch (error) {
+        return res.status(error.status || 400).json({
+          resourceType: 'OperationOutcome',
+          issue: [
+            {
+              severity: 'error',
+              code: 'invalid',
+              diagnostics: error.message
+            }
+          ]
+        });
+      }
+      
+      // Consents can only be recorded on behalf of the submitter's own hospital
+      if (consentData.consenting_hospital_id && consentData.consenting_hospital_id !== req.user.hospital_id) {
+        return res.status(403).json({
+          resourceType: 'OperationOutcome',
+          issue: [
+            {
+              severity: 'error',
+              code: 'forbidden',
+              diagnostics: 'Consent organization must be the submitting hospital'
+            }
+          ]
+        });
+      }
+      
+      // Create consent (logged by the consent service)
+      const consent = await ConsentService.createConsent({
+        ...consentData,
+        consenting_hospital_id: req.user.hospital_id,
+        created_by: req.user.id
+      });
+      
+      // Log FHIR create
+      AuditService.logFhirOperation({
+        operationType: 'create',
+        status: 'success',
+        resourceType: 'Consent',
+        resourceId: consent.id,
+        userId: req.user.id,
+        hospitalId: req.user.hospital_id,
+        patientId: consent.patient_id
+      });
+      
+      res.status(201)
+        .location(`${req.baseUrl}/Consent/${consent.id}`)
+        .json(FhirService.convertToFhirConsent(consent));
+    } catch (error) {
+      console.error('Error creating consent:', error);
+      res.status(error.status || 500).json({
+        resourceType: 'OperationOutcome',
+        issue: [
+          {
+            severity: 'error',
+            code: error.status === 400 ? 'invalid' : 'exception',
+            diagnostics: error.message || 'Failed to create consent'
+          }
+        ]
+      });
+    }
+  }
+);
+
 /**
  * @route GET /api/fhir/$export
  * @desc Export FHIR resources for cross-hospital sharing
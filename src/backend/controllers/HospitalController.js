@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const Joi = require('joi');
+const config = require('../config/config');
 
 // Import services
 const HospitalService = require('../services/HospitalService');
@@ -140,7 +141,7 @@ router.post('/', authenticate, authorize(['admin']), async (req, res) => {
     return res.status(201).json(response);
   } catch (error) {
     console.error('Error registering hospital:', error);
-    return res.status(500).json({ error: 'Failed to register hospital' });
+    return res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to register hospital' });
   }
 });
 
@@ -210,7 +211,7 @@ router.put('/:id', authenticate, authorize(['admin']), async (req, res) => {
     return res.json(updatedHospital);
   } catch (error) {
     console.error('Error updating hospital:', error);
-    return res.status(500).json({ error: 'Failed to update hospital' });
+    return res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update hospital' });
   }
 });
 
@@ -303,6 +304,125 @@ router.post('/:id/regenerate-key', authenticate, authorize(['admin']), async (re
   }
 });
 
+/**
+ * @route GET /api/hospitals/local/keys
+ * @desc Get this hospital's public signing keys, to share with partner hospitals
+ * @access Private (Admins only)
+ */
+router.get('/local/keys', authenticate, authorize(['admin']), async (req, res) => {
+  try {
+    const keys = await HospitalService.getSigningKeys(config.hospitalId);
+    
+    return res.json(keys);
+  } catch (error) {
+    console.error('Error fetching local signing keys:', error);
+    return res.status(500).json({ error: 'Failed to fetch signing keys' });
+  }
+});
+
+/**
+ * @route POST /api/hospitals/local/keys/rotate
+ * @desc Generate a new key pair for this hospital; the previous key is accepted until the rotation overlap ends
+ * @access Private (Admins only)
+ */
+router.post('/local/keys/rotate', authenticate, authorize(['admin']), async (req, res) => {
+  try {
+    // Rotate key (logged by the hospital service)
+    const key = await HospitalService.rotateLocalSigningKey(req.user.id);
+    
+    return res.status(201).json(key);
+  } catch (error) {
+    console.error('Error rotating signing key:', error);
+    return res.status(500).json({ error: 'Failed to rotate signing key' });
+  }
+});
+
+/**
+ * @route GET /api/hospitals/:id/keys
+ * @desc Get the public keys registered for a hospital
+ * @access Private (Admins only)
+ */
+router.get('/:id/keys', authenticate, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if hospital exists
+    const existingHospital = await HospitalService.getHospitalById(id);
+    if (!existingHospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    const keys = await HospitalService.getSigningKeys(id);
+    
+    return res.json(keys);
+  } catch (error) {
+    console.error('Error fetching signing keys:', error);
+    return res.status(500).json({ error: 'Failed to fetch signing keys' });
+  }
+});
+
+/**
+ * @route POST /api/hospitals/:id/keys
+ * @desc Register a partner hospital's new public key when it rotates its key pair
+ * @access Private (Admins only)
+ */
+router.post('/:id/keys', authenticate, authorize(['admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate request body
+    const schema = Joi.object({
+      public_key: Joi.string().required()
+    });
+    
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    // Check if hospital exists
+    const existingHospital = await HospitalService.getHospitalById(id);
+    if (!existingHospital) {
+      return res.status(404).json({ error: 'Hospital not found' });
+    }
+    
+    // Register key (logged by the hospital service)
+    const key = await HospitalService.registerSigningKey(id, value.public_key, req.user.id);
+    
+    return res.status(201).json(key);
+  } catch (error) {
+    console.error('Error registering signing key:', error);
+    return res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to register signing key' });
+  }
+});
+
+/**
+ * @route DELETE /api/hospitals/:id/keys/:keyId
+ * @desc Revoke a hospital's signing key immediately, e.g. after a compromise
+ * @access Private (Admins only)
+ */
+router.delete('/:id/keys/:keyId', authenticate, authorize(['admin']), async (req, res) => {
+  try {
+    const { id, keyId } = req.params;
+    
+    // Revoke key (logged by the hospital service)
+    const key = await HospitalService.revokeSigningKey(
+      id,
+      keyId,
+      (req.body && req.body.reason) || 'Revoked by administrator',
+      req.user.id
+    );
+    if (!key) {
+      return res.status(404).json({ error: 'Signing key not found or already revoked' });
+    }
+    
+    return res.json(key);
+  } catch (error) {
+    console.error('Error revoking signing key:', error);
+    return res.status(500).json({ error: 'Failed to revoke signing key' });
+  }
+});
+
 /**
  * @route GET /api/hospitals/status
  * @desc Get status of all hospitals in the network
@@ -0,0 +1,317 @@
+/**
+ * Master Patient Index Controller
+ * Handles API endpoints for linking patient records across hospitals
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const MasterPatientIndexService = require('../services/MasterPatientIndexService');
+const { authenticate, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Demographics accepted for registration and search
+const demographicsSchema = {
+  first_name: Joi.string().required(),
+  last_name: Joi.string().required(),
+  date_of_birth: Joi.date().iso().required(),
+  gender: Joi.string().valid('male', 'female', 'other', 'prefer_not_to_say', 'unknown'),
+  address: Joi.string(),
+  identifiers: Joi.array().items(Joi.object({
+    system: Joi.string().required(),
+    value: Joi.string().required()
+  })).default([])
+};
+
+/**
+ * Map validated demographics to the service's field names
+ * @param {Object} value - Validated request body
+ * @returns {Object} - Demographics
+ */
+function toDemographics(value) {
+  return {
+    firstName: value.first_name,
+    lastName: value.last_name,
+    dateOfBirth: value.date_of_birth,
+    gender: value.gender,
+    address: value.address,
+    identifiers: value.identifiers
+  };
+}
+
+/**
+ * @route POST /api/mpi/records
+ * @desc Register a hospital's record of a patient and link it to matching records
+ * @access Private (Admin, Hospital Admin)
+ */
+router.post('/records',
+  authenticate,
+  authorize(['admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        hospital_id: Joi.string().uuid().required(),
+        source_patient_id: Joi.string().required(),
+        ...demographicsSchema
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const result = await MasterPatientIndexService.registerRecord({
+        hospitalId: value.hospital_id,
+        sourcePatientId: value.source_patient_id,
+        ...toDemographics(value)
+      }, req.user);
+      
+      res.status(result.outcome === 'updated' ? 200 : 201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error registering MPI record:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to register MPI record'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/mpi/search
+ * @desc Find people in the index matching the given demographics, with match scores
+ * @access Private (Doctor, Nurse, Admin, Hospital Admin)
+ */
+router.post('/search',
+  authenticate,
+  authorize(['doctor', 'nurse', 'admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        ...demographicsSchema,
+        min_score: Joi.number().min(0).max(1)
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const matches = await MasterPatientIndexService.searchMatches(
+        toDemographics(value),
+        value.min_score === undefined ? {} : { minScore: value.min_score }
+      );
+      
+      res.status(200).json({
+        success: true,
+        data: matches
+      });
+    } catch (error) {
+      console.error('Error searching MPI:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to search MPI'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/mpi/records/:recordId
+ * @desc Get an MPI record with its link history
+ * @access Private (Admin, Hospital Admin)
+ */
+router.get('/records/:recordId',
+  authenticate,
+  authorize(['admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const record = await MasterPatientIndexService.getRecordById(req.params.recordId);
+      
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          error: 'MPI record not found'
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: record
+      });
+    } catch (error) {
+      console.error('Error getting MPI record:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get MPI record'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/mpi/hospitals/:hospitalId/patients/:patientId/links
+ * @desc Get the records linked to a hospital's patient
+ * @access Private (Doctor, Nurse, Admin, Hospital Admin)
+ */
+router.get('/hospitals/:hospitalId/patients/:patientId/links',
+  authenticate,
+  authorize(['doctor', 'nurse', 'admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      const records = await MasterPatientIndexService.getLinkedRecords(
+        req.params.hospitalId,
+        req.params.patientId
+      );
+      
+      res.status(200).json({
+        success: true,
+        data: records
+      });
+    } catch (error) {
+      console.error('Error getting linked MPI records:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get linked MPI records'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/mpi/records/:recordId/unlink
+ * @desc Separate a record that was linked to the wrong person
+ * @access Private (Admin, Hospital Admin)
+ */
+router.post('/records/:recordId/unlink',
+  authenticate,
+  authorize(['admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        reason: Joi.string().required()
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const record = await MasterPatientIndexService.unlinkRecord(req.params.recordId, req.user, value.reason);
+      
+      res.status(200).json({
+        success: true,
+        data: record
+      });
+    } catch (error) {
+      console.error('Error unlinking MPI record:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to unlink MPI record'
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/mpi/reviews
+ * @desc Get uncertain matches waiting for review
+ * @access Private (Admin, Hospital Admin)
+ */
+router.get('/reviews',
+  authenticate,
+  authorize(['admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate query parameters
+      const schema = Joi.object({
+        status: Joi.string().valid('pending', 'linked', 'rejected', 'superseded').default('pending'),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+      });
+      
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const reviews = await MasterPatientIndexService.getReviews(value);
+      
+      res.status(200).json({
+        success: true,
+        data: reviews
+      });
+    } catch (error) {
+      console.error('Error getting MPI reviews:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get MPI reviews'
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/mpi/reviews/:reviewId/resolve
+ * @desc Link the two records of a queued match, or record that they are different people
+ * @access Private (Admin, Hospital Admin)
+ */
+router.post('/reviews/:reviewId/resolve',
+  authenticate,
+  authorize(['admin', 'hospital_admin']),
+  async (req, res) => {
+    try {
+      // Validate request body
+      const schema = Joi.object({
+        decision: Joi.string().valid('link', 'reject').required(),
+        notes: Joi.string()
+      });
+      
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.details[0].message
+        });
+      }
+      
+      const review = await MasterPatientIndexService.resolveReview(
+        req.params.reviewId,
+        value.decision,
+        req.user,
+        value.notes
+      );
+      
+      res.status(200).json({
+        success: true,
+        data: review
+      });
+    } catch (error) {
+      console.error('Error resolving MPI review:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : 'Failed to resolve MPI review'
+      });
+    }
+  }
+);
+
+module.exports = router;
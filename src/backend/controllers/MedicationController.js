@@ -4,6 +4,7 @@ const { body, param, validationResult } = require('express-validator');
 const { authenticateJWT, authorizeRole } = require('../middleware/auth');
 const MedicationService = require('../services/MedicationService');
 const AuditService = require('../services/AuditService');
+const { SENSITIVITY_LABELS } = require('../config/sensitivityLabels');
 
 /**
  * @swagger
@@ -189,6 +190,11 @@ router.get('/:id',
  *               active:
  *                 type: boolean
  *                 default: true
+ *               sensitivityLabels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [substance_use, hiv, mental_health, sexual_health, reproductive_health, genetic, domestic_violence]
  *     responses:
  *       201:
  *         description: Medication created successfully
@@ -214,7 +220,9 @@ router.post('/',
     body('startDate').isISO8601(),
     body('endDate').optional({ nullable: true }).isISO8601(),
     body('prescribedBy').isString().trim().notEmpty(),
-    body('active').optional().isBoolean()
+    body('active').optional().isBoolean(),
+    body('sensitivityLabels').optional().isArray(),
+    body('sensitivityLabels.*').isIn(Object.keys(SENSITIVITY_LABELS))
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -301,6 +309,11 @@ router.post('/',
  *                 type: string
  *               active:
  *                 type: boolean
+ *               sensitivityLabels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [substance_use, hiv, mental_health, sexual_health, reproductive_health, genetic, domestic_violence]
  *     responses:
  *       200:
  *         description: Medication updated successfully
@@ -328,7 +341,9 @@ router.put('/:id',
     body('startDate').optional().isISO8601(),
     body('endDate').optional({ nullable: true }).isISO8601(),
     body('prescribedBy').optional().isString().trim().notEmpty(),
-    body('active').optional().isBoolean()
+    body('active').optional().isBoolean(),
+    body('sensitivityLabels').optional().isArray(),
+    body('sensitivityLabels.*').isIn(Object.keys(SENSITIVITY_LABELS))
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -7,15 +7,52 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
+const fs = require('fs');
 
 // Import services
 const PatientService = require('../services/PatientService');
+const ConsentService = require('../services/ConsentService');
 const AuditService = require('../services/AuditService');
 const CrossHospitalService = require('../services/CrossHospitalService');
+const PatientRelationshipService = require('../services/PatientRelationshipService');
+const MasterPatientIndexService = require('../services/MasterPatientIndexService');
 
 // Import middleware
 const authenticate = require('../middleware/authenticate');
 const authorize = require('../middleware/authorize');
+const { createUploadMiddleware } = require('../middleware/fileUpload');
+
+// Authority documents (birth certificates, court orders, proxy designations) are stored with other documents
+const authorityDocumentUpload = createUploadMiddleware({
+  type: 'document',
+  subdir: 'documents',
+  fieldName: 'document',
+  maxFiles: 1
+});
+
+/**
+ * Register a patient's demographics in the master patient index so other hospitals' records can be linked
+ * A failure is logged rather than failing the request; the hospital can register the patient again later
+ * @param {Object} patient - Patient as stored
+ * @param {Object} user - User who created or updated the patient
+ * @param {Array<Object>} identifiers - Identifiers to match on; omit to keep those already registered
+ */
+async function registerInMasterPatientIndex(patient, user, identifiers) {
+  try {
+    await MasterPatientIndexService.registerRecord({
+      hospitalId: patient.hospital_id || user.hospital_id,
+      sourcePatientId: patient.global_id,
+      firstName: patient.first_name,
+      lastName: patient.last_name,
+      dateOfBirth: patient.date_of_birth,
+      gender: patient.gender,
+      address: patient.address,
+      identifiers
+    }, user);
+  } catch (error) {
+    console.error('Error registering patient in master patient index:', error);
+  }
+}
 
 /**
  * @route GET /api/patients
@@ -50,6 +87,22 @@ router.get('/', authenticate, authorize(['doctor', 'nurse', 'admin']), async (re
   }
 });
 
+/**
+ * @route GET /api/patients/represented
+ * @desc Get the patients the current user may act for as a parent, guardian or proxy
+ * @access Private (Patients)
+ */
+router.get('/represented', authenticate, authorize(['patient']), async (req, res) => {
+  try {
+    const relationships = await PatientRelationshipService.getRepresentedPatients(req.user.id);
+    
+    return res.json(relationships);
+  } catch (error) {
+    console.error('Error fetching represented patients:', error);
+    return res.status(500).json({ error: 'Failed to fetch represented patients' });
+  }
+});
+
 /**
  * @route GET /api/patients/:id
  * @desc Get a patient by ID
@@ -67,6 +120,9 @@ router.get('/:id', authenticate, authorize(['doctor', 'nurse', 'admin']), async
     // Log audit event
     await AuditService.logDataAccess({
       userId: req.user.id,
+      hospitalId: req.user.hospital_id,
+      patientId: id,
+      patientHospitalId: patient.hospital_id,
       action: 'READ',
       resourceType: 'patient',
       resourceId: id,
@@ -121,6 +177,8 @@ router.post('/', authenticate, authorize(['doctor', 'admin']), async (req, res)
     // Log audit event
     await AuditService.logDataAccess({
       userId: req.user.id,
+      hospitalId: req.user.hospital_id,
+      patientId: patient.id,
       action: 'CREATE',
       resourceType: 'patient',
       resourceId: patient.id,
@@ -128,6 +186,8 @@ router.post('/', authenticate, authorize(['doctor', 'admin']), async (req, res)
       metadata: { patientId: patient.id, globalId }
     });
     
+    await registerInMasterPatientIndex(patient, req.user, value.ssn ? [{ system: 'ssn', value: value.ssn }] : []);
+    
     return res.status(201).json(patient);
   } catch (error) {
     console.error('Error creating patient:', error);
@@ -175,6 +235,9 @@ router.put('/:id', authenticate, authorize(['doctor', 'admin']), async (req, res
     // Log audit event
     await AuditService.logDataAccess({
       userId: req.user.id,
+      hospitalId: req.user.hospital_id,
+      patientId: id,
+      patientHospitalId: existingPatient.hospital_id,
       action: 'UPDATE',
       resourceType: 'patient',
       resourceId: id,
@@ -182,6 +245,8 @@ router.put('/:id', authenticate, authorize(['doctor', 'admin']), async (req, res
       metadata: { patientId: id, updatedFields: Object.keys(value) }
     });
     
+    await registerInMasterPatientIndex(updatedPatient, req.user, value.ssn ? [{ system: 'ssn', value: value.ssn }] : undefined);
+    
     return res.json(updatedPatient);
   } catch (error) {
     console.error('Error updating patient:', error);
@@ -210,6 +275,9 @@ router.delete('/:id', authenticate, authorize(['admin']), async (req, res) => {
     // Log audit event
     await AuditService.logDataAccess({
       userId: req.user.id,
+      hospitalId: req.user.hospital_id,
+      patientId: id,
+      patientHospitalId: existingPatient.hospital_id,
       action: 'DELETE',
       resourceType: 'patient',
       resourceId: id,
@@ -253,13 +321,14 @@ router.post('/:id/consent', authenticate, authorize(['patient', 'doctor', 'admin
       return res.status(404).json({ error: 'Patient not found' });
     }
     
-    // If user is a patient, verify they are the same patient
-    if (req.user.role === 'patient' && req.user.patient_id !== id) {
+    // If user is a patient, verify they are the same patient or represent them
+    const actor = await PatientRelationshipService.authorizeActor(req.user, id, 'manage_consent');
+    if (!actor.allowed) {
       return res.status(403).json({ error: 'Unauthorized to create consent for this patient' });
     }
     
-    // Create consent record
-    const consent = await PatientService.createConsent({
+    // Create consent record (logged by the consent service)
+    const consent = await ConsentService.createConsent({
       patient_id: id,
       consenting_hospital_id: req.user.hospital_id,
       target_hospital_id: value.target_hospital_id,
@@ -267,18 +336,8 @@ router.post('/:id/consent', authenticate, authorize(['patient', 'doctor', 'admin
       specific_data_types: value.specific_data_types,
       start_date: value.start_date,
       end_date: value.end_date,
-      granted_by: req.user.id
-    });
-    
-    // Log audit event
-    await AuditService.logPatientConsent({
-      userId: req.user.id,
-      patientId: id,
-      action: 'GRANT',
-      consentType: value.consent_type,
-      targetHospitalId: value.target_hospital_id,
-      description: 'Created patient consent record',
-      metadata: { consentId: consent.id }
+      created_by: req.user.id,
+      acting_relationship: actor.relationship
     });
     
     return res.status(201).json(consent);
@@ -303,22 +362,25 @@ router.get('/:id/consent', authenticate, authorize(['patient', 'doctor', 'admin'
       return res.status(404).json({ error: 'Patient not found' });
     }
     
-    // If user is a patient, verify they are the same patient
-    if (req.user.role === 'patient' && req.user.patient_id !== id) {
+    // If user is a patient, verify they are the same patient or represent them
+    const actor = await PatientRelationshipService.authorizeActor(req.user, id, 'manage_consent');
+    if (!actor.allowed) {
       return res.status(403).json({ error: 'Unauthorized to view consent records for this patient' });
     }
     
     // Get consent records
-    const consents = await PatientService.getPatientConsents(id);
+    const consents = await ConsentService.getActiveConsentsByPatient(id);
     
     // Log audit event
     await AuditService.logDataAccess({
       userId: req.user.id,
+      hospitalId: req.user.hospital_id,
+      patientId: id,
       action: 'LIST',
       resourceType: 'patient_consent',
       resourceId: id,
       description: 'Retrieved patient consent records',
-      metadata: { patientId: id }
+      metadata: { patientId: id, ...ConsentService.representativeDetails(actor.relationship) }
     });
     
     return res.json(consents);
@@ -328,6 +390,63 @@ router.get('/:id/consent', authenticate, authorize(['patient', 'doctor', 'admin'
   }
 });
 
+/**
+ * @route GET /api/patients/:id/disclosures
+ * @desc Get an accounting of disclosures of a patient's data
+ * @access Private (Patients, Privacy Officers, Admins)
+ */
+router.get('/:id/disclosures', authenticate, authorize(['patient', 'privacy_officer', 'admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate query parameters
+    const schema = Joi.object({
+      start_date: Joi.date().iso(),
+      end_date: Joi.date().iso().min(Joi.ref('start_date'))
+    });
+    
+    const { error, value } = schema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    // If user is a patient, verify they are the same patient or represent them
+    const actor = await PatientRelationshipService.authorizeActor(req.user, id, 'view_disclosures');
+    if (!actor.allowed) {
+      return res.status(403).json({ error: 'Unauthorized to view disclosures for this patient' });
+    }
+    
+    // Check if patient exists
+    const existingPatient = await PatientService.getPatientById(id);
+    if (!existingPatient) {
+      return res.status(404).json({ error: 'Patient not found' });
+    }
+    
+    // Build disclosure report
+    const report = await PatientService.getDisclosureReport(id, {
+      startDate: value.start_date,
+      endDate: value.end_date
+    });
+    
+    // Log audit event
+    await AuditService.logDataAccess({
+      userId: req.user.id,
+      hospitalId: req.user.hospital_id,
+      patientId: id,
+      action: 'READ',
+      resourceType: 'disclosure_report',
+      resourceId: id,
+      description: 'Retrieved accounting of disclosures',
+      metadata: { patientId: id, period: report.period, ...ConsentService.representativeDetails(actor.relationship) }
+    });
+    
+    return res.json(report);
+  } catch (error) {
+    console.error('Error fetching disclosure report:', error);
+    return res.status(500).json({ error: 'Failed to fetch disclosure report' });
+  }
+});
+
 /**
  * @route DELETE /api/patients/:patientId/consent/:consentId
  * @desc Revoke a consent record
@@ -343,13 +462,14 @@ router.delete('/:patientId/consent/:consentId', authenticate, authorize(['patien
       return res.status(404).json({ error: 'Patient not found' });
     }
     
-    // If user is a patient, verify they are the same patient
-    if (req.user.role === 'patient' && req.user.patient_id !== patientId) {
+    // If user is a patient, verify they are the same patient or represent them
+    const actor = await PatientRelationshipService.authorizeActor(req.user, patientId, 'manage_consent');
+    if (!actor.allowed) {
       return res.status(403).json({ error: 'Unauthorized to revoke consent for this patient' });
     }
     
     // Check if consent exists
-    const existingConsent = await PatientService.getConsentById(consentId);
+    const existingConsent = await ConsentService.getConsentById(consentId);
     if (!existingConsent) {
       return res.status(404).json({ error: 'Consent record not found' });
     }
@@ -359,21 +479,11 @@ router.delete('/:patientId/consent/:consentId', authenticate, authorize(['patien
       return res.status(400).json({ error: 'Consent record does not belong to this patient' });
     }
     
-    // Revoke consent
-    await PatientService.revokeConsent(consentId);
-    
-    // Revoke any active cross-hospital tokens
-    await CrossHospitalService.revokeTokensByConsent(consentId);
-    
-    // Log audit event
-    await AuditService.logPatientConsent({
-      userId: req.user.id,
-      patientId,
-      action: 'REVOKE',
-      consentType: existingConsent.consent_type,
-      targetHospitalId: existingConsent.target_hospital_id,
-      description: 'Revoked patient consent record',
-      metadata: { consentId }
+    // Revoke consent (logged and propagated by the consent service)
+    await ConsentService.revokeConsent(consentId, {
+      revoked_by: req.user.id,
+      revocation_reason: req.body && req.body.reason,
+      acting_relationship: actor.relationship
     });
     
     return res.json({ message: 'Consent revoked successfully' });
@@ -383,6 +493,186 @@ router.delete('/:patientId/consent/:consentId', authenticate, authorize(['patien
   }
 });
 
+/**
+ * @route GET /api/patients/:id/representatives
+ * @desc Get the parents, guardians and proxies recorded for a patient
+ * @access Private (Patients, Doctors, Privacy Officers, Admins)
+ */
+router.get('/:id/representatives', authenticate, authorize(['patient', 'doctor', 'privacy_officer', 'admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // If user is a patient, verify they are the same patient or represent them
+    const actor = await PatientRelationshipService.authorizeActor(req.user, id, 'manage_consent');
+    if (!actor.allowed) {
+      return res.status(403).json({ error: 'Unauthorized to view representatives for this patient' });
+    }
+    
+    const relationships = await PatientRelationshipService.getRelationshipsByPatient(id);
+    
+    return res.json(relationships);
+  } catch (error) {
+    console.error('Error fetching patient representatives:', error);
+    return res.status(500).json({ error: 'Failed to fetch patient representatives' });
+  }
+});
+
+/**
+ * @route POST /api/patients/:id/representatives
+ * @desc Record a parent, guardian or proxy for a patient, with their authority document
+ * @access Private (Doctors, Privacy Officers, Admins)
+ */
+router.post('/:id/representatives', authenticate, authorize(['doctor', 'privacy_officer', 'admin']), authorityDocumentUpload, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Validate request body
+    const schema = Joi.object({
+      representative_user_id: Joi.string().required(),
+      representative_name: Joi.string().required(),
+      relationship_type: Joi.string().valid('parent', 'legal_guardian', 'healthcare_proxy').required(),
+      permissions: Joi.array().items(Joi.string().valid('manage_consent', 'view_disclosures')).single().min(1),
+      effective_from: Joi.date(),
+      effective_until: Joi.date().greater(Joi.ref('effective_from', { adjust: value => value || new Date() })),
+      ends_at_majority: Joi.boolean()
+    });
+    
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      if (req.file) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    // Record the relationship (logged by the relationship service)
+    const relationship = await PatientRelationshipService.createRelationship({
+      ...value,
+      patient_id: id,
+      document: req.file ? { path: req.file.path, mimeType: req.file.mimetype } : null
+    }, req.user);
+    
+    return res.status(201).json(relationship);
+  } catch (error) {
+    console.error('Error creating patient representative:', error);
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    return res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create patient representative' });
+  }
+});
+
+/**
+ * @route POST /api/patients/:id/representatives/:relationshipId/document
+ * @desc Upload the authority document for a representative awaiting verification
+ * @access Private (Patients, Doctors, Privacy Officers, Admins)
+ */
+router.post('/:id/representatives/:relationshipId/document', authenticate, authorize(['patient', 'doctor', 'privacy_officer', 'admin']), authorityDocumentUpload, async (req, res) => {
+  try {
+    const { id, relationshipId } = req.params;
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'An authority document file is required' });
+    }
+    
+    // Portal users may only upload documents for relationships in which they are the representative
+    const existing = await PatientRelationshipService.getRelationshipById(relationshipId);
+    if (!existing || existing.patient_id !== id) {
+      fs.unlinkSync(req.file.path);
+      return res.status(404).json({ error: 'Representative not found for this patient' });
+    }
+    
+    if (req.user.role === 'patient' && existing.representative_user_id !== req.user.id) {
+      fs.unlinkSync(req.file.path);
+      return res.status(403).json({ error: 'Unauthorized to upload documents for this representative' });
+    }
+    
+    const relationship = await PatientRelationshipService.attachAuthorityDocument(relationshipId, {
+      path: req.file.path,
+      mimeType: req.file.mimetype
+    }, req.user);
+    
+    return res.status(201).json(relationship);
+  } catch (error) {
+    console.error('Error uploading authority document:', error);
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    return res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to upload authority document' });
+  }
+});
+
+/**
+ * @route POST /api/patients/:id/representatives/:relationshipId/verify
+ * @desc Verify or reject a representative's authority document
+ * @access Private (Privacy Officers, Admins)
+ */
+router.post('/:id/representatives/:relationshipId/verify', authenticate, authorize(['privacy_officer', 'admin']), async (req, res) => {
+  try {
+    const { id, relationshipId } = req.params;
+    
+    // Validate request body
+    const schema = Joi.object({
+      decision: Joi.string().valid('verified', 'rejected').required(),
+      notes: Joi.string().when('decision', { is: 'rejected', then: Joi.required() })
+    });
+    
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const existing = await PatientRelationshipService.getRelationshipById(relationshipId);
+    if (!existing || existing.patient_id !== id) {
+      return res.status(404).json({ error: 'Representative not found for this patient' });
+    }
+    
+    // Record the decision (logged by the relationship service)
+    const relationship = await PatientRelationshipService.verifyRelationship(relationshipId, value, req.user);
+    
+    return res.json(relationship);
+  } catch (error) {
+    console.error('Error verifying patient representative:', error);
+    return res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to verify patient representative' });
+  }
+});
+
+/**
+ * @route DELETE /api/patients/:id/representatives/:relationshipId
+ * @desc End a representative's authority to act for a patient
+ * @access Private (Patients, Privacy Officers, Admins)
+ */
+router.delete('/:id/representatives/:relationshipId', authenticate, authorize(['patient', 'privacy_officer', 'admin']), async (req, res) => {
+  try {
+    const { id, relationshipId } = req.params;
+    
+    // A patient may end a representative's authority over them, and a representative may step down
+    const existing = await PatientRelationshipService.getRelationshipById(relationshipId);
+    if (!existing || existing.patient_id !== id) {
+      return res.status(404).json({ error: 'Representative not found for this patient' });
+    }
+    
+    if (req.user.role === 'patient' && req.user.patient_id !== id && existing.representative_user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Unauthorized to remove this representative' });
+    }
+    
+    // End the relationship (logged by the relationship service)
+    const relationship = await PatientRelationshipService.revokeRelationship(
+      relationshipId,
+      (req.body && req.body.reason) || 'Representative removed',
+      req.user
+    );
+    if (!relationship) {
+      return res.status(409).json({ error: `Representative is already ${existing.status}` });
+    }
+    
+    return res.json({ message: 'Representative removed successfully' });
+  } catch (error) {
+    console.error('Error removing patient representative:', error);
+    return res.status(500).json({ error: 'Failed to remove patient representative' });
+  }
+});
+
 /**
  * @route GET /api/patients/global/:globalId
  * @desc Get a patient by global ID (for cross-hospital access)
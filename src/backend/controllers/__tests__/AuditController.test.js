@@ -0,0 +1,159 @@
+/**
+ * Audit Controller tests
+ * Covers who may read the audit log and that every query is itself audited
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../services/AuditService', () => ({
+  logAuthEvent: jest.fn(),
+  logAuditAccess: jest.fn(),
+  logSecurityEvent: jest.fn(),
+  searchLogs: jest.fn(),
+  exportLogs: jest.fn(),
+  getExport: jest.fn(),
+  verifyIntegrity: jest.fn()
+}));
+
+const config = require('../../config/config');
+const AuditService = require('../../services/AuditService');
+const auditController = require('../AuditController');
+
+const app = express();
+app.use(express.json());
+app.use('/api/audit', auditController);
+
+/**
+ * Build an Authorization header for a user
+ * @param {string} role - User role
+ * @returns {string} - Header value
+ */
+function bearer(role) {
+  return `Bearer ${jwt.sign({ id: `${role}-1`, role, hospital_id: 'hospital-1' }, config.jwtSecret)}`;
+}
+
+describe('AuditController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    AuditService.searchLogs.mockResolvedValue({ total: 1, logs: [{ id: 'log-1' }], page: 1, pageSize: 20, totalPages: 1 });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('GET /logs', () => {
+    it('lets compliance staff search with filters and records the search', async () => {
+      const response = await request(app)
+        .get('/api/audit/logs')
+        .query({ actor_id: 'doctor-1', patient_id: 'patient-1', success: 'false', page_size: 5 })
+        .set('Authorization', bearer('compliance'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.total).toBe(1);
+      expect(AuditService.searchLogs).toHaveBeenCalledWith(
+        { actorId: 'doctor-1', patientId: 'patient-1', success: false },
+        { page: 1, pageSize: 5, sortBy: 'timestamp', sortOrder: 'desc' }
+      );
+      expect(AuditService.logAuditAccess).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'audit_search',
+        status: 'success',
+        userId: 'compliance-1',
+        criteria: { actorId: 'doctor-1', patientId: 'patient-1', success: false },
+        details: { page: 1, resultCount: 1, total: 1 }
+      }));
+    });
+
+    it('refuses other roles and unauthenticated requests', async () => {
+      const forbidden = await request(app).get('/api/audit/logs').set('Authorization', bearer('doctor'));
+      const anonymous = await request(app).get('/api/audit/logs');
+
+      expect(forbidden.status).toBe(403);
+      expect(anonymous.status).toBe(401);
+      expect(AuditService.searchLogs).not.toHaveBeenCalled();
+    });
+
+    it('rejects invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/audit/logs')
+        .query({ start_date: '2024-02-01', end_date: '2024-01-01' })
+        .set('Authorization', bearer('admin'));
+
+      expect(response.status).toBe(400);
+      expect(AuditService.searchLogs).not.toHaveBeenCalled();
+    });
+
+    it('records a failed search', async () => {
+      AuditService.searchLogs.mockRejectedValue(new Error('Storage unavailable'));
+
+      const response = await request(app).get('/api/audit/logs').set('Authorization', bearer('admin'));
+
+      expect(response.status).toBe(500);
+      expect(AuditService.logAuditAccess).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'audit_search',
+        status: 'error',
+        details: { error: 'Storage unavailable' }
+      }));
+    });
+  });
+
+  describe('exports', () => {
+    it('creates an export and returns links to it and its manifest', async () => {
+      AuditService.exportLogs.mockResolvedValue({
+        manifest: { exportId: 'export-1', fileName: 'audit-export-1.csv', recordCount: 3 }
+      });
+
+      const response = await request(app)
+        .post('/api/audit/exports')
+        .send({ format: 'csv', type: 'auth' })
+        .set('Authorization', bearer('compliance'));
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        download_url: '/api/audit/exports/audit-export-1.csv',
+        manifest_url: '/api/audit/exports/audit-export-1.csv/manifest'
+      });
+      expect(AuditService.exportLogs).toHaveBeenCalledWith({ type: 'auth' }, 'csv');
+      expect(AuditService.logAuditAccess).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'audit_export',
+        details: { exportId: 'export-1', format: 'csv', recordCount: 3 }
+      }));
+    });
+
+    it('answers 404 for an export that does not exist', async () => {
+      AuditService.getExport.mockResolvedValue(null);
+
+      const response = await request(app)
+        .get('/api/audit/exports/audit-export-9.csv/manifest')
+        .set('Authorization', bearer('admin'));
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /integrity', () => {
+    it('raises a critical security event when verification fails', async () => {
+      AuditService.verifyIntegrity.mockResolvedValue({
+        verified: false,
+        totalLogs: 10,
+        invalidLogs: 1,
+        missingLogs: 0,
+        outOfOrderLogs: 0,
+        invalidCheckpoints: []
+      });
+
+      const response = await request(app).get('/api/audit/integrity').set('Authorization', bearer('admin'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.verified).toBe(false);
+      expect(AuditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'audit_integrity_violation',
+        severity: 'critical',
+        userId: 'admin-1'
+      }));
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * FHIR Controller tests
+ * Covers submitting a FHIR Consent on behalf of the submitter's hospital
+ */
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../services/AuditService', () => ({ logAuthEvent: jest.fn(), logFhirOperation: jest.fn() }));
+jest.mock('../../services/ConsentService', () => ({ createConsent: jest.fn() }));
+
+const config = require('../../config/config');
+const ConsentService = require('../../services/ConsentService');
+const FhirService = require('../../services/FhirService');
+const fhirController = require('../FhirController');
+
+const app = express();
+app.use(express.json());
+app.use('/api/fhir', fhirController);
+
+const FUTURE = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+const CONSENT = {
+  id: 'consent-1',
+  patient_id: 'patient-1',
+  consenting_hospital_id: 'hospital-1',
+  target_hospital_id: 'hospital-2',
+  consent_type: 'full_access',
+  start_date: new Date('2024-01-01T00:00:00.000Z'),
+  end_date: FUTURE,
+  status: 'active'
+};
+
+const AUTHORIZATION = `Bearer ${jwt.sign({ id: 'doctor-1', role: 'doctor', hospital_id: 'hospital-1' }, config.jwtSecret)}`;
+
+describe('FhirController', () => {
+  describe('POST /Consent', () => {
+    beforeEach(() => {
+      ConsentService.createConsent.mockReset().mockImplementation(async data => ({ ...CONSENT, ...data }));
+    });
+
+    it('records the consent for the submitter\'s hospital', async () => {
+      const resource = FhirService.convertToFhirConsent(CONSENT);
+      delete resource.organization;
+
+      const response = await request(app)
+        .post('/api/fhir/Consent')
+        .send(resource)
+        .set('Authorization', AUTHORIZATION);
+
+      expect(response.status).toBe(201);
+      expect(response.headers.location).toBe('/api/fhir/Consent/consent-1');
+      expect(response.body).toMatchObject({ resourceType: 'Consent', organization: [{ reference: 'Organization/hospital-1' }] });
+      expect(ConsentService.createConsent).toHaveBeenCalledWith(expect.objectContaining({
+        patient_id: 'patient-1',
+        consenting_hospital_id: 'hospital-1',
+        target_hospital_id: 'hospital-2',
+        created_by: 'doctor-1'
+      }));
+    });
+
+    it('refuses a consent held by another organization', async () => {
+      const resource = FhirService.convertToFhirConsent({ ...CONSENT, consenting_hospital_id: 'hospital-3' });
+
+      const response = await request(app)
+        .post('/api/fhir/Consent')
+        .send(resource)
+        .set('Authorization', AUTHORIZATION);
+
+      expect(response.status).toBe(403);
+      expect(response.body.issue[0]).toMatchObject({ code: 'forbidden', diagnostics: 'Consent organization must be the submitting hospital' });
+      expect(ConsentService.createConsent).not.toHaveBeenCalled();
+    });
+
+    it('answers an unconvertible resource with an OperationOutcome', async () => {
+      const response = await request(app)
+        .post('/api/fhir/Consent')
+        .send({ ...FhirService.convertToFhirConsent(CONSENT), status: 'draft' })
+        .set('Authorization', AUTHORIZATION);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ resourceType: 'OperationOutcome', issue: [{ severity: 'error', code: 'invalid' }] });
+      expect(ConsentService.createConsent).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Database Connection
+ * Single PostgreSQL connection pool shared by every service
+ */
+
+const { Pool } = require('pg');
+const config = require('../config/config');
+
+const pool = new Pool({
+  host: config.db.host,
+  port: config.db.port,
+  database: config.db.database,
+  user: config.db.user,
+  password: config.db.password,
+  ssl: config.db.ssl,
+  min: config.db.pool.min,
+  max: config.db.pool.max
+});
+
+// An idle client losing its connection must not bring the process down; the pool replaces it
+pool.on('error', (error) => {
+  console.error('Unexpected database pool error:', error);
+});
+
+module.exports = pool;
@@ -25,17 +25,20 @@ const authenticate = (req, res, next) => {
     const token = authHeader.split(' ')[1];
     
     // Verify token
-    const decoded = jwt.verify(token, config.jwt.secret);
+    const decoded = jwt.verify(token, config.jwtSecret);
     
     // Add user info to request
     req.user = decoded;
     
     // Log authentication
     AuditService.logAuthEvent({
-      event_type: 'authentication',
-      user_id: decoded.id,
-      ip_address: req.ip,
-      success: true
+      eventType: 'authentication',
+      status: 'success',
+      userId: decoded.id,
+      role: decoded.role,
+      hospitalId: decoded.hospital_id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
     });
     
     next();
@@ -44,10 +47,11 @@ const authenticate = (req, res, next) => {
     
     // Log failed authentication
     AuditService.logAuthEvent({
-      event_type: 'authentication_failure',
-      error: error.message,
-      ip_address: req.ip,
-      success: false
+      eventType: 'authentication_failure',
+      status: 'failure',
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      details: { error: error.message }
     });
     
     return res.status(401).json({
@@ -80,12 +84,13 @@ const authorize = (roles) => {
       if (requiredRoles.includes(req.user.role)) {
         // Log authorization
         AuditService.logAuthEvent({
-          event_type: 'authorization',
-          user_id: req.user.id,
+          eventType: 'authorization',
+          status: 'success',
+          userId: req.user.id,
           role: req.user.role,
-          required_roles: requiredRoles,
-          ip_address: req.ip,
-          success: true
+          hospitalId: req.user.hospital_id,
+          ipAddress: req.ip,
+          details: { requiredRoles }
         });
         
         return next();
@@ -93,12 +98,13 @@ const authorize = (roles) => {
       
       // Log failed authorization
       AuditService.logAuthEvent({
-        event_type: 'authorization_failure',
-        user_id: req.user.id,
+        eventType: 'authorization_failure',
+        status: 'failure',
+        userId: req.user.id,
         role: req.user.role,
-        required_roles: requiredRoles,
-        ip_address: req.ip,
-        success: false
+        hospitalId: req.user.hospital_id,
+        ipAddress: req.ip,
+        details: { requiredRoles }
       });
       
       return res.status(403).json({
@@ -140,10 +146,10 @@ const authenticateApiKey = async (req, res, next) => {
     if (!isValidApiKey) {
       // Log failed API key authentication
       AuditService.logAuthEvent({
-        event_type: 'api_key_authentication_failure',
-        hospital_id: hospitalId,
-        ip_address: req.ip,
-        success: false
+        eventType: 'api_key_authentication_failure',
+        status: 'failure',
+        hospitalId,
+        ipAddress: req.ip
       });
       
       return res.status(401).json({
@@ -159,10 +165,10 @@ const authenticateApiKey = async (req, res, next) => {
     
     // Log successful API key authentication
     AuditService.logAuthEvent({
-      event_type: 'api_key_authentication',
-      hospital_id: hospitalId,
-      ip_address: req.ip,
-      success: true
+      eventType: 'api_key_authentication',
+      status: 'success',
+      hospitalId,
+      ipAddress: req.ip
     });
     
     next();
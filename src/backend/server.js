@@ -24,6 +24,11 @@ const fhirService = require('./services/FhirService');
 const dicomService = require('./services/DicomService');
 const messageBrokerService = require('./services/MessageBrokerService');
 const auditService = require('./services/AuditService');
+const consentExpiryScheduler = require('./services/ConsentExpiryScheduler');
+const consentRevocationService = require('./services/ConsentRevocationService');
+const accessRequestService = require('./services/AccessRequestService');
+const replayProtectionService = require('./services/ReplayProtectionService');
+const db = require('./database/connection');
 
 // Import controllers
 const hospitalController = require('./controllers/HospitalController');
@@ -32,6 +37,8 @@ const medicationController = require('./controllers/MedicationController');
 const documentController = require('./controllers/DocumentController');
 const authController = require('./controllers/AuthController');
 const crossHospitalController = require('./controllers/CrossHospitalController');
+const masterPatientIndexController = require('./controllers/MasterPatientIndexController');
+const auditController = require('./controllers/AuditController');
 
 // Create Express app
 const app = express();
@@ -121,6 +128,8 @@ apiRouter.use('/patients', patientController);
 apiRouter.use('/medications', medicationController);
 apiRouter.use('/documents', documentController);
 apiRouter.use('/cross-hospital', crossHospitalController);
+apiRouter.use('/mpi', masterPatientIndexController);
+apiRouter.use('/audit', auditController);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -222,6 +231,19 @@ async function initializeServices() {
     await apiGatewayService.initialize(app);
     console.log('API gateway service initialized');
     
+    // Start consent expiry warnings and expiration
+    consentExpiryScheduler.start();
+    
+    // Propagate consent revocations to and from other hospitals
+    await consentRevocationService.start();
+    
+    // Track access requests from other hospitals through review and their SLA
+    await accessRequestService.start();
+    
+    // Forget nonces of signed hospital requests once their timestamps expire
+    replayProtectionService.start();
+    console.log('Replay protection started');
+    
     // Log system startup
     await auditService.logSystemEvent({
       eventType: 'system_startup',
@@ -280,6 +302,18 @@ function setupGracefulShutdown(server) {
         });
         
         // Shut down services in reverse order
+        await replayProtectionService.stop();
+        console.log('Replay protection stopped');
+        
+        await accessRequestService.stop();
+        console.log('Access request service stopped');
+        
+        await consentRevocationService.stop();
+        console.log('Consent revocation service stopped');
+        
+        consentExpiryScheduler.stop();
+        console.log('Consent expiry scheduler stopped');
+        
         await apiGatewayService.shutdown();
         console.log('API gateway service shut down');
         
@@ -296,6 +330,9 @@ function setupGracefulShutdown(server) {
         await auditService.flush();
         console.log('Audit logs flushed');
         
+        await db.end();
+        console.log('Database connections closed');
+        
         console.log('Graceful shutdown completed');
         process.exit(0);
       } catch (error) {
@@ -0,0 +1,376 @@
+/**
+ * Access Anomaly Detector
+ * Flags suspicious user behavior from the audit log stream
+ */
+
+const DEFAULT_THRESHOLDS = {
+  default: {
+    baselineMultiplier: 3, // flag when hourly distinct patients exceed baseline * multiplier
+    minRecordsPerHour: 20, // never flag volumes below this
+    maxRecordsPerHour: 200, // always flag volumes above this, baseline or not
+    allowOtherHospitals: false,
+    offHoursDownloadLimit: 10, // records downloaded per hour outside working hours
+    maxAuthFailures: 5 // authorization failures within the failure window
+  },
+  doctor: {
+    minRecordsPerHour: 30,
+    maxRecordsPerHour: 300
+  },
+  nurse: {
+    minRecordsPerHour: 40,
+    maxRecordsPerHour: 400
+  },
+  admin: {
+    allowOtherHospitals: true,
+    offHoursDownloadLimit: 50
+  }
+};
+
+class AccessAnomalyDetector {
+  /**
+   * @param {Object} options - Detector options
+   * @param {Object} options.thresholds - Per-role threshold overrides, keyed by role
+   * @param {number} options.offHoursStart - Hour working hours end (0-23)
+   * @param {number} options.offHoursEnd - Hour working hours start (0-23)
+   * @param {number} options.baselineHours - Hours of history kept for each user's baseline
+   * @param {number} options.minBaselineHours - Hours of history required before the baseline is used
+   * @param {number} options.failureWindow - Window for counting authorization failures (ms)
+   * @param {number} options.cooldown - Minimum time between repeated alerts of one kind for one user (ms)
+   * @param {number} options.pruneInterval - How often state for inactive users is discarded (ms)
+   */
+  constructor(options = {}) {
+    this.config = {
+      offHoursStart: options.offHoursStart !== undefined ? options.offHoursStart : 20,
+      offHoursEnd: options.offHoursEnd !== undefined ? options.offHoursEnd : 6,
+      baselineHours: options.baselineHours || 168,
+      minBaselineHours: options.minBaselineHours || 24,
+      failureWindow: options.failureWindow || 10 * 60 * 1000,
+      cooldown: options.cooldown || 15 * 60 * 1000,
+      pruneInterval: options.pruneInterval || 60 * 60 * 1000
+    };
+
+    // Merge overrides onto the defaults role by role
+    this.thresholds = {};
+    const overrides = options.thresholds || {};
+    for (const role of new Set([...Object.keys(DEFAULT_THRESHOLDS), ...Object.keys(overrides)])) {
+      this.thresholds[role] = {
+        ...DEFAULT_THRESHOLDS[role],
+        ...overrides[role]
+      };
+    }
+
+    // Per-user state; kept in memory, so baselines are rebuilt after a restart
+    this.users = new Map();
+    this.lastAlerts = new Map();
+    this.lastPrunedAt = null;
+  }
+
+  /**
+   * Get the thresholds that apply to a role
+   * @param {string} role - User role
+   * @returns {Object} - Thresholds
+   */
+  getThresholds(role) {
+    return {
+      ...this.thresholds.default,
+      ...(role ? this.thresholds[role] : {})
+    };
+  }
+
+  /**
+   * Get (or create) the tracking state for a user
+   * @param {string} userId - User ID
+   * @returns {Object} - User state
+   */
+  getUserState(userId) {
+    if (!this.users.has(userId)) {
+      this.users.set(userId, {
+        role: null,
+        currentHour: null,
+        hourPatients: new Set(),
+        history: [],
+        downloadHour: null,
+        downloads: 0,
+        failures: [],
+        lastSeen: null
+      });
+    }
+
+    return this.users.get(userId);
+  }
+
+  /**
+   * Inspect a log entry and return any anomalies it completes
+   * @param {Object} log - Audit log entry (after masking)
+   * @returns {Array<Object>} - Detected anomalies
+   */
+  inspect(log) {
+    const userId = log.userId || (log.ipAddress ? `ip:${log.ipAddress}` : null);
+    if (!userId) {
+      return [];
+    }
+
+    const timestamp = new Date(log.timestamp || Date.now());
+    this.prune(timestamp);
+
+    const state = this.getUserState(userId);
+    state.lastSeen = Math.max(state.lastSeen || 0, timestamp.getTime());
+
+    // Roles are learned from authorization events and carried by some entries directly
+    if (log.role || log.userRole) {
+      state.role = log.role || log.userRole;
+    }
+
+    const anomalies = [];
+
+    if (log.type === 'auth') {
+      anomalies.push(...this.checkAuthFailures(userId, state, log, timestamp));
+    } else if (log.type === 'data_access') {
+      anomalies.push(...this.checkRecordVolume(userId, state, log, timestamp));
+      anomalies.push(...this.checkOtherHospital(userId, state, log));
+      anomalies.push(...this.checkOffHoursDownloads(userId, state, log, timestamp));
+    }
+
+    return anomalies.filter(anomaly => this.shouldAlert(userId, anomaly.pattern, timestamp));
+  }
+
+  /**
+   * Flag users opening far more patient records than their baseline
+   * @param {string} userId - User ID
+   * @param {Object} state - User state
+   * @param {Object} log - Audit log entry
+   * @param {Date} timestamp - Entry time
+   * @returns {Array<Object>} - Anomalies
+   */
+  checkRecordVolume(userId, state, log, timestamp) {
+    const patient = log.patientRef || log.patientId;
+    if (!patient) {
+      return [];
+    }
+
+    const hour = Math.floor(timestamp.getTime() / 3600000);
+    if (state.currentHour !== hour) {
+      if (state.currentHour !== null) {
+        // Hours without any access count towards the baseline as zero
+        const idleHours = Math.min(hour - state.currentHour - 1, this.config.baselineHours);
+        state.history.push(state.hourPatients.size, ...new Array(Math.max(idleHours, 0)).fill(0));
+        state.history = state.history.slice(-this.config.baselineHours);
+      }
+      state.currentHour = hour;
+      state.hourPatients = new Set();
+    }
+
+    const before = state.hourPatients.size;
+    state.hourPatients.add(patient);
+    const count = state.hourPatients.size;
+    if (count === before) {
+      return [];
+    }
+
+    const thresholds = this.getThresholds(state.role);
+    const baseline = state.history.length >= this.config.minBaselineHours
+      ? state.history.reduce((sum, value) => sum + value, 0) / state.history.length
+      : null;
+
+    const overBaseline = baseline !== null &&
+      count >= thresholds.minRecordsPerHour &&
+      count > baseline * thresholds.baselineMultiplier;
+
+    if (!overBaseline && count <= thresholds.maxRecordsPerHour) {
+      return [];
+    }
+
+    return [{
+      pattern: 'excessive_record_access',
+      severity: count > thresholds.maxRecordsPerHour ? 'critical' : 'warning',
+      userId: log.userId,
+      hospitalId: log.hospitalId,
+      details: {
+        role: state.role,
+        patientsThisHour: count,
+        baselinePerHour: baseline !== null ? Math.round(baseline * 100) / 100 : null,
+        baselineMultiplier: thresholds.baselineMultiplier,
+        maxRecordsPerHour: thresholds.maxRecordsPerHour
+      }
+    }];
+  }
+
+  /**
+   * Flag access to patients registered at another hospital outside the cross-hospital workflow
+   * @param {string} userId - User ID
+   * @param {Object} state - User state
+   * @param {Object} log - Audit log entry
+   * @returns {Array<Object>} - Anomalies
+   */
+  checkOtherHospital(userId, state, log) {
+    if (!log.patientHospitalId || !log.hospitalId || log.patientHospitalId === log.hospitalId) {
+      return [];
+    }
+
+    if (this.getThresholds(state.role).allowOtherHospitals) {
+      return [];
+    }
+
+    return [{
+      pattern: 'other_hospital_patient_access',
+      severity: 'warning',
+      userId: log.userId,
+      hospitalId: log.hospitalId,
+      details: {
+        role: state.role,
+        patientId: log.patientId,
+        patientHospitalId: log.patientHospitalId,
+        resourceType: log.resourceType,
+        action: log.action
+      }
+    }];
+  }
+
+  /**
+   * Flag bulk downloads outside working hours
+   * @param {string} userId - User ID
+   * @param {Object} state - User state
+   * @param {Object} log - Audit log entry
+   * @param {Date} timestamp - Entry time
+   * @returns {Array<Object>} - Anomalies
+   */
+  checkOffHoursDownloads(userId, state, log, timestamp) {
+    const action = `${log.action || ''} ${log.eventType || ''}`.toLowerCase();
+    if (!/download|export/.test(action) || !this.isOffHours(timestamp)) {
+      return [];
+    }
+
+    const hour = Math.floor(timestamp.getTime() / 3600000);
+    if (state.downloadHour !== hour) {
+      state.downloadHour = hour;
+      state.downloads = 0;
+    }
+
+    state.downloads += (log.details && Number(log.details.recordCount)) || 1;
+
+    const thresholds = this.getThresholds(state.role);
+    if (state.downloads <= thresholds.offHoursDownloadLimit) {
+      return [];
+    }
+
+    return [{
+      pattern: 'off_hours_bulk_download',
+      severity: 'warning',
+      userId: log.userId,
+      hospitalId: log.hospitalId,
+      details: {
+        role: state.role,
+        recordsDownloaded: state.downloads,
+        offHoursDownloadLimit: thresholds.offHoursDownloadLimit,
+        localHour: timestamp.getHours()
+      }
+    }];
+  }
+
+  /**
+   * Flag repeated authentication or authorization failures
+   * @param {string} userId - User ID (or IP address key for anonymous failures)
+   * @param {Object} state - User state
+   * @param {Object} log - Audit log entry
+   * @param {Date} timestamp - Entry time
+   * @returns {Array<Object>} - Anomalies
+   */
+  checkAuthFailures(userId, state, log, timestamp) {
+    if (!['failure', 'denied', 'error'].includes(log.status)) {
+      return [];
+    }
+
+    const windowStart = timestamp.getTime() - this.config.failureWindow;
+    state.failures = state.failures.filter(time => time > windowStart);
+    state.failures.push(timestamp.getTime());
+
+    const thresholds = this.getThresholds(state.role);
+    if (state.failures.length < thresholds.maxAuthFailures) {
+      return [];
+    }
+
+    return [{
+      pattern: 'repeated_authorization_failures',
+      severity: 'critical',
+      userId: log.userId,
+      hospitalId: log.hospitalId,
+      details: {
+        role: state.role,
+        failures: state.failures.length,
+        windowMinutes: this.config.failureWindow / 60000,
+        ipAddress: log.ipAddress,
+        lastEventType: log.eventType
+      }
+    }];
+  }
+
+  /**
+   * Discard state that can no longer affect detection: users idle for longer than the
+   * baseline window (IP-keyed entries only track failures, so the failure window), and
+   * alerts whose cooldown has passed
+   * @param {Date} timestamp - Current entry time
+   */
+  prune(timestamp) {
+    const now = timestamp.getTime();
+    if (this.lastPrunedAt !== null && now - this.lastPrunedAt < this.config.pruneInterval) {
+      return;
+    }
+    this.lastPrunedAt = now;
+
+    for (const [userId, state] of this.users) {
+      const retention = userId.startsWith('ip:')
+        ? this.config.failureWindow
+        : this.config.baselineHours * 3600000;
+      if (now - state.lastSeen > retention) {
+        this.users.delete(userId);
+      }
+    }
+
+    for (const [key, last] of this.lastAlerts) {
+      if (now - last >= this.config.cooldown) {
+        this.lastAlerts.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check whether a time falls outside working hours
+   * @param {Date} timestamp - Time to check
+   * @returns {boolean} - Whether it's off hours
+   */
+  isOffHours(timestamp) {
+    const hour = timestamp.getHours();
+    const day = timestamp.getDay();
+
+    if (day === 0 || day === 6) {
+      return true;
+    }
+
+    // The off-hours window usually wraps midnight
+    if (this.config.offHoursStart > this.config.offHoursEnd) {
+      return hour >= this.config.offHoursStart || hour < this.config.offHoursEnd;
+    }
+
+    return hour >= this.config.offHoursStart && hour < this.config.offHoursEnd;
+  }
+
+  /**
+   * Suppress repeated alerts of the same kind for a user within the cooldown
+   * @param {string} userId - User ID
+   * @param {string} pattern - Anomaly pattern
+   * @param {Date} timestamp - Entry time
+   * @returns {boolean} - Whether to raise the alert
+   */
+  shouldAlert(userId, pattern, timestamp) {
+    const key = `${userId}:${pattern}`;
+    const last = this.lastAlerts.get(key);
+    if (last !== undefined && timestamp.getTime() - last < this.config.cooldown) {
+      return false;
+    }
+
+    this.lastAlerts.set(key, timestamp.getTime());
+    return true;
+  }
+}
+
+module.exports = AccessAnomalyDetector;
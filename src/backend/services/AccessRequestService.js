@@ -0,0 +1,951 @@
+/**
+ * Access Request Service
+ * Keeps cross-hospital access requests through their lifecycle: pending requests are
+ * approved automatically when consented or reviewed by an administrator before their
+ * SLA runs out, and the requesting hospital is notified of every status change
+ */
+
+const db = require('../database/connection');
+const config = require('../config/config');
+const { normalizePurpose } = require('../config/purposeOfUse');
+const crossHospitalService = require('./CrossHospitalService');
+const consentPolicyEngine = require('./ConsentPolicyEngine');
+const messageBrokerService = require('./MessageBrokerService');
+const auditService = require('./AuditService');
+
+// Status changes a request may make; denied, expired and revoked are final
+const TRANSITIONS = {
+  pending: ['approved', 'denied', 'expired'],
+  approved: ['fulfilled', 'revoked'],
+  fulfilled: ['revoked'],
+  denied: [],
+  expired: [],
+  revoked: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Statuses from which a request can move to the given status in one step
+ * @param {string} status - Target status
+ * @returns {Array<string>} - Source statuses
+ */
+function directPredecessors(status) {
+  return STATUSES.filter(from => TRANSITIONS[from].includes(status));
+}
+
+/**
+ * Statuses from which a request can reach the given status in any number of steps
+ * @param {string} status - Target status
+ * @returns {Array<string>} - Source statuses
+ */
+function allPredecessors(status) {
+  const found = new Set();
+  const queue = [status];
+
+  while (queue.length > 0) {
+    for (const from of directPredecessors(queue.shift())) {
+      if (!found.has(from)) {
+        found.add(from);
+        queue.push(from);
+      }
+    }
+  }
+
+  return [...found];
+}
+
+function accessRequestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class AccessRequestService {
+  constructor() {
+    this.config = {
+      localHospitalId: config.hospitalId,
+      sla: parseInt(process.env.ACCESS_REQUEST_SLA || '86400000', 10), // 24 hours to review
+      slaWarning: parseInt(process.env.ACCESS_REQUEST_SLA_WARNING || '14400000', 10), // warn 4 hours before
+      checkInterval: parseInt(process.env.ACCESS_REQUEST_CHECK_INTERVAL || '300000', 10), // 5 minutes
+      autoApprove: process.env.ACCESS_REQUEST_AUTO_APPROVE !== 'false',
+      // Purposes whose consented requests are approved without review; empty means any purpose
+      autoApprovePurposes: (process.env.ACCESS_REQUEST_AUTO_APPROVE_PURPOSES || '')
+        .split(',')
+        .map(purpose => normalizePurpose(purpose))
+        .filter(Boolean)
+    };
+
+    this.db = db;
+
+    this.slaTimer = null;
+    this.processing = false;
+    this.subscriptionIds = [];
+  }
+
+  /**
+   * Subscribe to status notifications for this hospital's requests and start the SLA timer
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.subscriptionIds.push(
+      await messageBrokerService.subscribe(
+        this.statusTopic(this.config.localHospitalId),
+        message => this.handleStatusNotification(message)
+      )
+    );
+
+    if (this.slaTimer) {
+      clearInterval(this.slaTimer);
+    }
+
+    this.slaTimer = setInterval(
+      () => this.processSla().catch(() => {}),
+      this.config.checkInterval
+    );
+    this.slaTimer.unref();
+
+    console.log(`Access request SLA checks started with ${this.config.checkInterval}ms interval`);
+  }
+
+  /**
+   * Stop the SLA timer and unsubscribe from status notifications
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.slaTimer) {
+      clearInterval(this.slaTimer);
+      this.slaTimer = null;
+    }
+
+    for (const subscriptionId of this.subscriptionIds) {
+      await messageBrokerService.unsubscribe(subscriptionId).catch(console.error);
+    }
+    this.subscriptionIds = [];
+  }
+
+  /**
+   * Topic on which a requesting hospital receives status changes of its requests
+   * @param {string} hospitalId - Requesting hospital ID
+   * @returns {string} - Topic name
+   */
+  statusTopic(hospitalId) {
+    return `cross-hospital.access_request.${hospitalId}`;
+  }
+
+  /**
+   * Whether a consented request may be approved without review
+   * @param {Object} request - Verified request payload
+   * @returns {boolean} - True if it is approved automatically
+   */
+  canAutoApprove(request) {
+    if (!this.config.autoApprove) {
+      return false;
+    }
+
+    return this.config.autoApprovePurposes.length === 0 ||
+      this.config.autoApprovePurposes.includes(normalizePurpose(request.purpose));
+  }
+
+  /**
+   * Record a request received from another hospital, pending until it is decided
+   * @param {Object} request - Verified request payload
+   * @param {Object} patient - Local patient the request is for
+   * @param {string} localHospitalId - This hospital's ID
+   * @returns {Promise<Object|null>} - Request, or null if the request ID was already received
+   */
+  async recordIncoming(request, patient, localHospitalId) {
+    try {
+      // Invalid scopes are refused before anything is stored
+      const scope = crossHospitalService.requestedScope(request);
+
+      const result = await this.db.query(
+        `INSERT INTO access_requests
+           (request_id, direction, patient_id, patient_global_id, requesting_hospital_id, target_hospital_id,
+            requesting_user_id, requesting_user_role, purpose, record_types, emergency, due_at, requested_scope)
+         VALUES ($1, 'incoming', $2, $3, $4, $5, $6, $7, $8, $9, $10,
+                 CURRENT_TIMESTAMP + $11 * INTERVAL '1 millisecond', $12)
+         ON CONFLICT (requesting_hospital_id, request_id, direction) DO NOTHING
+         RETURNING *`,
+        [
+          request.requestId,
+          patient.id,
+          request.patientGlobalId,
+          request.requestingHospitalId,
+          localHospitalId,
+          request.requestingUserId,
+          request.requestingUserRole || null,
+          request.purpose,
+          JSON.stringify(request.recordTypes),
+          Boolean(request.emergency),
+          this.config.sla,
+          JSON.stringify(scope)
+        ]
+      );
+
+      return result.rows.length > 0 ? this.formatRequest(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error recording incoming access request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a request this hospital sent, so its status can follow the holding hospital's decision
+   * @param {Object} request - Request payload as sent
+   * @param {Object} patient - Local patient the request is for
+   * @param {string} targetHospitalId - Hospital holding the records
+   * @returns {Promise<Object>} - Request
+   */
+  async recordOutgoing(request, patient, targetHospitalId) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO access_requests
+           (request_id, direction, patient_id, patient_global_id, requesting_hospital_id, target_hospital_id,
+            requesting_user_id, requesting_user_role, purpose, record_types, emergency, requested_scope)
+         VALUES ($1, 'outgoing', $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING *`,
+        [
+          request.requestId,
+          patient.id,
+          request.patientGlobalId,
+          request.requestingHospitalId,
+          targetHospitalId,
+          request.requestingUserId,
+          request.requestingUserRole || null,
+          request.purpose,
+          JSON.stringify(request.recordTypes),
+          Boolean(request.emergency),
+          request.scope ? JSON.stringify(request.scope) : null
+        ]
+      );
+
+      return this.formatRequest(result.rows[0]);
+    } catch (error) {
+      console.error('Error recording outgoing access request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an incoming request to a new status if its current status allows it
+   * @param {string} requestingHospitalId - Hospital that made the request
+   * @param {string} requestId - Request ID
+   * @param {string} status - New status
+   * @param {Object} changes - Other columns to set with the status
+   * @param {Object} db - Pool or transaction client to run on
+   * @returns {Promise<Object>} - Updated request
+   */
+  async transition(requestingHospitalId, requestId, status, changes = {}, db = this.db) {
+    const columns = Object.keys(changes);
+    const assignments = columns.map((column, index) => `${column} = $${index + 5}`);
+
+    const result = await db.query(
+      `UPDATE access_requests
+       SET status = $4,
+           ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(',\n           ')}
+       WHERE requesting_hospital_id = $1 AND request_id = $2 AND direction = 'incoming' AND status = ANY($3)
+       RETURNING *`,
+      [requestingHospitalId, requestId, directPredecessors(status), status, ...columns.map(column => changes[column])]
+    );
+
+    if (result.rows.length === 0) {
+      const current = await this.getRequestById(requestingHospitalId, requestId);
+      if (!current) {
+        throw accessRequestError(404, 'Access request not found');
+      }
+      throw accessRequestError(409, `Access request is ${current.status} and cannot be ${status}`);
+    }
+
+    return this.formatRequest(result.rows[0]);
+  }
+
+  /**
+   * Record the decision on a request made while it was being received
+   * @param {string} requestingHospitalId - Hospital that made the request
+   * @param {string} requestId - Request ID
+   * @param {string} status - 'approved' or 'denied'
+   * @param {Object} decision - Basis, reason, record types, access expiry and token scope
+   * @returns {Promise<Object>} - Updated request
+   */
+  async recordDecision(requestingHospitalId, requestId, status, { basis, reason = null, recordTypes = null, accessExpiresAt = null, scope = null }) {
+    try {
+      const request = await this.transition(requestingHospitalId, requestId, status, {
+        decision_basis: basis,
+        status_reason: reason,
+        approved_record_types: recordTypes ? JSON.stringify(recordTypes) : null,
+        approved_scope: scope ? JSON.stringify(scope) : null,
+        access_expires_at: accessExpiresAt,
+        decided_at: new Date()
+      });
+
+      await this.logStatusChange(request);
+
+      // The requesting hospital already has the decision in its response; this keeps its record in step
+      await this.notifyRequester(request);
+
+      return request;
+    } catch (error) {
+      console.error('Error recording access request decision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending request after review; the requesting hospital then collects its access token
+   * @param {string} requestingHospitalId - Hospital that made the request
+   * @param {string} requestId - Request ID
+   * @param {string} userId - Administrator approving the request
+   * @param {Object} options - Approval details
+   * @param {string} options.expiresAt - When the granted access ends (ISO date)
+   * @param {Array<string>} options.recordTypes - Record types approved; defaults to those requested
+   * @param {Object} options.scope - Further limits on the token ({ dateFrom, dateTo, documentIds, maxUses });
+   *   the token is never broader than the request asked for
+   * @returns {Promise<Object>} - Approved request
+   */
+  async approveRequest(requestingHospitalId, requestId, userId, { expiresAt = null, recordTypes = null, scope = null } = {}) {
+    const client = await this.db.connect();
+    let request;
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the request so a concurrent decision or expiry cannot race the approval
+      const result = await client.query(
+        `SELECT * FROM access_requests
+         WHERE requesting_hospital_id = $1 AND request_id = $2 AND direction = 'incoming'
+         FOR UPDATE`,
+        [requestingHospitalId, requestId]
+      );
+
+      if (result.rows.length === 0) {
+        throw accessRequestError(404, 'Access request not found');
+      }
+
+      const pending = this.formatRequest(result.rows[0]);
+
+      if (pending.status !== 'pending') {
+        throw accessRequestError(409, `Access request is ${pending.status} and cannot be approved`);
+      }
+
+      const approvedTypes = recordTypes || pending.record_types;
+      const notRequested = approvedTypes.filter(type => !pending.record_types.includes(type));
+      if (notRequested.length > 0) {
+        throw accessRequestError(400, `Record types were not requested: ${notRequested.join(', ')}`);
+      }
+
+      const approvedScope = crossHospitalService.narrowScope(pending.requested_scope, scope);
+
+      let expiresIn;
+      if (expiresAt) {
+        expiresIn = Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000);
+        if (!(expiresIn > 0)) {
+          throw accessRequestError(400, 'Access expiry must be in the future');
+        }
+      }
+
+      // Review decides whether to share, not whether the patient agreed; consent and sharing rules still apply
+      const decision = await consentPolicyEngine.evaluate({
+        patientId: pending.patient_id,
+        requestingHospitalId: pending.requesting_hospital_id,
+        consentingHospitalId: pending.target_hospital_id,
+        dataTypes: approvedTypes,
+        purpose: pending.purpose,
+        role: pending.requesting_user_role
+      });
+
+      if (!decision.permitted) {
+        const error = accessRequestError(409, decision.reasons
+          .filter(reason => reason.effect === 'deny')
+          .map(reason => reason.message)
+          .join('; '));
+        error.reasons = decision.reasons;
+        throw error;
+      }
+
+      // The token is issued when the requesting hospital collects it, so it never travels in a notification
+      request = await this.transition(requestingHospitalId, requestId, 'approved', {
+        decision_basis: 'manual',
+        decided_by: userId,
+        decided_at: new Date(),
+        approved_record_types: JSON.stringify(approvedTypes),
+        approved_scope: JSON.stringify(approvedScope),
+        access_expires_at: expiresAt ? new Date(expiresAt) : null
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error approving access request:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.logStatusChange(request, userId);
+    await this.notifyRequester(request, { grantAvailable: true });
+
+    return request;
+  }
+
+  /**
+   * Issue the access token for a reviewed approval to the hospital that made the request
+   * Called over the authenticated gateway; each approval's token can be collected once
+   * @param {string} requestingHospitalId - Hospital collecting the token, as verified by its request signature
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object>} - Access token, its expiry, and the approved record types and scope
+   */
+  async collectGrant(requestingHospitalId, requestId) {
+    const client = await this.db.connect();
+    let request;
+    let grant;
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the request so two collections cannot both issue a token
+      const result = await client.query(
+        `SELECT * FROM access_requests
+         WHERE requesting_hospital_id = $1 AND request_id = $2 AND direction = 'incoming'
+         FOR UPDATE`,
+        [requestingHospitalId, requestId]
+      );
+
+      if (result.rows.length === 0) {
+        throw accessRequestError(404, 'Access request not found');
+      }
+
+      request = this.formatRequest(result.rows[0]);
+
+      if (request.status !== 'approved' || request.decision_basis !== 'manual') {
+        throw accessRequestError(409, `Access request is ${request.status} and has no grant to collect`);
+      }
+
+      if (request.grant_collected_at) {
+        throw accessRequestError(409, 'Access grant has already been collected');
+      }
+
+      let expiresIn;
+      if (request.access_expires_at) {
+        expiresIn = Math.floor((new Date(request.access_expires_at).getTime() - Date.now()) / 1000);
+        if (!(expiresIn > 0)) {
+          throw accessRequestError(409, 'Access grant has expired');
+        }
+      }
+
+      // Consent can be withdrawn between review and collection
+      const decision = await consentPolicyEngine.evaluate({
+        patientId: request.patient_id,
+        requestingHospitalId: request.requesting_hospital_id,
+        consentingHospitalId: request.target_hospital_id,
+        dataTypes: request.approved_record_types,
+        purpose: request.purpose,
+        role: request.requesting_user_role
+      });
+
+      if (!decision.permitted) {
+        const error = accessRequestError(409, decision.reasons
+          .filter(reason => reason.effect === 'deny')
+          .map(reason => reason.message)
+          .join('; '));
+        error.reasons = decision.reasons;
+        throw error;
+      }
+
+      grant = await crossHospitalService.issueAccessToken({
+        patientId: request.patient_id,
+        patientGlobalId: request.patient_global_id,
+        requestingHospitalId: request.requesting_hospital_id,
+        targetHospitalId: request.target_hospital_id,
+        requestingUserId: request.requesting_user_id,
+        requestingUserRole: request.requesting_user_role,
+        recordTypes: request.approved_record_types,
+        purpose: request.purpose,
+        requestId,
+        scope: request.approved_scope
+      }, decision.consents, expiresIn);
+
+      await client.query(
+        `UPDATE access_requests
+         SET grant_collected_at = CURRENT_TIMESTAMP,
+             access_expires_at = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE requesting_hospital_id = $1 AND request_id = $2 AND direction = 'incoming'`,
+        [requestingHospitalId, requestId, grant.expiresAt]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error collecting access grant:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await auditService.logCrossHospitalAccess({
+      eventType: 'access_grant_collected',
+      status: 'success',
+      sourceHospitalId: request.requesting_hospital_id,
+      targetHospitalId: request.target_hospital_id,
+      patientId: request.patient_id,
+      resourceType: 'access_request',
+      resourceId: request.request_id,
+      action: 'collect_grant',
+      details: { recordTypes: request.approved_record_types, expiresAt: grant.expiresAt }
+    });
+
+    return {
+      requestId,
+      accessToken: grant.accessToken,
+      expiresAt: grant.expiresAt,
+      recordTypes: request.approved_record_types,
+      scope: grant.scope
+    };
+  }
+
+  /**
+   * Deny a pending request after review
+   * @param {string} requestingHospitalId - Hospital that made the request
+   * @param {string} requestId - Request ID
+   * @param {string} userId - Administrator denying the request
+   * @param {string} reason - Reason given to the requesting hospital
+   * @returns {Promise<Object>} - Denied request
+   */
+  async denyRequest(requestingHospitalId, requestId, userId, reason) {
+    try {
+      const request = await this.transition(requestingHospitalId, requestId, 'denied', {
+        decision_basis: 'manual',
+        decided_by: userId,
+        decided_at: new Date(),
+        status_reason: reason
+      });
+
+      await this.logStatusChange(request, userId);
+      await this.notifyRequester(request);
+
+      return request;
+    } catch (error) {
+      console.error('Error denying access request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an approved request fulfilled once its records have been retrieved
+   * @param {string} requestingHospitalId - Hospital that made the request
+   * @param {string} requestId - Request ID
+   * @returns {Promise<Object|null>} - Updated request, or null if it was not awaiting retrieval
+   */
+  async markFulfilled(requestingHospitalId, requestId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE access_requests
+         SET status = 'fulfilled',
+             fulfilled_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE requesting_hospital_id = $1 AND request_id = $2 AND direction = 'incoming' AND status = 'approved'
+         RETURNING *`,
+        [requestingHospitalId, requestId]
+      );
+
+      // Later retrievals with the same token leave the request as it is
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const request = this.formatRequest(result.rows[0]);
+
+      await this.logStatusChange(request);
+      await this.notifyRequester(request);
+
+      return request;
+    } catch (error) {
+      console.error('Error marking access request fulfilled:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark requests revoked after the tokens issued for them were revoked
+   * @param {Array<Object>} requests - Requests as { requestingHospitalId, requestId }
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} - Number of requests revoked
+   */
+  async markRevoked(requests, reason) {
+    const keys = requests.filter(request => request.requestingHospitalId && request.requestId);
+
+    if (keys.length === 0) {
+      return 0;
+    }
+
+    try {
+      const result = await this.db.query(
+        `UPDATE access_requests
+         SET status = 'revoked',
+             status_reason = $4,
+             revoked_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE (requesting_hospital_id, request_id) IN (SELECT * FROM UNNEST($1::text[], $2::text[]))
+           AND direction = 'incoming'
+           AND status = ANY($3)
+         RETURNING *`,
+        [
+          keys.map(request => request.requestingHospitalId),
+          keys.map(request => request.requestId),
+          directPredecessors('revoked'),
+          reason || null
+        ]
+      );
+
+      for (const row of result.rows) {
+        const request = this.formatRequest(row);
+        await this.logStatusChange(request);
+        await this.notifyRequester(request);
+      }
+
+      return result.rows.length;
+    } catch (error) {
+      console.error('Error marking access requests revoked:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Warn about pending requests close to their deadline and expire those past it
+   * @returns {Promise<Object>} - Counts of requests warned about and expired
+   */
+  async processSla() {
+    // Skip if the previous run is still in progress
+    if (this.processing) {
+      return { warned: 0, expired: 0, skipped: true };
+    }
+
+    this.processing = true;
+
+    try {
+      const expired = await this.expireOverdueRequests();
+      const warned = await this.warnDueRequests();
+
+      return { warned, expired };
+    } catch (error) {
+      console.error('Error processing access request SLA:', error);
+      throw error;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Expire pending requests that were not reviewed in time
+   * @returns {Promise<number>} - Number of requests expired
+   */
+  async expireOverdueRequests() {
+    const result = await this.db.query(
+      `UPDATE access_requests
+       SET status = 'expired',
+           status_reason = 'Not reviewed before the response deadline',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE direction = 'incoming' AND status = 'pending' AND due_at <= CURRENT_TIMESTAMP
+       RETURNING *`
+    );
+
+    for (const row of result.rows) {
+      const request = this.formatRequest(row);
+
+      try {
+        await this.logStatusChange(request);
+        await this.notifyRequester(request);
+      } catch (error) {
+        console.error(`Error processing expiry of access request ${request.request_id}:`, error);
+      }
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Alert reviewers once about pending requests whose deadline is near
+   * @returns {Promise<number>} - Number of requests warned about
+   */
+  async warnDueRequests() {
+    const result = await this.db.query(
+      `UPDATE access_requests
+       SET sla_warned_at = CURRENT_TIMESTAMP
+       WHERE direction = 'incoming'
+         AND status = 'pending'
+         AND sla_warned_at IS NULL
+         AND due_at <= CURRENT_TIMESTAMP + $1 * INTERVAL '1 millisecond'
+       RETURNING *`,
+      [this.config.slaWarning]
+    );
+
+    for (const row of result.rows) {
+      try {
+        await messageBrokerService.publish('access_request.due_soon', {
+          requestId: row.request_id,
+          patientId: row.patient_id,
+          requestingHospitalId: row.requesting_hospital_id,
+          purpose: row.purpose,
+          dueAt: new Date(row.due_at).toISOString()
+        });
+      } catch (error) {
+        console.error(`Error publishing SLA warning for access request ${row.request_id}:`, error);
+      }
+    }
+
+    return result.rows.length;
+  }
+
+  /**
+   * Publish a signed status change to the hospital that made the request
+   * @param {Object} request - Incoming request
+   * @param {Object} extra - Additional fields, such as whether a reviewed approval's token is ready to collect
+   * @returns {Promise<void>}
+   */
+  async notifyRequester(request, extra = {}) {
+    try {
+      const notification = await crossHospitalService.signRequest({
+        type: 'access_request_status',
+        requestId: request.request_id,
+        providerHospitalId: request.target_hospital_id,
+        requestingHospitalId: request.requesting_hospital_id,
+        patientGlobalId: request.patient_global_id,
+        status: request.status,
+        reason: request.status_reason,
+        approvedRecordTypes: request.approved_record_types,
+        approvedScope: request.approved_scope,
+        accessExpiresAt: request.access_expires_at ? new Date(request.access_expires_at).toISOString() : null,
+        ...extra,
+        timestamp: new Date().toISOString()
+      });
+
+      await messageBrokerService.publish(this.statusTopic(request.requesting_hospital_id), notification);
+    } catch (error) {
+      // The change stands; the requesting hospital sees the status on its next request or retrieval
+      console.error(`Error notifying requesting hospital of access request ${request.request_id}:`, error);
+    }
+  }
+
+  /**
+   * Handle a status change of one of this hospital's requests
+   * @param {Object} message - Signed notification
+   * @returns {Promise<Object|null>} - Updated request, or null if the notification was rejected or stale
+   */
+  async handleStatusNotification(message) {
+    const notification = await crossHospitalService.verifyRequest(message, 'providerHospitalId');
+
+    if (!notification || notification.type !== 'access_request_status') {
+      await auditService.logSecurityEvent({
+        eventType: 'access_request_status_rejected',
+        status: 'failure',
+        hospitalId: this.config.localHospitalId,
+        details: {
+          reason: 'Invalid signature',
+          requestId: message && message.payload ? message.payload.requestId : undefined
+        }
+      });
+      return null;
+    }
+
+    if (notification.requestingHospitalId !== this.config.localHospitalId) {
+      return null;
+    }
+
+    const request = await this.applyStatus(notification.requestId, notification.providerHospitalId, notification.status, {
+      reason: notification.reason,
+      approvedRecordTypes: notification.approvedRecordTypes,
+      approvedScope: notification.approvedScope,
+      accessExpiresAt: notification.accessExpiresAt
+    });
+
+    if (request && notification.status === 'approved' && notification.grantAvailable) {
+      await this.collectApprovedGrant(notification);
+    }
+
+    return request;
+  }
+
+  /**
+   * Collect the token for a reviewed approval from the hospital holding the records
+   * @param {Object} notification - Verified approval notification
+   * @returns {Promise<string|null>} - Stored grant ID, or null if the token could not be collected
+   */
+  async collectApprovedGrant(notification) {
+    try {
+      const grant = await crossHospitalService.collectAccessGrant(notification.providerHospitalId, notification.requestId);
+
+      return await crossHospitalService.recordReceivedGrant(grant.accessToken, {
+        requestId: notification.requestId,
+        providerHospitalId: notification.providerHospitalId,
+        patientGlobalId: notification.patientGlobalId,
+        recordTypes: grant.recordTypes || notification.approvedRecordTypes
+      });
+    } catch (error) {
+      // The request stays approved and its token stays uncollected at the providing hospital
+      console.error(`Error collecting access grant for request ${notification.requestId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Bring an outgoing request up to the status reported by the hospital holding the records
+   * @param {string} requestId - Request ID
+   * @param {string} providerHospitalId - Hospital the request was sent to
+   * @param {string} status - Reported status
+   * @param {Object} details - Reason, approved record types, token scope and access expiry
+   * @returns {Promise<Object|null>} - Updated request, or null if the status is unknown or stale
+   */
+  async applyStatus(requestId, providerHospitalId, status, { reason = null, approvedRecordTypes = null, approvedScope = null, accessExpiresAt = null } = {}) {
+    if (!STATUSES.includes(status)) {
+      return null;
+    }
+
+    try {
+      // Notifications can arrive out of order or be missed, so move forward past any skipped status
+      const result = await this.db.query(
+        `UPDATE access_requests
+         SET status = $3,
+             status_reason = COALESCE($5, status_reason),
+             approved_record_types = COALESCE($6, approved_record_types),
+             access_expires_at = COALESCE($7, access_expires_at),
+             approved_scope = COALESCE($8, approved_scope),
+             decided_at = CASE WHEN $3 IN ('approved', 'denied') THEN COALESCE(decided_at, CURRENT_TIMESTAMP) ELSE decided_at END,
+             fulfilled_at = CASE WHEN $3 = 'fulfilled' THEN CURRENT_TIMESTAMP ELSE fulfilled_at END,
+             revoked_at = CASE WHEN $3 = 'revoked' THEN CURRENT_TIMESTAMP ELSE revoked_at END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE request_id = $1 AND direction = 'outgoing' AND target_hospital_id = $2 AND status = ANY($4)
+         RETURNING *`,
+        [
+          requestId,
+          providerHospitalId,
+          status,
+          allPredecessors(status),
+          reason,
+          approvedRecordTypes ? JSON.stringify(approvedRecordTypes) : null,
+          accessExpiresAt,
+          approvedScope ? JSON.stringify(approvedScope) : null
+        ]
+      );
+
+      return result.rows.length > 0 ? this.formatRequest(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error applying access request status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a request by ID
+   * @param {string} requestingHospitalId - Hospital that made the request
+   * @param {string} requestId - Request ID
+   * @param {string} direction - 'incoming' or 'outgoing'
+   * @returns {Promise<Object|null>} - Request
+   */
+  async getRequestById(requestingHospitalId, requestId, direction = 'incoming') {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM access_requests WHERE requesting_hospital_id = $1 AND request_id = $2 AND direction = $3',
+        [requestingHospitalId, requestId, direction]
+      );
+
+      return result.rows.length > 0 ? this.formatRequest(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting access request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get requests for review or tracking
+   * @param {Object} filters - Filters and pagination
+   * @returns {Promise<Object>} - Requests and total count
+   */
+  async getRequests({ direction = 'incoming', status, patientId, limit = 10, offset = 0 } = {}) {
+    try {
+      const conditions = ['direction = $1'];
+      const params = [direction];
+
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+
+      if (patientId) {
+        params.push(patientId);
+        conditions.push(`patient_id = $${params.length}`);
+      }
+
+      const where = `WHERE ${conditions.join(' AND ')}`;
+
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) AS total FROM access_requests ${where}`,
+        params
+      );
+
+      // Pending requests closest to their deadline come first
+      const result = await this.db.query(
+        `SELECT * FROM access_requests ${where}
+         ORDER BY (status = 'pending') DESC, due_at ASC NULLS LAST, created_at DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      );
+
+      return {
+        requests: result.rows.map(row => this.formatRequest(row)),
+        total: parseInt(countResult.rows[0].total, 10),
+        limit,
+        offset
+      };
+    } catch (error) {
+      console.error('Error getting access requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Audit a status change
+   * @param {Object} request - Request after the change
+   * @param {string} userId - User who made the change, if any
+   * @returns {Promise<void>}
+   */
+  async logStatusChange(request, userId = null) {
+    await auditService.logCrossHospitalAccess({
+      eventType: `access_request_${request.status}`,
+      status: 'success',
+      sourceHospitalId: request.requesting_hospital_id,
+      targetHospitalId: request.target_hospital_id,
+      userId,
+      patientId: request.patient_id,
+      resourceType: 'access_request',
+      resourceId: request.request_id,
+      action: request.status,
+      details: {
+        decisionBasis: request.decision_basis,
+        reason: request.status_reason,
+        recordTypes: request.record_types,
+        approvedRecordTypes: request.approved_record_types,
+        approvedScope: request.approved_scope
+      }
+    });
+  }
+
+  /**
+   * Format a request row
+   * @param {Object} row - access_requests row
+   * @returns {Object} - Request
+   */
+  formatRequest(row) {
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+    return {
+      ...row,
+      record_types: parse(row.record_types),
+      approved_record_types: parse(row.approved_record_types),
+      requested_scope: parse(row.requested_scope),
+      approved_scope: parse(row.approved_scope)
+    };
+  }
+}
+
+module.exports = new AccessRequestService();
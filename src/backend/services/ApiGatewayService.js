@@ -15,6 +15,10 @@ const { v4: uuidv4 } = require('uuid');
 const authService = require('./AuthService');
 const auditService = require('./AuditService');
 const networkService = require('./NetworkService');
+const hospitalService = require('./HospitalService');
+const crossHospitalService = require('./CrossHospitalService');
+const accessRequestService = require('./AccessRequestService');
+const replayProtectionService = require('./ReplayProtectionService');
 
 class ApiGatewayService {
   constructor() {
@@ -244,9 +248,11 @@ class ApiGatewayService {
         const hospitalId = req.headers['x-hospital-id'];
         const apiKey = req.headers['x-api-key'];
         const signature = req.headers['x-signature'];
+        const keyId = req.headers['x-key-id'];
         const timestamp = req.headers['x-timestamp'];
+        const nonce = req.headers['x-nonce'];
 
-        if (!hospitalId || !apiKey || !signature || !timestamp) {
+        if (!hospitalId || !apiKey || !signature || !keyId || !timestamp || !nonce) {
           return res.status(401).json({
             error: 'Unauthorized',
             message: 'Missing required authentication headers',
@@ -254,18 +260,6 @@ class ApiGatewayService {
           });
         }
 
-        // Check if timestamp is recent (within 5 minutes)
-        const requestTime = new Date(timestamp);
-        const now = new Date();
-        const timeDiff = (now - requestTime) / 1000 / 60; // difference in minutes
-        if (timeDiff > 5) {
-          return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Request has expired',
-            requestId: req.id
-          });
-        }
-
         // Check if hospital is connected to the network
         if (!networkService.isHospitalConnected(hospitalId)) {
           return res.status(403).json({
@@ -279,7 +273,9 @@ class ApiGatewayService {
         const isValid = await this.verifyHospitalRequest(hospitalId, apiKey, signature, {
           method: req.method,
           path: req.path,
-          timestamp
+          keyId,
+          timestamp,
+          nonce
         });
 
         if (!isValid) {
@@ -290,8 +286,24 @@ class ApiGatewayService {
           });
         }
 
-        // Set hospital in request
-        req.hospital = { id: hospitalId };
+        // Reject stale requests and signed requests that have been received before
+        const freshness = await replayProtectionService.checkRequest({
+          hospitalId,
+          nonce,
+          timestamp,
+          path: req.path
+        });
+
+        if (!freshness.accepted) {
+          return res.status(401).json({
+            error: 'Unauthorized',
+            message: freshness.message,
+            requestId: req.id
+          });
+        }
+
+        // Set hospital in request, with the registered key its signature was verified against
+        req.hospital = { id: hospitalId, keyId };
         next();
       } catch (error) {
         console.error('Cross-hospital authentication error:', error);
@@ -303,6 +315,57 @@ class ApiGatewayService {
       }
     };
 
+    // Access token introspection (RFC 7662) for the hospital a token was issued to; callers are
+    // identified by their verified request signature, never by the hospital ID header alone
+    this.app.post('/api/cross-hospital/token/introspect', crossHospitalAuth, async (req, res) => {
+      try {
+        const { token } = req.body || {};
+
+        if (!token || typeof token !== 'string') {
+          return res.status(400).json({
+            error: 'invalid_request',
+            error_description: 'Missing token parameter'
+          });
+        }
+
+        // Responses describe a token's current state and must not be cached
+        res.set('Cache-Control', 'no-store');
+        res.json(await crossHospitalService.introspectAccessToken(token, req.hospital.id, req.hospital.keyId));
+      } catch (error) {
+        console.error('Error introspecting access token:', error);
+        res.status(500).json({
+          error: 'Internal Server Error',
+          message: 'Failed to introspect access token',
+          requestId: req.id
+        });
+      }
+    });
+
+    // Token for a reviewed approval, handed only to the hospital that made the request
+    this.app.post('/api/cross-hospital/access-requests/:requestId/grant', crossHospitalAuth, async (req, res) => {
+      try {
+        const grant = await accessRequestService.collectGrant(req.hospital.id, req.params.requestId);
+
+        res.set('Cache-Control', 'no-store');
+        res.json({ success: true, ...grant });
+      } catch (error) {
+        console.error('Error collecting access grant:', error);
+        if (error.status) {
+          return res.status(error.status).json({
+            error: error.status === 404 ? 'Not Found' : 'Conflict',
+            message: error.message,
+            requestId: req.id
+          });
+        }
+
+        res.status(500).json({
+          error: 'Internal Server Error',
+          message: 'Failed to collect access grant',
+          requestId: req.id
+        });
+      }
+    });
+
     // Cross-hospital patient record access
     this.app.get('/api/cross-hospital/patients/:patientId/records', crossHospitalAuth, async (req, res) => {
       try {
@@ -567,15 +630,31 @@ class ApiGatewayService {
    * @param {string} apiKey - API key
    * @param {string} signature - Request signature
    * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Request path
+   * @param {string} request.keyId - ID of the hospital key the request was signed with
+   * @param {string} request.timestamp - Signed request timestamp
+   * @param {string} request.nonce - Signed request nonce
    * @returns {Promise<boolean>} - Whether request is valid
    */
   async verifyHospitalRequest(hospitalId, apiKey, signature, request) {
     try {
-      // In a real implementation, this would verify the API key against a database
-      // and use the hospital's public key to verify the signature
-      
-      // For this example, we'll simulate a successful verification
-      return true;
+      // The API key must belong to the hospital the request claims to come from
+      const hospital = await hospitalService.getHospitalByApiKey(apiKey);
+      if (!hospital || hospital.id !== hospitalId) {
+        return false;
+      }
+
+      // The signature covers method, path, timestamp and nonce, so none can be altered or reused
+      return await networkService.verifySignedRequest({
+        hospitalId,
+        keyId: request.keyId,
+        signature,
+        timestamp: request.timestamp,
+        nonce: request.nonce,
+        path: request.path,
+        method: request.method
+      });
     } catch (error) {
       console.error('Hospital request verification error:', error);
       return false;
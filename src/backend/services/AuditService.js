@@ -5,8 +5,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { Pool } = require('pg');
+const AccessAnomalyDetector = require('./AccessAnomalyDetector');
+const SyslogForwarder = require('./SyslogForwarder');
 
 class AuditService {
   constructor() {
@@ -16,10 +22,15 @@ class AuditService {
       filePath: process.env.AUDIT_FILE_PATH || path.join(process.cwd(), 'audit_logs'),
       rotationInterval: process.env.AUDIT_ROTATION_INTERVAL || 'daily', // 'hourly', 'daily', 'weekly', 'monthly'
       retentionPeriod: parseInt(process.env.AUDIT_RETENTION_PERIOD || '365', 10), // days
+      retentionPolicies: JSON.parse(process.env.AUDIT_RETENTION_POLICIES || '{}'), // days per category, e.g. {"data_access":2190}
+      archiveAfter: parseInt(process.env.AUDIT_ARCHIVE_AFTER || '30', 10), // days before rotated files are compressed
+      maintenanceInterval: parseInt(process.env.AUDIT_MAINTENANCE_INTERVAL || '3600000', 10), // ms
+      legalHoldPath: process.env.AUDIT_LEGAL_HOLD_PATH,
       
       // Database configuration (if storageType is 'database')
       dbConnection: process.env.AUDIT_DB_CONNECTION,
       dbTable: process.env.AUDIT_DB_TABLE || 'audit_logs',
+      dbCheckpointTable: process.env.AUDIT_DB_CHECKPOINT_TABLE || 'audit_checkpoints',
       
       // S3 configuration (if storageType is 's3')
       s3Bucket: process.env.AUDIT_S3_BUCKET,
@@ -28,14 +39,21 @@ class AuditService {
       
       // Security configuration
       signLogs: process.env.AUDIT_SIGN_LOGS === 'true' || true,
-      signatureKey: process.env.AUDIT_SIGNATURE_KEY || crypto.randomBytes(32).toString('hex'),
+      signatureKey: process.env.AUDIT_SIGNATURE_KEY, // required; keys signatures, the hash chain and patient references
       encryptLogs: process.env.AUDIT_ENCRYPT_LOGS === 'true' || false,
-      encryptionKey: process.env.AUDIT_ENCRYPTION_KEY || crypto.randomBytes(32).toString('hex'),
+      encryptionKey: process.env.AUDIT_ENCRYPTION_KEY, // 32 bytes as hex; required when encryptLogs is set
+      checkpointInterval: parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL || '1000', 10), // entries
+      checkpointMaxAge: parseInt(process.env.AUDIT_CHECKPOINT_MAX_AGE || '3600000', 10), // ms
+      exportSigningKeyPath: process.env.AUDIT_EXPORT_SIGNING_KEY_PATH, // RSA private key; HMAC with signatureKey if unset
+      exportPublicKeyPath: process.env.AUDIT_EXPORT_PUBLIC_KEY_PATH,
       
       // Performance configuration
       batchSize: parseInt(process.env.AUDIT_BATCH_SIZE || '100', 10),
       flushInterval: parseInt(process.env.AUDIT_FLUSH_INTERVAL || '5000', 10), // ms
       
+      // Export configuration
+      exportPath: process.env.AUDIT_EXPORT_PATH || path.join(process.cwd(), 'audit_exports'),
+      
       // Compliance configuration
       includePatientData: process.env.AUDIT_INCLUDE_PATIENT_DATA === 'true' || false,
       maskSensitiveData: process.env.AUDIT_MASK_SENSITIVE_DATA === 'true' || true,
@@ -45,11 +63,40 @@ class AuditService {
       alertOnCritical: process.env.AUDIT_ALERT_ON_CRITICAL === 'true' || true,
       alertEndpoint: process.env.AUDIT_ALERT_ENDPOINT,
       
+      // Forwarding configuration (syslog is enabled when a host is set)
+      forwardTypes: (process.env.AUDIT_FORWARD_TYPES || 'security,auth').split(','),
+      syslogHost: process.env.AUDIT_SYSLOG_HOST,
+      syslogPort: parseInt(process.env.AUDIT_SYSLOG_PORT || '0', 10) || undefined,
+      syslogProtocol: process.env.AUDIT_SYSLOG_PROTOCOL || 'udp', // 'udp', 'tcp', 'tls'
+      syslogFormat: process.env.AUDIT_SYSLOG_FORMAT || 'rfc5424', // 'rfc5424', 'cef'
+      syslogFacility: parseInt(process.env.AUDIT_SYSLOG_FACILITY || '13', 10),
+      syslogAppName: process.env.AUDIT_SYSLOG_APP_NAME || 'hospital-network',
+      syslogCaPath: process.env.AUDIT_SYSLOG_CA_PATH,
+      syslogCertPath: process.env.AUDIT_SYSLOG_CERT_PATH,
+      syslogKeyPath: process.env.AUDIT_SYSLOG_KEY_PATH,
+      syslogRejectUnauthorized: process.env.AUDIT_SYSLOG_REJECT_UNAUTHORIZED !== 'false',
+      syslogBufferSize: parseInt(process.env.AUDIT_SYSLOG_BUFFER_SIZE || '10000', 10), // messages
+      syslogRetryInterval: parseInt(process.env.AUDIT_SYSLOG_RETRY_INTERVAL || '1000', 10), // ms
+      
+      // Anomaly detection configuration
+      anomalyDetection: process.env.AUDIT_ANOMALY_DETECTION !== 'false',
+      anomalyThresholds: JSON.parse(process.env.AUDIT_ANOMALY_THRESHOLDS || '{}'), // per role, e.g. {"nurse":{"maxRecordsPerHour":100}}
+      offHoursStart: parseInt(process.env.AUDIT_OFF_HOURS_START || '20', 10),
+      offHoursEnd: parseInt(process.env.AUDIT_OFF_HOURS_END || '6', 10),
+      
       // Monitoring configuration
       enableMetrics: process.env.AUDIT_ENABLE_METRICS === 'true' || true,
       metricsPrefix: process.env.AUDIT_METRICS_PREFIX || 'hospital_network.audit'
     };
 
+    this.validateKeys();
+    
+    // Read once at startup so a missing key fails here rather than after an export is written
+    this.exportSigningKey = this.loadExportSigningKey();
+    
+    // Legal holds live next to the logs they protect unless configured otherwise
+    this.config.legalHoldPath = this.config.legalHoldPath || path.join(this.config.filePath, 'legal-holds.json');
+    
     // Initialize storage
     this.initializeStorage();
     
@@ -58,6 +105,43 @@ class AuditService {
     this.lastFlushTime = Date.now();
     this.flushTimer = null;
     
+    // Hash chain state per rotation file / database partition
+    this.chainState = new Map();
+    this.writeQueue = Promise.resolve();
+    
+    // Archival and retention
+    this.lastMaintenance = 0;
+    this.maintenanceRunning = false;
+    this.reportedBlockedDeletions = new Set();
+    
+    // Behavioral anomaly detection over auth and data access events
+    this.anomalyDetector = this.config.anomalyDetection
+      ? new AccessAnomalyDetector({
+        thresholds: this.config.anomalyThresholds,
+        offHoursStart: this.config.offHoursStart,
+        offHoursEnd: this.config.offHoursEnd
+      })
+      : null;
+    
+    // Forwarders receive entries of the forwarded types as they're logged
+    this.forwarders = [];
+    if (this.config.syslogHost) {
+      this.addForwarder(new SyslogForwarder({
+        host: this.config.syslogHost,
+        port: this.config.syslogPort,
+        protocol: this.config.syslogProtocol,
+        format: this.config.syslogFormat,
+        facility: this.config.syslogFacility,
+        appName: this.config.syslogAppName,
+        caPath: this.config.syslogCaPath,
+        certPath: this.config.syslogCertPath,
+        keyPath: this.config.syslogKeyPath,
+        rejectUnauthorized: this.config.syslogRejectUnauthorized,
+        bufferSize: this.config.syslogBufferSize,
+        retryInterval: this.config.syslogRetryInterval
+      }));
+    }
+    
     // Start flush timer
     this.startFlushTimer();
     
@@ -67,6 +151,47 @@ class AuditService {
     });
   }
 
+  /**
+   * Refuse to start without the keys audit entries depend on. A key generated at startup
+   * would change on every restart, leaving earlier signatures, hash chains and patient
+   * references unverifiable and unsearchable.
+   * @throws {Error} If a required key is missing or malformed
+   */
+  validateKeys() {
+    // Every entry is hash chained from a keyed genesis hash, so the key is needed even unsigned
+    if (!this.config.signatureKey) {
+      throw new Error('AUDIT_SIGNATURE_KEY must be set to sign and chain audit logs');
+    }
+    
+    if (this.config.encryptLogs && !/^[0-9a-f]{64}$/i.test(this.config.encryptionKey || '')) {
+      throw new Error('AUDIT_ENCRYPTION_KEY must be set to 32 bytes of hex when AUDIT_ENCRYPT_LOGS is enabled');
+    }
+  }
+
+  /**
+   * Load the RSA private key export and archive manifests are signed with
+   * @returns {crypto.KeyObject|null} - Private key, or null to sign with HMAC
+   * @throws {Error} If a key path is configured but the key can't be read or isn't RSA
+   */
+  loadExportSigningKey() {
+    if (!this.config.exportSigningKeyPath) {
+      return null;
+    }
+    
+    let key;
+    try {
+      key = crypto.createPrivateKey(fs.readFileSync(this.config.exportSigningKeyPath));
+    } catch (error) {
+      throw new Error(`Cannot load audit export signing key from AUDIT_EXPORT_SIGNING_KEY_PATH (${this.config.exportSigningKeyPath}): ${error.message}`);
+    }
+    
+    if (key.asymmetricKeyType !== 'rsa') {
+      throw new Error(`Audit export signing key must be an RSA private key, not ${key.asymmetricKeyType}`);
+    }
+    
+    return key;
+  }
+
   /**
    * Initialize the audit log storage
    */
@@ -77,7 +202,8 @@ class AuditService {
         fs.mkdirSync(this.config.filePath, { recursive: true });
       }
     } else if (this.config.storageType === 'database') {
-      // Database initialization would happen here
+      // Connections are opened lazily by the pool on first query
+      this.db = new Pool({ connectionString: this.config.dbConnection });
       console.log('Database audit storage initialized');
     } else if (this.config.storageType === 's3') {
       // S3 initialization would happen here
@@ -116,14 +242,12 @@ class AuditService {
     this.logBatch = [];
     this.lastFlushTime = Date.now();
     
+    // Writes are serialized so chain sequences follow storage order
+    const write = this.writeQueue.then(() => this.writeBatch(batchToFlush));
+    this.writeQueue = write.catch(() => {});
+    
     try {
-      if (this.config.storageType === 'file') {
-        await this.flushToFile(batchToFlush);
-      } else if (this.config.storageType === 'database') {
-        await this.flushToDatabase(batchToFlush);
-      } else if (this.config.storageType === 's3') {
-        await this.flushToS3(batchToFlush);
-      }
+      await write;
     } catch (error) {
       console.error('Failed to flush audit logs:', error);
       
@@ -138,6 +262,20 @@ class AuditService {
     }
   }
 
+  /**
+   * Write a batch of logs to the configured storage
+   * @param {Array} logs - Logs to write
+   */
+  async writeBatch(logs) {
+    if (this.config.storageType === 'file') {
+      await this.flushToFile(logs);
+    } else if (this.config.storageType === 'database') {
+      await this.flushToDatabase(logs);
+    } else if (this.config.storageType === 's3') {
+      await this.flushToS3(logs);
+    }
+  }
+
   /**
    * Flush logs to file
    * @param {Array} logs - Logs to flush
@@ -146,24 +284,26 @@ class AuditService {
     const now = new Date();
     const fileName = this.getLogFileName(now);
     const filePath = path.join(this.config.filePath, fileName);
+    const chainId = this.getChainId(now);
+    
+    // Link each entry to its predecessor in this file
+    const { entries, state } = await this.chainLogs(logs, chainId);
     
     // Process logs
-    const processedLogs = logs.map(log => {
-      // Add signature if configured
-      if (this.config.signLogs) {
-        log.signature = this.signLog(log);
-      }
-      
+    const processedLogs = entries.map(entry => {
       // Encrypt if configured
       if (this.config.encryptLogs) {
-        return this.encryptLog(log);
+        return this.encryptLog(entry);
       }
       
-      return JSON.stringify(log);
+      return JSON.stringify(entry);
     });
     
     // Write to file
     await fs.promises.appendFile(filePath, processedLogs.join('\n') + '\n');
+    this.chainState.set(chainId, state);
+    
+    await this.checkpointChains(chainId);
     
     // Clean up old logs
     this.cleanupOldLogs();
@@ -174,9 +314,80 @@ class AuditService {
    * @param {Array} logs - Logs to flush
    */
   async flushToDatabase(logs) {
-    // In a real implementation, this would use a database connection
-    // to insert the logs into a database table
-    console.log(`Would insert ${logs.length} logs into database`);
+    const chainId = this.getChainId(new Date());
+    const client = await this.db.connect();
+    let state;
+    
+    try {
+      await client.query('BEGIN');
+      
+      // Other processes may append to the same chain, so its head is read under a lock held until commit
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`audit_chain:${chainId}`]);
+      const chained = await this.chainLogs(logs, chainId, client);
+      state = chained.state;
+      
+      await this.insertChainedLogs(chained.entries, client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    this.chainState.set(chainId, state);
+    
+    await this.checkpointChains(chainId);
+  }
+
+  /**
+   * Insert chained log entries into the audit table
+   * @param {Array} entries - Chained entries
+   * @param {Object} client - Transaction client
+   */
+  async insertChainedLogs(entries, client) {
+    const columns = [
+      'log_id', 'timestamp', 'log_type', 'event_type', 'level', 'status',
+      'actor_id', 'actor_hospital_id', 'action_type', 'resource_type',
+      'resource_id', 'patient_id', 'details', 'ip_address', 'user_agent', 'success',
+      'chain_id', 'sequence', 'previous_hash', 'entry_hash', 'signature'
+    ];
+    const values = [];
+    const rows = entries.map(log => {
+      const row = [
+        log.id,
+        log.timestamp,
+        log.type,
+        log.eventType || null,
+        log.level || null,
+        log.status || null,
+        log.userId || null,
+        log.hospitalId || log.sourceHospitalId || null,
+        log.action || log.eventType || null,
+        log.resourceType || log.type,
+        log.resourceId || null,
+        log.patientId || null,
+        JSON.stringify(log),
+        log.ipAddress || null,
+        log.userAgent || null,
+        this.isSuccessfulLog(log),
+        log.chainId,
+        log.sequence,
+        log.previousHash,
+        log.hash,
+        log.signature || null
+      ];
+      const placeholders = row.map(value => {
+        values.push(value);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+    
+    await client.query(
+      `INSERT INTO ${this.config.dbTable} (${columns.join(', ')}) VALUES ${rows.join(', ')}`,
+      values
+    );
   }
 
   /**
@@ -226,473 +437,2451 @@ class AuditService {
   }
 
   /**
-   * Clean up old log files
+   * Get the hash chain identifier for a date
+   * Chains follow the file rotation interval, so each rotation file
+   * (or database partition) holds exactly one chain
+   * @param {Date} date - Date to get the chain for
+   * @returns {string} - Chain identifier
    */
-  async cleanupOldLogs() {
-    if (this.config.storageType !== 'file') {
-      return;
-    }
-    
-    try {
-      const files = await fs.promises.readdir(this.config.filePath);
-      const now = new Date();
-      const cutoffDate = new Date(now.getTime() - this.config.retentionPeriod * 24 * 60 * 60 * 1000);
-      
-      for (const file of files) {
-        if (!file.startsWith('audit-')) {
-          continue;
-        }
-        
-        const filePath = path.join(this.config.filePath, file);
-        const stats = await fs.promises.stat(filePath);
-        
-        if (stats.mtime < cutoffDate) {
-          await fs.promises.unlink(filePath);
-          console.log(`Deleted old audit log: ${file}`);
-        }
-      }
-    } catch (error) {
-      console.error('Failed to clean up old audit logs:', error);
-    }
+  getChainId(date) {
+    return path.basename(this.getLogFileName(date), '.log');
   }
 
   /**
-   * Sign a log entry
-   * @param {Object} log - Log entry to sign
-   * @returns {string} - Signature
+   * Get the hash the first entry of a chain links to
+   * Keyed on the chain ID so a chain cannot be moved to another file or partition
+   * @param {string} chainId - Chain identifier
+   * @returns {string} - Genesis hash
    */
-  signLog(log) {
-    const logString = JSON.stringify(log);
+  getGenesisHash(chainId) {
     return crypto
       .createHmac('sha256', this.config.signatureKey)
-      .update(logString)
+      .update(`genesis:${chainId}`)
       .digest('hex');
   }
 
   /**
-   * Encrypt a log entry
-   * @param {Object} log - Log entry to encrypt
-   * @returns {string} - Encrypted log
+   * Load the current head of a hash chain, recovering it from storage after a restart
+   * A database chain can be extended by other processes, so its head is always read
+   * from the table; only checkpoint bookkeeping is kept between writes
+   * @param {string} chainId - Chain identifier
+   * @param {Object} client - Transaction client holding the chain's lock, for database storage
+   * @returns {Promise<Object>} - Chain state
    */
-  encryptLog(log) {
-    const logString = JSON.stringify(log);
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(
-      'aes-256-cbc',
-      Buffer.from(this.config.encryptionKey, 'hex'),
-      iv
-    );
+  async loadChainState(chainId, client = this.db) {
+    const cached = this.chainState.get(chainId);
+    if (cached && this.config.storageType !== 'database') {
+      return cached;
+    }
     
-    let encrypted = cipher.update(logString, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
+    let sequence = 0;
+    let lastHash = this.getGenesisHash(chainId);
     
-    return JSON.stringify({
-      iv: iv.toString('hex'),
-      encrypted
-    });
+    if (this.config.storageType === 'file') {
+      const filePath = path.join(this.config.filePath, `${chainId}.log`);
+      if (fs.existsSync(filePath)) {
+        await this.readLogFile(filePath, log => {
+          if (typeof log.sequence === 'number' && log.sequence > sequence) {
+            sequence = log.sequence;
+            lastHash = log.hash;
+          }
+        });
+      }
+    } else if (this.config.storageType === 'database') {
+      const result = await client.query(
+        `SELECT sequence, entry_hash FROM ${this.config.dbTable}
+         WHERE chain_id = $1 ORDER BY sequence DESC LIMIT 1`,
+        [chainId]
+      );
+      if (result.rows.length > 0) {
+        sequence = parseInt(result.rows[0].sequence, 10);
+        lastHash = result.rows[0].entry_hash;
+      }
+    }
+    
+    const state = {
+      sequence,
+      lastHash,
+      entriesSinceCheckpoint: cached ? cached.entriesSinceCheckpoint : 0,
+      lastCheckpointAt: cached ? cached.lastCheckpointAt : Date.now()
+    };
+    this.chainState.set(chainId, state);
+    
+    return state;
   }
 
   /**
-   * Decrypt a log entry
-   * @param {string} encryptedLog - Encrypted log entry
-   * @returns {Object} - Decrypted log
+   * Append logs to a hash chain
+   * The chain state is returned rather than stored so that a failed write
+   * doesn't advance the chain
+   * @param {Array} logs - Logs to chain
+   * @param {string} chainId - Chain identifier
+   * @param {Object} client - Transaction client holding the chain's lock, for database storage
+   * @returns {Promise<Object>} - Chained entries and the new chain state
    */
-  decryptLog(encryptedLog) {
-    const { iv, encrypted } = JSON.parse(encryptedLog);
-    const decipher = crypto.createDecipheriv(
-      'aes-256-cbc',
-      Buffer.from(this.config.encryptionKey, 'hex'),
-      Buffer.from(iv, 'hex')
-    );
+  async chainLogs(logs, chainId, client) {
+    const current = await this.loadChainState(chainId, client);
+    let sequence = current.sequence;
+    let lastHash = current.lastHash;
     
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
+    const entries = logs.map(log => {
+      const entry = {
+        ...log,
+        chainId,
+        sequence: ++sequence,
+        previousHash: lastHash
+      };
+      entry.hash = this.hashLog(entry);
+      
+      // Add signature if configured
+      if (this.config.signLogs) {
+        entry.signature = this.signLog(entry);
+      }
+      
+      lastHash = entry.hash;
+      return entry;
+    });
     
-    return JSON.parse(decrypted);
+    return {
+      entries,
+      state: {
+        ...current,
+        sequence,
+        lastHash,
+        entriesSinceCheckpoint: current.entriesSinceCheckpoint + logs.length
+      }
+    };
   }
 
   /**
-   * Mask sensitive data in a log entry
-   * @param {Object} log - Log entry to mask
-   * @returns {Object} - Masked log entry
+   * Write checkpoints that are due
+   * The active chain is checkpointed every checkpointInterval entries or
+   * checkpointMaxAge ms; chains left behind by rotation get a final checkpoint
+   * @param {string} activeChainId - Chain currently being written
    */
-  maskSensitiveData(log) {
-    if (!this.config.maskSensitiveData) {
-      return log;
-    }
-    
-    const maskedLog = { ...log };
-    
-    // Mask sensitive fields in details
-    if (maskedLog.details) {
-      for (const field of this.config.sensitiveFields) {
-        if (maskedLog.details[field]) {
-          maskedLog.details[field] = this.maskValue(maskedLog.details[field]);
+  async checkpointChains(activeChainId) {
+    for (const [chainId, state] of this.chainState) {
+      if (chainId === activeChainId) {
+        if (state.entriesSinceCheckpoint >= this.config.checkpointInterval ||
+            (state.entriesSinceCheckpoint > 0 &&
+             Date.now() - state.lastCheckpointAt >= this.config.checkpointMaxAge)) {
+          await this.writeCheckpoint(chainId, state);
         }
+        continue;
       }
+      
+      if (state.entriesSinceCheckpoint > 0) {
+        await this.writeCheckpoint(chainId, state);
+      }
+      this.chainState.delete(chainId);
     }
-    
-    // Mask patient data if configured
-    if (!this.config.includePatientData && maskedLog.patientId) {
-      maskedLog.patientId = this.maskValue(maskedLog.patientId);
-    }
-    
-    return maskedLog;
   }
 
   /**
-   * Mask a value
-   * @param {string} value - Value to mask
-   * @returns {string} - Masked value
+   * Write a signed checkpoint recording the head of a chain
+   * Checkpoints are stored apart from the chain so truncation of the
+   * chain's tail (or removal of a whole file) can be detected
+   * @param {string} chainId - Chain identifier
+   * @param {Object} state - Chain state
+   * @returns {Promise<Object>} - Checkpoint
    */
-  maskValue(value) {
-    if (typeof value !== 'string') {
-      return value;
-    }
+  async writeCheckpoint(chainId, state) {
+    const checkpoint = {
+      id: uuidv4(),
+      chainId,
+      sequence: state.sequence,
+      hash: state.lastHash,
+      timestamp: new Date().toISOString()
+    };
+    checkpoint.signature = this.signLog(checkpoint);
     
-    if (value.length <= 4) {
-      return '*'.repeat(value.length);
+    if (this.config.storageType === 'file') {
+      const checkpointDir = this.getCheckpointDirectory();
+      if (!fs.existsSync(checkpointDir)) {
+        await fs.promises.mkdir(checkpointDir, { recursive: true });
+      }
+      await fs.promises.appendFile(
+        path.join(checkpointDir, `${chainId}.log`),
+        JSON.stringify(checkpoint) + '\n'
+      );
+    } else if (this.config.storageType === 'database') {
+      await this.db.query(
+        `INSERT INTO ${this.config.dbCheckpointTable}
+         (checkpoint_id, chain_id, sequence, entry_hash, created_at, signature)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [checkpoint.id, chainId, checkpoint.sequence, checkpoint.hash, checkpoint.timestamp, checkpoint.signature]
+      );
     }
     
-    return value.substring(0, 2) + '*'.repeat(value.length - 4) + value.substring(value.length - 2);
+    state.entriesSinceCheckpoint = 0;
+    state.lastCheckpointAt = Date.now();
+    
+    return checkpoint;
   }
 
   /**
-   * Add a log entry to the batch
-   * @param {Object} log - Log entry
+   * Get the directory holding chain checkpoints
+   * @returns {string} - Directory path
    */
-  async addLog(log) {
-    // Add common fields
-    const enrichedLog = {
-      ...log,
-      id: uuidv4(),
-      timestamp: log.timestamp || new Date().toISOString(),
-      hostname: require('os').hostname(),
-      processId: process.pid
-    };
-    
-    // Mask sensitive data
-    const maskedLog = this.maskSensitiveData(enrichedLog);
-    
-    // Add to batch
-    this.logBatch.push(maskedLog);
-    
-    // Flush if batch is full
-    if (this.logBatch.length >= this.config.batchSize) {
-      await this.flush();
+  getCheckpointDirectory() {
+    return path.join(this.config.filePath, 'checkpoints');
+  }
+
+  /**
+   * Clean up old log files
+   * Rotated files are compressed into signed archives after archiveAfter days
+   * and archives are deleted once every category they hold is past retention,
+   * unless a legal hold covers them
+   */
+  async cleanupOldLogs() {
+    if (this.config.storageType !== 'file') {
+      return;
     }
     
-    // Send alert if critical and configured
-    if (this.config.alertOnCritical && log.level === 'critical' && this.config.alertEndpoint) {
-      this.sendAlert(maskedLog);
+    // Runs from every flush, so only do the work periodically
+    if (this.maintenanceRunning || Date.now() - this.lastMaintenance < this.config.maintenanceInterval) {
+      return;
     }
     
-    // Update metrics if configured
-    if (this.config.enableMetrics) {
-      this.updateMetrics(maskedLog);
-    }
+    this.maintenanceRunning = true;
+    this.lastMaintenance = Date.now();
     
-    return maskedLog.id;
+    try {
+      await this.archiveRotatedLogs();
+      await this.applyRetention();
+    } catch (error) {
+      console.error('Failed to clean up old audit logs:', error);
+    } finally {
+      this.maintenanceRunning = false;
+    }
   }
 
   /**
-   * Send an alert for a critical log
-   * @param {Object} log - Log entry
+   * Archive rotated log files older than archiveAfter days
+   * @returns {Promise<Array<Object>>} - Manifests of the archives created
    */
-  async sendAlert(log) {
-    try {
-      // In a real implementation, this would send an alert to a monitoring system
-      console.log(`Would send alert for critical log: ${log.id}`);
-    } catch (error) {
-      console.error('Failed to send alert:', error);
+  async archiveRotatedLogs() {
+    const currentFile = this.getLogFileName(new Date());
+    const cutoff = Date.now() - this.config.archiveAfter * 24 * 60 * 60 * 1000;
+    const manifests = [];
+    
+    for (const file of await this.listLogFiles()) {
+      if (file === currentFile) {
+        continue;
+      }
+      
+      const range = this.getLogFileDateRange(file);
+      const lastWrite = range
+        ? range.end
+        : (await fs.promises.stat(path.join(this.config.filePath, file))).mtime;
+      
+      if (lastWrite.getTime() <= cutoff) {
+        manifests.push(await this.archiveLogFile(file));
+      }
     }
+    
+    return manifests;
   }
 
   /**
-   * Update metrics for a log
-   * @param {Object} log - Log entry
+   * Compress a rotated log file into a signed archive
+   * @param {string} file - Log file name
+   * @returns {Promise<Object>} - Archive manifest
    */
-  updateMetrics(log) {
-    // In a real implementation, this would update metrics in a monitoring system
-    console.log(`Would update metrics for log: ${log.id}`);
+  async archiveLogFile(file) {
+    const sourcePath = path.join(this.config.filePath, file);
+    const archiveDir = this.getArchiveDirectory();
+    const archiveName = `${file}.gz`;
+    const archivePath = path.join(archiveDir, archiveName);
+    
+    if (!fs.existsSync(archiveDir)) {
+      await fs.promises.mkdir(archiveDir, { recursive: true });
+    }
+    
+    // Summarize the contents so retention can be decided without decompressing
+    const categories = {};
+    let entryCount = 0;
+    let firstTimestamp = null;
+    let lastTimestamp = null;
+    let chainHead = null;
+    
+    await this.readLogFile(sourcePath, log => {
+      entryCount++;
+      categories[log.type || 'unknown'] = (categories[log.type || 'unknown'] || 0) + 1;
+      if (!firstTimestamp || log.timestamp < firstTimestamp) {
+        firstTimestamp = log.timestamp;
+      }
+      if (!lastTimestamp || log.timestamp > lastTimestamp) {
+        lastTimestamp = log.timestamp;
+      }
+      if (typeof log.sequence === 'number' && (!chainHead || log.sequence > chainHead.sequence)) {
+        chainHead = { sequence: log.sequence, hash: log.hash };
+      }
+    });
+    
+    await pipeline(
+      fs.createReadStream(sourcePath),
+      zlib.createGzip(),
+      fs.createWriteStream(archivePath)
+    );
+    
+    const { size } = await fs.promises.stat(archivePath);
+    const manifest = this.signManifest({
+      archiveId: uuidv4(),
+      fileName: archiveName,
+      sourceFile: file,
+      createdAt: new Date().toISOString(),
+      entryCount,
+      categories,
+      firstTimestamp,
+      lastTimestamp,
+      chainHead,
+      sourceSha256: await this.hashFile(sourcePath),
+      size,
+      sha256: await this.hashFile(archivePath)
+    });
+    
+    await fs.promises.writeFile(`${archivePath}.manifest.json`, JSON.stringify(manifest, null, 2));
+    await fs.promises.unlink(sourcePath);
+    
+    await this.logSystemEvent({
+      eventType: 'audit_log_archived',
+      status: 'success',
+      component: 'audit',
+      details: {
+        archiveId: manifest.archiveId,
+        sourceFile: file,
+        fileName: archiveName,
+        entryCount
+      }
+    });
+    
+    return manifest;
   }
 
   /**
-   * Log a user authentication event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Delete archives whose retention has passed and that no legal hold covers
+   * @returns {Promise<Array<string>>} - Deleted archive file names
    */
-  async logAuthEvent(params) {
-    return this.addLog({
-      type: 'auth',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.eventType,
-      status: params.status,
-      userId: params.userId,
-      username: params.username,
-      hospitalId: params.hospitalId,
-      ipAddress: params.ipAddress,
-      userAgent: params.userAgent,
-      details: params.details
-    });
+  async applyRetention() {
+    const archiveDir = this.getArchiveDirectory();
+    const holds = await this.getLegalHolds();
+    const deleted = [];
+    
+    for (const file of await this.listArchivedLogFiles()) {
+      const archivePath = path.join(archiveDir, `${file}.gz`);
+      const manifestPath = `${archivePath}.manifest.json`;
+      const manifest = fs.existsSync(manifestPath)
+        ? JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'))
+        : { categories: {} };
+      
+      // A file is kept as long as its longest-retained category requires
+      const retentionDays = Math.max(
+        this.config.retentionPeriod,
+        ...Object.keys(manifest.categories || {}).map(category => this.getRetentionPeriod(category))
+      );
+      
+      const range = this.getLogFileDateRange(file);
+      const lastEntry = range ? range.end : new Date(manifest.lastTimestamp || manifest.createdAt);
+      if (lastEntry.getTime() + retentionDays * 24 * 60 * 60 * 1000 > Date.now()) {
+        continue;
+      }
+      
+      const hold = await this.findBlockingHold(file, archivePath, manifest, holds);
+      if (hold) {
+        // Report each blocked deletion once per process rather than every run
+        const key = `${file}:${hold.id}`;
+        if (!this.reportedBlockedDeletions.has(key)) {
+          this.reportedBlockedDeletions.add(key);
+          await this.logLegalHoldEvent({
+            eventType: 'legal_hold_deletion_blocked',
+            status: 'success',
+            holdId: hold.id,
+            details: { fileName: `${file}.gz`, retentionDays }
+          });
+        }
+        continue;
+      }
+      
+      await fs.promises.unlink(archivePath);
+      if (fs.existsSync(manifestPath)) {
+        await fs.promises.unlink(manifestPath);
+      }
+      
+      // The chain's checkpoints go with it
+      const checkpointPath = path.join(this.getCheckpointDirectory(), file);
+      if (fs.existsSync(checkpointPath)) {
+        await fs.promises.unlink(checkpointPath);
+      }
+      
+      console.log(`Deleted old audit log: ${file}`);
+      await this.logSystemEvent({
+        eventType: 'audit_log_deleted',
+        status: 'success',
+        component: 'audit',
+        details: {
+          fileName: `${file}.gz`,
+          archiveId: manifest.archiveId,
+          entryCount: manifest.entryCount,
+          retentionDays
+        }
+      });
+      deleted.push(file);
+    }
+    
+    return deleted;
   }
 
   /**
-   * Log a data access event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Get the retention period for an event category
+   * @param {string} category - Event category (log type)
+   * @returns {number} - Retention period in days
    */
-  async logDataAccess(params) {
-    return this.addLog({
-      type: 'data_access',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.eventType,
-      status: params.status,
-      userId: params.userId,
-      hospitalId: params.hospitalId,
-      patientId: params.patientId,
-      resourceType: params.resourceType,
-      resourceId: params.resourceId,
-      action: params.action,
-      reason: params.reason,
-      details: params.details
-    });
+  getRetentionPeriod(category) {
+    const days = this.config.retentionPolicies[category];
+    return days !== undefined ? parseInt(days, 10) : this.config.retentionPeriod;
   }
 
   /**
-   * Log a patient consent event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Find an active legal hold that covers a log file
+   * @param {string} file - Log file name
+   * @param {string} filePath - Path of the (possibly compressed) file
+   * @param {Object} manifest - Archive manifest
+   * @param {Array<Object>} holds - Active legal holds
+   * @returns {Promise<Object|null>} - Blocking hold, or null
    */
-  async logConsentEvent(params) {
-    return this.addLog({
-      type: 'consent',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.eventType,
-      status: params.status,
-      patientId: params.patientId,
-      userId: params.userId,
-      hospitalId: params.hospitalId,
-      targetHospitalId: params.targetHospitalId,
-      consentType: params.consentType,
-      consentId: params.consentId,
-      action: params.action,
-      expiresAt: params.expiresAt,
-      details: params.details
+  async findBlockingHold(file, filePath, manifest, holds) {
+    const range = this.getLogFileDateRange(file) || {
+      start: new Date(manifest.firstTimestamp || 0),
+      end: new Date(manifest.lastTimestamp || Date.now())
+    };
+    
+    const overlapping = holds.filter(hold =>
+      (!hold.startDate || range.end > new Date(hold.startDate)) &&
+      (!hold.endDate || range.start <= new Date(hold.endDate))
+    );
+    
+    const dateHold = overlapping.find(hold => !hold.patientRef);
+    if (dateHold) {
+      return dateHold;
+    }
+    
+    const patientHolds = overlapping.filter(hold => hold.patientRef);
+    if (patientHolds.length === 0) {
+      return null;
+    }
+    
+    // Patient holds only cover files that hold an entry for the patient
+    let blocking = null;
+    await this.readLogFile(filePath, log => {
+      if (blocking || !log.patientId) {
+        return;
+      }
+      
+      const patientRef = log.patientRef || this.getPatientRef(log.patientId);
+      blocking = patientHolds.find(hold => hold.patientRef === patientRef &&
+        (!hold.startDate || new Date(log.timestamp) >= new Date(hold.startDate)) &&
+        (!hold.endDate || new Date(log.timestamp) <= new Date(hold.endDate))) || null;
     });
+    
+    return blocking;
   }
 
   /**
-   * Log a cross-hospital access event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Get legal holds
+   * @param {Object} options - Options
+   * @param {boolean} options.includeReleased - Include holds that have been released
+   * @returns {Promise<Array<Object>>} - Legal holds
    */
-  async logCrossHospitalAccess(params) {
-    return this.addLog({
-      type: 'cross_hospital',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.eventType,
-      status: params.status,
-      sourceHospitalId: params.sourceHospitalId,
-      targetHospitalId: params.targetHospitalId,
-      userId: params.userId,
-      patientId: params.patientId,
-      tokenId: params.tokenId,
-      resourceType: params.resourceType,
-      resourceId: params.resourceId,
-      action: params.action,
-      details: params.details
-    });
+  async getLegalHolds({ includeReleased = false } = {}) {
+    if (!fs.existsSync(this.config.legalHoldPath)) {
+      return [];
+    }
+    
+    const holds = JSON.parse(await fs.promises.readFile(this.config.legalHoldPath, 'utf8'));
+    return includeReleased ? holds : holds.filter(hold => !hold.releasedAt);
   }
 
   /**
-   * Log a medication event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Place a legal hold preventing deletion of matching audit logs
+   * @param {Object} params - Hold scope
+   * @param {string} params.patientId - Patient whose entries are held
+   * @param {Date|string} params.startDate - Start of the held period
+   * @param {Date|string} params.endDate - End of the held period
+   * @param {string} params.reason - Reason for the hold
+   * @param {string} params.caseReference - Litigation or investigation reference
+   * @param {Object} user - User placing the hold
+   * @returns {Promise<Object>} - Legal hold
    */
-  async logMedicationEvent(params) {
-    return this.addLog({
-      type: 'medication',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.eventType,
-      status: params.status,
-      userId: params.userId,
-      hospitalId: params.hospitalId,
-      patientId: params.patientId,
-      medicationId: params.medicationId,
-      action: params.action,
-      details: params.details
-    });
+  async placeLegalHold(params, user = {}) {
+    try {
+      if (!params.patientId && !params.startDate && !params.endDate) {
+        throw new Error('A legal hold must be scoped by patient or date range');
+      }
+      
+      const hold = {
+        id: uuidv4(),
+        patientId: params.patientId && !this.config.includePatientData
+          ? this.maskValue(params.patientId)
+          : params.patientId || null,
+        patientRef: params.patientId ? this.getPatientRef(params.patientId) : null,
+        startDate: params.startDate ? new Date(params.startDate).toISOString() : null,
+        endDate: params.endDate ? new Date(params.endDate).toISOString() : null,
+        reason: params.reason,
+        caseReference: params.caseReference || null,
+        createdBy: user.id || null,
+        createdAt: new Date().toISOString(),
+        releasedAt: null,
+        releasedBy: null,
+        releaseReason: null
+      };
+      
+      const holds = await this.getLegalHolds({ includeReleased: true });
+      holds.push(hold);
+      await this.saveLegalHolds(holds);
+      
+      await this.logLegalHoldEvent({
+        eventType: 'legal_hold_placed',
+        status: 'success',
+        holdId: hold.id,
+        userId: user.id,
+        hospitalId: user.hospital_id,
+        patientId: params.patientId,
+        details: {
+          startDate: hold.startDate,
+          endDate: hold.endDate,
+          reason: hold.reason,
+          caseReference: hold.caseReference
+        }
+      });
+      
+      return hold;
+    } catch (error) {
+      console.error('Error in placeLegalHold:', error);
+      throw error;
+    }
   }
 
   /**
-   * Log a document event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Release a legal hold
+   * @param {string} holdId - Legal hold ID
+   * @param {Object} user - User releasing the hold
+   * @param {string} reason - Reason for the release
+   * @returns {Promise<Object|null>} - Released hold, or null if not found
    */
-  async logDocumentEvent(params) {
-    return this.addLog({
-      type: 'document',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.eventType,
-      status: params.status,
-      userId: params.userId,
-      hospitalId: params.hospitalId,
-      patientId: params.patientId,
-      documentId: params.documentId,
-      documentType: params.documentType,
-      action: params.action,
-      details: params.details
-    });
+  async releaseLegalHold(holdId, user = {}, reason = null) {
+    try {
+      const holds = await this.getLegalHolds({ includeReleased: true });
+      const hold = holds.find(h => h.id === holdId);
+      if (!hold) {
+        return null;
+      }
+      
+      if (hold.releasedAt) {
+        throw new Error('Legal hold has already been released');
+      }
+      
+      hold.releasedAt = new Date().toISOString();
+      hold.releasedBy = user.id || null;
+      hold.releaseReason = reason;
+      await this.saveLegalHolds(holds);
+      
+      await this.logLegalHoldEvent({
+        eventType: 'legal_hold_released',
+        status: 'success',
+        holdId,
+        userId: user.id,
+        hospitalId: user.hospital_id,
+        details: {
+          reason,
+          caseReference: hold.caseReference
+        }
+      });
+      
+      return hold;
+    } catch (error) {
+      console.error('Error in releaseLegalHold:', error);
+      throw error;
+    }
   }
 
   /**
-   * Log a DICOM operation
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Persist legal holds
+   * @param {Array<Object>} holds - All legal holds
    */
-  async logDicomOperation(params) {
-    return this.addLog({
-      type: 'dicom',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.operationType,
-      status: params.status,
-      userId: params.userId,
-      hospitalId: params.hospitalId,
-      patientId: params.patientId,
-      studyInstanceUid: params.studyInstanceUid,
-      seriesInstanceUid: params.seriesInstanceUid,
-      sopInstanceUid: params.sopInstanceUid,
-      details: params.details
-    });
+  async saveLegalHolds(holds) {
+    const directory = path.dirname(this.config.legalHoldPath);
+    if (!fs.existsSync(directory)) {
+      await fs.promises.mkdir(directory, { recursive: true });
+    }
+    
+    // Write then rename so a crash can't leave a truncated hold file
+    const tempPath = `${this.config.legalHoldPath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(holds, null, 2));
+    await fs.promises.rename(tempPath, this.config.legalHoldPath);
   }
 
   /**
-   * Log a message event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Get the directory holding compressed archives
+   * @returns {string} - Directory path
    */
-  async logMessageEvent(params) {
-    return this.addLog({
-      type: 'message',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.eventType,
-      status: params.status,
-      topic: params.topic,
-      messageId: params.messageId,
-      source: params.source,
-      subscriptionId: params.subscriptionId,
-      details: params.details
-    });
+  getArchiveDirectory() {
+    return path.join(this.config.filePath, 'archive');
   }
 
   /**
-   * Log a system event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Compute the SHA-256 digest of a file
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} - Hex digest
    */
-  async logSystemEvent(params) {
-    return this.addLog({
-      type: 'system',
-      level: params.status === 'error' ? 'warning' : 'info',
-      eventType: params.eventType,
-      status: params.status,
-      hostname: params.hostname,
-      component: params.component,
-      details: params.details
-    });
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
   }
 
   /**
-   * Log a security event
-   * @param {Object} params - Log parameters
-   * @returns {Promise<string>} - Log ID
+   * Sign a log entry
+   * @param {Object} log - Log entry to sign
+   * @returns {string} - Signature
    */
-  async logSecurityEvent(params) {
-    return this.addLog({
-      type: 'security',
-      level: params.severity || 'warning',
-      eventType: params.eventType,
-      status: params.status,
-      userId: params.userId,
-      hospitalId: params.hospitalId,
-      ipAddress: params.ipAddress,
-      userAgent: params.userAgent,
-      details: params.details
-    });
+  signLog(log) {
+    const logString = this.canonicalize(log);
+    return crypto
+      .createHmac('sha256', this.config.signatureKey)
+      .update(logString)
+      .digest('hex');
   }
 
   /**
-   * Search audit logs
-   * @param {Object} criteria - Search criteria
-   * @param {Object} options - Search options
-   * @returns {Promise<Object>} - Search results
+   * Verify the signature of a log entry or checkpoint
+   * @param {Object} log - Signed log entry
+   * @returns {boolean} - Whether the signature is valid
    */
-  async searchLogs(criteria = {}, options = {}) {
-    // In a real implementation, this would search the audit logs
-    // based on the provided criteria and options
-    console.log('Would search audit logs with criteria:', criteria);
+  verifyLogSignature(log) {
+    const { signature, ...unsigned } = log;
+    if (!signature) {
+      return false;
+    }
     
-    return {
-      total: 0,
-      logs: [],
-      page: options.page || 1,
-      pageSize: options.pageSize || 20
-    };
+    if (signature === this.signLog(unsigned)) {
+      return true;
+    }
+    
+    // Entries written before hash chaining were signed over plain JSON
+    return typeof log.sequence !== 'number' && signature === crypto
+      .createHmac('sha256', this.config.signatureKey)
+      .update(JSON.stringify(unsigned))
+      .digest('hex');
   }
 
   /**
-   * Get audit log statistics
-   * @param {Object} criteria - Filter criteria
-   * @returns {Promise<Object>} - Statistics
+   * Hash a log entry for the hash chain
+   * @param {Object} log - Log entry
+   * @returns {string} - SHA-256 hash of the entry without its hash and signature
    */
-  async getStatistics(criteria = {}) {
-    // In a real implementation, this would calculate statistics
-    // based on the audit logs matching the criteria
-    console.log('Would calculate audit log statistics with criteria:', criteria);
-    
-    return {
-      totalLogs: 0,
-      byType: {},
-      byLevel: {},
-      byStatus: {},
-      byHospital: {},
-      byTimeRange: {}
-    };
+  hashLog(log) {
+    const { hash, signature, ...content } = log;
+    return crypto
+      .createHash('sha256')
+      .update(this.canonicalize(content))
+      .digest('hex');
   }
 
   /**
-   * Export audit logs
-   * @param {Object} criteria - Filter criteria
-   * @param {string} format - Export format ('json', 'csv')
-   * @returns {Promise<string>} - Export file path
+   * Serialize a value with sorted keys
+   * Hashes and signatures must survive storage that reorders keys (e.g. JSONB)
+   * @param {*} value - Value to serialize
+   * @returns {string} - Canonical JSON
    */
-  async exportLogs(criteria = {}, format = 'json') {
-    // In a real implementation, this would export the audit logs
-    // matching the criteria to a file in the specified format
-    console.log(`Would export audit logs to ${format} with criteria:`, criteria);
+  canonicalize(value) {
+    if (value && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+    
+    if (Array.isArray(value)) {
+      return `[${value.map(item => (item === undefined ? 'null' : this.canonicalize(item))).join(',')}]`;
+    }
+    
+    if (value && typeof value === 'object') {
+      const fields = Object.keys(value)
+        .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`);
+      return `{${fields.join(',')}}`;
+    }
     
-    return '/path/to/export/file';
+    return JSON.stringify(value);
   }
 
   /**
-   * Verify the integrity of audit logs
-   * @param {Date} startDate - Start date
-   * @param {Date} endDate - End date
-   * @returns {Promise<Object>} - Verification results
+   * Encrypt a log entry
+   * @param {Object} log - Log entry to encrypt
+   * @returns {string} - Encrypted log
    */
-  async verifyIntegrity(startDate, endDate) {
-    // In a real implementation, this would verify the integrity of the audit logs
-    // by checking signatures and ensuring no logs have been tampered with
-    console.log(`Would verify audit log integrity from ${startDate} to ${endDate}`);
-    
-    return {
-      verified: true,
-      totalLogs: 0,
-      validLogs: 0,
-      invalidLogs: 0,
-      missingLogs: 0
-    };
+  encryptLog(log) {
+    const logString = JSON.stringify(log);
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(
+      'aes-256-cbc',
+      Buffer.from(this.config.encryptionKey, 'hex'),
+      iv
+    );
+    
+    let encrypted = cipher.update(logString, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+    
+    return JSON.stringify({
+      iv: iv.toString('hex'),
+      encrypted
+    });
+  }
+
+  /**
+   * Decrypt a log entry
+   * @param {string} encryptedLog - Encrypted log entry
+   * @returns {Object} - Decrypted log
+   */
+  decryptLog(encryptedLog) {
+    const { iv, encrypted } = JSON.parse(encryptedLog);
+    const decipher = crypto.createDecipheriv(
+      'aes-256-cbc',
+      Buffer.from(this.config.encryptionKey, 'hex'),
+      Buffer.from(iv, 'hex')
+    );
+    
+    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    
+    return JSON.parse(decrypted);
+  }
+
+  /**
+   * Mask sensitive data in a log entry
+   * @param {Object} log - Log entry to mask
+   * @returns {Object} - Masked log entry
+   */
+  maskSensitiveData(log) {
+    if (!this.config.maskSensitiveData) {
+      return log;
+    }
+    
+    const maskedLog = { ...log };
+    
+    // Mask sensitive fields in details
+    if (maskedLog.details) {
+      for (const field of this.config.sensitiveFields) {
+        if (maskedLog.details[field]) {
+          maskedLog.details[field] = this.maskValue(maskedLog.details[field]);
+        }
+      }
+    }
+    
+    // Mask patient data if configured
+    if (!this.config.includePatientData && maskedLog.patientId) {
+      // Keep a keyed reference so entries can still be found by patient
+      if (!maskedLog.patientRef) {
+        maskedLog.patientRef = this.getPatientRef(maskedLog.patientId);
+      }
+      maskedLog.patientId = this.maskValue(maskedLog.patientId);
+    }
+    
+    return maskedLog;
+  }
+
+  /**
+   * Get the keyed reference stored in place of a masked patient ID
+   * Keyed on the configured signature key, which validateKeys requires, so references stay
+   * the same across restarts and a patient's entries remain searchable
+   * @param {string} patientId - Patient ID
+   * @returns {string} - Patient reference
+   */
+  getPatientRef(patientId) {
+    return crypto
+      .createHmac('sha256', this.config.signatureKey)
+      .update(`patient:${patientId}`)
+      .digest('hex');
+  }
+
+  /**
+   * Mask a value
+   * @param {string} value - Value to mask
+   * @returns {string} - Masked value
+   */
+  maskValue(value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    
+    if (value.length <= 4) {
+      return '*'.repeat(value.length);
+    }
+    
+    return value.substring(0, 2) + '*'.repeat(value.length - 4) + value.substring(value.length - 2);
+  }
+
+  /**
+   * Add a log entry to the batch
+   * @param {Object} log - Log entry
+   */
+  async addLog(log) {
+    // Add common fields
+    const enrichedLog = {
+      ...log,
+      id: uuidv4(),
+      timestamp: log.timestamp || new Date().toISOString(),
+      hostname: require('os').hostname(),
+      processId: process.pid
+    };
+    
+    // Mask sensitive data
+    const maskedLog = this.maskSensitiveData(enrichedLog);
+    
+    // Add to batch
+    this.logBatch.push(maskedLog);
+    
+    // Flush if batch is full
+    if (this.logBatch.length >= this.config.batchSize) {
+      await this.flush();
+    }
+    
+    // Hand off to external collectors
+    this.forwardLog(maskedLog);
+    
+    // Send alert if critical and configured
+    if (this.isAlertable(maskedLog)) {
+      this.sendAlert(maskedLog);
+    }
+    
+    // Look for suspicious access patterns
+    if (this.anomalyDetector && ['auth', 'data_access'].includes(maskedLog.type)) {
+      await this.handleAnomalies(this.anomalyDetector.inspect(maskedLog), maskedLog);
+    }
+    
+    // Update metrics if configured
+    if (this.config.enableMetrics) {
+      this.updateMetrics(maskedLog);
+    }
+    
+    return maskedLog.id;
+  }
+
+  /**
+   * Register a forwarder for log entries of the forwarded types
+   * A forwarder implements forward(log), and optionally close() and getStatus()
+   * @param {Object} forwarder - Forwarder
+   */
+  addForwarder(forwarder) {
+    this.forwarders.push(forwarder);
+  }
+
+  /**
+   * Pass a log entry to the registered forwarders
+   * Forwarders buffer and retry on their own, so this never blocks logging
+   * @param {Object} log - Log entry (after masking)
+   */
+  forwardLog(log) {
+    if (!this.config.forwardTypes.includes(log.type)) {
+      return;
+    }
+    
+    for (const forwarder of this.forwarders) {
+      try {
+        forwarder.forward(log);
+      } catch (error) {
+        console.error('Failed to forward audit log:', error);
+      }
+    }
+  }
+
+  /**
+   * Get the status of the registered forwarders
+   * @returns {Array<Object>} - Forwarder status
+   */
+  getForwarderStatus() {
+    return this.forwarders.map(forwarder => (forwarder.getStatus ? forwarder.getStatus() : {}));
+  }
+
+  /**
+   * Check whether a log entry is alerted on as it's added
+   * @param {Object} log - Log entry
+   * @returns {boolean} - Whether addLog sends an alert
+   */
+  isAlertable(log) {
+    return this.config.alertOnCritical && log.level === 'critical' && !!this.config.alertEndpoint;
+  }
+
+  /**
+   * Record detected anomalies as security events and alert on them
+   * @param {Array<Object>} anomalies - Anomalies from the detector
+   * @param {Object} log - Log entry that triggered them
+   */
+  async handleAnomalies(anomalies, log) {
+    for (const anomaly of anomalies) {
+      try {
+        const securityLog = {
+          type: 'security',
+          level: anomaly.severity,
+          eventType: `anomaly_${anomaly.pattern}`,
+          status: 'detected',
+          userId: anomaly.userId,
+          hospitalId: anomaly.hospitalId,
+          ipAddress: log.ipAddress,
+          details: {
+            ...anomaly.details,
+            pattern: anomaly.pattern,
+            triggeredBy: log.id
+          }
+        };
+        
+        securityLog.id = await this.logSecurityEvent({
+          ...securityLog,
+          severity: anomaly.severity
+        });
+        
+        // Critical entries were already alerted on by addLog
+        if (!this.isAlertable(securityLog)) {
+          await this.sendAlert(securityLog);
+        }
+      } catch (error) {
+        console.error('Failed to record access anomaly:', error);
+      }
+    }
+  }
+
+  /**
+   * Send an alert for a critical log
+   * @param {Object} log - Log entry
+   */
+  async sendAlert(log) {
+    try {
+      // In a real implementation, this would send an alert to a monitoring system
+      console.log(`Would send alert for critical log: ${log.id}`);
+    } catch (error) {
+      console.error('Failed to send alert:', error);
+    }
+  }
+
+  /**
+   * Update metrics for a log
+   * @param {Object} log - Log entry
+   */
+  updateMetrics(log) {
+    // In a real implementation, this would update metrics in a monitoring system
+    console.log(`Would update metrics for log: ${log.id}`);
+  }
+
+  /**
+   * Log a user authentication event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logAuthEvent(params) {
+    return this.addLog({
+      type: 'auth',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      userId: params.userId,
+      username: params.username,
+      role: params.role,
+      hospitalId: params.hospitalId,
+      ipAddress: params.ipAddress,
+      userAgent: params.userAgent,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a data access event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logDataAccess(params) {
+    return this.addLog({
+      type: 'data_access',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      patientId: params.patientId,
+      patientHospitalId: params.patientHospitalId,
+      resourceType: params.resourceType,
+      resourceId: params.resourceId,
+      action: params.action,
+      reason: params.reason,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a patient consent event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logConsentEvent(params) {
+    return this.addLog({
+      type: 'consent',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      patientId: params.patientId,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      targetHospitalId: params.targetHospitalId,
+      consentType: params.consentType,
+      consentId: params.consentId,
+      action: params.action,
+      expiresAt: params.expiresAt,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a cross-hospital access event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logCrossHospitalAccess(params) {
+    return this.addLog({
+      type: 'cross_hospital',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      sourceHospitalId: params.sourceHospitalId,
+      targetHospitalId: params.targetHospitalId,
+      userId: params.userId,
+      patientId: params.patientId,
+      tokenId: params.tokenId,
+      resourceType: params.resourceType,
+      resourceId: params.resourceId,
+      action: params.action,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a medication event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logMedicationEvent(params) {
+    return this.addLog({
+      type: 'medication',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      patientId: params.patientId,
+      medicationId: params.medicationId,
+      action: params.action,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a document event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logDocumentEvent(params) {
+    return this.addLog({
+      type: 'document',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      patientId: params.patientId,
+      documentId: params.documentId,
+      documentType: params.documentType,
+      action: params.action,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a DICOM operation
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logDicomOperation(params) {
+    return this.addLog({
+      type: 'dicom',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.operationType,
+      status: params.status,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      patientId: params.patientId,
+      studyInstanceUid: params.studyInstanceUid,
+      seriesInstanceUid: params.seriesInstanceUid,
+      sopInstanceUid: params.sopInstanceUid,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a FHIR operation
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logFhirOperation(params) {
+    return this.addLog({
+      type: 'fhir',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.operationType,
+      status: params.status,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      patientId: params.patientId || (params.resourceType === 'Patient' ? params.resourceId : undefined),
+      resourceType: params.resourceType,
+      resourceId: params.resourceId,
+      action: params.operationType,
+      fhirVersion: params.fhirVersion,
+      timestamp: params.timestamp,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a message event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logMessageEvent(params) {
+    return this.addLog({
+      type: 'message',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      topic: params.topic,
+      messageId: params.messageId,
+      source: params.source,
+      subscriptionId: params.subscriptionId,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a system event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logSystemEvent(params) {
+    return this.addLog({
+      type: 'system',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      hostname: params.hostname,
+      component: params.component,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log a security event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logSecurityEvent(params) {
+    return this.addLog({
+      type: 'security',
+      level: params.severity || 'warning',
+      eventType: params.eventType,
+      status: params.status,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      patientId: params.patientId,
+      ipAddress: params.ipAddress,
+      userAgent: params.userAgent,
+      details: params.details
+    });
+  }
+
+  /**
+   * Log an access to the audit log itself
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logAuditAccess(params) {
+    // The patient searched for is masked like any other patient ID
+    const { patientId, ...criteria } = params.criteria || {};
+    
+    return this.addLog({
+      type: 'audit_access',
+      level: params.status === 'error' ? 'warning' : 'info',
+      eventType: params.eventType,
+      status: params.status,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      patientId,
+      ipAddress: params.ipAddress,
+      userAgent: params.userAgent,
+      details: {
+        ...params.details,
+        criteria
+      }
+    });
+  }
+
+  /**
+   * Log a legal hold event
+   * @param {Object} params - Log parameters
+   * @returns {Promise<string>} - Log ID
+   */
+  async logLegalHoldEvent(params) {
+    return this.addLog({
+      type: 'legal_hold',
+      level: 'warning',
+      eventType: params.eventType,
+      status: params.status,
+      holdId: params.holdId,
+      userId: params.userId,
+      hospitalId: params.hospitalId,
+      patientId: params.patientId,
+      details: params.details
+    });
+  }
+
+  /**
+   * Search audit logs
+   * @param {Object} criteria - Search criteria
+   * @param {string} criteria.actorId - User who performed the action
+   * @param {string} criteria.patientId - Patient the entry refers to
+   * @param {string} criteria.resourceType - Resource type
+   * @param {string} criteria.resourceId - Resource ID
+   * @param {string|Array<string>} criteria.type - Log type (e.g. 'data_access', 'consent')
+   * @param {string|Array<string>} criteria.eventType - Event type
+   * @param {string} criteria.hospitalId - Hospital involved in the event
+   * @param {boolean} criteria.success - Whether the action succeeded
+   * @param {Date|string} criteria.startDate - Earliest timestamp (inclusive)
+   * @param {Date|string} criteria.endDate - Latest timestamp (inclusive)
+   * @param {Object} options - Search options
+   * @param {number} options.page - Page number
+   * @param {number} options.pageSize - Entries per page
+   * @param {string} options.sortBy - Field to sort by
+   * @param {string} options.sortOrder - Sort order ('asc' or 'desc')
+   * @returns {Promise<Object>} - Search results
+   */
+  async searchLogs(criteria = {}, options = {}) {
+    const page = Math.max(parseInt(options.page || 1, 10), 1);
+    const pageSize = Math.min(Math.max(parseInt(options.pageSize || 20, 10), 1), 1000);
+    const sortBy = options.sortBy || 'timestamp';
+    const sortOrder = options.sortOrder === 'asc' ? 'asc' : 'desc';
+    
+    // Make sure buffered entries are visible to the search
+    await this.flush();
+    
+    if (this.config.storageType === 'database') {
+      return this.searchDatabaseLogs(criteria, { page, pageSize, sortBy, sortOrder });
+    }
+    
+    if (this.config.storageType !== 'file') {
+      throw new Error(`Audit log search is not supported for storage type: ${this.config.storageType}`);
+    }
+    
+    const logs = [];
+    await this.scanLogFiles(criteria, log => {
+      logs.push(log);
+    });
+    
+    logs.sort((a, b) => {
+      const left = a[sortBy];
+      const right = b[sortBy];
+      if (left === right) {
+        return 0;
+      }
+      if (left === undefined || left === null) {
+        return 1;
+      }
+      if (right === undefined || right === null) {
+        return -1;
+      }
+      const comparison = left > right ? 1 : -1;
+      return sortOrder === 'asc' ? comparison : -comparison;
+    });
+    
+    const startIndex = (page - 1) * pageSize;
+    
+    return {
+      total: logs.length,
+      logs: logs.slice(startIndex, startIndex + pageSize),
+      page,
+      pageSize,
+      totalPages: Math.ceil(logs.length / pageSize)
+    };
+  }
+
+  /**
+   * Search audit logs stored in the database
+   * @param {Object} criteria - Search criteria (see searchLogs)
+   * @param {Object} options - Normalized search options
+   * @returns {Promise<Object>} - Search results
+   */
+  async searchDatabaseLogs(criteria, options) {
+    const sortColumns = {
+      timestamp: 'timestamp',
+      type: 'log_type',
+      eventType: 'event_type',
+      level: 'level',
+      status: 'status',
+      userId: 'actor_id',
+      hospitalId: 'actor_hospital_id',
+      resourceType: 'resource_type',
+      patientId: 'patient_id'
+    };
+    const sortColumn = sortColumns[options.sortBy] || 'timestamp';
+    const { conditions, params } = this.buildDatabaseConditions(criteria);
+    
+    const countResult = await this.db.query(
+      `SELECT COUNT(*) FROM ${this.config.dbTable} ${conditions}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].count, 10);
+    
+    const logsResult = await this.db.query(
+      `SELECT log_id, timestamp, details FROM ${this.config.dbTable} ${conditions}
+       ORDER BY ${sortColumn} ${options.sortOrder.toUpperCase()}
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, options.pageSize, (options.page - 1) * options.pageSize]
+    );
+    
+    return {
+      total,
+      logs: logsResult.rows.map(row => this.mapLogFromDb(row)),
+      page: options.page,
+      pageSize: options.pageSize,
+      totalPages: Math.ceil(total / options.pageSize)
+    };
+  }
+
+  /**
+   * Build a SQL WHERE clause for audit log criteria
+   * @param {Object} criteria - Search criteria (see searchLogs)
+   * @returns {Object} - WHERE clause and query parameters
+   */
+  buildDatabaseConditions(criteria) {
+    let conditions = 'WHERE 1=1';
+    const params = [];
+    const addParam = value => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+    
+    if (criteria.actorId) {
+      conditions += ` AND actor_id = ${addParam(criteria.actorId)}`;
+    }
+    
+    if (criteria.patientId) {
+      // Masked IDs are shared by many patients, so only unmasked entries match without a reference
+      conditions += ` AND (details->>'patientRef' = ${addParam(this.getPatientRef(criteria.patientId))}` +
+        ` OR (details->>'patientRef' IS NULL AND patient_id = ${addParam(criteria.patientId)}))`;
+    }
+    
+    if (criteria.resourceType) {
+      conditions += ` AND resource_type = ${addParam(criteria.resourceType)}`;
+    }
+    
+    if (criteria.resourceId) {
+      conditions += ` AND resource_id = ${addParam(criteria.resourceId)}`;
+    }
+    
+    if (criteria.type) {
+      conditions += ` AND log_type = ANY(${addParam([].concat(criteria.type))})`;
+    }
+    
+    if (criteria.eventType) {
+      conditions += ` AND event_type = ANY(${addParam([].concat(criteria.eventType))})`;
+    }
+    
+    if (criteria.hospitalId) {
+      const hospitalParam = addParam(criteria.hospitalId);
+      conditions += ` AND (actor_hospital_id = ${hospitalParam}` +
+        ` OR details->>'sourceHospitalId' = ${hospitalParam}` +
+        ` OR details->>'targetHospitalId' = ${hospitalParam})`;
+    }
+    
+    if (criteria.success !== undefined && criteria.success !== null) {
+      conditions += ` AND success = ${addParam(this.parseBoolean(criteria.success))}`;
+    }
+    
+    if (criteria.startDate) {
+      conditions += ` AND timestamp >= ${addParam(new Date(criteria.startDate))}`;
+    }
+    
+    if (criteria.endDate) {
+      conditions += ` AND timestamp <= ${addParam(new Date(criteria.endDate))}`;
+    }
+    
+    return { conditions, params };
+  }
+
+  /**
+   * Map an audit_logs row back to a log entry
+   * @param {Object} row - Database row
+   * @returns {Object} - Log entry
+   */
+  mapLogFromDb(row) {
+    const details = typeof row.details === 'string' ? JSON.parse(row.details) : row.details;
+    
+    return {
+      ...details,
+      id: row.log_id,
+      timestamp: row.timestamp instanceof Date ? row.timestamp.toISOString() : row.timestamp
+    };
+  }
+
+  /**
+   * Stream every log entry in the rotated log files that matches the criteria
+   * @param {Object} criteria - Search criteria (see searchLogs)
+   * @param {Function} onLog - Called with each matching log entry (may return a promise)
+   * @returns {Promise<void>}
+   */
+  async scanLogFiles(criteria, onLog) {
+    const startDate = criteria.startDate ? new Date(criteria.startDate) : null;
+    const endDate = criteria.endDate ? new Date(criteria.endDate) : null;
+    
+    for (const file of await this.listChainFiles()) {
+      // Skip rotation files that cannot contain entries in the requested range
+      if (!this.isLogFileInRange(file, startDate, endDate)) {
+        continue;
+      }
+      
+      // The file may have been archived or deleted since it was listed
+      const filePath = this.resolveLogFilePath(file);
+      if (!filePath) {
+        continue;
+      }
+      
+      await this.readLogFile(filePath, async log => {
+        if (this.matchesCriteria(log, criteria)) {
+          await onLog(log);
+        }
+      });
+    }
+  }
+
+  /**
+   * List rotated audit log files in chronological order
+   * @param {string} directory - Directory to list (defaults to the log directory)
+   * @returns {Promise<Array<string>>} - Log file names
+   */
+  async listLogFiles(directory = this.config.filePath) {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    
+    const files = await fs.promises.readdir(directory);
+    return files
+      .filter(file => file.startsWith('audit-') && file.endsWith('.log'))
+      .sort();
+  }
+
+  /**
+   * List archived log files in chronological order
+   * @returns {Promise<Array<string>>} - Names of the log files the archives were made from
+   */
+  async listArchivedLogFiles() {
+    const archiveDir = this.getArchiveDirectory();
+    if (!fs.existsSync(archiveDir)) {
+      return [];
+    }
+    
+    const files = await fs.promises.readdir(archiveDir);
+    return files
+      .filter(file => file.startsWith('audit-') && file.endsWith('.log.gz'))
+      .map(file => file.slice(0, -'.gz'.length))
+      .sort();
+  }
+
+  /**
+   * List every log file, live or archived, in chronological order
+   * @returns {Promise<Array<string>>} - Log file names
+   */
+  async listChainFiles() {
+    const files = new Set([...await this.listLogFiles(), ...await this.listArchivedLogFiles()]);
+    return [...files].sort();
+  }
+
+  /**
+   * Resolve a log file name to its live or archived path
+   * @param {string} file - Log file name
+   * @returns {string|null} - File path, or null if the file no longer exists
+   */
+  resolveLogFilePath(file) {
+    const livePath = path.join(this.config.filePath, file);
+    if (fs.existsSync(livePath)) {
+      return livePath;
+    }
+    
+    const archivePath = path.join(this.getArchiveDirectory(), `${file}.gz`);
+    return fs.existsSync(archivePath) ? archivePath : null;
+  }
+
+  /**
+   * Check whether a rotated log file may contain entries in a date range
+   * @param {string} fileName - Log file name
+   * @param {Date|null} startDate - Start of the range
+   * @param {Date|null} endDate - End of the range
+   * @returns {boolean} - Whether the file overlaps the range
+   */
+  isLogFileInRange(fileName, startDate, endDate) {
+    const range = this.getLogFileDateRange(fileName);
+    return !(range && ((startDate && range.end <= startDate) || (endDate && range.start > endDate)));
+  }
+
+  /**
+   * Read a log file line by line, decompressing archives and decrypting entries where needed
+   * @param {string} filePath - Path of the log file
+   * @param {Function} onLog - Called with each parsed log entry and its line number (may return a promise)
+   * @param {Function} onError - Called with the line number and error for unreadable lines
+   * @returns {Promise<void>}
+   */
+  async readLogFile(filePath, onLog, onError) {
+    const lines = readline.createInterface({
+      input: filePath.endsWith('.gz')
+        ? fs.createReadStream(filePath).pipe(zlib.createGunzip())
+        : fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+    
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+      
+      let log;
+      try {
+        log = this.parseLogLine(line);
+      } catch (error) {
+        if (onError) {
+          onError(lineNumber, error);
+          continue;
+        }
+        console.error(`Failed to parse audit log entry ${path.basename(filePath)}:${lineNumber}:`, error.message);
+        continue;
+      }
+      
+      await onLog(log, lineNumber);
+    }
+  }
+
+  /**
+   * Parse a single line written by flushToFile
+   * @param {string} line - Raw line
+   * @returns {Object} - Log entry
+   */
+  parseLogLine(line) {
+    const parsed = JSON.parse(line);
+    
+    // Encrypted entries are stored as { iv, encrypted }
+    if (parsed.iv && parsed.encrypted && Object.keys(parsed).length === 2) {
+      return this.decryptLog(line);
+    }
+    
+    return parsed;
+  }
+
+  /**
+   * Get the time range covered by a rotated log file
+   * @param {string} fileName - Log file name
+   * @returns {Object|null} - Start and end dates, or null if unknown
+   */
+  getLogFileDateRange(fileName) {
+    let match = fileName.match(/^audit-(\d{4})-(\d{2})-(\d{2})-(\d{2})\.log$/);
+    if (match) {
+      const start = new Date(match[1], match[2] - 1, match[3], match[4]);
+      return { start, end: new Date(start.getTime() + 60 * 60 * 1000) };
+    }
+    
+    match = fileName.match(/^audit-(\d{4})-(\d{2})-(\d{2})\.log$/);
+    if (match) {
+      return {
+        start: new Date(match[1], match[2] - 1, match[3]),
+        end: new Date(match[1], match[2] - 1, Number(match[3]) + 1)
+      };
+    }
+    
+    match = fileName.match(/^audit-(\d{4})-(\d{2})\.log$/);
+    if (match) {
+      return {
+        start: new Date(match[1], match[2] - 1, 1),
+        end: new Date(match[1], match[2], 1)
+      };
+    }
+    
+    // Weekly files use a week number that doesn't map cleanly to dates
+    return null;
+  }
+
+  /**
+   * Check whether a log entry matches search criteria
+   * @param {Object} log - Log entry
+   * @param {Object} criteria - Search criteria (see searchLogs)
+   * @returns {boolean} - Whether the entry matches
+   */
+  matchesCriteria(log, criteria = {}) {
+    if (criteria.actorId && log.userId !== criteria.actorId) {
+      return false;
+    }
+    
+    if (criteria.patientId) {
+      // Masked IDs are shared by many patients, so only unmasked entries match without a reference
+      const matchesPatient = log.patientRef
+        ? log.patientRef === this.getPatientRef(criteria.patientId)
+        : log.patientId === criteria.patientId;
+      if (!matchesPatient) {
+        return false;
+      }
+    }
+    
+    if (criteria.resourceType && log.resourceType !== criteria.resourceType) {
+      return false;
+    }
+    
+    if (criteria.resourceId && log.resourceId !== criteria.resourceId) {
+      return false;
+    }
+    
+    if (criteria.type && ![].concat(criteria.type).includes(log.type)) {
+      return false;
+    }
+    
+    if (criteria.eventType && ![].concat(criteria.eventType).includes(log.eventType)) {
+      return false;
+    }
+    
+    if (criteria.hospitalId && ![log.hospitalId, log.sourceHospitalId, log.targetHospitalId].includes(criteria.hospitalId)) {
+      return false;
+    }
+    
+    if (criteria.success !== undefined && criteria.success !== null &&
+        this.isSuccessfulLog(log) !== this.parseBoolean(criteria.success)) {
+      return false;
+    }
+    
+    const timestamp = new Date(log.timestamp);
+    if (criteria.startDate && timestamp < new Date(criteria.startDate)) {
+      return false;
+    }
+    
+    if (criteria.endDate && timestamp > new Date(criteria.endDate)) {
+      return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Determine whether a log entry records a successful action
+   * @param {Object} log - Log entry
+   * @returns {boolean} - Whether the action succeeded
+   */
+  isSuccessfulLog(log) {
+    if (typeof log.success === 'boolean') {
+      return log.success;
+    }
+    
+    return !['error', 'failure', 'denied'].includes(log.status);
+  }
+
+  /**
+   * Parse a boolean passed as a string or boolean
+   * @param {boolean|string} value - Value to parse
+   * @returns {boolean} - Parsed value
+   */
+  parseBoolean(value) {
+    return value === true || value === 'true' || value === '1';
+  }
+
+  /**
+   * Get audit log statistics
+   * Time series are bucketed in UTC; weekly buckets start on Monday and are
+   * keyed by that day
+   * @param {Object} criteria - Filter criteria (see searchLogs)
+   * @param {Object} options - Statistics options
+   * @param {Array<string>} options.intervals - Time series to compute ('hourly', 'daily', 'weekly')
+   * @returns {Promise<Object>} - Statistics
+   */
+  async getStatistics(criteria = {}, options = {}) {
+    try {
+      const intervals = [].concat(options.intervals || ['hourly', 'daily', 'weekly'])
+        .filter(interval => ['hourly', 'daily', 'weekly'].includes(interval));
+      
+      if (this.config.storageType === 'database') {
+        await this.flush();
+        return this.getDatabaseStatistics(criteria, intervals);
+      }
+      
+      const statistics = {
+        totalLogs: 0,
+        byType: {},
+        byEventType: {},
+        byLevel: {},
+        byStatus: {},
+        byHospital: {},
+        byTimeRange: {}
+      };
+      for (const interval of intervals) {
+        statistics.byTimeRange[interval] = {};
+      }
+      
+      const increment = (counts, key) => {
+        counts[key] = (counts[key] || 0) + 1;
+      };
+      
+      await this.streamLogs(criteria, log => {
+        statistics.totalLogs++;
+        increment(statistics.byType, log.type || 'unknown');
+        increment(statistics.byEventType, log.eventType || 'unknown');
+        increment(statistics.byLevel, log.level || 'unknown');
+        increment(statistics.byStatus, log.status || 'unknown');
+        
+        // Count each hospital involved in the event once
+        const hospitals = new Set([log.hospitalId || log.sourceHospitalId, log.targetHospitalId]);
+        for (const hospitalId of hospitals) {
+          if (hospitalId) {
+            increment(statistics.byHospital, hospitalId);
+          }
+        }
+        
+        const timestamp = new Date(log.timestamp);
+        if (!isNaN(timestamp)) {
+          for (const interval of intervals) {
+            increment(statistics.byTimeRange[interval], this.getTimeBucket(timestamp, interval));
+          }
+        }
+      });
+      
+      // Time series read more naturally in chronological order
+      for (const interval of intervals) {
+        statistics.byTimeRange[interval] = this.sortByKey(statistics.byTimeRange[interval]);
+      }
+      
+      return statistics;
+    } catch (error) {
+      console.error('Error in getStatistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get audit log statistics from the database
+   * @param {Object} criteria - Filter criteria (see searchLogs)
+   * @param {Array<string>} intervals - Time series to compute
+   * @returns {Promise<Object>} - Statistics
+   */
+  async getDatabaseStatistics(criteria, intervals) {
+    const { conditions, params } = this.buildDatabaseConditions(criteria);
+    const table = this.config.dbTable;
+    
+    const countBy = async (expression, fromClause = `${table} ${conditions}`) => {
+      const result = await this.db.query(
+        `SELECT ${expression} AS key, COUNT(*) AS count FROM ${fromClause}
+         GROUP BY 1 ORDER BY 1`,
+        params
+      );
+      const counts = {};
+      for (const row of result.rows) {
+        if (row.key !== null) {
+          counts[row.key] = parseInt(row.count, 10);
+        }
+      }
+      return counts;
+    };
+    
+    const totalResult = await this.db.query(`SELECT COUNT(*) FROM ${table} ${conditions}`, params);
+    
+    // Count each hospital involved in the event once, as the file scan does
+    const hospitals = `(
+      SELECT actor_hospital_id AS hospital_id FROM ${table} ${conditions}
+      UNION ALL
+      SELECT details->>'targetHospitalId' FROM ${table} ${conditions}
+        AND details->>'targetHospitalId' IS DISTINCT FROM actor_hospital_id
+    ) hospitals`;
+    
+    const truncations = { hourly: 'hour', daily: 'day', weekly: 'week' };
+    const formats = { hourly: 'YYYY-MM-DD"T"HH24":00Z"', daily: 'YYYY-MM-DD', weekly: 'YYYY-MM-DD' };
+    const byTimeRange = {};
+    for (const interval of intervals) {
+      byTimeRange[interval] = await countBy(
+        `to_char(date_trunc('${truncations[interval]}', timestamp AT TIME ZONE 'UTC'), '${formats[interval]}')`
+      );
+    }
+    
+    return {
+      totalLogs: parseInt(totalResult.rows[0].count, 10),
+      byType: await countBy(`COALESCE(log_type, 'unknown')`),
+      byEventType: await countBy(`COALESCE(event_type, 'unknown')`),
+      byLevel: await countBy(`COALESCE(level, 'unknown')`),
+      byStatus: await countBy(`COALESCE(status, 'unknown')`),
+      byHospital: await countBy('hospital_id', hospitals),
+      byTimeRange
+    };
+  }
+
+  /**
+   * Get the UTC time bucket a timestamp falls in
+   * @param {Date} date - Timestamp
+   * @param {string} interval - Bucket size ('hourly', 'daily', 'weekly')
+   * @returns {string} - Bucket key
+   */
+  getTimeBucket(date, interval) {
+    const iso = date.toISOString();
+    
+    if (interval === 'hourly') {
+      return `${iso.substring(0, 13)}:00Z`;
+    }
+    
+    if (interval === 'weekly') {
+      // Weeks start on Monday, matching PostgreSQL's date_trunc('week')
+      const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+      return new Date(date.getTime() - daysSinceMonday * 86400000).toISOString().substring(0, 10);
+    }
+    
+    return iso.substring(0, 10);
+  }
+
+  /**
+   * Sort an object's keys
+   * @param {Object} counts - Object to sort
+   * @returns {Object} - Object with sorted keys
+   */
+  sortByKey(counts) {
+    const sorted = {};
+    for (const key of Object.keys(counts).sort()) {
+      sorted[key] = counts[key];
+    }
+    return sorted;
+  }
+
+  /**
+   * Stream every log entry matching the criteria in storage order
+   * @param {Object} criteria - Search criteria (see searchLogs)
+   * @param {Function} onLog - Called with each matching log entry (may return a promise)
+   * @returns {Promise<void>}
+   */
+  async streamLogs(criteria, onLog) {
+    // Make sure buffered entries are included
+    await this.flush();
+    
+    if (this.config.storageType === 'file') {
+      return this.scanLogFiles(criteria, onLog);
+    }
+    
+    if (this.config.storageType !== 'database') {
+      throw new Error(`Audit log streaming is not supported for storage type: ${this.config.storageType}`);
+    }
+    
+    const { conditions, params } = this.buildDatabaseConditions(criteria);
+    const pageSize = 1000;
+    let lastPosition = 0;
+    
+    // Page on log_position so large result sets are never held in memory
+    for (;;) {
+      const result = await this.db.query(
+        `SELECT log_id, timestamp, details, log_position FROM ${this.config.dbTable} ${conditions}
+         AND log_position > $${params.length + 1}
+         ORDER BY log_position LIMIT $${params.length + 2}`,
+        [...params, lastPosition, pageSize]
+      );
+      
+      for (const row of result.rows) {
+        await onLog(this.mapLogFromDb(row));
+      }
+      
+      if (result.rows.length < pageSize) {
+        return;
+      }
+      lastPosition = result.rows[result.rows.length - 1].log_position;
+    }
+  }
+
+  /**
+   * Export audit logs
+   * The export is streamed to a file next to a signed manifest holding its
+   * SHA-256 digest, so recipients can verify it wasn't modified
+   * @param {Object} criteria - Filter criteria (see searchLogs)
+   * @param {string} format - Export format ('csv', 'ndjson', 'fhir')
+   * @returns {Promise<Object>} - Export file path, manifest path and manifest
+   */
+  async exportLogs(criteria = {}, format = 'ndjson') {
+    const writers = {
+      csv: { extension: 'csv', contentType: 'text/csv' },
+      ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+      fhir: { extension: 'json', contentType: 'application/fhir+json' }
+    };
+    const writer = writers[format];
+    if (!writer) {
+      throw new Error(`Unsupported audit export format: ${format}`);
+    }
+    
+    const exportId = uuidv4();
+    const createdAt = new Date().toISOString();
+    const fileName = `audit-export-${createdAt.replace(/[:.]/g, '-')}-${exportId.substring(0, 8)}.${writer.extension}`;
+    const filePath = path.join(this.config.exportPath, fileName);
+    const manifestPath = `${filePath}.manifest.json`;
+    
+    if (!fs.existsSync(this.config.exportPath)) {
+      await fs.promises.mkdir(this.config.exportPath, { recursive: true });
+    }
+    
+    const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+    const hash = crypto.createHash('sha256');
+    const write = async chunk => {
+      hash.update(chunk);
+      if (!stream.write(chunk)) {
+        await new Promise(resolve => stream.once('drain', resolve));
+      }
+    };
+    
+    let recordCount = 0;
+    
+    try {
+      if (format === 'csv') {
+        await write(this.getCsvColumns().join(',') + '\n');
+      } else if (format === 'fhir') {
+        await write(`{"resourceType":"Bundle","id":"${exportId}","type":"collection","timestamp":"${createdAt}","entry":[`);
+      }
+      
+      await this.streamLogs(criteria, async log => {
+        const masked = this.maskSensitiveData(log);
+        
+        if (format === 'csv') {
+          await write(this.formatCsvRow(masked) + '\n');
+        } else if (format === 'ndjson') {
+          await write(JSON.stringify(masked) + '\n');
+        } else {
+          const resource = this.convertToFhirAuditEvent(masked);
+          await write(`${recordCount > 0 ? ',' : ''}${JSON.stringify({ fullUrl: `urn:uuid:${resource.id}`, resource })}`);
+        }
+        
+        recordCount++;
+      });
+      
+      if (format === 'fhir') {
+        await write(']}');
+      }
+      
+      await new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(resolve);
+      });
+    } catch (error) {
+      stream.destroy();
+      await fs.promises.unlink(filePath).catch(() => {});
+      console.error('Error in exportLogs:', error);
+      throw error;
+    }
+    
+    const { size } = await fs.promises.stat(filePath);
+    const manifestCriteria = { ...criteria };
+    if (manifestCriteria.patientId && !this.config.includePatientData) {
+      manifestCriteria.patientId = this.maskValue(manifestCriteria.patientId);
+    }
+    
+    const manifest = this.signManifest({
+      exportId,
+      fileName,
+      format,
+      contentType: writer.contentType,
+      createdAt,
+      criteria: manifestCriteria,
+      recordCount,
+      size,
+      sha256: hash.digest('hex')
+    });
+    
+    await fs.promises.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+    
+    return { filePath, manifestPath, manifest };
+  }
+
+  /**
+   * Look up a previous export by file name
+   * @param {string} fileName - Export file name
+   * @returns {Promise<Object|null>} - Export file path and manifest, or null if not found
+   */
+  async getExport(fileName) {
+    // Only accept names generated by exportLogs so paths can't escape the export directory
+    if (!/^audit-export-[\w-]+\.(csv|ndjson|json)$/.test(fileName)) {
+      return null;
+    }
+    
+    const filePath = path.join(this.config.exportPath, fileName);
+    const manifestPath = `${filePath}.manifest.json`;
+    if (!fs.existsSync(filePath) || !fs.existsSync(manifestPath)) {
+      return null;
+    }
+    
+    return {
+      filePath,
+      manifestPath,
+      manifest: JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'))
+    };
+  }
+
+  /**
+   * Sign an export manifest
+   * Uses RSA-SHA256 when an export signing key is configured so recipients
+   * can verify with the public key; HMAC-SHA256 otherwise
+   * @param {Object} manifest - Manifest to sign
+   * @returns {Object} - Signed manifest
+   */
+  signManifest(manifest) {
+    if (this.exportSigningKey) {
+      const signed = { ...manifest, signatureAlgorithm: 'RSA-SHA256' };
+      const signer = crypto.createSign('SHA256');
+      signer.update(this.canonicalize(signed));
+      signed.signature = signer.sign(this.exportSigningKey, 'base64');
+      return signed;
+    }
+    
+    const signed = { ...manifest, signatureAlgorithm: 'HMAC-SHA256' };
+    signed.signature = this.signLog(signed);
+    return signed;
+  }
+
+  /**
+   * Verify an export or archive against its signed manifest
+   * @param {string} manifestPath - Path of the manifest file
+   * @returns {Promise<Object>} - Verification result
+   */
+  async verifyManifest(manifestPath) {
+    try {
+      const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+      const { signature, ...unsigned } = manifest;
+      
+      let signatureValid;
+      if (manifest.signatureAlgorithm === 'RSA-SHA256') {
+        const verifier = crypto.createVerify('SHA256');
+        verifier.update(this.canonicalize(unsigned));
+        signatureValid = !!this.config.exportPublicKeyPath &&
+          verifier.verify(fs.readFileSync(this.config.exportPublicKeyPath), signature, 'base64');
+      } else {
+        signatureValid = signature === this.signLog(unsigned);
+      }
+      
+      const filePath = path.join(path.dirname(manifestPath), manifest.fileName);
+      const digestValid = await this.hashFile(filePath) === manifest.sha256;
+      
+      return {
+        verified: signatureValid && digestValid,
+        signatureValid,
+        digestValid,
+        manifest
+      };
+    } catch (error) {
+      console.error('Error in verifyManifest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the columns written to CSV exports
+   * @returns {Array<string>} - Column names
+   */
+  getCsvColumns() {
+    return [
+      'id', 'timestamp', 'type', 'eventType', 'level', 'status', 'success',
+      'userId', 'hospitalId', 'sourceHospitalId', 'targetHospitalId', 'patientId',
+      'resourceType', 'resourceId', 'action', 'reason', 'ipAddress', 'details'
+    ];
+  }
+
+  /**
+   * Format a log entry as a CSV row
+   * @param {Object} log - Log entry
+   * @returns {string} - CSV row
+   */
+  formatCsvRow(log) {
+    return this.getCsvColumns().map(column => {
+      let value = column === 'success' ? this.isSuccessfulLog(log) : log[column];
+      if (value === undefined || value === null) {
+        return '';
+      }
+      
+      value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      
+      // Keep spreadsheet applications from evaluating values as formulas
+      if (/^[=+\-@]/.test(value)) {
+        value = `'${value}`;
+      }
+      
+      return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',');
+  }
+
+  /**
+   * Convert a log entry to a FHIR R4 AuditEvent
+   * @param {Object} log - Log entry
+   * @returns {Object} - FHIR AuditEvent resource
+   */
+  convertToFhirAuditEvent(log) {
+    const eventTypes = {
+      auth: { code: '110114', display: 'User Authentication' },
+      data_access: { code: '110110', display: 'Patient Record' },
+      consent: { code: '110110', display: 'Patient Record' },
+      cross_hospital: { code: '110106', display: 'Export' },
+      medication: { code: '110110', display: 'Patient Record' },
+      document: { code: '110110', display: 'Patient Record' },
+      dicom: { code: '110110', display: 'Patient Record' },
+      security: { code: '110113', display: 'Security Alert' }
+    };
+    const eventType = eventTypes[log.type] || { code: '110100', display: 'Application Activity' };
+    
+    const actions = { create: 'C', read: 'R', view: 'R', access: 'R', update: 'U', delete: 'D' };
+    
+    let outcome = '0';
+    if (!this.isSuccessfulLog(log)) {
+      outcome = ['error', 'critical'].includes(log.level) ? '8' : '4';
+    }
+    
+    const agent = {
+      requestor: !!log.userId,
+      who: log.userId
+        ? { identifier: { value: log.userId } }
+        : { display: 'System' }
+    };
+    if (log.ipAddress) {
+      agent.network = { address: log.ipAddress, type: '2' };
+    }
+    
+    const entity = [];
+    if (log.patientId) {
+      entity.push({
+        what: { identifier: { value: log.patientId } },
+        type: { system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type', code: '1', display: 'Person' },
+        role: { system: 'http://terminology.hl7.org/CodeSystem/object-role', code: '1', display: 'Patient' }
+      });
+    }
+    if (log.resourceType && log.resourceId) {
+      entity.push({
+        what: { identifier: { system: `urn:hospital-network:${log.resourceType}`, value: String(log.resourceId) } },
+        type: { system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type', code: '2', display: 'System Object' }
+      });
+    }
+    
+    const auditEvent = {
+      resourceType: 'AuditEvent',
+      id: log.id,
+      type: {
+        system: 'http://dicom.nema.org/resources/ontology/DCM',
+        ...eventType
+      },
+      subtype: log.eventType ? [{ system: 'urn:hospital-network:audit-event', code: log.eventType }] : undefined,
+      action: actions[log.action] || 'E',
+      recorded: log.timestamp,
+      outcome,
+      outcomeDesc: log.status,
+      purposeOfEvent: log.reason ? [{ text: log.reason }] : undefined,
+      agent: [agent],
+      source: {
+        observer: { display: log.hospitalId || log.sourceHospitalId || 'hospital-network' },
+        type: [{
+          system: 'http://terminology.hl7.org/CodeSystem/security-source-type',
+          code: '4',
+          display: 'Application Server'
+        }]
+      },
+      entity: entity.length > 0 ? entity : undefined
+    };
+    
+    // Drop empty optional elements
+    return JSON.parse(JSON.stringify(auditEvent));
+  }
+
+  /**
+   * Verify the integrity of audit logs
+   * Every chain overlapping the date range is verified in full: entry hashes and
+   * signatures, links to the previous entry, sequence order and signed checkpoints
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Promise<Object>} - Verification results
+   */
+  async verifyIntegrity(startDate, endDate) {
+    try {
+      const start = startDate ? new Date(startDate) : null;
+      const end = endDate ? new Date(endDate) : null;
+      
+      // Make sure buffered entries are written before verifying
+      await this.flush();
+      await this.writeQueue;
+      
+      let chains;
+      if (this.config.storageType === 'file') {
+        chains = await this.loadFileChains(start, end);
+      } else if (this.config.storageType === 'database') {
+        chains = await this.loadDatabaseChains(start, end);
+      } else {
+        throw new Error(`Audit log verification is not supported for storage type: ${this.config.storageType}`);
+      }
+      
+      const results = {
+        verified: true,
+        startDate: start ? start.toISOString() : null,
+        endDate: end ? end.toISOString() : null,
+        chains: chains.length,
+        totalLogs: 0,
+        validLogs: 0,
+        invalidLogs: 0,
+        missingLogs: 0,
+        outOfOrderLogs: 0,
+        unchainedLogs: 0,
+        altered: [],
+        missing: [],
+        outOfOrder: [],
+        invalidCheckpoints: []
+      };
+      
+      for (const chain of chains) {
+        this.verifyChain(chain, results);
+      }
+      
+      results.invalidLogs = results.altered.length;
+      results.validLogs = results.totalLogs - results.invalidLogs;
+      results.outOfOrderLogs = results.outOfOrder.length;
+      results.verified = results.invalidLogs === 0 &&
+        results.missingLogs === 0 &&
+        results.outOfOrderLogs === 0 &&
+        results.invalidCheckpoints.length === 0;
+      
+      return results;
+    } catch (error) {
+      console.error('Error in verifyIntegrity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the chains stored in rotated log files
+   * @param {Date|null} startDate - Start date
+   * @param {Date|null} endDate - End date
+   * @returns {Promise<Array>} - Chains with their entries (in file order) and checkpoints
+   */
+  async loadFileChains(startDate, endDate) {
+    const checkpointDir = this.getCheckpointDirectory();
+    const files = new Set([
+      ...await this.listChainFiles(),
+      // A checkpoint without its log file means the whole file is gone
+      ...await this.listLogFiles(checkpointDir)
+    ]);
+    
+    const chains = [];
+    for (const file of [...files].sort()) {
+      if (!this.isLogFileInRange(file, startDate, endDate)) {
+        continue;
+      }
+      
+      const chain = {
+        chainId: path.basename(file, '.log'),
+        entries: [],
+        checkpoints: []
+      };
+      
+      const filePath = this.resolveLogFilePath(file);
+      if (filePath) {
+        await this.readLogFile(filePath, (log, lineNumber) => {
+          chain.entries.push({ entry: log, position: lineNumber });
+        }, (lineNumber, error) => {
+          chain.entries.push({ entry: null, position: lineNumber, error: error.message });
+        });
+      }
+      
+      const checkpointPath = path.join(checkpointDir, file);
+      if (fs.existsSync(checkpointPath)) {
+        await this.readLogFile(checkpointPath, checkpoint => {
+          chain.checkpoints.push(checkpoint);
+        }, (lineNumber, error) => {
+          chain.checkpoints.push({ position: lineNumber, error: error.message });
+        });
+      }
+      
+      chains.push(chain);
+    }
+    
+    return chains;
+  }
+
+  /**
+   * Load the chains stored in the database
+   * @param {Date|null} startDate - Start date
+   * @param {Date|null} endDate - End date
+   * @returns {Promise<Array>} - Chains with their entries (in insertion order) and checkpoints
+   */
+  async loadDatabaseChains(startDate, endDate) {
+    const { conditions, params } = this.buildDatabaseConditions({ startDate, endDate });
+    const checkpointConditions = conditions.replace(/timestamp/g, 'created_at');
+    
+    const chainResult = await this.db.query(
+      `SELECT chain_id FROM ${this.config.dbTable} ${conditions} AND chain_id IS NOT NULL
+       UNION
+       SELECT chain_id FROM ${this.config.dbCheckpointTable} ${checkpointConditions}
+       ORDER BY chain_id`,
+      params
+    );
+    
+    const chains = [];
+    for (const { chain_id: chainId } of chainResult.rows) {
+      const entryResult = await this.db.query(
+        `SELECT log_position, details FROM ${this.config.dbTable}
+         WHERE chain_id = $1 ORDER BY log_position`,
+        [chainId]
+      );
+      const checkpointResult = await this.db.query(
+        `SELECT checkpoint_id, chain_id, sequence, entry_hash, created_at, signature
+         FROM ${this.config.dbCheckpointTable} WHERE chain_id = $1 ORDER BY sequence`,
+        [chainId]
+      );
+      
+      chains.push({
+        chainId,
+        entries: entryResult.rows.map(row => ({
+          entry: typeof row.details === 'string' ? JSON.parse(row.details) : row.details,
+          position: parseInt(row.log_position, 10)
+        })),
+        checkpoints: checkpointResult.rows.map(row => ({
+          id: row.checkpoint_id,
+          chainId: row.chain_id,
+          sequence: parseInt(row.sequence, 10),
+          hash: row.entry_hash,
+          timestamp: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+          signature: row.signature
+        }))
+      });
+    }
+    
+    return chains;
+  }
+
+  /**
+   * Verify a single chain and record its problems in the results
+   * @param {Object} chain - Chain with entries and checkpoints
+   * @param {Object} results - Verification results to update
+   */
+  verifyChain(chain, results) {
+    const { chainId } = chain;
+    const bySequence = new Map();
+    const altered = new Map();
+    let highestSequence = 0;
+    
+    const markAltered = (entry, position, reason) => {
+      const key = `${position}`;
+      if (!altered.has(key)) {
+        altered.set(key, {
+          chainId,
+          position,
+          sequence: entry && typeof entry.sequence === 'number' ? entry.sequence : null,
+          id: entry ? entry.id : null,
+          reasons: []
+        });
+      }
+      altered.get(key).reasons.push(reason);
+    };
+    
+    for (const { entry, position, error } of chain.entries) {
+      results.totalLogs++;
+      
+      if (!entry) {
+        markAltered(null, position, `unreadable entry: ${error}`);
+        continue;
+      }
+      
+      // Entries written before hash chaining can only be checked against their signature
+      if (typeof entry.sequence !== 'number') {
+        results.unchainedLogs++;
+        if (entry.signature && !this.verifyLogSignature(entry)) {
+          markAltered(entry, position, 'signature mismatch');
+        }
+        continue;
+      }
+      
+      if (entry.chainId !== chainId) {
+        markAltered(entry, position, `entry belongs to chain ${entry.chainId}`);
+      }
+      
+      if (entry.hash !== this.hashLog(entry)) {
+        markAltered(entry, position, 'hash mismatch');
+      }
+      
+      if (this.config.signLogs && !this.verifyLogSignature(entry)) {
+        markAltered(entry, position, 'signature mismatch');
+      }
+      
+      if (bySequence.has(entry.sequence)) {
+        markAltered(entry, position, `duplicate sequence ${entry.sequence}`);
+        continue;
+      }
+      
+      if (entry.sequence < highestSequence) {
+        results.outOfOrder.push({
+          chainId,
+          position,
+          sequence: entry.sequence,
+          id: entry.id,
+          after: highestSequence
+        });
+      }
+      
+      highestSequence = Math.max(highestSequence, entry.sequence);
+      bySequence.set(entry.sequence, { entry, position });
+    }
+    
+    // Each entry must link to the hash of the entry before it
+    for (const [sequence, { entry, position }] of bySequence) {
+      let expectedHash;
+      if (sequence === 1) {
+        expectedHash = this.getGenesisHash(chainId);
+      } else if (bySequence.has(sequence - 1)) {
+        expectedHash = bySequence.get(sequence - 1).entry.hash;
+      }
+      
+      if (expectedHash !== undefined && entry.previousHash !== expectedHash) {
+        markAltered(entry, position, `previous hash does not match entry ${sequence - 1}`);
+      }
+    }
+    
+    // Checkpoints vouch for the chain head at the time they were written
+    let expectedLength = highestSequence;
+    for (const checkpoint of chain.checkpoints) {
+      if (checkpoint.error || !this.verifyLogSignature(checkpoint) || checkpoint.chainId !== chainId) {
+        results.invalidCheckpoints.push({
+          chainId,
+          id: checkpoint.id || null,
+          sequence: checkpoint.sequence !== undefined ? checkpoint.sequence : null,
+          reason: checkpoint.error ? `unreadable checkpoint: ${checkpoint.error}` : 'signature mismatch'
+        });
+        continue;
+      }
+      
+      expectedLength = Math.max(expectedLength, checkpoint.sequence);
+      
+      const checkpointed = bySequence.get(checkpoint.sequence);
+      if (checkpointed && checkpointed.entry.hash !== checkpoint.hash) {
+        markAltered(checkpointed.entry, checkpointed.position, `hash differs from checkpoint ${checkpoint.id}`);
+      }
+    }
+    
+    // Report gaps as sequence ranges
+    const sequences = [...bySequence.keys()].sort((a, b) => a - b);
+    let previous = 0;
+    for (const sequence of [...sequences, expectedLength + 1]) {
+      if (sequence > previous + 1) {
+        results.missing.push({ chainId, fromSequence: previous + 1, toSequence: sequence - 1 });
+        results.missingLogs += sequence - previous - 1;
+      }
+      previous = sequence;
+    }
+    
+    results.altered.push(...altered.values());
   }
 }
 
@@ -0,0 +1,185 @@
+/**
+ * Consent Expiry Scheduler
+ * Warns ahead of consent expiry and expires consents once their end date passes.
+ * Also ends representatives' authority at its end date or the patient's age of majority.
+ */
+
+const consentService = require('./ConsentService');
+const crossHospitalService = require('./CrossHospitalService');
+const patientRelationshipService = require('./PatientRelationshipService');
+const messageBrokerService = require('./MessageBrokerService');
+const auditService = require('./AuditService');
+
+class ConsentExpiryScheduler {
+  constructor() {
+    this.config = {
+      checkInterval: parseInt(process.env.CONSENT_EXPIRY_CHECK_INTERVAL || '3600000', 10), // 1 hour
+      // Days before the end date at which a warning is sent, e.g. "30,7,1"
+      warningDays: (process.env.CONSENT_EXPIRY_WARNING_DAYS || '30,7,1')
+        .split(',')
+        .map(days => parseInt(days.trim(), 10))
+        .filter(days => days > 0)
+        .sort((a, b) => a - b)
+    };
+
+    this.checkInterval = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the periodic expiry check
+   * @returns {void}
+   */
+  start() {
+    // Clear any existing interval
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+    }
+
+    this.checkInterval = setInterval(
+      () => this.runChecks().catch(() => {}),
+      this.config.checkInterval
+    );
+    this.checkInterval.unref();
+
+    // Catch up on anything that lapsed while the server was down
+    this.runChecks().catch(() => {});
+
+    console.log(`Consent expiry scheduler started with ${this.config.checkInterval}ms interval`);
+  }
+
+  /**
+   * Stop the periodic expiry check
+   * @returns {void}
+   */
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  /**
+   * Send due expiry warnings, then expire lapsed consents and representatives' authority
+   * @returns {Promise<Object>} - Counts of warnings sent, consents expired and relationships ended
+   */
+  async runChecks() {
+    // Skip if the previous run is still in progress
+    if (this.running) {
+      return { warned: 0, expired: 0, relationshipsEnded: 0, skipped: true };
+    }
+
+    this.running = true;
+
+    try {
+      const warned = await this.sendExpiryWarnings();
+      const expired = await this.expireConsents();
+      const relationshipsEnded = await patientRelationshipService.endLapsedRelationships();
+
+      return { warned, expired, relationshipsEnded };
+    } catch (error) {
+      console.error('Error running consent expiry checks:', error);
+
+      await auditService.logSystemEvent({
+        eventType: 'consent_expiry_check',
+        status: 'error',
+        component: 'consent_expiry_scheduler',
+        details: {
+          error: error.message
+        }
+      }).catch(console.error);
+
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send a warning for each consent that has entered a warning window
+   * Only the nearest threshold is used, so a consent created shortly before its
+   * end date gets one warning rather than one per threshold
+   * @returns {Promise<number>} - Number of warnings sent
+   */
+  async sendExpiryWarnings() {
+    if (this.config.warningDays.length === 0) {
+      return 0;
+    }
+
+    const maxDays = this.config.warningDays[this.config.warningDays.length - 1];
+    const consents = await consentService.getConsentsExpiringWithin(maxDays);
+    let warned = 0;
+
+    for (const consent of consents) {
+      const endDate = new Date(consent.end_date);
+      const daysRemaining = (endDate.getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+      const warningDays = this.config.warningDays.find(days => daysRemaining <= days);
+
+      try {
+        // Claimed and sent together, so concurrent nodes send it once and a failed send is retried
+        const sent = await consentService.recordExpiryWarning(consent, warningDays, () =>
+          messageBrokerService.publish('consent.expiring', {
+            consentId: consent.id,
+            patientId: consent.patient_id,
+            consentingHospitalId: consent.consenting_hospital_id,
+            targetHospitalId: consent.target_hospital_id,
+            consentType: consent.consent_type,
+            expiresAt: endDate.toISOString(),
+            warningDays,
+            daysRemaining: Math.ceil(daysRemaining)
+          })
+        );
+
+        if (!sent) {
+          continue;
+        }
+
+        await auditService.logConsentEvent({
+          eventType: 'consent_expiry_warning',
+          status: 'success',
+          consentId: consent.id,
+          patientId: consent.patient_id,
+          hospitalId: consent.consenting_hospital_id,
+          targetHospitalId: consent.target_hospital_id,
+          consentType: consent.consent_type,
+          action: 'notify',
+          expiresAt: endDate.toISOString(),
+          details: {
+            warningDays
+          }
+        });
+
+        warned++;
+      } catch (error) {
+        console.error(`Error sending expiry warning for consent ${consent.id}:`, error);
+      }
+    }
+
+    return warned;
+  }
+
+  /**
+   * Expire lapsed consents, publish consent.expired and revoke tokens tied to them
+   * @returns {Promise<number>} - Number of consents expired
+   */
+  async expireConsents() {
+    // A consent stays active until its expiry is published, so a failed publish is retried next run
+    const expiredConsents = await consentService.expireConsents(async consent => {
+      const revokedTokens = await crossHospitalService.revokeTokensByConsent(consent.id, 'consent_expired');
+
+      await messageBrokerService.publish('consent.expired', {
+        consentId: consent.id,
+        patientId: consent.patient_id,
+        consentingHospitalId: consent.consenting_hospital_id,
+        targetHospitalId: consent.target_hospital_id,
+        consentType: consent.consent_type,
+        expiredAt: new Date(consent.end_date).toISOString(),
+        revokedTokens
+      });
+    });
+
+    return expiredConsents.length;
+  }
+}
+
+module.exports = new ConsentExpiryScheduler();
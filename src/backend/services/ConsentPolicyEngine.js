@@ -0,0 +1,329 @@
+/**
+ * Consent Policy Engine
+ * Decides whether data may be disclosed to another hospital by evaluating the patient's
+ * consents together with this hospital's data-sharing rules, and explains the decision
+ */
+
+const consentService = require('./ConsentService');
+const { TREATMENT_PURPOSES, normalizePurpose } = require('../config/purposeOfUse');
+const { loadSharingRules } = require('../config/sharingPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ConsentPolicyEngine {
+  constructor() {
+    this.config = {
+      // Timezone for time-of-day windows that do not name one
+      timezone: process.env.SHARING_POLICY_TIMEZONE || 'UTC'
+    };
+
+    this.rules = loadSharingRules();
+  }
+
+  /**
+   * Decide whether a disclosure is permitted
+   * Every data type must be covered by a consent that permits the purpose and the
+   * sensitivity labels, and no sharing rule may deny it.
+   * @param {Object} request - Disclosure being decided
+   * @param {string} request.patientId - Patient ID
+   * @param {string} request.requestingHospitalId - ID of hospital receiving the data
+   * @param {string} request.consentingHospitalId - ID of hospital holding the data (any if omitted)
+   * @param {Array<string>} request.dataTypes - Requested data or record types
+   * @param {string} request.purpose - Purpose of use
+   * @param {string} request.role - Role of the requesting user
+   * @param {Array<string>} request.sensitivityLabels - Sensitivity labels the data carries
+   * @param {Date} request.at - Time of the disclosure (defaults to now)
+   * @returns {Promise<Object>} - { permitted, decision, purpose, reasons, consents, evaluatedAt };
+   *                              unrecognized purposes are denied with reason 'unknown_purpose'
+   */
+  async evaluate({ patientId, requestingHospitalId, consentingHospitalId = null, dataTypes, purpose, role = null, sensitivityLabels = [], at = new Date() }) {
+    try {
+      const normalizedPurpose = normalizePurpose(purpose);
+
+      // Consents and rules are written against known purposes, so no other purpose can be permitted
+      if (!normalizedPurpose) {
+        return {
+          permitted: false,
+          decision: 'deny',
+          purpose: null,
+          reasons: [{
+            effect: 'deny',
+            code: 'unknown_purpose',
+            message: `${purpose ? `Purpose ${purpose} is` : 'No purpose was'} not a recognized purpose of use`
+          }],
+          consents: [],
+          evaluatedAt: at.toISOString()
+        };
+      }
+
+      const consents = await consentService.getMatchingConsents(patientId, requestingHospitalId, consentingHospitalId);
+      const reasons = [];
+      const relied = new Set();
+
+      for (const dataType of dataTypes) {
+        const consent = this.findPermittingConsent(consents, dataType, normalizedPurpose, sensitivityLabels, reasons);
+        if (consent) {
+          relied.add(consent);
+        }
+
+        for (const rule of this.getDenyingRules({
+          dataType,
+          purpose: normalizedPurpose,
+          role,
+          requestingHospitalId,
+          sensitivityLabels,
+          at
+        })) {
+          reasons.push({
+            effect: 'deny',
+            code: 'rule_denied',
+            dataType,
+            ruleId: rule.id,
+            message: rule.description
+          });
+        }
+      }
+
+      const permitted = reasons.every(reason => reason.effect === 'permit');
+
+      return {
+        permitted,
+        decision: permitted ? 'permit' : 'deny',
+        purpose: normalizedPurpose,
+        reasons,
+        consents: permitted ? Array.from(relied) : [],
+        evaluatedAt: at.toISOString()
+      };
+    } catch (error) {
+      console.error('Error evaluating consent policy:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a consent that permits one data type, recording why it was or was not found
+   * @param {Array<Object>} consents - Consents in effect
+   * @param {string} dataType - Data type
+   * @param {string|null} purpose - Normalized purpose of use
+   * @param {Array<string>} sensitivityLabels - Labels the data carries
+   * @param {Array<Object>} reasons - Reasons to append to
+   * @returns {Object|null} - Permitting consent, or null
+   */
+  findPermittingConsent(consents, dataType, purpose, sensitivityLabels, reasons) {
+    const covering = consents.filter(consent => consentService.coversDataType(consent, dataType));
+    if (covering.length === 0) {
+      reasons.push({
+        effect: 'deny',
+        code: 'no_consent',
+        dataType,
+        message: `No active consent covers ${dataType}`
+      });
+      return null;
+    }
+
+    const forPurpose = covering.filter(consent => this.consentPermitsPurpose(consent, purpose));
+    if (forPurpose.length === 0) {
+      reasons.push({
+        effect: 'deny',
+        code: 'purpose_not_consented',
+        dataType,
+        consentIds: covering.map(consent => consent.id),
+        message: `No consent for ${dataType} permits the purpose ${purpose}`
+      });
+      return null;
+    }
+
+    const consent = forPurpose.find(candidate => consentService.permitsSensitivityLabels(candidate, sensitivityLabels));
+    if (!consent) {
+      reasons.push({
+        effect: 'deny',
+        code: 'sensitivity_label_withheld',
+        dataType,
+        consentIds: forPurpose.map(candidate => candidate.id),
+        message: `No consent for ${dataType} releases data labeled ${sensitivityLabels.join(', ')}`
+      });
+      return null;
+    }
+
+    reasons.push({
+      effect: 'permit',
+      code: 'consent_permits',
+      dataType,
+      consentId: consent.id,
+      message: `Consent ${consent.id} permits ${dataType}`
+    });
+    return consent;
+  }
+
+  /**
+   * Check whether a consent allows a purpose of use
+   * Research needs a research consent; a consent naming a purpose allows that purpose
+   * (treatment also covering emergency care and care coordination); a consent without
+   * a purpose allows any known purpose other than research. A consent naming a purpose
+   * that is not recognized allows nothing, since what the patient agreed to is unknown.
+   * @param {Object} consent - Consent record
+   * @param {string|null} purpose - Normalized purpose of use
+   * @returns {boolean} - True if the purpose is allowed
+   */
+  consentPermitsPurpose(consent, purpose) {
+    if (!purpose) {
+      return false;
+    }
+
+    if (consent.consent_type === 'research_use') {
+      return purpose === 'research';
+    }
+
+    if (consent.purpose === null || consent.purpose === undefined) {
+      return purpose !== 'research';
+    }
+
+    const consentPurpose = normalizePurpose(consent.purpose);
+
+    if (!consentPurpose) {
+      return false;
+    }
+
+    if (consentPurpose === 'treatment') {
+      return TREATMENT_PURPOSES.includes(purpose);
+    }
+
+    return consentPurpose === purpose;
+  }
+
+  /**
+   * Get the sharing rules that deny a disclosure
+   * @param {Object} context - Disclosure context (dataType, purpose, role, requestingHospitalId,
+   *                           sensitivityLabels, at, and recordDate for a single record)
+   * @returns {Array<Object>} - Denying rules
+   */
+  getDenyingRules(context) {
+    return this.rules.filter(rule =>
+      this.matchesConditions(rule.match || {}, context) &&
+      !(rule.unless && this.matchesConditions(rule.unless, context))
+    );
+  }
+
+  /**
+   * Check whether every condition holds for a disclosure
+   * Record-age conditions cannot hold until a record's date is known.
+   * @param {Object} conditions - Rule conditions
+   * @param {Object} context - Disclosure context
+   * @returns {boolean} - True if all conditions hold
+   */
+  matchesConditions(conditions, context) {
+    const { purposes, roles, dataTypes, requestingHospitals, sensitivityLabels, timeWindow, recordAgeDays } = conditions;
+
+    if (purposes && !purposes.includes(context.purpose)) {
+      return false;
+    }
+
+    if (roles && !roles.includes(context.role)) {
+      return false;
+    }
+
+    if (dataTypes && !dataTypes.includes(context.dataType)) {
+      return false;
+    }
+
+    if (requestingHospitals && !requestingHospitals.includes(context.requestingHospitalId)) {
+      return false;
+    }
+
+    if (sensitivityLabels && !(context.sensitivityLabels || []).some(label => sensitivityLabels.includes(label))) {
+      return false;
+    }
+
+    if (timeWindow && !this.isWithinTimeWindow(timeWindow, context.at || new Date())) {
+      return false;
+    }
+
+    if (recordAgeDays) {
+      if (!context.recordDate) {
+        return false;
+      }
+
+      const age = ((context.at || new Date()) - new Date(context.recordDate)) / DAY_MS;
+      if ((recordAgeDays.min !== undefined && age < recordAgeDays.min) ||
+          (recordAgeDays.max !== undefined && age > recordAgeDays.max)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a moment falls inside a time-of-day window
+   * Windows whose end is before their start run past midnight.
+   * @param {Object} timeWindow - { start: 'HH:MM', end: 'HH:MM', days: [0-6], timezone }
+   * @param {Date} at - Moment to check
+   * @returns {boolean} - True if inside the window
+   */
+  isWithinTimeWindow({ start, end, days, timezone }, at) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone || this.config.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at);
+    const part = type => parts.find(candidate => candidate.type === type).value;
+
+    const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'));
+    const minutes = parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10);
+    const toMinutes = time => {
+      const [hours, mins] = time.split(':').map(Number);
+      return hours * 60 + mins;
+    };
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+
+    if (startMinutes <= endMinutes) {
+      return (!days || days.includes(weekday)) && minutes >= startMinutes && minutes < endMinutes;
+    }
+
+    // Overnight window: the early-morning part belongs to the previous day's window
+    if (minutes >= startMinutes) {
+      return !days || days.includes(weekday);
+    }
+    return minutes < endMinutes && (!days || days.includes((weekday + 6) % 7));
+  }
+
+  /**
+   * Split records of one type into those that may be released and those withheld
+   * Applies the consents' sensitivity provisions, then the sharing rules to each record
+   * @param {Array<Object>} consents - Consents the disclosure relies on
+   * @param {string} recordType - Record type
+   * @param {Array<Object>} records - Records, each with optional sensitivity labels and dates
+   * @param {Object} context - Disclosure context (purpose, role, requestingHospitalId)
+   * @returns {Object} - Released and withheld records
+   */
+  filterRecords(consents, recordType, records, context) {
+    const { released, withheld } = consentService.filterRecordsByConsent(consents, recordType, records);
+    const at = new Date();
+    const permitted = [];
+
+    for (const record of released) {
+      const denied = this.getDenyingRules({
+        ...context,
+        purpose: normalizePurpose(context.purpose),
+        dataType: recordType,
+        sensitivityLabels: record.sensitivityLabels || record.sensitivity_labels || [],
+        recordDate: record.recordDate || record.record_date || record.startDate || record.start_date ||
+          record.createdAt || record.created_at,
+        at
+      });
+
+      if (denied.length > 0) {
+        withheld.push(record);
+      } else {
+        permitted.push(record);
+      }
+    }
+
+    return { released: permitted, withheld };
+  }
+}
+
+module.exports = new ConsentPolicyEngine();
@@ -0,0 +1,479 @@
+/**
+ * Consent Revocation Service
+ * Propagates consent revocations to the hospitals that received access under them,
+ * and handles revocation notices and acknowledgements from other hospitals
+ */
+
+const db = require('../database/connection');
+const config = require('../config/config');
+const crossHospitalService = require('./CrossHospitalService');
+const messageBrokerService = require('./MessageBrokerService');
+const auditService = require('./AuditService');
+
+// Columns that may be used to sort the notice report
+const SORTABLE_COLUMNS = ['created_at', 'next_attempt_at', 'acknowledged_at', 'attempts', 'status'];
+
+class ConsentRevocationService {
+  constructor() {
+    this.config = {
+      localHospitalId: config.hospitalId,
+      retryInterval: parseInt(process.env.CONSENT_REVOCATION_RETRY_INTERVAL || '60000', 10), // 1 minute
+      maxRetryInterval: parseInt(process.env.CONSENT_REVOCATION_MAX_RETRY_INTERVAL || '3600000', 10), // 1 hour
+      maxAttempts: parseInt(process.env.CONSENT_REVOCATION_MAX_ATTEMPTS || '8', 10)
+    };
+
+    this.db = db;
+
+    this.retryTimer = null;
+    this.processing = false;
+    this.subscriptionIds = [];
+  }
+
+  /**
+   * Subscribe to revocation traffic for this hospital and start retrying unacknowledged notices
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.subscriptionIds.push(
+      await messageBrokerService.subscribe(
+        this.noticeTopic(this.config.localHospitalId),
+        message => this.handleRevocationNotice(message)
+      ),
+      await messageBrokerService.subscribe(
+        this.acknowledgementTopic(this.config.localHospitalId),
+        message => this.handleAcknowledgement(message)
+      )
+    );
+
+    if (this.retryTimer) {
+      clearInterval(this.retryTimer);
+    }
+
+    this.retryTimer = setInterval(
+      () => this.processPendingNotices().catch(() => {}),
+      this.config.retryInterval
+    );
+    this.retryTimer.unref();
+
+    console.log(`Consent revocation propagation started with ${this.config.retryInterval}ms retry interval`);
+  }
+
+  /**
+   * Stop retrying notices and unsubscribe from revocation traffic
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.retryTimer) {
+      clearInterval(this.retryTimer);
+      this.retryTimer = null;
+    }
+
+    for (const subscriptionId of this.subscriptionIds) {
+      await messageBrokerService.unsubscribe(subscriptionId).catch(console.error);
+    }
+    this.subscriptionIds = [];
+  }
+
+  /**
+   * Topic on which a hospital receives revocation notices
+   * @param {string} hospitalId - Receiving hospital ID
+   * @returns {string} - Topic name
+   */
+  noticeTopic(hospitalId) {
+    return `consent.revocation.${hospitalId}`;
+  }
+
+  /**
+   * Topic on which a hospital receives acknowledgements of its notices
+   * @param {string} hospitalId - Hospital that sent the notices
+   * @returns {string} - Topic name
+   */
+  acknowledgementTopic(hospitalId) {
+    return `consent.revocation_ack.${hospitalId}`;
+  }
+
+  /**
+   * Queue the revocation notice for a consent's receiving hospital
+   * Called in the transaction that revokes the consent, so the notice is stored if and only
+   * if the revocation is; the retry timer delivers it even if this process stops first.
+   * @param {Object} client - Client of the revoking transaction
+   * @param {Object} consent - Revoked consent record
+   * @returns {Promise<Array>} - Notices queued
+   */
+  async queueRevocationNotices(client, consent) {
+    try {
+      // Tokens are only issued to the consent's target hospital, so it is the one affected
+      const result = await client.query(
+        `INSERT INTO consent_revocation_notices (consent_id, patient_id, target_hospital_id, reason)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [consent.id, consent.patient_id, consent.target_hospital_id, consent.revocation_reason || null]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error queueing consent revocation notices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke local tokens for a revoked consent and send its queued notices
+   * @param {Object} consent - Revoked consent record
+   * @param {Array} notices - Notices queued with the revocation
+   * @returns {Promise<Array>} - Notices sent or left pending
+   */
+  async broadcastRevocation(consent, notices) {
+    try {
+      const revokedTokens = await crossHospitalService.revokeTokensByConsent(consent.id, 'consent_revoked');
+
+      await auditService.logConsentEvent({
+        eventType: 'consent_revocation_broadcast',
+        status: 'success',
+        consentId: consent.id,
+        patientId: consent.patient_id,
+        hospitalId: consent.consenting_hospital_id,
+        targetHospitalId: consent.target_hospital_id,
+        action: 'notify',
+        details: {
+          noticeIds: notices.map(notice => notice.notice_id),
+          revokedTokens
+        }
+      });
+
+      // Deliver now; anything that fails stays pending for the retry timer
+      await this.processPendingNotices().catch(() => {});
+
+      return notices;
+    } catch (error) {
+      console.error('Error broadcasting consent revocation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send every notice that is due, and mark notices that ran out of attempts as failed
+   * @returns {Promise<Object>} - Counts of notices sent and failed
+   */
+  async processPendingNotices() {
+    // Skip if the previous run is still in progress
+    if (this.processing) {
+      return { sent: 0, failed: 0, skipped: true };
+    }
+
+    this.processing = true;
+
+    try {
+      const failed = await this.db.query(
+        `UPDATE consent_revocation_notices
+         SET status = 'failed'
+         WHERE status = 'pending'
+           AND attempts >= $1
+           AND next_attempt_at <= CURRENT_TIMESTAMP
+         RETURNING *`,
+        [this.config.maxAttempts]
+      );
+
+      for (const notice of failed.rows) {
+        await this.reportFailedNotice(notice);
+      }
+
+      // Claim due notices and schedule their next attempt with exponential backoff
+      const due = await this.db.query(
+        `UPDATE consent_revocation_notices
+         SET attempts = attempts + 1,
+             last_attempt_at = CURRENT_TIMESTAMP,
+             next_attempt_at = CURRENT_TIMESTAMP + LEAST($1 * POWER(2, attempts), $2) * INTERVAL '1 millisecond'
+         WHERE notice_id IN (
+           SELECT notice_id FROM consent_revocation_notices
+           WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+           ORDER BY next_attempt_at
+           LIMIT 100
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [this.config.retryInterval, this.config.maxRetryInterval]
+      );
+
+      let sent = 0;
+
+      for (const notice of due.rows) {
+        try {
+          await this.sendNotice(notice);
+          sent++;
+        } catch (error) {
+          console.error(`Error sending revocation notice ${notice.notice_id}:`, error);
+
+          await this.db.query(
+            'UPDATE consent_revocation_notices SET last_error = $2 WHERE notice_id = $1',
+            [notice.notice_id, error.message]
+          );
+        }
+      }
+
+      return { sent, failed: failed.rows.length };
+    } catch (error) {
+      console.error('Error processing consent revocation notices:', error);
+      throw error;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Publish a signed revocation notice to its receiving hospital
+   * @param {Object} notice - consent_revocation_notices row
+   * @returns {Promise<void>}
+   */
+  async sendNotice(notice) {
+    const signedNotice = await crossHospitalService.signRequest({
+      type: 'consent_revocation',
+      noticeId: notice.notice_id,
+      consentId: notice.consent_id,
+      originHospitalId: this.config.localHospitalId,
+      targetHospitalId: notice.target_hospital_id,
+      reason: notice.reason,
+      attempt: notice.attempts,
+      timestamp: new Date().toISOString()
+    });
+
+    await messageBrokerService.publish(this.noticeTopic(notice.target_hospital_id), signedNotice);
+  }
+
+  /**
+   * Record that a notice was never acknowledged
+   * @param {Object} notice - consent_revocation_notices row
+   * @returns {Promise<void>}
+   */
+  async reportFailedNotice(notice) {
+    console.warn(`Consent revocation notice ${notice.notice_id} to hospital ${notice.target_hospital_id} was not acknowledged after ${notice.attempts} attempts`);
+
+    await auditService.logSecurityEvent({
+      eventType: 'consent_revocation_unacknowledged',
+      status: 'failure',
+      severity: 'error',
+      hospitalId: this.config.localHospitalId,
+      details: {
+        noticeId: notice.notice_id,
+        consentId: notice.consent_id,
+        targetHospitalId: notice.target_hospital_id,
+        attempts: notice.attempts,
+        lastError: notice.last_error
+      }
+    });
+  }
+
+  /**
+   * Handle a revocation notice from the hospital that holds the patient's data
+   * @param {Object} message - Signed notice
+   * @returns {Promise<Object|null>} - Acknowledgement sent, or null if the notice was rejected
+   */
+  async handleRevocationNotice(message) {
+    const notice = await crossHospitalService.verifyRequest(message, 'originHospitalId');
+
+    if (!notice || notice.type !== 'consent_revocation') {
+      await auditService.logSecurityEvent({
+        eventType: 'consent_revocation_rejected',
+        status: 'failure',
+        hospitalId: this.config.localHospitalId,
+        details: {
+          reason: 'Invalid signature',
+          noticeId: message && message.payload ? message.payload.noticeId : undefined
+        }
+      });
+      return null;
+    }
+
+    if (notice.targetHospitalId !== this.config.localHospitalId) {
+      return null;
+    }
+
+    // Repeated notices are answered again, since the previous acknowledgement may have been lost
+    const invalidated = await crossHospitalService.invalidateReceivedGrants(notice.consentId, notice.originHospitalId);
+
+    await auditService.logConsentEvent({
+      eventType: 'consent_revocation_received',
+      status: 'success',
+      consentId: notice.consentId,
+      hospitalId: this.config.localHospitalId,
+      targetHospitalId: notice.originHospitalId,
+      action: 'invalidate',
+      details: {
+        noticeId: notice.noticeId,
+        reason: notice.reason,
+        ...invalidated
+      }
+    });
+
+    const acknowledgement = {
+      type: 'consent_revocation_ack',
+      noticeId: notice.noticeId,
+      consentId: notice.consentId,
+      hospitalId: this.config.localHospitalId,
+      invalidatedTokens: invalidated.invalidatedTokens,
+      purgedRecords: invalidated.purgedRecords,
+      timestamp: new Date().toISOString()
+    };
+
+    await messageBrokerService.publish(
+      this.acknowledgementTopic(notice.originHospitalId),
+      await crossHospitalService.signRequest(acknowledgement)
+    );
+
+    return acknowledgement;
+  }
+
+  /**
+   * Handle an acknowledgement of one of this hospital's revocation notices
+   * @param {Object} message - Signed acknowledgement
+   * @returns {Promise<Object|null>} - Updated notice, or null if nothing matched
+   */
+  async handleAcknowledgement(message) {
+    const acknowledgement = await crossHospitalService.verifyRequest(message, 'hospitalId');
+
+    if (!acknowledgement || acknowledgement.type !== 'consent_revocation_ack') {
+      await auditService.logSecurityEvent({
+        eventType: 'consent_revocation_ack_rejected',
+        status: 'failure',
+        hospitalId: this.config.localHospitalId,
+        details: {
+          reason: 'Invalid signature'
+        }
+      });
+      return null;
+    }
+
+    // Only the hospital a notice was sent to can acknowledge it; late acknowledgements clear failures
+    const result = await this.db.query(
+      `UPDATE consent_revocation_notices
+       SET status = 'acknowledged',
+           acknowledged_at = CURRENT_TIMESTAMP,
+           acknowledgement = $3
+       WHERE notice_id = $1 AND target_hospital_id = $2 AND status <> 'acknowledged'
+       RETURNING *`,
+      [
+        acknowledgement.noticeId,
+        acknowledgement.hospitalId,
+        JSON.stringify({
+          invalidatedTokens: acknowledgement.invalidatedTokens,
+          purgedRecords: acknowledgement.purgedRecords,
+          timestamp: acknowledgement.timestamp
+        })
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const notice = result.rows[0];
+
+    await auditService.logConsentEvent({
+      eventType: 'consent_revocation_acknowledged',
+      status: 'success',
+      consentId: notice.consent_id,
+      patientId: notice.patient_id,
+      hospitalId: this.config.localHospitalId,
+      targetHospitalId: notice.target_hospital_id,
+      action: 'acknowledge',
+      details: {
+        noticeId: notice.notice_id,
+        attempts: notice.attempts,
+        invalidatedTokens: acknowledgement.invalidatedTokens,
+        purgedRecords: acknowledgement.purgedRecords
+      }
+    });
+
+    return notice;
+  }
+
+  /**
+   * Get revocation notices for reporting
+   * @param {Object} filters - Filters and pagination
+   * @returns {Promise<Object>} - Notices and pagination info
+   */
+  async getNotices({ status, consentId, targetHospitalId, page = 1, limit = 20, sortBy = 'created_at', sortOrder = 'desc' } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+      }
+
+      if (consentId) {
+        params.push(consentId);
+        conditions.push(`consent_id = $${params.length}`);
+      }
+
+      if (targetHospitalId) {
+        params.push(targetHospitalId);
+        conditions.push(`target_hospital_id = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const column = SORTABLE_COLUMNS.includes(sortBy) ? sortBy : 'created_at';
+      const order = sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) AS total FROM consent_revocation_notices ${where}`,
+        params
+      );
+      const total = parseInt(countResult.rows[0].total, 10);
+
+      const result = await this.db.query(
+        `SELECT * FROM consent_revocation_notices ${where}
+         ORDER BY ${column} ${order}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      return {
+        data: result.rows,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting consent revocation notices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put a failed notice back in the queue and send it now
+   * @param {string} noticeId - Notice ID
+   * @returns {Promise<Object|null>} - Notice, or null if no failed notice matched
+   */
+  async retryNotice(noticeId) {
+    try {
+      const result = await this.db.query(
+        `UPDATE consent_revocation_notices
+         SET status = 'pending',
+             attempts = 0,
+             next_attempt_at = CURRENT_TIMESTAMP,
+             last_error = NULL
+         WHERE notice_id = $1 AND status = 'failed'
+         RETURNING *`,
+        [noticeId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await this.processPendingNotices().catch(() => {});
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error retrying consent revocation notice:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ConsentRevocationService();
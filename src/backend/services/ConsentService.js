@@ -3,58 +3,119 @@
  * Manages patient consent for data sharing between hospitals
  */
 
-const { v4: uuidv4 } = require('uuid');
-const config = require('../config/config');
+const db = require('../database/connection');
 const AuditService = require('./AuditService');
+const ConsentVersionService = require('./ConsentVersionService');
+const { SENSITIVITY_LABELS, normalizeSensitivityLabels } = require('../config/sensitivityLabels');
+
+// Consent types that cover every data type unless specific_data_types narrows them
+const BROAD_CONSENT_TYPES = ['full_access', 'read_only', 'emergency_access', 'research_use'];
+
+// Columns that consent lists may be sorted by
+const SORTABLE_COLUMNS = ['created_at', 'updated_at', 'start_date', 'end_date', 'status', 'consent_type'];
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+function consentError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
 
 /**
  * Consent Service class for managing patient consent
  */
 class ConsentService {
   constructor() {
-    // This would be replaced with actual database models in a real implementation
-    this.consents = [];
+    // Consents live in the patient_consents table; connections are opened lazily
+    this.db = db;
   }
 
   /**
    * Create a new patient consent record
    * @param {Object} consentData - Consent data
    * @param {string} consentData.patient_id - Patient ID
-   * @param {string} consentData.granting_hospital_id - ID of hospital granting access
-   * @param {string} consentData.receiving_hospital_id - ID of hospital receiving access
-   * @param {Array} consentData.data_types - Types of data consented for sharing
+   * @param {string} consentData.consenting_hospital_id - ID of hospital holding the data
+   * @param {string} consentData.target_hospital_id - ID of hospital receiving access
+   * @param {string} consentData.consent_type - Consent type
+   * @param {Array} consentData.specific_data_types - Types of data consented for sharing (all types if omitted)
+   * @param {Array} consentData.included_sensitivity_labels - Sensitive categories released by this consent
+   * @param {Array} consentData.excluded_sensitivity_labels - Sensitive categories withheld by this consent
+   * @param {Date} consentData.start_date - Start of consent (defaults to now)
+   * @param {Date} consentData.end_date - End of consent (indefinite if omitted)
    * @param {string} consentData.purpose - Purpose of data sharing
-   * @param {Date} consentData.expiry_date - Expiry date of consent
-   * @param {string} consentData.granted_by_user_id - ID of user who granted consent
+   * @param {string} consentData.created_by - ID of user who recorded the consent
+   * @param {Object} consentData.acting_relationship - Relationship under which a representative granted the consent
    * @returns {Object} Created consent record
    */
   async createConsent(consentData) {
     try {
-      // Validate consent data
-      this.validateConsentData(consentData);
-      
-      // Create consent record
-      const consent = {
-        id: uuidv4(),
-        ...consentData,
-        status: 'active',
-        created_at: new Date(),
-        updated_at: new Date()
+      const data = {
+        start_date: new Date(),
+        ...consentData
       };
       
-      // In a real implementation, this would insert into the database
-      this.consents.push(consent);
+      // Validate consent data
+      this.validateConsentData(data);
+      
+      // The consent and its first version, with a generated consent form, are written together
+      const consent = await this.withTransaction(async client => {
+        const result = await client.query(
+          `INSERT INTO patient_consents (
+            patient_id, consenting_hospital_id, target_hospital_id, consent_type,
+            specific_data_types, start_date, end_date, purpose, notes, witness_name,
+            status, created_by, included_sensitivity_labels, excluded_sensitivity_labels, current_version
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'active', $11, $12, $13, 1)
+          RETURNING *`,
+          [
+            data.patient_id,
+            data.consenting_hospital_id,
+            data.target_hospital_id,
+            data.consent_type,
+            data.specific_data_types ? JSON.stringify(data.specific_data_types) : null,
+            data.start_date,
+            data.end_date || null,
+            data.purpose || null,
+            data.notes || null,
+            data.witness_name || null,
+            data.created_by || null,
+            JSON.stringify(normalizeSensitivityLabels(data.included_sensitivity_labels)),
+            JSON.stringify(normalizeSensitivityLabels(data.excluded_sensitivity_labels))
+          ]
+        );
+        
+        return this.formatConsent(await ConsentVersionService.createVersion(client, this.formatConsent(result.rows[0]), {
+          changeType: 'created',
+          changedBy: data.created_by || null,
+          actingRelationshipId: data.acting_relationship ? data.acting_relationship.id : null
+        }));
+      });
       
       // Log consent creation
-      AuditService.logPatientConsentEvent({
-        event_type: 'consent_created',
-        patient_id: consent.patient_id,
-        granting_hospital_id: consent.granting_hospital_id,
-        receiving_hospital_id: consent.receiving_hospital_id,
-        data_types: consent.data_types,
-        purpose: consent.purpose,
-        expiry_date: consent.expiry_date,
-        granted_by_user_id: consent.granted_by_user_id
+      await AuditService.logConsentEvent({
+        eventType: 'consent_created',
+        status: 'success',
+        consentId: consent.id,
+        patientId: consent.patient_id,
+        userId: consent.created_by,
+        hospitalId: consent.consenting_hospital_id,
+        targetHospitalId: consent.target_hospital_id,
+        consentType: consent.consent_type,
+        action: 'grant',
+        expiresAt: consent.end_date,
+        details: {
+          version: consent.current_version,
+          dataTypes: consent.specific_data_types,
+          includedSensitivityLabels: consent.included_sensitivity_labels,
+          excludedSensitivityLabels: consent.excluded_sensitivity_labels,
+          purpose: consent.purpose,
+          startDate: consent.start_date,
+          ...this.representativeDetails(data.acting_relationship)
+        }
       });
       
       return consent;
@@ -71,24 +132,98 @@ class ConsentService {
    */
   async getConsentById(consentId) {
     try {
-      // In a real implementation, this would query the database
-      const consent = this.consents.find(c => c.id === consentId);
-      return consent || null;
+      const result = await this.db.query(
+        'SELECT * FROM patient_consents WHERE consent_id = $1',
+        [consentId]
+      );
+      
+      return result.rows.length > 0 ? this.formatConsent(result.rows[0]) : null;
     } catch (error) {
       console.error('Error getting consent by ID:', error);
       throw error;
     }
   }
 
+  /**
+   * Get consents with pagination and filtering
+   * @param {Object} options - Query options
+   * @param {string} options.patientId - Patient ID
+   * @param {string} options.hospitalId - Hospital on either side of the consent
+   * @param {string} options.consentType - Consent type
+   * @param {string|Array<string>} options.status - Consent status(es)
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Items per page
+   * @param {string} options.sortBy - Field to sort by
+   * @param {string} options.sortOrder - Sort order (asc/desc)
+   * @returns {Object} Paginated consents
+   */
+  async getConsents({ patientId, hospitalId, consentType, status, page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+      
+      if (patientId) {
+        params.push(patientId);
+        conditions.push(`patient_id = $${params.length}`);
+      }
+      
+      if (hospitalId) {
+        params.push(hospitalId);
+        conditions.push(`(consenting_hospital_id = $${params.length} OR target_hospital_id = $${params.length})`);
+      }
+      
+      if (consentType) {
+        params.push(consentType);
+        conditions.push(`consent_type = $${params.length}`);
+      }
+      
+      if (status) {
+        params.push(Array.isArray(status) ? status : [status]);
+        conditions.push(`status = ANY($${params.length})`);
+      }
+      
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const orderBy = SORTABLE_COLUMNS.includes(sortBy) ? sortBy : 'created_at';
+      const direction = String(sortOrder).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+      
+      const countResult = await this.db.query(`SELECT COUNT(*) FROM patient_consents ${where}`, params);
+      const total = parseInt(countResult.rows[0].count, 10);
+      
+      const result = await this.db.query(
+        `SELECT * FROM patient_consents ${where}
+         ORDER BY ${orderBy} ${direction}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      );
+      
+      return {
+        data: result.rows.map(row => this.formatConsent(row)),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting consents:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get consent records for a patient
    * @param {string} patientId - Patient ID
    * @returns {Array} Consent records
    */
-  async getConsentsForPatient(patientId) {
+  async getConsentsByPatient(patientId) {
     try {
-      // In a real implementation, this would query the database
-      return this.consents.filter(c => c.patient_id === patientId);
+      const result = await this.db.query(
+        'SELECT * FROM patient_consents WHERE patient_id = $1 ORDER BY created_at DESC',
+        [patientId]
+      );
+      
+      return result.rows.map(row => this.formatConsent(row));
     } catch (error) {
       console.error('Error getting consents for patient:', error);
       throw error;
@@ -97,17 +232,23 @@ class ConsentService {
 
   /**
    * Get active consent records for a patient
+   * A consent is in effect while it is active and the current time is within its period
    * @param {string} patientId - Patient ID
    * @returns {Array} Active consent records
    */
-  async getActiveConsentsForPatient(patientId) {
+  async getActiveConsentsByPatient(patientId) {
     try {
-      // In a real implementation, this would query the database
-      return this.consents.filter(c => {
-        return c.patient_id === patientId && 
-               c.status === 'active' && 
-               new Date(c.expiry_date) > new Date();
-      });
+      const result = await this.db.query(
+        `SELECT * FROM patient_consents
+         WHERE patient_id = $1
+           AND status = 'active'
+           AND start_date <= CURRENT_TIMESTAMP
+           AND (end_date IS NULL OR end_date > CURRENT_TIMESTAMP)
+         ORDER BY created_at DESC`,
+        [patientId]
+      );
+      
+      return result.rows.map(row => this.formatConsent(row));
     } catch (error) {
       console.error('Error getting active consents for patient:', error);
       throw error;
@@ -116,63 +257,203 @@ class ConsentService {
 
   /**
    * Check if consent exists for a specific data sharing scenario
+   * Delegates to the consent policy engine, so hospital sharing rules apply as well
    * @param {string} patientId - Patient ID
-   * @param {string} grantingHospitalId - ID of hospital granting access
-   * @param {string} receivingHospitalId - ID of hospital receiving access
+   * @param {string} targetHospitalId - ID of hospital receiving access
    * @param {string} dataType - Type of data to check consent for
-   * @returns {boolean} True if consent exists
+   * @param {string} consentingHospitalId - ID of hospital holding the data (any if omitted)
+   * @param {Array<string>} sensitivityLabels - Sensitivity labels the data carries
+   * @param {string} purpose - Purpose of use
+   * @returns {boolean} True if the disclosure is permitted
    */
-  async checkConsent(patientId, grantingHospitalId, receivingHospitalId, dataType) {
+  async checkConsent(patientId, targetHospitalId, dataType, consentingHospitalId = null, sensitivityLabels = [], purpose = 'treatment') {
     try {
-      // Get active consents for patient
-      const activeConsents = await this.getActiveConsentsForPatient(patientId);
-      
-      // Check if any consent matches the criteria
-      return activeConsents.some(consent => {
-        return consent.granting_hospital_id === grantingHospitalId &&
-               consent.receiving_hospital_id === receivingHospitalId &&
-               consent.data_types.includes(dataType);
+      // Required lazily as the policy engine depends on this service
+      const consentPolicyEngine = require('./ConsentPolicyEngine');
+      const decision = await consentPolicyEngine.evaluate({
+        patientId,
+        requestingHospitalId: targetHospitalId,
+        consentingHospitalId,
+        dataTypes: [dataType],
+        purpose,
+        sensitivityLabels
       });
+      
+      return decision.permitted;
     } catch (error) {
       console.error('Error checking consent:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the consents in effect between a patient's data holder and a target hospital
+   * @param {string} patientId - Patient ID
+   * @param {string} targetHospitalId - ID of hospital receiving access
+   * @param {string} consentingHospitalId - ID of hospital holding the data (any if omitted)
+   * @returns {Array} Consent records
+   */
+  async getMatchingConsents(patientId, targetHospitalId, consentingHospitalId = null) {
+    const params = [patientId, targetHospitalId];
+    let query = `SELECT * FROM patient_consents
+      WHERE patient_id = $1
+        AND target_hospital_id = $2
+        AND status = 'active'
+        AND start_date <= CURRENT_TIMESTAMP
+        AND (end_date IS NULL OR end_date > CURRENT_TIMESTAMP)`;
+    
+    if (consentingHospitalId) {
+      params.push(consentingHospitalId);
+      query += ' AND consenting_hospital_id = $3';
+    }
+    
+    const result = await this.db.query(query, params);
+    return result.rows.map(row => this.formatConsent(row));
+  }
+
+  /**
+   * Check whether a consent covers a data type
+   * @param {Object} consent - Consent record
+   * @param {string} dataType - Data type
+   * @returns {boolean} True if covered
+   */
+  coversDataType(consent, dataType) {
+    if (Array.isArray(consent.specific_data_types)) {
+      return consent.specific_data_types.includes(dataType);
+    }
+    
+    // Specific-data consents without a list cover nothing
+    return BROAD_CONSENT_TYPES.includes(consent.consent_type);
+  }
+
+  /**
+   * Check whether a consent allows release of a record carrying the given sensitivity labels
+   * Excluded labels are always withheld; labels that require explicit consent must be included
+   * @param {Object} consent - Consent record
+   * @param {Array<string>} labels - Sensitivity labels on the record
+   * @returns {boolean} True if the record may be released
+   */
+  permitsSensitivityLabels(consent, labels = []) {
+    const included = consent.included_sensitivity_labels || [];
+    const excluded = consent.excluded_sensitivity_labels || [];
+    
+    return labels.every(label => {
+      if (excluded.includes(label)) {
+        return false;
+      }
+      
+      // Unknown labels are treated as needing explicit consent
+      const definition = SENSITIVITY_LABELS[label];
+      return included.includes(label) || (definition ? !definition.requiresExplicitConsent : false);
+    });
+  }
+
+  /**
+   * Split records of one type into those the consents release and those they withhold
+   * A record is released when any consent covering its type permits all of its labels
+   * @param {Array<Object>} consents - Consent records backing the disclosure
+   * @param {string} recordType - Record type
+   * @param {Array<Object>} records - Records, each with optional sensitivity labels
+   * @returns {Object} Released and withheld records
+   */
+  filterRecordsByConsent(consents, recordType, records = []) {
+    const applicable = consents.filter(consent => this.coversDataType(consent, recordType));
+    const released = [];
+    const withheld = [];
+    
+    for (const record of records) {
+      const labels = record.sensitivityLabels || record.sensitivity_labels || [];
+      
+      if (applicable.some(consent => this.permitsSensitivityLabels(consent, labels))) {
+        released.push(record);
+      } else {
+        withheld.push(record);
+      }
+    }
+    
+    return { released, withheld };
+  }
+
   /**
    * Revoke a consent record
    * @param {string} consentId - Consent ID
-   * @param {string} revokedByUserId - ID of user revoking consent
+   * @param {Object} revokeData - Revocation details
+   * @param {string} revokeData.revoked_by - ID of user revoking consent
+   * @param {string} revokeData.revocation_reason - Reason for revocation
+   * @param {Object} revokeData.acting_relationship - Relationship under which a representative revoked the consent
    * @returns {Object} Updated consent record
    */
-  async revokeConsent(consentId, revokedByUserId) {
+  async revokeConsent(consentId, revokeData = {}) {
     try {
-      // Find consent index
-      const consentIndex = this.consents.findIndex(c => c.id === consentId);
-      if (consentIndex === -1) {
-        throw new Error('Consent not found');
-      }
+      // Required lazily as the revocation service depends on this service
+      const consentRevocationService = require('./ConsentRevocationService');
       
-      // Update consent status
-      const updatedConsent = {
-        ...this.consents[consentIndex],
-        status: 'revoked',
-        revoked_at: new Date(),
-        revoked_by_user_id: revokedByUserId,
-        updated_at: new Date()
-      };
+      // Revocation is recorded as a version so the consent's history ends with it, and the
+      // notice to the receiving hospital is queued with it so it can't be lost
+      const revocation = await this.withTransaction(async client => {
+        const result = await client.query(
+          `UPDATE patient_consents
+           SET status = 'revoked',
+               revoked_at = CURRENT_TIMESTAMP,
+               revoked_by = $2,
+               revocation_reason = $3,
+               updated_by = $2,
+               updated_at = CURRENT_TIMESTAMP,
+               current_version = current_version + 1
+           WHERE consent_id = $1 AND status <> 'revoked'
+           RETURNING *`,
+          [consentId, revokeData.revoked_by || null, revokeData.revocation_reason || null]
+        );
+        
+        if (result.rows.length === 0) {
+          return null;
+        }
+        
+        const consent = this.formatConsent(await ConsentVersionService.createVersion(client, this.formatConsent(result.rows[0]), {
+          changeType: 'revoked',
+          changedBy: revokeData.revoked_by || null,
+          actingRelationshipId: revokeData.acting_relationship ? revokeData.acting_relationship.id : null
+        }));
+        
+        return {
+          consent,
+          notices: await consentRevocationService.queueRevocationNotices(client, consent)
+        };
+      });
       
-      // In a real implementation, this would update the database
-      this.consents[consentIndex] = updatedConsent;
+      if (!revocation) {
+        const existing = await this.getConsentById(consentId);
+        if (!existing) {
+          throw new Error('Consent not found');
+        }
+        
+        // Already revoked
+        return existing;
+      }
+      
+      const { consent: updatedConsent, notices } = revocation;
       
       // Log consent revocation
-      AuditService.logPatientConsentEvent({
-        event_type: 'consent_revoked',
-        consent_id: consentId,
-        patient_id: updatedConsent.patient_id,
-        granting_hospital_id: updatedConsent.granting_hospital_id,
-        receiving_hospital_id: updatedConsent.receiving_hospital_id,
-        revoked_by_user_id: revokedByUserId
+      await AuditService.logConsentEvent({
+        eventType: 'consent_revoked',
+        status: 'success',
+        consentId,
+        patientId: updatedConsent.patient_id,
+        userId: updatedConsent.revoked_by,
+        hospitalId: updatedConsent.consenting_hospital_id,
+        targetHospitalId: updatedConsent.target_hospital_id,
+        consentType: updatedConsent.consent_type,
+        action: 'revoke',
+        details: {
+          version: updatedConsent.current_version,
+          reason: updatedConsent.revocation_reason,
+          ...this.representativeDetails(revokeData.acting_relationship)
+        }
+      });
+      
+      // Revoke issued tokens and send the notice; an undelivered notice stays queued for retry
+      await consentRevocationService.broadcastRevocation(updatedConsent, notices).catch(error => {
+        console.error(`Error propagating revocation of consent ${consentId}:`, error);
       });
       
       return updatedConsent;
@@ -182,6 +463,139 @@ class ConsentService {
     }
   }
 
+  /**
+   * Get active consents whose end date falls within the given number of days
+   * @param {number} days - Look-ahead window in days
+   * @returns {Array} Consent records, soonest to expire first
+   */
+  async getConsentsExpiringWithin(days) {
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM patient_consents
+         WHERE status = 'active'
+           AND end_date > CURRENT_TIMESTAMP
+           AND end_date <= CURRENT_TIMESTAMP + make_interval(days => $1)
+         ORDER BY end_date ASC`,
+        [days]
+      );
+      
+      return result.rows.map(row => this.formatConsent(row));
+    } catch (error) {
+      console.error('Error getting expiring consents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that an expiry warning was sent for a consent
+   * Warnings are keyed on the consent's end date, so each is claimed once per end date.
+   * The warning is sent before the claim commits: if sending fails the claim is rolled back
+   * and the next run tries again, and a concurrent node waits on the claim rather than
+   * sending the warning twice.
+   * @param {Object} consent - Consent record
+   * @param {number} warningDays - Warning threshold in days
+   * @param {Function} send - Sends the warning
+   * @returns {boolean} True if the warning had not been sent before and was sent now
+   */
+  async recordExpiryWarning(consent, warningDays, send) {
+    try {
+      return await this.withTransaction(async client => {
+        const result = await client.query(
+          `INSERT INTO consent_expiry_notifications (consent_id, end_date, warning_days)
+           VALUES ($1, $2, $3)
+           ON CONFLICT DO NOTHING
+           RETURNING consent_id`,
+          [consent.id, consent.end_date, warningDays]
+        );
+        
+        if (result.rows.length === 0) {
+          return false;
+        }
+        
+        await send();
+        return true;
+      });
+    } catch (error) {
+      console.error('Error recording consent expiry warning:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move active consents past their end date to the expired status
+   * Each consent is expired in its own transaction, committed only once onExpired has
+   * succeeded, so a consent whose expiry could not be announced stays due for the next run
+   * @param {Function} onExpired - Receives each expired consent before its status change commits
+   * @returns {Array} Consent records that were expired
+   */
+  async expireConsents(onExpired = async () => {}) {
+    try {
+      const due = await this.db.query(
+        `SELECT consent_id FROM patient_consents
+         WHERE status = 'active'
+           AND end_date IS NOT NULL
+           AND end_date <= CURRENT_TIMESTAMP`
+      );
+      
+      const expiredConsents = [];
+      
+      for (const { consent_id: consentId } of due.rows) {
+        let consent;
+        
+        // One failure must not stop the rest
+        try {
+          // The row lock makes a concurrent node wait, then find the consent already expired
+          consent = await this.withTransaction(async client => {
+            const result = await client.query(
+              `UPDATE patient_consents
+               SET status = 'expired',
+                   updated_at = CURRENT_TIMESTAMP
+               WHERE consent_id = $1
+                 AND status = 'active'
+                 AND end_date <= CURRENT_TIMESTAMP
+               RETURNING *`,
+              [consentId]
+            );
+            
+            if (result.rows.length === 0) {
+              return null;
+            }
+            
+            const expired = this.formatConsent(result.rows[0]);
+            await onExpired(expired);
+            return expired;
+          });
+        } catch (error) {
+          console.error(`Error expiring consent ${consentId}:`, error);
+          continue;
+        }
+        
+        if (!consent) {
+          continue;
+        }
+        
+        await AuditService.logConsentEvent({
+          eventType: 'consent_expired',
+          status: 'success',
+          consentId: consent.id,
+          patientId: consent.patient_id,
+          hospitalId: consent.consenting_hospital_id,
+          targetHospitalId: consent.target_hospital_id,
+          consentType: consent.consent_type,
+          action: 'expire',
+          expiresAt: consent.end_date
+        });
+        
+        expiredConsents.push(consent);
+      }
+      
+      return expiredConsents;
+    } catch (error) {
+      console.error('Error expiring consents:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update a consent record
    * @param {string} consentId - Consent ID
@@ -189,42 +603,83 @@ class ConsentService {
    * @param {string} updatedByUserId - ID of user updating consent
    * @returns {Object} Updated consent record
    */
-  async updateConsent(consentId, consentData, updatedByUserId) {
+  async updateConsent(consentId, consentData, updatedByUserId = null) {
     try {
-      // Find consent index
-      const consentIndex = this.consents.findIndex(c => c.id === consentId);
-      if (consentIndex === -1) {
-        throw new Error('Consent not found');
+      const existing = await this.getConsentById(consentId);
+      if (!existing) {
+        throw consentError(404, 'Consent not found');
+      }
+      
+      if (existing.status !== 'active') {
+        throw consentError(409, `Cannot update a ${existing.status} consent`);
       }
       
       // Validate updated consent data
-      this.validateConsentData({
-        ...this.consents[consentIndex],
+      const updated = {
+        ...existing,
         ...consentData
-      });
-      
-      // Update consent
-      const updatedConsent = {
-        ...this.consents[consentIndex],
-        ...consentData,
-        updated_at: new Date(),
-        updated_by_user_id: updatedByUserId
       };
+      this.validateConsentData(updated);
       
-      // In a real implementation, this would update the database
-      this.consents[consentIndex] = updatedConsent;
+      // The previous terms stay on record as the prior version
+      const updatedConsent = await this.withTransaction(async client => {
+        const result = await client.query(
+          `UPDATE patient_consents
+           SET consent_type = $2,
+               specific_data_types = $3,
+               end_date = $4,
+               purpose = $5,
+               notes = $6,
+               updated_by = $7,
+               included_sensitivity_labels = $8,
+               excluded_sensitivity_labels = $9,
+               updated_at = CURRENT_TIMESTAMP,
+               current_version = current_version + 1
+           WHERE consent_id = $1 AND status = 'active'
+           RETURNING *`,
+          [
+            consentId,
+            updated.consent_type,
+            updated.specific_data_types ? JSON.stringify(updated.specific_data_types) : null,
+            updated.end_date || null,
+            updated.purpose || null,
+            updated.notes || null,
+            updatedByUserId,
+            JSON.stringify(normalizeSensitivityLabels(updated.included_sensitivity_labels)),
+            JSON.stringify(normalizeSensitivityLabels(updated.excluded_sensitivity_labels))
+          ]
+        );
+        
+        if (result.rows.length === 0) {
+          throw consentError(409, 'Consent is no longer active');
+        }
+        
+        return this.formatConsent(await ConsentVersionService.createVersion(client, this.formatConsent(result.rows[0]), {
+          changeType: 'updated',
+          changedBy: updatedByUserId
+        }));
+      });
       
       // Log consent update
-      AuditService.logPatientConsentEvent({
-        event_type: 'consent_updated',
-        consent_id: consentId,
-        patient_id: updatedConsent.patient_id,
-        granting_hospital_id: updatedConsent.granting_hospital_id,
-        receiving_hospital_id: updatedConsent.receiving_hospital_id,
-        data_types: updatedConsent.data_types,
-        purpose: updatedConsent.purpose,
-        expiry_date: updatedConsent.expiry_date,
-        updated_by_user_id: updatedByUserId
+      await AuditService.logConsentEvent({
+        eventType: 'consent_updated',
+        status: 'success',
+        consentId,
+        patientId: updatedConsent.patient_id,
+        userId: updatedByUserId,
+        hospitalId: updatedConsent.consenting_hospital_id,
+        targetHospitalId: updatedConsent.target_hospital_id,
+        consentType: updatedConsent.consent_type,
+        action: 'update',
+        expiresAt: updatedConsent.end_date,
+        details: {
+          version: updatedConsent.current_version,
+          changes: Object.keys(consentData),
+          dataTypes: updatedConsent.specific_data_types,
+          includedSensitivityLabels: updatedConsent.included_sensitivity_labels,
+          excludedSensitivityLabels: updatedConsent.excluded_sensitivity_labels,
+          purpose: updatedConsent.purpose
+        }
       });
       
       return updatedConsent;
@@ -234,43 +689,191 @@ class ConsentService {
     }
   }
 
+  /**
+   * Attach an uploaded consent form, recorded as a new version with unchanged terms
+   * @param {string} consentId - Consent ID
+   * @param {Object} document - Uploaded form
+   * @param {string} document.path - Path of the stored file
+   * @param {string} document.mimeType - MIME type of the file
+   * @param {string} uploadedByUserId - ID of user uploading the form
+   * @returns {Object} Updated consent record
+   */
+  async attachConsentForm(consentId, document, uploadedByUserId = null) {
+    try {
+      const updatedConsent = await this.withTransaction(async client => {
+        const result = await client.query(
+          `UPDATE patient_consents
+           SET updated_by = $2,
+               updated_at = CURRENT_TIMESTAMP,
+               current_version = current_version + 1
+           WHERE consent_id = $1 AND status = 'active'
+           RETURNING *`,
+          [consentId, uploadedByUserId]
+        );
+        
+        if (result.rows.length === 0) {
+          return null;
+        }
+        
+        return this.formatConsent(await ConsentVersionService.createVersion(client, this.formatConsent(result.rows[0]), {
+          changeType: 'form_uploaded',
+          changedBy: uploadedByUserId,
+          document
+        }));
+      });
+      
+      if (!updatedConsent) {
+        const existing = await this.getConsentById(consentId);
+        throw new Error(existing ? `Cannot attach a form to a ${existing.status} consent` : 'Consent not found');
+      }
+      
+      // Log consent form upload
+      await AuditService.logConsentEvent({
+        eventType: 'consent_form_uploaded',
+        status: 'success',
+        consentId,
+        patientId: updatedConsent.patient_id,
+        userId: uploadedByUserId,
+        hospitalId: updatedConsent.consenting_hospital_id,
+        targetHospitalId: updatedConsent.target_hospital_id,
+        consentType: updatedConsent.consent_type,
+        action: 'update',
+        details: {
+          version: updatedConsent.current_version,
+          mimeType: document.mimeType
+        }
+      });
+      
+      return updatedConsent;
+    } catch (error) {
+      console.error('Error attaching consent form:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run queries in a single transaction
+   * @param {Function} callback - Receives the transaction's client
+   * @returns {*} Result of the callback
+   */
+  async withTransaction(callback) {
+    const client = await this.db.connect();
+    
+    try {
+      await client.query('BEGIN');
+      const result = await callback(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Validate consent data
    * @param {Object} consentData - Consent data to validate
-   * @throws {Error} If validation fails
+   * @throws {Error} If validation fails, with status 400
    */
   validateConsentData(consentData) {
     // Check required fields
     const requiredFields = [
       'patient_id',
-      'granting_hospital_id',
-      'receiving_hospital_id',
-      'data_types',
-      'purpose',
-      'expiry_date'
+      'consenting_hospital_id',
+      'target_hospital_id',
+      'consent_type',
+      'start_date'
     ];
     
     for (const field of requiredFields) {
       if (!consentData[field]) {
-        throw new Error(`Missing required field: ${field}`);
+        throw consentError(400, `Missing required field: ${field}`);
       }
     }
     
+    if (consentData.consenting_hospital_id === consentData.target_hospital_id) {
+      throw consentError(400, 'consenting_hospital_id and target_hospital_id must differ');
+    }
+    
     // Validate data types
-    if (!Array.isArray(consentData.data_types) || consentData.data_types.length === 0) {
-      throw new Error('data_types must be a non-empty array');
+    if (consentData.specific_data_types !== undefined && consentData.specific_data_types !== null &&
+        (!Array.isArray(consentData.specific_data_types) || consentData.specific_data_types.length === 0)) {
+      throw consentError(400, 'specific_data_types must be a non-empty array');
+    }
+    
+    if (consentData.consent_type === 'specific_data' && !consentData.specific_data_types) {
+      throw consentError(400, 'specific_data_types is required for specific_data consents');
+    }
+    
+    // Validate sensitivity labels
+    let included;
+    let excluded;
+    try {
+      included = normalizeSensitivityLabels(consentData.included_sensitivity_labels);
+      excluded = normalizeSensitivityLabels(consentData.excluded_sensitivity_labels);
+    } catch (error) {
+      throw consentError(400, error.message);
+    }
+    const conflicting = included.filter(label => excluded.includes(label));
+    if (conflicting.length > 0) {
+      throw consentError(400, `Sensitivity labels cannot be both included and excluded: ${conflicting.join(', ')}`);
     }
     
-    // Validate expiry date
-    const expiryDate = new Date(consentData.expiry_date);
-    if (isNaN(expiryDate.getTime())) {
-      throw new Error('Invalid expiry_date');
+    // Validate dates
+    const startDate = new Date(consentData.start_date);
+    if (isNaN(startDate.getTime())) {
+      throw consentError(400, 'Invalid start_date');
     }
     
-    // Ensure expiry date is in the future
-    if (expiryDate <= new Date()) {
-      throw new Error('expiry_date must be in the future');
+    if (consentData.end_date) {
+      const endDate = new Date(consentData.end_date);
+      if (isNaN(endDate.getTime())) {
+        throw consentError(400, 'Invalid end_date');
+      }
+      
+      // Ensure end date is after the start and in the future
+      if (endDate <= startDate || endDate <= new Date()) {
+        throw consentError(400, 'end_date must be after start_date and in the future');
+      }
+    }
+  }
+
+  /**
+   * Audit details naming the representative who acted for the patient, if any
+   * @param {Object} relationship - Relationship the change was made under
+   * @returns {Object} Audit details
+   */
+  representativeDetails(relationship) {
+    if (!relationship) {
+      return {};
     }
+    
+    return {
+      onBehalfOf: relationship.patient_id,
+      representativeUserId: relationship.representative_user_id,
+      relationshipId: relationship.id,
+      relationshipType: relationship.relationship_type
+    };
+  }
+
+  /**
+   * Convert a patient_consents row to a consent record
+   * @param {Object} row - Database row
+   * @returns {Object} Consent record
+   */
+  formatConsent(row) {
+    const { consent_id: id, ...fields } = row;
+    const parse = value => (typeof value === 'string' ? JSON.parse(value) : value);
+    
+    return {
+      id,
+      ...fields,
+      specific_data_types: parse(fields.specific_data_types),
+      included_sensitivity_labels: parse(fields.included_sensitivity_labels) || [],
+      excluded_sensitivity_labels: parse(fields.excluded_sensitivity_labels) || []
+    };
   }
 
   /**
@@ -279,47 +882,57 @@ class ConsentService {
    */
   async getConsentStatistics() {
     try {
-      const now = new Date();
+      const totals = await this.db.query(
+        `SELECT
+           COUNT(*) AS total,
+           COUNT(*) FILTER (WHERE status = 'active' AND (end_date IS NULL OR end_date > CURRENT_TIMESTAMP)) AS active,
+           COUNT(*) FILTER (WHERE status = 'expired' OR (status = 'active' AND end_date <= CURRENT_TIMESTAMP)) AS expired,
+           COUNT(*) FILTER (WHERE status = 'revoked') AS revoked
+         FROM patient_consents`
+      );
       
-      // Calculate statistics
+      // Consents without a data type list count under their consent type
+      const byDataType = await this.db.query(
+        `SELECT data_type, COUNT(*) AS count
+         FROM patient_consents,
+              jsonb_array_elements_text(
+                CASE WHEN jsonb_typeof(specific_data_types) = 'array'
+                     THEN specific_data_types
+                     ELSE jsonb_build_array(consent_type)
+                END
+              ) AS data_type
+         GROUP BY data_type`
+      );
+      
+      const byHospital = await this.db.query(
+        `SELECT hospital_id, SUM(granted) AS granted, SUM(received) AS received
+         FROM (
+           SELECT consenting_hospital_id AS hospital_id, 1 AS granted, 0 AS received FROM patient_consents
+           UNION ALL
+           SELECT target_hospital_id AS hospital_id, 0 AS granted, 1 AS received FROM patient_consents
+         ) sides
+         GROUP BY hospital_id`
+      );
+      
+      const row = totals.rows[0];
       const statistics = {
-        total: this.consents.length,
-        active: this.consents.filter(c => c.status === 'active').length,
-        expired: this.consents.filter(c => c.status === 'active' && new Date(c.expiry_date) <= now).length,
-        revoked: this.consents.filter(c => c.status === 'revoked').length,
+        total: parseInt(row.total, 10),
+        active: parseInt(row.active, 10),
+        expired: parseInt(row.expired, 10),
+        revoked: parseInt(row.revoked, 10),
         byDataType: {},
         byHospital: {}
       };
       
-      // Count by data type
-      for (const consent of this.consents) {
-        for (const dataType of consent.data_types) {
-          if (!statistics.byDataType[dataType]) {
-            statistics.byDataType[dataType] = 0;
-          }
-          statistics.byDataType[dataType]++;
-        }
+      for (const { data_type: dataType, count } of byDataType.rows) {
+        statistics.byDataType[dataType] = parseInt(count, 10);
       }
       
-      // Count by hospital
-      for (const consent of this.consents) {
-        // Count for granting hospital
-        if (!statistics.byHospital[consent.granting_hospital_id]) {
-          statistics.byHospital[consent.granting_hospital_id] = {
-            granted: 0,
-            received: 0
-          };
-        }
-        statistics.byHospital[consent.granting_hospital_id].granted++;
-        
-        // Count for receiving hospital
-        if (!statistics.byHospital[consent.receiving_hospital_id]) {
-          statistics.byHospital[consent.receiving_hospital_id] = {
-            granted: 0,
-            received: 0
-          };
-        }
-        statistics.byHospital[consent.receiving_hospital_id].received++;
+      for (const { hospital_id: hospitalId, granted, received } of byHospital.rows) {
+        statistics.byHospital[hospitalId] = {
+          granted: parseInt(granted, 10),
+          received: parseInt(received, 10)
+        };
       }
       
       return statistics;
@@ -330,4 +943,4 @@ class ConsentService {
   }
 }
 
-module.exports = new ConsentService();
\ No newline at end of file
+module.exports = new ConsentService();
@@ -0,0 +1,519 @@
+/**
+ * Consent Version Service
+ * Records an immutable version of a consent for every change, links each version
+ * to its consent form and verifies detached signatures over that form
+ */
+
+const db = require('../database/connection');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const auditService = require('./AuditService');
+const { SENSITIVITY_LABELS } = require('../config/sensitivityLabels');
+
+// Consent fields captured in each version's terms
+const TERM_FIELDS = [
+  'patient_id',
+  'consenting_hospital_id',
+  'target_hospital_id',
+  'consent_type',
+  'specific_data_types',
+  'included_sensitivity_labels',
+  'excluded_sensitivity_labels',
+  'start_date',
+  'end_date',
+  'purpose',
+  'notes',
+  'witness_name',
+  'status',
+  'revoked_at',
+  'revocation_reason'
+];
+
+const SIGNER_ROLES = ['patient', 'representative', 'witness', 'clinician'];
+
+// Key types accepted for signatures, with the digest each signs with (Ed25519 hashes internally)
+const SIGNATURE_ALGORITHMS = {
+  rsa: { digest: 'sha256', name: 'rsa-sha256' },
+  ec: { digest: 'sha256', name: 'ec-sha256' },
+  ed25519: { digest: null, name: 'ed25519' }
+};
+
+/**
+ * Create an error carrying the HTTP status the API should answer with
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+function versionError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class ConsentVersionService {
+  constructor() {
+    this.config = {
+      formDirectory: path.join(config.uploadDirectory, 'consents')
+    };
+
+    this.db = db;
+  }
+
+  /**
+   * Record a new version of a consent inside the caller's transaction
+   * The caller must already have incremented current_version on the consent row.
+   * A consent form is generated from the terms unless an uploaded form is given.
+   * The new version is unsigned, so the consent is no longer verified.
+   * @param {Object} client - Database client with an open transaction
+   * @param {Object} consent - Formatted consent, at its new current_version
+   * @param {Object} options - Version options
+   * @param {string} options.changeType - 'created', 'updated', 'revoked' or 'form_uploaded'
+   * @param {string} options.changedBy - ID of user making the change
+   * @param {Object} options.document - Uploaded form ({ path, mimeType })
+   * @param {string} options.actingRelationshipId - Relationship under which a representative made the change
+   * @returns {Promise<Object>} - Updated patient_consents row
+   */
+  async createVersion(client, consent, { changeType, changedBy = null, document = null, actingRelationshipId = null }) {
+    const versionNumber = consent.current_version;
+    const form = document
+      ? { path: document.path, mimeType: document.mimeType, source: 'uploaded' }
+      : await this.generateConsentForm(consent, versionNumber);
+    const documentHash = await this.hashFile(form.path);
+
+    await client.query(
+      `INSERT INTO consent_versions (
+        consent_id, version_number, change_type, terms, document_path,
+        document_source, document_mime_type, document_hash, changed_by, acting_relationship_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        consent.id,
+        versionNumber,
+        changeType,
+        JSON.stringify(this.snapshotTerms(consent)),
+        form.path,
+        form.source,
+        form.mimeType,
+        documentHash,
+        changedBy,
+        actingRelationshipId
+      ]
+    );
+
+    const result = await client.query(
+      `UPDATE patient_consents
+       SET consent_document_path = $2,
+           consent_verified = FALSE,
+           verification_method = NULL
+       WHERE consent_id = $1
+       RETURNING *`,
+      [consent.id, form.path]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Pick the versioned terms out of a consent
+   * @param {Object} consent - Formatted consent
+   * @returns {Object} - Terms
+   */
+  snapshotTerms(consent) {
+    const terms = {};
+
+    for (const field of TERM_FIELDS) {
+      terms[field] = consent[field] === undefined ? null : consent[field];
+    }
+
+    return terms;
+  }
+
+  /**
+   * Write a plain-text consent form for a version
+   * @param {Object} consent - Formatted consent
+   * @param {number} versionNumber - Version the form is for
+   * @returns {Promise<Object>} - Stored form ({ path, mimeType, source })
+   */
+  async generateConsentForm(consent, versionNumber) {
+    const directory = path.join(this.config.formDirectory, consent.id);
+    const formPath = path.join(directory, `v${versionNumber}.txt`);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(formPath, this.renderConsentForm(consent, versionNumber));
+
+    return { path: formPath, mimeType: 'text/plain', source: 'generated' };
+  }
+
+  /**
+   * Render the consent form text for a version
+   * @param {Object} consent - Formatted consent
+   * @param {number} versionNumber - Version the form is for
+   * @returns {string} - Form text
+   */
+  renderConsentForm(consent, versionNumber) {
+    const date = value => (value ? new Date(value).toISOString() : null);
+    const labels = list => (list && list.length > 0
+      ? list.map(label => `${SENSITIVITY_LABELS[label].display} (${label})`).join('; ')
+      : 'none');
+
+    const lines = [
+      'CONSENT TO SHARE HEALTH INFORMATION BETWEEN HOSPITALS',
+      '',
+      `Consent ID: ${consent.id}`,
+      `Version: ${versionNumber}`,
+      `Patient ID: ${consent.patient_id}`,
+      `Hospital holding the records: ${consent.consenting_hospital_id}`,
+      `Hospital receiving access: ${consent.target_hospital_id}`,
+      `Consent type: ${consent.consent_type}`,
+      `Data types: ${consent.specific_data_types ? consent.specific_data_types.join(', ') : 'all'}`,
+      `Sensitive information released: ${labels(consent.included_sensitivity_labels)}`,
+      `Sensitive information withheld: ${labels(consent.excluded_sensitivity_labels)}`,
+      `Valid from: ${date(consent.start_date)}`,
+      `Valid until: ${date(consent.end_date) || 'no end date, until revoked'}`,
+      `Purpose: ${consent.purpose || 'not stated'}`
+    ];
+
+    if (consent.notes) {
+      lines.push(`Notes: ${consent.notes}`);
+    }
+
+    if (consent.witness_name) {
+      lines.push(`Witness: ${consent.witness_name}`);
+    }
+
+    lines.push(`Status: ${consent.status}`);
+
+    if (consent.status === 'revoked') {
+      lines.push(`Revoked at: ${date(consent.revoked_at)}`);
+      lines.push(`Revocation reason: ${consent.revocation_reason || 'not stated'}`);
+    }
+
+    lines.push(
+      '',
+      'The patient, witness and clinician sign this form with detached digital signatures',
+      'over the exact bytes of this document.',
+      ''
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Compute the SHA-256 hash of a file
+   * @param {string} filePath - File path
+   * @returns {Promise<string>} - Hex digest
+   */
+  async hashFile(filePath) {
+    const content = await fs.promises.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Get every version of a consent, oldest first
+   * @param {string} consentId - Consent ID
+   * @returns {Promise<Array>} - Versions with the roles that have signed each
+   */
+  async getVersions(consentId) {
+    try {
+      const result = await this.db.query(
+        `SELECT v.*,
+                COALESCE(
+                  (SELECT jsonb_agg(s.signer_role ORDER BY s.signed_at)
+                   FROM consent_version_signatures s
+                   WHERE s.version_id = v.version_id),
+                  '[]'
+                ) AS signed_by
+         FROM consent_versions v
+         WHERE v.consent_id = $1
+         ORDER BY v.version_number`,
+        [consentId]
+      );
+
+      return result.rows.map(row => this.formatVersion(row));
+    } catch (error) {
+      console.error('Error getting consent versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one version of a consent with its signatures
+   * @param {string} consentId - Consent ID
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<Object|null>} - Version or null if not found
+   */
+  async getVersion(consentId, versionNumber) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM consent_versions WHERE consent_id = $1 AND version_number = $2',
+        [consentId, versionNumber]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this.withSignatures(result.rows[0]);
+    } catch (error) {
+      console.error('Error getting consent version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the version of a consent that was in force at a point in time
+   * @param {string} consentId - Consent ID
+   * @param {Date} at - Point in time
+   * @returns {Promise<Object|null>} - Version, with whether its terms permitted sharing at that time,
+   *                                   or null if the consent did not exist yet
+   */
+  async getVersionAt(consentId, at) {
+    try {
+      const result = await this.db.query(
+        `SELECT * FROM consent_versions
+         WHERE consent_id = $1 AND effective_from <= $2
+         ORDER BY version_number DESC
+         LIMIT 1`,
+        [consentId, at]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const version = await this.withSignatures(result.rows[0]);
+      const { status, start_date: startDate, end_date: endDate } = version.terms;
+
+      return {
+        ...version,
+        as_of: at,
+        in_force: status === 'active' &&
+          new Date(startDate) <= at &&
+          (!endDate || new Date(endDate) > at)
+      };
+    } catch (error) {
+      console.error('Error getting consent version at point in time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify and record a detached signature over a version's consent form
+   * A patient or representative signature on the current version marks the consent as verified,
+   * but only when the signer submitted it themselves. The key comes with the signature, so a
+   * signature recorded by staff shows only that someone holding that key signed the form.
+   * @param {string} consentId - Consent ID
+   * @param {number} versionNumber - Version number
+   * @param {Object} signatureData - Signature details
+   * @param {string} signatureData.signer_role - 'patient', 'representative', 'witness' or 'clinician'
+   * @param {string} signatureData.signer_name - Name of the signer
+   * @param {string} signatureData.signer_id - ID of the signer, if known
+   * @param {string} signatureData.public_key - PEM public key of the signer
+   * @param {string} signatureData.signature - Base64 signature over the consent form
+   * @param {Date} signatureData.signed_at - When the form was signed (defaults to now)
+   * @param {string} recordedBy - ID of user recording the signature
+   * @param {boolean} submittedBySigner - Whether the signer is the authenticated user recording it
+   * @returns {Promise<Object>} - Recorded signature
+   */
+  async addSignature(consentId, versionNumber, signatureData, recordedBy = null, submittedBySigner = false) {
+    try {
+      if (!SIGNER_ROLES.includes(signatureData.signer_role)) {
+        throw versionError(400, `signer_role must be one of: ${SIGNER_ROLES.join(', ')}`);
+      }
+
+      const versionResult = await this.db.query(
+        `SELECT v.*, c.current_version
+         FROM consent_versions v
+         JOIN patient_consents c ON c.consent_id = v.consent_id
+         WHERE v.consent_id = $1 AND v.version_number = $2`,
+        [consentId, versionNumber]
+      );
+
+      if (versionResult.rows.length === 0) {
+        throw versionError(404, 'Consent version not found');
+      }
+
+      const version = versionResult.rows[0];
+
+      if (!version.document_hash) {
+        throw versionError(409, `Version ${versionNumber} has no consent form to sign`);
+      }
+
+      const form = await fs.promises.readFile(version.document_path);
+      const documentHash = crypto.createHash('sha256').update(form).digest('hex');
+
+      if (documentHash !== version.document_hash) {
+        throw versionError(409, `Consent form for version ${versionNumber} no longer matches its recorded hash`);
+      }
+
+      let publicKey;
+      try {
+        publicKey = crypto.createPublicKey(signatureData.public_key);
+      } catch (error) {
+        throw versionError(400, 'public_key is not a valid PEM public key');
+      }
+
+      const algorithm = SIGNATURE_ALGORITHMS[publicKey.asymmetricKeyType];
+      if (!algorithm) {
+        throw versionError(400, `Unsupported key type: ${publicKey.asymmetricKeyType}`);
+      }
+
+      const valid = crypto.verify(
+        algorithm.digest,
+        form,
+        publicKey,
+        Buffer.from(signatureData.signature, 'base64')
+      );
+
+      if (!valid) {
+        throw versionError(400, 'Signature does not match the consent form');
+      }
+
+      const client = await this.db.connect();
+      let signature;
+
+      try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+          `INSERT INTO consent_version_signatures (
+            version_id, signer_role, signer_name, signer_id, algorithm,
+            public_key, signature, document_hash, signed_at, recorded_by
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          RETURNING *`,
+          [
+            version.version_id,
+            signatureData.signer_role,
+            signatureData.signer_name,
+            signatureData.signer_id || null,
+            algorithm.name,
+            publicKey.export({ type: 'spki', format: 'pem' }),
+            signatureData.signature,
+            documentHash,
+            signatureData.signed_at || new Date(),
+            recordedBy
+          ]
+        );
+
+        signature = result.rows[0];
+
+        if (submittedBySigner && ['patient', 'representative'].includes(signatureData.signer_role)) {
+          await client.query(
+            `UPDATE patient_consents
+             SET consent_verified = TRUE,
+                 verification_method = 'digital_signature'
+             WHERE consent_id = $1 AND current_version = $2`,
+            [consentId, versionNumber]
+          );
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+
+        if (error.code === '23505') {
+          throw versionError(409, `Version ${versionNumber} already has a ${signatureData.signer_role} signature`);
+        }
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      await auditService.logConsentEvent({
+        eventType: 'consent_signed',
+        status: 'success',
+        consentId,
+        userId: recordedBy,
+        action: 'sign',
+        details: {
+          versionNumber,
+          signerRole: signature.signer_role,
+          signerId: signature.signer_id,
+          algorithm: signature.algorithm,
+          documentHash,
+          submittedBySigner
+        }
+      });
+
+      return signature;
+    } catch (error) {
+      console.error('Error adding consent signature:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the consent form of a version and check it is unchanged
+   * @param {string} consentId - Consent ID
+   * @param {number} versionNumber - Version number
+   * @returns {Promise<Object|null>} - Form ({ path, mimeType, hash, intact }) or null if there is none
+   */
+  async getVersionDocument(consentId, versionNumber) {
+    try {
+      const result = await this.db.query(
+        `SELECT document_path, document_mime_type, document_hash
+         FROM consent_versions
+         WHERE consent_id = $1 AND version_number = $2`,
+        [consentId, versionNumber]
+      );
+
+      if (result.rows.length === 0 || !result.rows[0].document_hash) {
+        return null;
+      }
+
+      const row = result.rows[0];
+
+      return {
+        path: row.document_path,
+        mimeType: row.document_mime_type,
+        hash: row.document_hash,
+        intact: (await this.hashFile(row.document_path)) === row.document_hash
+      };
+    } catch (error) {
+      console.error('Error getting consent version document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the signatures of a version row
+   * @param {Object} row - consent_versions row
+   * @returns {Promise<Object>} - Formatted version with signatures
+   */
+  async withSignatures(row) {
+    const signatures = await this.db.query(
+      `SELECT signature_id, signer_role, signer_name, signer_id, algorithm,
+              public_key, signature, document_hash, signed_at, recorded_by, created_at
+       FROM consent_version_signatures
+       WHERE version_id = $1
+       ORDER BY signed_at`,
+      [row.version_id]
+    );
+
+    return {
+      ...this.formatVersion(row),
+      signatures: signatures.rows
+    };
+  }
+
+  /**
+   * Convert a consent_versions row to a version record
+   * The form's location on disk is internal and not returned.
+   * @param {Object} row - Database row
+   * @returns {Object} - Version record
+   */
+  formatVersion(row) {
+    const { version_id: id, ...fields } = row;
+    delete fields.document_path;
+
+    return {
+      id,
+      ...fields,
+      terms: typeof fields.terms === 'string' ? JSON.parse(fields.terms) : fields.terms,
+      has_document: Boolean(fields.document_hash)
+    };
+  }
+}
+
+module.exports = new ConsentVersionService();
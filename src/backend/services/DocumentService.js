@@ -8,6 +8,7 @@ const db = require('../database/connection');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
+const { normalizeSensitivityLabels } = require('../config/sensitivityLabels');
 
 class DocumentService {
   /**
@@ -78,6 +79,7 @@ class DocumentService {
           d.original_filename AS "originalFilename", 
           d.file_size AS "fileSize", 
           d.tags, 
+          d.sensitivity_labels AS "sensitivityLabels", 
           d.status, 
           d.ai_processed AS "aiProcessed", 
           d.ai_findings AS "aiFindings", 
@@ -133,6 +135,7 @@ class DocumentService {
           d.original_filename AS "originalFilename", 
           d.file_size AS "fileSize", 
           d.tags, 
+          d.sensitivity_labels AS "sensitivityLabels", 
           d.status, 
           d.ai_processed AS "aiProcessed", 
           d.ai_findings AS "aiFindings", 
@@ -157,6 +160,40 @@ class DocumentService {
     }
   }
   
+  /**
+   * Get all documents for a patient
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Array>} - Documents, newest first
+   */
+  async getPatientDocuments(patientId) {
+    try {
+      const query = `
+        SELECT 
+          id, 
+          patient_id AS "patientId", 
+          title, 
+          type, 
+          file_type AS "fileType", 
+          original_filename AS "originalFilename", 
+          file_size AS "fileSize", 
+          tags, 
+          sensitivity_labels AS "sensitivityLabels", 
+          status, 
+          created_at AS "createdAt", 
+          updated_at AS "updatedAt"
+        FROM documents
+        WHERE patient_id = $1 AND deleted = FALSE
+        ORDER BY created_at DESC
+      `;
+      
+      const result = await db.query(query, [patientId]);
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getPatientDocuments:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Create a new document
    * @param {Object} documentData - Document data
@@ -174,6 +211,7 @@ class DocumentService {
         originalFilename,
         uploadedBy,
         tags,
+        sensitivityLabels,
         status
       } = documentData;
       
@@ -189,11 +227,12 @@ class DocumentService {
           original_filename,
           uploaded_by,
           tags,
+          sensitivity_labels,
           status,
           ai_processed,
           created_at,
           updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW(), NOW())
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
         RETURNING 
           id, 
           patient_id AS "patientId", 
@@ -203,6 +242,7 @@ class DocumentService {
           original_filename AS "originalFilename", 
           file_size AS "fileSize", 
           tags, 
+          sensitivity_labels AS "sensitivityLabels", 
           status, 
           ai_processed AS "aiProcessed", 
           created_at AS "createdAt", 
@@ -221,6 +261,7 @@ class DocumentService {
         originalFilename,
         uploadedBy,
         JSON.stringify(tags),
+        JSON.stringify(normalizeSensitivityLabels(sensitivityLabels)),
         status,
         false // ai_processed initially false
       ]);
@@ -252,7 +293,7 @@ class DocumentService {
     try {
       // Build update query dynamically based on provided fields
       const allowedFields = [
-        'title', 'type', 'tags', 'status', 'ai_processed', 'ai_findings'
+        'title', 'type', 'tags', 'sensitivity_labels', 'status', 'ai_processed', 'ai_findings'
       ];
       
       const updateFields = [];
@@ -264,6 +305,7 @@ class DocumentService {
         title: 'title',
         type: 'type',
         tags: 'tags',
+        sensitivityLabels: 'sensitivity_labels',
         status: 'status',
         aiProcessed: 'ai_processed',
         aiFindings: 'ai_findings'
@@ -278,6 +320,8 @@ class DocumentService {
           // Handle JSON fields
           if (dbField === 'tags' || dbField === 'ai_findings') {
             queryParams.push(JSON.stringify(value));
+          } else if (dbField === 'sensitivity_labels') {
+            queryParams.push(JSON.stringify(normalizeSensitivityLabels(value)));
           } else {
             queryParams.push(value);
           }
@@ -306,6 +350,7 @@ class DocumentService {
           original_filename AS "originalFilename", 
           file_size AS "fileSize", 
           tags, 
+          sensitivity_labels AS "sensitivityLabels", 
           status, 
           ai_processed AS "aiProcessed", 
           ai_findings AS "aiFindings", 
@@ -0,0 +1,300 @@
+/**
+ * Emergency Access Service
+ * Break-the-glass overrides that release records to a partner hospital without consent,
+ * with a mandatory justification, alerts, and a post-hoc review queue
+ */
+
+const db = require('../database/connection');
+const config = require('../config/config');
+const messageBrokerService = require('./MessageBrokerService');
+const auditService = require('./AuditService');
+
+// Columns that may be used to sort the review queue
+const SORTABLE_COLUMNS = ['created_at', 'expires_at', 'reviewed_at', 'review_status'];
+
+class EmergencyAccessService {
+  constructor() {
+    this.config = {
+      enabled: process.env.EMERGENCY_ACCESS_ENABLED !== 'false',
+      tokenExpiryTime: process.env.EMERGENCY_ACCESS_TOKEN_EXPIRY || '15m',
+      // Record types an emergency override can release, e.g. "demographics,medications"
+      recordTypes: (process.env.EMERGENCY_ACCESS_RECORD_TYPES || 'demographics,medications')
+        .split(',')
+        .map(type => type.trim())
+        .filter(Boolean),
+      minJustificationLength: parseInt(process.env.EMERGENCY_ACCESS_MIN_JUSTIFICATION_LENGTH || '20', 10)
+    };
+
+    this.db = db;
+  }
+
+  /**
+   * Decide whether an emergency request can be granted and narrow it to the emergency scope
+   * @param {Object} emergency - Emergency details from the request
+   * @param {string} emergency.justification - Clinician's justification
+   * @param {Array<string>} recordTypes - Requested record types
+   * @returns {Object} - { allowed, reason, recordTypes }
+   */
+  evaluateRequest(emergency, recordTypes) {
+    if (!this.config.enabled) {
+      return { allowed: false, reason: 'Emergency access is disabled at this hospital' };
+    }
+
+    const justification = emergency && typeof emergency.justification === 'string'
+      ? emergency.justification.trim()
+      : '';
+
+    if (justification.length < this.config.minJustificationLength) {
+      return {
+        allowed: false,
+        reason: `Emergency access requires a justification of at least ${this.config.minJustificationLength} characters`
+      };
+    }
+
+    const scoped = recordTypes.filter(type => this.config.recordTypes.includes(type));
+    if (scoped.length === 0) {
+      return {
+        allowed: false,
+        reason: `Emergency access is limited to: ${this.config.recordTypes.join(', ')}`
+      };
+    }
+
+    return { allowed: true, recordTypes: scoped };
+  }
+
+  /**
+   * Consent-shaped provision used to filter records released under an override
+   * It covers only the granted types, and records labeled as needing explicit consent stay withheld
+   * @param {Array<string>} recordTypes - Granted record types
+   * @returns {Object} - Provision accepted by ConsentService.filterRecordsByConsent
+   */
+  emergencyProvision(recordTypes) {
+    return {
+      consent_type: 'emergency_access',
+      specific_data_types: recordTypes,
+      included_sensitivity_labels: [],
+      excluded_sensitivity_labels: []
+    };
+  }
+
+  /**
+   * Record a granted override in the review queue
+   * @param {Object} overrideData - Override details
+   * @returns {Promise<Object>} - Override record
+   */
+  async createOverride(overrideData) {
+    try {
+      const result = await this.db.query(
+        `INSERT INTO emergency_access_overrides (
+          request_id, patient_id, patient_global_id, requesting_hospital_id, requesting_user_id,
+          justification, requested_record_types, granted_record_types, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *`,
+        [
+          overrideData.requestId,
+          overrideData.patientId,
+          overrideData.patientGlobalId,
+          overrideData.requestingHospitalId,
+          overrideData.requestingUserId,
+          overrideData.justification.trim(),
+          JSON.stringify(overrideData.requestedRecordTypes),
+          JSON.stringify(overrideData.grantedRecordTypes),
+          overrideData.expiresAt
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating emergency access override:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Raise a critical audit event for a granted override and alert the patient and privacy officer
+   * @param {Object} override - Override record
+   * @param {string} hospitalId - Hospital that granted the override
+   * @returns {Promise<void>}
+   */
+  async announceOverride(override, hospitalId) {
+    const alert = {
+      type: 'emergency_access',
+      overrideId: override.override_id,
+      patientId: override.patient_id,
+      hospitalId,
+      requestingHospitalId: override.requesting_hospital_id,
+      requestingUserId: override.requesting_user_id,
+      justification: override.justification,
+      recordTypes: override.granted_record_types,
+      grantedAt: new Date(override.created_at || Date.now()).toISOString(),
+      expiresAt: new Date(override.expires_at).toISOString()
+    };
+
+    await auditService.logSecurityEvent({
+      eventType: 'emergency_access_granted',
+      status: 'success',
+      severity: 'critical',
+      userId: override.requesting_user_id,
+      hospitalId,
+      patientId: override.patient_id,
+      details: {
+        overrideId: override.override_id,
+        requestId: override.request_id,
+        requestingHospitalId: override.requesting_hospital_id,
+        justification: override.justification,
+        recordTypes: override.granted_record_types,
+        expiresAt: alert.expiresAt
+      }
+    });
+
+    // The grant stands even if an alert cannot be queued; the audit event above is the record of it
+    for (const topic of ['patient.notification', 'privacy.alert']) {
+      try {
+        await messageBrokerService.publish(topic, alert);
+      } catch (error) {
+        console.error(`Error publishing emergency access alert to ${topic}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Get overrides for the review queue
+   * @param {Object} filters - Filters and pagination
+   * @returns {Promise<Object>} - Overrides and pagination info
+   */
+  async getOverrides({ reviewStatus, patientId, requestingHospitalId, page = 1, limit = 20, sortBy = 'created_at', sortOrder = 'asc' } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (reviewStatus) {
+        params.push(reviewStatus);
+        conditions.push(`review_status = $${params.length}`);
+      }
+
+      if (patientId) {
+        params.push(patientId);
+        conditions.push(`patient_id = $${params.length}`);
+      }
+
+      if (requestingHospitalId) {
+        params.push(requestingHospitalId);
+        conditions.push(`requesting_hospital_id = $${params.length}`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const column = SORTABLE_COLUMNS.includes(sortBy) ? sortBy : 'created_at';
+      const order = sortOrder === 'desc' ? 'DESC' : 'ASC';
+
+      const countResult = await this.db.query(
+        `SELECT COUNT(*) AS total FROM emergency_access_overrides ${where}`,
+        params
+      );
+      const total = parseInt(countResult.rows[0].total, 10);
+
+      const result = await this.db.query(
+        `SELECT * FROM emergency_access_overrides ${where}
+         ORDER BY ${column} ${order}
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      );
+
+      return {
+        data: result.rows,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting emergency access overrides:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an override by ID
+   * @param {string} overrideId - Override ID
+   * @returns {Promise<Object|null>} - Override or null if not found
+   */
+  async getOverrideById(overrideId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM emergency_access_overrides WHERE override_id = $1',
+        [overrideId]
+      );
+
+      return result.rows.length > 0 ? result.rows[0] : null;
+    } catch (error) {
+      console.error('Error getting emergency access override:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the review of a pending override
+   * Flagging an override also revokes its token if it is still live.
+   * @param {string} overrideId - Override ID
+   * @param {Object} review - Review details
+   * @param {string} review.decision - 'approved' or 'flagged'
+   * @param {string} review.notes - Reviewer notes
+   * @param {Object} reviewer - Reviewing user ({ id, hospital_id })
+   * @returns {Promise<Object|null>} - Reviewed override, or null if no pending override matched
+   */
+  async reviewOverride(overrideId, { decision, notes = null }, reviewer) {
+    try {
+      if (!['approved', 'flagged'].includes(decision)) {
+        throw new Error(`Invalid review decision: ${decision}`);
+      }
+
+      const result = await this.db.query(
+        `UPDATE emergency_access_overrides
+         SET review_status = $2,
+             review_notes = $3,
+             reviewed_by = $4,
+             reviewed_at = CURRENT_TIMESTAMP
+         WHERE override_id = $1 AND review_status = 'pending'
+         RETURNING *`,
+        [overrideId, decision, notes, reviewer.id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const override = result.rows[0];
+      let revokedTokens = 0;
+
+      if (decision === 'flagged') {
+        // Required lazily as the cross-hospital service depends on this service
+        const crossHospitalService = require('./CrossHospitalService');
+        revokedTokens = await crossHospitalService.revokeTokensByOverride(overrideId, 'emergency_access_flagged');
+      }
+
+      await auditService.logSecurityEvent({
+        eventType: `emergency_access_${decision}`,
+        status: 'success',
+        severity: decision === 'flagged' ? 'error' : 'info',
+        userId: reviewer.id,
+        hospitalId: reviewer.hospital_id,
+        patientId: override.patient_id,
+        details: {
+          overrideId,
+          requestingHospitalId: override.requesting_hospital_id,
+          requestingUserId: override.requesting_user_id,
+          notes,
+          revokedTokens
+        }
+      });
+
+      return override;
+    } catch (error) {
+      console.error('Error reviewing emergency access override:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EmergencyAccessService();
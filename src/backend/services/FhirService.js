@@ -8,6 +8,47 @@ const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 
 const auditService = require('./AuditService');
+const { SENSITIVITY_LABEL_SYSTEM, SENSITIVITY_LABELS, labelForCode } = require('../config/sensitivityLabels');
+const { PURPOSE_OF_USE, normalizePurpose } = require('../config/purposeOfUse');
+
+// Code systems used in Consent resources
+const CONSENT_SYSTEMS = {
+  scope: 'http://terminology.hl7.org/CodeSystem/consentscope',
+  category: 'http://loinc.org',
+  policy: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  action: 'http://terminology.hl7.org/CodeSystem/consentaction',
+  actorRole: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType',
+  purpose: 'http://terminology.hl7.org/CodeSystem/v3-ActReason',
+  resourceType: 'http://hl7.org/fhir/resource-types',
+  // Local systems that carry our own consent fields without loss
+  consentType: 'urn:hospital-network:consent-type',
+  dataType: 'urn:hospital-network:data-type'
+};
+
+// Data types and the FHIR resources that hold them
+const DATA_TYPE_RESOURCES = {
+  demographics: 'Patient',
+  medications: 'MedicationRequest',
+  lab_results: 'Observation',
+  imaging: 'ImagingStudy',
+  diagnoses: 'Condition',
+  procedures: 'Procedure',
+  allergies: 'AllergyIntolerance',
+  immunizations: 'Immunization',
+  vitals: 'Observation',
+  notes: 'DocumentReference'
+};
+
+/**
+ * Create an error for a resource that can't be accepted
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 400 status
+ */
+function invalidResource(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
 
 class FhirService {
   constructor() {
@@ -746,6 +787,270 @@ class FhirService {
     };
   }
 
+  /**
+   * Convert a consent record to FHIR Consent resource
+   * @param {Object} consent - Internal consent record (ConsentService)
+   * @returns {Object} - FHIR Consent resource
+   */
+  convertToFhirConsent(consent) {
+    const dataTypes = Array.isArray(consent.specific_data_types) ? consent.specific_data_types : [];
+    const purposeKey = normalizePurpose(consent.purpose);
+    const purpose = purposeKey ? PURPOSE_OF_USE[purposeKey] : null;
+    
+    // Revoked and expired consents no longer apply
+    const status = consent.status === 'active' &&
+      (!consent.end_date || new Date(consent.end_date) > new Date())
+      ? 'active'
+      : 'inactive';
+    
+    const resourceTypes = [...new Set(dataTypes.map(type => DATA_TYPE_RESOURCES[type]).filter(Boolean))];
+    
+    const securityLabels = labels => labels.map(label => ({
+      system: SENSITIVITY_LABEL_SYSTEM,
+      code: SENSITIVITY_LABELS[label].code,
+      display: SENSITIVITY_LABELS[label].display
+    }));
+    const included = consent.included_sensitivity_labels || [];
+    const excluded = consent.excluded_sensitivity_labels || [];
+    
+    return {
+      resourceType: 'Consent',
+      id: consent.id,
+      meta: consent.updated_at ? { lastUpdated: new Date(consent.updated_at).toISOString() } : undefined,
+      status,
+      scope: {
+        coding: [
+          {
+            system: CONSENT_SYSTEMS.scope,
+            code: 'patient-privacy',
+            display: 'Privacy Consent'
+          }
+        ]
+      },
+      category: [
+        {
+          coding: [
+            {
+              system: CONSENT_SYSTEMS.category,
+              code: '59284-0',
+              display: 'Patient Consent'
+            }
+          ]
+        },
+        {
+          coding: [
+            {
+              system: CONSENT_SYSTEMS.consentType,
+              code: consent.consent_type
+            }
+          ]
+        }
+      ],
+      patient: {
+        reference: `Patient/${consent.patient_id}`
+      },
+      dateTime: consent.created_at ? new Date(consent.created_at).toISOString() : undefined,
+      performer: [
+        {
+          reference: `Patient/${consent.patient_id}`
+        }
+      ],
+      organization: [
+        {
+          reference: `Organization/${consent.consenting_hospital_id}`
+        }
+      ],
+      policyRule: {
+        coding: [
+          {
+            system: CONSENT_SYSTEMS.policy,
+            code: 'OPTIN',
+            display: 'opt-in'
+          }
+        ]
+      },
+      verification: consent.consent_verified ? [
+        {
+          verified: true,
+          verificationDate: consent.updated_at ? new Date(consent.updated_at).toISOString() : undefined
+        }
+      ] : undefined,
+      provision: {
+        type: 'permit',
+        period: {
+          start: consent.start_date ? new Date(consent.start_date).toISOString() : undefined,
+          end: consent.end_date ? new Date(consent.end_date).toISOString() : undefined
+        },
+        actor: [
+          {
+            role: {
+              coding: [
+                {
+                  system: CONSENT_SYSTEMS.actorRole,
+                  code: 'IRCP',
+                  display: 'information recipient'
+                }
+              ]
+            },
+            reference: {
+              reference: `Organization/${consent.target_hospital_id}`
+            }
+          }
+        ],
+        action: [
+          {
+            coding: [
+              {
+                system: CONSENT_SYSTEMS.action,
+                code: 'access',
+                display: 'Access'
+              }
+            ]
+          }
+        ],
+        purpose: consent.purpose ? [
+          purpose
+            ? { system: CONSENT_SYSTEMS.purpose, code: purpose.code, display: purpose.display }
+            : { display: consent.purpose }
+        ] : undefined,
+        class: resourceTypes.length > 0
+          ? resourceTypes.map(code => ({ system: CONSENT_SYSTEMS.resourceType, code }))
+          : undefined,
+        code: dataTypes.length > 0 ? [
+          {
+            coding: dataTypes.map(code => ({ system: CONSENT_SYSTEMS.dataType, code }))
+          }
+        ] : undefined,
+        // Sensitive categories released explicitly, and those withheld via a nested deny
+        securityLabel: included.length > 0 ? securityLabels(included) : undefined,
+        provision: excluded.length > 0 ? [
+          {
+            type: 'deny',
+            securityLabel: securityLabels(excluded)
+          }
+        ] : undefined
+      }
+    };
+  }
+
+  /**
+   * Convert a FHIR Consent resource to internal consent record
+   * Only a permit provision, optionally with nested deny provisions on security labels,
+   * can be represented; anything else is rejected
+   * @param {Object} fhirConsent - FHIR Consent resource
+   * @returns {Object} - Internal consent record (ConsentService fields)
+   */
+  convertFromFhirConsent(fhirConsent) {
+    if (!fhirConsent || fhirConsent.resourceType !== 'Consent') {
+      throw invalidResource('Invalid resource type. Expected Consent.');
+    }
+    
+    if (fhirConsent.status !== 'active') {
+      throw invalidResource(`Consent status ${fhirConsent.status} cannot be imported; only active consents are accepted`);
+    }
+    
+    const provision = fhirConsent.provision || {};
+    if (provision.type && provision.type !== 'permit') {
+      throw invalidResource('Only permit provisions are supported');
+    }
+    
+    // Map security labels to sensitivity labels
+    const sensitivityLabels = (codings = []) => codings.map(coding => {
+      const label = coding.system === SENSITIVITY_LABEL_SYSTEM ? labelForCode(coding.code) : null;
+      if (!label) {
+        throw invalidResource(`Unsupported security label: ${coding.system}|${coding.code}`);
+      }
+      return label;
+    });
+    
+    const includedLabels = sensitivityLabels(provision.securityLabel);
+    const excludedLabels = [];
+    
+    for (const nested of provision.provision || []) {
+      const constraints = Object.keys(nested).filter(key => !['type', 'securityLabel', 'id'].includes(key));
+      if (nested.type !== 'deny' || !nested.securityLabel || constraints.length > 0) {
+        throw invalidResource('Nested provisions are only supported as deny provisions on security labels');
+      }
+      excludedLabels.push(...sensitivityLabels(nested.securityLabel));
+    }
+    
+    // Extract references
+    const referenceId = (reference, type) => {
+      const value = reference && reference.reference;
+      if (!value || !value.startsWith(`${type}/`)) {
+        return null;
+      }
+      return value.slice(type.length + 1);
+    };
+    
+    const patientId = referenceId(fhirConsent.patient, 'Patient');
+    if (!patientId) {
+      throw invalidResource('Consent.patient must reference a Patient');
+    }
+    
+    // The recipient is the actor in the information recipient role, or the only organization actor
+    const actors = (provision.actor || []).filter(actor => referenceId(actor.reference, 'Organization'));
+    const recipient = actors.find(actor =>
+      actor.role && (actor.role.coding || []).some(code => code.code === 'IRCP')
+    ) || (actors.length === 1 ? actors[0] : null);
+    
+    if (!recipient) {
+      throw invalidResource('Consent.provision.actor must identify the receiving Organization');
+    }
+    
+    // Extract data types, preferring our own codes over resource classes
+    const codings = (provision.code || []).flatMap(concept => concept.coding || []);
+    let dataTypes = codings
+      .filter(code => code.system === CONSENT_SYSTEMS.dataType)
+      .map(code => code.code);
+    
+    if (dataTypes.length === 0) {
+      for (const resourceClass of provision.class || []) {
+        const matches = Object.keys(DATA_TYPE_RESOURCES).filter(type => DATA_TYPE_RESOURCES[type] === resourceClass.code);
+        if (matches.length === 0) {
+          throw invalidResource(`Unsupported provision class: ${resourceClass.code}`);
+        }
+        dataTypes.push(...matches);
+      }
+    }
+    dataTypes = [...new Set(dataTypes)];
+    
+    // Extract consent type
+    const consentTypeCoding = (fhirConsent.category || [])
+      .flatMap(concept => concept.coding || [])
+      .find(code => code.system === CONSENT_SYSTEMS.consentType);
+    const consentType = consentTypeCoding
+      ? consentTypeCoding.code
+      : (dataTypes.length > 0 ? 'specific_data' : 'full_access');
+    
+    // Extract purpose of use; free text would not be enforced, so only known codes are accepted
+    const purposeCoding = (provision.purpose || [])[0];
+    let purpose = null;
+    if (purposeCoding) {
+      purpose = Object.keys(PURPOSE_OF_USE).find(key =>
+        purposeCoding.system === CONSENT_SYSTEMS.purpose && PURPOSE_OF_USE[key].code === purposeCoding.code
+      );
+      if (!purpose) {
+        throw invalidResource(`Unsupported purpose of use: ${purposeCoding.system}|${purposeCoding.code}`);
+      }
+    }
+    
+    const period = provision.period || {};
+    
+    return {
+      patient_id: patientId,
+      consenting_hospital_id: referenceId((fhirConsent.organization || [])[0], 'Organization'),
+      target_hospital_id: referenceId(recipient.reference, 'Organization'),
+      consent_type: consentType,
+      specific_data_types: dataTypes.length > 0 ? dataTypes : null,
+      start_date: period.start || fhirConsent.dateTime || new Date().toISOString(),
+      end_date: period.end || null,
+      purpose,
+      included_sensitivity_labels: [...new Set(includedLabels)],
+      excluded_sensitivity_labels: [...new Set(excludedLabels)]
+    };
+  }
+
   /**
    * Get capability statement from FHIR server
    * @returns {Promise<Object>} - FHIR CapabilityStatement
@@ -5,11 +5,44 @@
 
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const config = require('../config/config');
+const db = require('../database/connection');
+const AuditService = require('./AuditService');
 
 // This would be replaced with actual database models in a real implementation
 let hospitals = [];
 
+
+const SIGNING_KEY_CONFIG = {
+  // Directory holding this hospital's private keys, one PEM file per key ID
+  keyDirectory: process.env.HOSPITAL_SIGNING_KEY_DIR || './keys',
+  // How long a replaced key is still accepted after a rotation
+  rotationOverlap: parseInt(process.env.HOSPITAL_KEY_ROTATION_OVERLAP || '604800000', 10) // 7 days
+};
+
+// Key types accepted for request signatures, with the algorithm recorded for each
+const SIGNING_ALGORITHMS = {
+  rsa: 'rsa-sha256',
+  ec: 'ec-sha256'
+};
+
+// Private keys already read from the key directory, by key ID
+const privateKeyCache = new Map();
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function signingKeyError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
 /**
  * Hospital Service class for managing hospital network
  */
@@ -90,6 +123,11 @@ class HospitalService {
         updated_at: new Date()
       };
       
+      // Requests from the hospital are verified against its registered public key
+      if (hospitalData.public_key) {
+        await this.registerSigningKey(hospital.id, hospitalData.public_key);
+      }
+      
       // In a real implementation, this would insert into the database
       hospitals.push(hospital);
       
@@ -116,6 +154,11 @@ class HospitalService {
         throw new Error('Hospital not found');
       }
       
+      // A changed public key is registered as the hospital's new signing key
+      if (hospitalData.public_key && hospitalData.public_key !== hospitals[hospitalIndex].public_key) {
+        await this.registerSigningKey(id, hospitalData.public_key);
+      }
+      
       // Update hospital
       const updatedHospital = {
         ...hospitals[hospitalIndex],
@@ -275,6 +318,257 @@ class HospitalService {
       throw error;
     }
   }
+  
+  /**
+   * Compute the key ID of a public key, the hex SHA-256 fingerprint of its SPKI encoding
+   * @param {crypto.KeyObject} publicKey - Public key
+   * @returns {string} Key ID
+   */
+  static getKeyId(publicKey) {
+    return crypto
+      .createHash('sha256')
+      .update(publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex');
+  }
+  
+  /**
+   * Register a public key that a hospital signs cross-hospital requests with
+   * The new key becomes the hospital's active key; its earlier keys are still accepted
+   * until the rotation overlap ends, so requests signed before the rotation verify
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} publicKeyPem - PEM public key (RSA or EC)
+   * @param {string} registeredBy - ID of user registering the key
+   * @returns {Object} Registered key
+   */
+  static async registerSigningKey(hospitalId, publicKeyPem, registeredBy = null) {
+    try {
+      let publicKey;
+      try {
+        publicKey = crypto.createPublicKey(publicKeyPem);
+      } catch (error) {
+        throw signingKeyError(400, 'public_key is not a valid PEM public key');
+      }
+      
+      const algorithm = SIGNING_ALGORITHMS[publicKey.asymmetricKeyType];
+      if (!algorithm) {
+        throw signingKeyError(400, `Unsupported key type: ${publicKey.asymmetricKeyType}`);
+      }
+      
+      const keyId = this.getKeyId(publicKey);
+      const client = await db.connect();
+      let key;
+      
+      try {
+        await client.query('BEGIN');
+        
+        const result = await client.query(
+          `INSERT INTO hospital_signing_keys (hospital_id, key_id, public_key, algorithm, registered_by)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (hospital_id, key_id) DO NOTHING
+           RETURNING *`,
+          [hospitalId, keyId, publicKey.export({ type: 'spki', format: 'pem' }), algorithm, registeredBy]
+        );
+        
+        if (result.rows.length === 0) {
+          throw signingKeyError(409, `Key ${keyId} is already registered for this hospital`);
+        }
+        
+        await client.query(
+          `UPDATE hospital_signing_keys
+           SET status = 'retiring',
+               retires_at = $3
+           WHERE hospital_id = $1 AND key_id <> $2 AND status = 'active'`,
+          [hospitalId, keyId, new Date(Date.now() + SIGNING_KEY_CONFIG.rotationOverlap)]
+        );
+        
+        await client.query('COMMIT');
+        key = result.rows[0];
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+      
+      await AuditService.logSecurityEvent({
+        eventType: 'signing_key_registered',
+        status: 'success',
+        severity: 'info',
+        userId: registeredBy,
+        hospitalId,
+        details: {
+          keyId,
+          algorithm,
+          rotationOverlap: SIGNING_KEY_CONFIG.rotationOverlap
+        }
+      });
+      
+      return this.formatSigningKey(key);
+    } catch (error) {
+      console.error('Error in registerSigningKey:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get a hospital's signing keys, newest first
+   * @param {string} hospitalId - Hospital ID
+   * @returns {Array} Signing keys, each marked with whether it is still accepted
+   */
+  static async getSigningKeys(hospitalId) {
+    try {
+      const result = await db.query(
+        'SELECT * FROM hospital_signing_keys WHERE hospital_id = $1 ORDER BY created_at DESC',
+        [hospitalId]
+      );
+      
+      return result.rows.map(row => this.formatSigningKey(row));
+    } catch (error) {
+      console.error('Error in getSigningKeys:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the public key to verify a hospital's signature with
+   * @param {string} hospitalId - ID of the hospital that signed
+   * @param {string} keyId - Key ID named in the signature
+   * @returns {Object|null} Signing key, or null if the key is unknown, revoked or past its rotation overlap
+   */
+  static async getVerificationKey(hospitalId, keyId) {
+    try {
+      const result = await db.query(
+        `SELECT * FROM hospital_signing_keys
+         WHERE hospital_id = $1 AND key_id = $2
+           AND status <> 'revoked'
+           AND (retires_at IS NULL OR retires_at > CURRENT_TIMESTAMP)`,
+        [hospitalId, keyId]
+      );
+      
+      return result.rows.length > 0 ? this.formatSigningKey(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error in getVerificationKey:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Revoke a signing key immediately, e.g. when its private key is compromised
+   * @param {string} hospitalId - Hospital ID
+   * @param {string} keyId - Key ID
+   * @param {string} reason - Reason for revocation
+   * @param {string} revokedBy - ID of user revoking the key
+   * @returns {Object|null} Revoked key, or null if no unrevoked key matched
+   */
+  static async revokeSigningKey(hospitalId, keyId, reason, revokedBy = null) {
+    try {
+      const result = await db.query(
+        `UPDATE hospital_signing_keys
+         SET status = 'revoked',
+             revoked_at = CURRENT_TIMESTAMP,
+             revocation_reason = $3
+         WHERE hospital_id = $1 AND key_id = $2 AND status <> 'revoked'
+         RETURNING *`,
+        [hospitalId, keyId, reason]
+      );
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      privateKeyCache.delete(keyId);
+      
+      await AuditService.logSecurityEvent({
+        eventType: 'signing_key_revoked',
+        status: 'success',
+        severity: 'error',
+        userId: revokedBy,
+        hospitalId,
+        details: {
+          keyId,
+          reason
+        }
+      });
+      
+      return this.formatSigningKey(result.rows[0]);
+    } catch (error) {
+      console.error('Error in revokeSigningKey:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Generate a new key pair for this hospital and make it the active signing key
+   * The private key is written to the key directory; only the public key is registered.
+   * Partner hospitals must register the new public key before the rotation overlap ends.
+   * @param {string} rotatedBy - ID of user rotating the key
+   * @returns {Object} Registered public key
+   */
+  static async rotateLocalSigningKey(rotatedBy = null) {
+    try {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      const keyId = this.getKeyId(publicKey);
+      
+      fs.mkdirSync(SIGNING_KEY_CONFIG.keyDirectory, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(
+        path.join(SIGNING_KEY_CONFIG.keyDirectory, `${keyId}.pem`),
+        privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        { mode: 0o600 }
+      );
+      privateKeyCache.set(keyId, privateKey);
+      
+      return await this.registerSigningKey(
+        config.hospitalId,
+        publicKey.export({ type: 'spki', format: 'pem' }),
+        rotatedBy
+      );
+    } catch (error) {
+      console.error('Error in rotateLocalSigningKey:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the key this hospital signs with, generating the first key pair if there is none
+   * @returns {Object} Key ID and private key
+   */
+  static async getLocalSigningKey() {
+    try {
+      const result = await db.query(
+        `SELECT key_id FROM hospital_signing_keys
+         WHERE hospital_id = $1 AND status = 'active'
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [config.hospitalId]
+      );
+      
+      const keyId = result.rows.length > 0
+        ? result.rows[0].key_id
+        : (await this.rotateLocalSigningKey()).key_id;
+      
+      if (!privateKeyCache.has(keyId)) {
+        const pem = fs.readFileSync(path.join(SIGNING_KEY_CONFIG.keyDirectory, `${keyId}.pem`), 'utf8');
+        privateKeyCache.set(keyId, crypto.createPrivateKey(pem));
+      }
+      
+      return { keyId, privateKey: privateKeyCache.get(keyId) };
+    } catch (error) {
+      console.error('Error in getLocalSigningKey:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Convert a hospital_signing_keys row to a signing key record
+   * @param {Object} row - Database row
+   * @returns {Object} Signing key
+   */
+  static formatSigningKey(row) {
+    return {
+      ...row,
+      accepted: row.status !== 'revoked' && (!row.retires_at || new Date(row.retires_at) > new Date())
+    };
+  }
 }
 
 module.exports = HospitalService;
\ No newline at end of file
@@ -0,0 +1,913 @@
+/**
+ * Master Patient Index Service
+ * Links the records hospitals keep for the same person by scoring demographic matches,
+ * linking confident matches automatically and queueing uncertain ones for review
+ */
+
+const crypto = require('crypto');
+const natural = require('natural');
+const db = require('../database/connection');
+const config = require('../config/config');
+const auditService = require('./AuditService');
+
+// Contribution of each field to a match score; fields missing from either record count as half agreement
+const FIELD_WEIGHTS = {
+  identifiers: 0.3,
+  lastName: 0.2,
+  firstName: 0.15,
+  dateOfBirth: 0.2,
+  gender: 0.05,
+  address: 0.1
+};
+
+// Address abbreviations expanded before comparison
+const ADDRESS_ABBREVIATIONS = {
+  st: 'street',
+  rd: 'road',
+  ave: 'avenue',
+  av: 'avenue',
+  blvd: 'boulevard',
+  dr: 'drive',
+  ln: 'lane',
+  ct: 'court',
+  pl: 'place',
+  apt: 'apartment',
+  ste: 'suite',
+  n: 'north',
+  s: 'south',
+  e: 'east',
+  w: 'west'
+};
+
+// Genders that say nothing about whether two records match
+const UNINFORMATIVE_GENDERS = ['other', 'prefer_not_to_say', 'unknown'];
+
+function mpiError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Lower-case a name and strip accents, punctuation and spacing
+ * @param {string} name - Name as registered
+ * @returns {string} - Normalized name
+ */
+function normalizeName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Lower-case an address and expand common abbreviations
+ * @param {string} address - Address as registered
+ * @returns {string} - Normalized address
+ */
+function normalizeAddress(address) {
+  return (address || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => ADDRESS_ABBREVIATIONS[token] || token)
+    .join(' ');
+}
+
+/**
+ * Format a date of birth as YYYY-MM-DD
+ * @param {string|Date} value - Date of birth
+ * @returns {string|null} - Date, or null if it is not a valid date
+ */
+function formatDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date)) {
+    return null;
+  }
+
+  // pg returns DATE columns at local midnight, while parsed ISO dates are at UTC midnight
+  const utc = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+  const parts = utc
+    ? [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()]
+    : [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+  return `${parts[0]}-${String(parts[1]).padStart(2, '0')}-${String(parts[2]).padStart(2, '0')}`;
+}
+
+class MasterPatientIndexService {
+  constructor() {
+    this.config = {
+      // Scores at or above matchThreshold link automatically; from reviewThreshold they are queued for review
+      matchThreshold: parseFloat(process.env.MPI_MATCH_THRESHOLD || '0.9'),
+      reviewThreshold: parseFloat(process.env.MPI_REVIEW_THRESHOLD || '0.7'),
+      // Shared by the hospitals in the network so the same identifier hashes the same everywhere
+      identifierKey: process.env.MPI_IDENTIFIER_KEY,
+      maxCandidates: parseInt(process.env.MPI_MAX_CANDIDATES || '200', 10)
+    };
+
+    // Identifiers hashed with an empty key could be recovered by hashing candidate values
+    if (!this.config.identifierKey) {
+      throw new Error('MPI_IDENTIFIER_KEY must be set to hash patient identifiers');
+    }
+
+    if (this.config.reviewThreshold > this.config.matchThreshold) {
+      throw new Error('MPI_REVIEW_THRESHOLD must not be higher than MPI_MATCH_THRESHOLD');
+    }
+
+    this.db = db;
+  }
+
+  /**
+   * Add or update a hospital's record of a patient, and link it to the person it matches
+   * @param {Object} data - Demographics as registered at the hospital
+   * @param {string} data.hospitalId - Hospital that registered the patient
+   * @param {string} data.sourcePatientId - Patient's ID at that hospital
+   * @param {string} data.firstName - First name
+   * @param {string} data.lastName - Last name
+   * @param {string} data.dateOfBirth - Date of birth
+   * @param {string} data.gender - Gender
+   * @param {string} data.address - Address
+   * @param {Array<Object>} data.identifiers - Identifiers such as SSN or insurance number ({ system, value })
+   * @param {Object} user - User registering the record
+   * @returns {Promise<Object>} - Record, outcome ('linked', 'new' or 'updated') and any reviews queued
+   */
+  async registerRecord(data, user = {}) {
+    const client = await this.db.connect();
+
+    try {
+      const record = this.prepareRecord(data);
+
+      await client.query('BEGIN');
+
+      // A hospital re-registering a patient updates its record; the person it belongs to stays the same
+      const existing = await client.query(
+        `UPDATE mpi_records
+         SET first_name = $3, last_name = $4, date_of_birth = $5, gender = $6, address = $7,
+             first_name_phonetic = $8, last_name_phonetic = $9,
+             identifiers = COALESCE($10, identifiers), identifier_keys = COALESCE($11, identifier_keys),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE hospital_id = $1 AND source_patient_id = $2
+         RETURNING *`,
+        [
+          record.hospitalId, record.sourcePatientId, record.registered.firstName, record.registered.lastName,
+          record.dateOfBirth, record.gender, record.registered.address, record.firstNamePhonetic,
+          record.lastNamePhonetic,
+          // Identifiers left out of an update are kept
+          data.identifiers ? JSON.stringify(record.identifiers) : null,
+          data.identifiers ? record.identifierKeys : null
+        ]
+      );
+
+      if (existing.rows.length > 0) {
+        await client.query('COMMIT');
+
+        return {
+          record: this.formatRecord(existing.rows[0]),
+          outcome: 'updated',
+          reviews: []
+        };
+      }
+
+      const candidates = await this.findCandidates(record, client);
+      const matches = this.rankEnterprises(record, candidates);
+      const best = matches[0];
+
+      // Link automatically only when exactly one person clears the match threshold
+      const confident = best && best.score >= this.config.matchThreshold &&
+        !(matches[1] && matches[1].score >= this.config.matchThreshold);
+
+      const enterpriseId = confident ? best.enterpriseId : crypto.randomUUID();
+
+      const inserted = await client.query(
+        `INSERT INTO mpi_records
+           (hospital_id, source_patient_id, enterprise_id, first_name, last_name, date_of_birth, gender, address,
+            first_name_phonetic, last_name_phonetic, identifiers, identifier_keys, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING *`,
+        [
+          record.hospitalId, record.sourcePatientId, enterpriseId, record.registered.firstName,
+          record.registered.lastName, record.dateOfBirth, record.gender, record.registered.address,
+          record.firstNamePhonetic, record.lastNamePhonetic, JSON.stringify(record.identifiers),
+          record.identifierKeys, user.id || null
+        ]
+      );
+      const saved = inserted.rows[0];
+
+      await client.query(
+        `INSERT INTO mpi_links (record_id, enterprise_id, link_type, matched_record_id, match_score, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          saved.record_id,
+          enterpriseId,
+          confident ? 'auto' : 'new',
+          confident ? best.recordId : null,
+          confident ? best.score : null,
+          user.id || null
+        ]
+      );
+
+      // Anyone else scoring above the review threshold may still be the same person
+      const reviews = [];
+
+      for (const match of matches) {
+        if (match.score < this.config.reviewThreshold || (confident && match === best)) {
+          continue;
+        }
+
+        const review = await client.query(
+          `INSERT INTO mpi_match_reviews (record_id, candidate_record_id, score, score_details)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (record_id, candidate_record_id) DO NOTHING
+           RETURNING *`,
+          [saved.record_id, match.recordId, match.score, JSON.stringify(match.fields)]
+        );
+
+        reviews.push(...review.rows);
+      }
+
+      await client.query('COMMIT');
+
+      const outcome = confident ? 'linked' : 'new';
+
+      await auditService.logDataAccess({
+        eventType: 'mpi_record_registered',
+        status: 'success',
+        userId: user.id,
+        hospitalId: record.hospitalId,
+        resourceType: 'mpi_record',
+        resourceId: saved.record_id,
+        action: outcome,
+        details: {
+          sourcePatientId: record.sourcePatientId,
+          enterpriseId,
+          matchScore: confident ? best.score : null,
+          matchedRecordId: confident ? best.recordId : null,
+          candidates: candidates.length,
+          reviewIds: reviews.map(review => review.review_id)
+        }
+      });
+
+      return {
+        record: this.formatRecord(saved),
+        outcome,
+        reviews
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error registering MPI record:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Score demographics against the index without registering them
+   * @param {Object} data - Demographics to look up, as for registerRecord
+   * @param {Object} options - Search options
+   * @param {number} options.minScore - Lowest score to return; defaults to the review threshold
+   * @returns {Promise<Array>} - Matching people, best first, with the records that matched
+   */
+  async searchMatches(data, { minScore = this.config.reviewThreshold } = {}) {
+    try {
+      const record = this.prepareRecord({ hospitalId: null, sourcePatientId: null, ...data }, false);
+      const candidates = await this.findCandidates(record, this.db);
+
+      return this.rankEnterprises(record, candidates)
+        .filter(match => match.score >= minScore)
+        .map(match => ({
+          ...match,
+          record: this.formatRecord(candidates.find(candidate => candidate.record_id === match.recordId))
+        }));
+    } catch (error) {
+      console.error('Error searching MPI matches:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the records held for the same person as a hospital's patient
+   * @param {string} hospitalId - Hospital that registered the patient
+   * @param {string} sourcePatientId - Patient's ID at that hospital
+   * @returns {Promise<Array>} - Linked records at other hospitals or under other IDs
+   */
+  async getLinkedRecords(hospitalId, sourcePatientId) {
+    try {
+      const result = await this.db.query(
+        `SELECT linked.* FROM mpi_records r
+         JOIN mpi_records linked ON linked.enterprise_id = r.enterprise_id AND linked.record_id <> r.record_id
+         WHERE r.hospital_id = $1 AND r.source_patient_id = $2
+         ORDER BY linked.created_at`,
+        [hospitalId, sourcePatientId]
+      );
+
+      return result.rows.map(row => this.formatRecord(row));
+    } catch (error) {
+      console.error('Error getting linked MPI records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a hospital's own ID for a patient another hospital knows by a different ID
+   * @param {string} sourceHospitalId - Hospital whose ID is known
+   * @param {string} sourcePatientId - Patient's ID at that hospital
+   * @param {string} hospitalId - Hospital whose ID is wanted
+   * @returns {Promise<string|null>} - Patient's ID at the wanted hospital
+   */
+  async resolvePatientId(sourceHospitalId, sourcePatientId, hospitalId) {
+    const linked = await this.getLinkedRecords(sourceHospitalId, sourcePatientId);
+    const match = linked.find(record => record.hospital_id === hospitalId);
+    return match ? match.source_patient_id : null;
+  }
+
+  /**
+   * Get a record with its link history
+   * @param {string} recordId - Record ID
+   * @returns {Promise<Object|null>} - Record
+   */
+  async getRecordById(recordId) {
+    try {
+      const result = await this.db.query('SELECT * FROM mpi_records WHERE record_id = $1', [recordId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const links = await this.db.query(
+        'SELECT * FROM mpi_links WHERE record_id = $1 ORDER BY created_at',
+        [recordId]
+      );
+
+      return {
+        ...this.formatRecord(result.rows[0]),
+        links: links.rows
+      };
+    } catch (error) {
+      console.error('Error getting MPI record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the review queue
+   * @param {Object} filters - Filters and pagination
+   * @returns {Promise<Object>} - Reviews with both records, and pagination info
+   */
+  async getReviews({ status = 'pending', page = 1, limit = 20 } = {}) {
+    try {
+      const countResult = await this.db.query(
+        'SELECT COUNT(*) AS total FROM mpi_match_reviews WHERE status = $1',
+        [status]
+      );
+      const total = parseInt(countResult.rows[0].total, 10);
+
+      // Closest calls first, so reviewers see the likeliest duplicates before the long tail
+      const result = await this.db.query(
+        `SELECT rv.*, row_to_json(r.*) AS record, row_to_json(c.*) AS candidate
+         FROM mpi_match_reviews rv
+         JOIN mpi_records r ON r.record_id = rv.record_id
+         JOIN mpi_records c ON c.record_id = rv.candidate_record_id
+         WHERE rv.status = $1
+         ORDER BY rv.score DESC, rv.created_at
+         LIMIT $2 OFFSET $3`,
+        [status, limit, (page - 1) * limit]
+      );
+
+      return {
+        data: result.rows.map(row => ({
+          ...row,
+          record: this.formatRecord(row.record),
+          candidate: this.formatRecord(row.candidate)
+        })),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      console.error('Error getting MPI reviews:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide a queued match: link the two records as one person, or record that they are different people
+   * @param {string} reviewId - Review ID
+   * @param {string} decision - 'link' or 'reject'
+   * @param {Object} user - Reviewer
+   * @param {string} notes - Reviewer's notes
+   * @returns {Promise<Object>} - Decided review
+   */
+  async resolveReview(reviewId, decision, user, notes = null) {
+    if (!['link', 'reject'].includes(decision)) {
+      throw mpiError(400, "Decision must be 'link' or 'reject'");
+    }
+
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        'SELECT * FROM mpi_match_reviews WHERE review_id = $1 FOR UPDATE',
+        [reviewId]
+      );
+
+      if (result.rows.length === 0) {
+        throw mpiError(404, 'Match review not found');
+      }
+
+      const review = result.rows[0];
+
+      if (review.status !== 'pending') {
+        throw mpiError(409, `Match review is already ${review.status}`);
+      }
+
+      let mergedRecords = 0;
+
+      if (decision === 'link') {
+        mergedRecords = await this.mergeEnterprises(review, user, client);
+      }
+
+      const updated = await client.query(
+        `UPDATE mpi_match_reviews
+         SET status = $2, decided_by = $3, decided_at = CURRENT_TIMESTAMP, notes = $4
+         WHERE review_id = $1
+         RETURNING *`,
+        [reviewId, decision === 'link' ? 'linked' : 'rejected', user.id, notes]
+      );
+
+      // Other open reviews between records that are now the same person have nothing left to decide
+      if (decision === 'link') {
+        await client.query(
+          `UPDATE mpi_match_reviews rv
+           SET status = 'superseded', decided_at = CURRENT_TIMESTAMP
+           FROM mpi_records r, mpi_records c
+           WHERE rv.status = 'pending'
+             AND r.record_id = rv.record_id
+             AND c.record_id = rv.candidate_record_id
+             AND r.enterprise_id = c.enterprise_id`
+        );
+      }
+
+      await client.query('COMMIT');
+
+      await auditService.logDataAccess({
+        eventType: decision === 'link' ? 'mpi_records_linked' : 'mpi_match_rejected',
+        status: 'success',
+        userId: user.id,
+        hospitalId: user.hospital_id,
+        resourceType: 'mpi_match_review',
+        resourceId: reviewId,
+        action: decision,
+        details: {
+          recordId: review.record_id,
+          candidateRecordId: review.candidate_record_id,
+          score: review.score,
+          mergedRecords,
+          notes
+        }
+      });
+
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error resolving MPI review:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move every record of the reviewed record's person to the candidate's person
+   * @param {Object} review - mpi_match_reviews row
+   * @param {Object} user - Reviewer
+   * @param {Object} client - Transaction client
+   * @returns {Promise<number>} - Number of records moved
+   */
+  async mergeEnterprises(review, user, client) {
+    const records = await client.query(
+      'SELECT record_id, enterprise_id FROM mpi_records WHERE record_id = ANY($1) FOR UPDATE',
+      [[review.record_id, review.candidate_record_id]]
+    );
+    const enterpriseOf = id => records.rows.find(row => row.record_id === id).enterprise_id;
+    const source = enterpriseOf(review.record_id);
+    const target = enterpriseOf(review.candidate_record_id);
+
+    if (source === target) {
+      return 0;
+    }
+
+    const moved = await client.query(
+      `UPDATE mpi_records
+       SET enterprise_id = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE enterprise_id = $1
+       RETURNING record_id`,
+      [source, target]
+    );
+    const movedIds = moved.rows.map(row => row.record_id);
+
+    await client.query(
+      `UPDATE mpi_links
+       SET ended_at = CURRENT_TIMESTAMP, ended_by = $2, end_reason = 'merged'
+       WHERE record_id = ANY($1) AND ended_at IS NULL`,
+      [movedIds, user.id]
+    );
+
+    await client.query(
+      `INSERT INTO mpi_links (record_id, enterprise_id, link_type, matched_record_id, match_score, created_by)
+       SELECT record_id, $2, 'manual', $3, $4, $5 FROM UNNEST($1::uuid[]) AS record_id`,
+      [movedIds, target, review.candidate_record_id, review.score, user.id]
+    );
+
+    return movedIds.length;
+  }
+
+  /**
+   * Separate a record wrongly linked to another person, giving it an enterprise ID of its own
+   * @param {string} recordId - Record ID
+   * @param {Object} user - User correcting the link
+   * @param {string} reason - Why the link was wrong
+   * @returns {Promise<Object>} - Record after unlinking
+   */
+  async unlinkRecord(recordId, user, reason) {
+    const client = await this.db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(
+        'SELECT * FROM mpi_records WHERE record_id = $1 FOR UPDATE',
+        [recordId]
+      );
+
+      if (current.rows.length === 0) {
+        throw mpiError(404, 'MPI record not found');
+      }
+
+      const others = await client.query(
+        'SELECT record_id FROM mpi_records WHERE enterprise_id = $1 AND record_id <> $2',
+        [current.rows[0].enterprise_id, recordId]
+      );
+
+      if (others.rows.length === 0) {
+        throw mpiError(409, 'MPI record is not linked to any other record');
+      }
+
+      const enterpriseId = crypto.randomUUID();
+
+      const result = await client.query(
+        `UPDATE mpi_records SET enterprise_id = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE record_id = $1
+         RETURNING *`,
+        [recordId, enterpriseId]
+      );
+
+      await client.query(
+        `UPDATE mpi_links
+         SET ended_at = CURRENT_TIMESTAMP, ended_by = $2, end_reason = $3
+         WHERE record_id = $1 AND ended_at IS NULL`,
+        [recordId, user.id, reason]
+      );
+
+      await client.query(
+        `INSERT INTO mpi_links (record_id, enterprise_id, link_type, created_by)
+         VALUES ($1, $2, 'manual', $3)`,
+        [recordId, enterpriseId, user.id]
+      );
+
+      // Remember the decision so the records are not offered for linking again
+      for (const other of others.rows) {
+        await client.query(
+          `INSERT INTO mpi_match_reviews (record_id, candidate_record_id, score, score_details, status, decided_by, decided_at, notes)
+           VALUES ($1, $2, 0, '{}', 'rejected', $3, CURRENT_TIMESTAMP, $4)
+           ON CONFLICT (record_id, candidate_record_id)
+           DO UPDATE SET status = 'rejected', decided_by = $3, decided_at = CURRENT_TIMESTAMP, notes = $4`,
+          [recordId, other.record_id, user.id, reason]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      await auditService.logDataAccess({
+        eventType: 'mpi_record_unlinked',
+        status: 'success',
+        userId: user.id,
+        hospitalId: user.hospital_id,
+        resourceType: 'mpi_record',
+        resourceId: recordId,
+        action: 'unlink',
+        details: {
+          previousEnterpriseId: current.rows[0].enterprise_id,
+          enterpriseId,
+          reason
+        }
+      });
+
+      return this.formatRecord(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error unlinking MPI record:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Load records that could be the same person: same date of birth, a phonetically
+   * similar last name or a shared identifier, less any pairs a reviewer already rejected
+   * @param {Object} record - Prepared record
+   * @param {Object} db - Pool or transaction client
+   * @returns {Promise<Array>} - mpi_records rows
+   */
+  async findCandidates(record, db) {
+    const result = await db.query(
+      `SELECT * FROM mpi_records c
+       WHERE (c.date_of_birth = $1
+          OR c.last_name_phonetic && $2
+          OR c.first_name_phonetic && $2
+          OR c.identifier_keys && $3)
+         AND NOT (c.hospital_id IS NOT DISTINCT FROM $4 AND c.source_patient_id IS NOT DISTINCT FROM $5)
+         AND NOT EXISTS (
+           SELECT 1 FROM mpi_match_reviews rv
+           JOIN mpi_records r ON r.hospital_id = $4 AND r.source_patient_id = $5
+           WHERE rv.status = 'rejected'
+             AND ((rv.record_id = r.record_id AND rv.candidate_record_id = c.record_id)
+               OR (rv.record_id = c.record_id AND rv.candidate_record_id = r.record_id))
+         )
+       LIMIT $6`,
+      [
+        record.dateOfBirth,
+        // Swapped first and last names are a common registration error, so either name may block
+        [...record.lastNamePhonetic, ...record.firstNamePhonetic],
+        record.identifierKeys,
+        record.hospitalId,
+        record.sourcePatientId,
+        this.config.maxCandidates
+      ]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Score candidates and keep each person's best-matching record
+   * @param {Object} record - Prepared record
+   * @param {Array} candidates - mpi_records rows
+   * @returns {Array<Object>} - { enterpriseId, recordId, score, fields }, best first
+   */
+  rankEnterprises(record, candidates) {
+    const best = new Map();
+
+    for (const candidate of candidates) {
+      const { score, fields } = this.scoreMatch(record, this.toComparable(candidate));
+      const current = best.get(candidate.enterprise_id);
+
+      if (!current || score > current.score) {
+        best.set(candidate.enterprise_id, {
+          enterpriseId: candidate.enterprise_id,
+          recordId: candidate.record_id,
+          score,
+          fields
+        });
+      }
+    }
+
+    return [...best.values()].sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Score how likely two records are the same person
+   * @param {Object} a - Prepared record
+   * @param {Object} b - Prepared record
+   * @returns {Object} - Score between 0 and 1, and the similarity of each field (null when not comparable)
+   */
+  scoreMatch(a, b) {
+    const straight = {
+      firstName: this.compareNames(a.firstName, b.firstName, a.firstNamePhonetic, b.firstNamePhonetic, true),
+      lastName: this.compareNames(a.lastName, b.lastName, a.lastNamePhonetic, b.lastNamePhonetic)
+    };
+    const swapped = {
+      firstName: this.compareNames(a.firstName, b.lastName, a.firstNamePhonetic, b.lastNamePhonetic) * 0.9,
+      lastName: this.compareNames(a.lastName, b.firstName, a.lastNamePhonetic, b.firstNamePhonetic) * 0.9
+    };
+    const names = swapped.firstName + swapped.lastName > straight.firstName + straight.lastName ? swapped : straight;
+
+    const fields = {
+      identifiers: this.compareIdentifiers(a.identifiers, b.identifiers),
+      ...names,
+      dateOfBirth: this.compareDates(a.dateOfBirth, b.dateOfBirth),
+      gender: this.compareGenders(a.gender, b.gender),
+      address: a.address && b.address ? natural.DiceCoefficient(a.address, b.address) : null
+    };
+
+    let score = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      score += weight * (fields[field] === null ? 0.5 : fields[field]);
+    }
+
+    const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+
+    return {
+      score: round(score),
+      fields: Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, round(value)]))
+    };
+  }
+
+  /**
+   * Compare two names by spelling and sound
+   * @param {string} a - Normalized name
+   * @param {string} b - Normalized name
+   * @param {Array<string>} aCodes - Double Metaphone codes of a
+   * @param {Array<string>} bCodes - Double Metaphone codes of b
+   * @param {boolean} allowInitial - Whether an initial may stand for the full name
+   * @returns {number} - Similarity between 0 and 1
+   */
+  compareNames(a, b, aCodes, bCodes, allowInitial = false) {
+    if (!a || !b) {
+      return 0;
+    }
+
+    if (a === b) {
+      return 1;
+    }
+
+    let similarity = natural.JaroWinklerDistance(a, b);
+
+    // Names that sound alike (Smith and Smyth, Catherine and Kathryn) are likely spelling variants
+    if (aCodes.some(code => bCodes.includes(code))) {
+      similarity = Math.max(similarity, 0.85);
+    }
+
+    if (allowInitial && (a.length === 1 || b.length === 1) && a[0] === b[0]) {
+      similarity = Math.max(similarity, 0.6);
+    }
+
+    return similarity;
+  }
+
+  /**
+   * Compare dates of birth, allowing for swapped day and month and single-part typos
+   * @param {string} a - YYYY-MM-DD
+   * @param {string} b - YYYY-MM-DD
+   * @returns {number} - Similarity between 0 and 1
+   */
+  compareDates(a, b) {
+    if (a === b) {
+      return 1;
+    }
+
+    const [ay, am, ad] = a.split('-');
+    const [by, bm, bd] = b.split('-');
+
+    if (ay === by && am === bd && ad === bm) {
+      return 0.8;
+    }
+
+    const agreeing = [ay === by, am === bm, ad === bd].filter(Boolean).length;
+    return agreeing === 2 ? 0.6 : 0;
+  }
+
+  /**
+   * Compare genders
+   * @param {string} a - Gender
+   * @param {string} b - Gender
+   * @returns {number|null} - 1 if they agree, 0 if not, null if either says nothing
+   */
+  compareGenders(a, b) {
+    if (!a || !b || UNINFORMATIVE_GENDERS.includes(a) || UNINFORMATIVE_GENDERS.includes(b)) {
+      return null;
+    }
+
+    return a === b ? 1 : 0;
+  }
+
+  /**
+   * Compare identifiers of the same kind
+   * @param {Array<Object>} a - { system, hash }
+   * @param {Array<Object>} b - { system, hash }
+   * @returns {number|null} - 1 if any agree, 0 if shared kinds all differ, null if no kind is shared
+   */
+  compareIdentifiers(a, b) {
+    const shared = a.filter(identifier => b.some(other => other.system === identifier.system));
+
+    if (shared.length === 0) {
+      return null;
+    }
+
+    return shared.some(identifier => b.some(other => other.system === identifier.system && other.hash === identifier.hash))
+      ? 1
+      : 0;
+  }
+
+  /**
+   * Validate and normalize demographics for matching; the values as registered are kept for storage
+   * @param {Object} data - Demographics
+   * @param {boolean} requireSource - Whether the hospital and source ID are required
+   * @returns {Object} - Prepared record
+   */
+  prepareRecord(data, requireSource = true) {
+    const dateOfBirth = formatDate(data.dateOfBirth);
+
+    if ((requireSource && (!data.hospitalId || !data.sourcePatientId)) ||
+        !data.firstName || !data.lastName || !dateOfBirth) {
+      throw mpiError(400, 'Hospital, patient ID, first name, last name and a valid date of birth are required');
+    }
+
+    const identifiers = (data.identifiers || [])
+      .filter(identifier => identifier && identifier.system && identifier.value)
+      .map(identifier => ({
+        system: identifier.system.trim().toLowerCase(),
+        hash: this.hashIdentifier(identifier.system, identifier.value)
+      }));
+
+    return {
+      hospitalId: data.hospitalId,
+      sourcePatientId: data.sourcePatientId,
+      firstName: normalizeName(data.firstName),
+      lastName: normalizeName(data.lastName),
+      dateOfBirth,
+      gender: data.gender ? data.gender.toLowerCase() : null,
+      address: data.address ? normalizeAddress(data.address) : null,
+      firstNamePhonetic: natural.DoubleMetaphone.process(normalizeName(data.firstName)).filter(Boolean),
+      lastNamePhonetic: natural.DoubleMetaphone.process(normalizeName(data.lastName)).filter(Boolean),
+      identifiers,
+      identifierKeys: identifiers.map(identifier => `${identifier.system}:${identifier.hash}`),
+      registered: {
+        firstName: data.firstName.trim(),
+        lastName: data.lastName.trim(),
+        address: data.address ? data.address.trim() : null
+      }
+    };
+  }
+
+  /**
+   * Hash an identifier value so it can be compared without being stored
+   * @param {string} system - Identifier kind, e.g. 'ssn'
+   * @param {string} value - Identifier value
+   * @returns {string} - Hex HMAC
+   */
+  hashIdentifier(system, value) {
+    const normalized = `${system.trim().toLowerCase()}|${String(value).replace(/[\s-]/g, '').toUpperCase()}`;
+    return crypto.createHmac('sha256', this.config.identifierKey).update(normalized).digest('hex');
+  }
+
+  /**
+   * Turn a stored row into the prepared form used for scoring
+   * @param {Object} row - mpi_records row
+   * @returns {Object} - Prepared record
+   */
+  toComparable(row) {
+    return {
+      firstName: normalizeName(row.first_name),
+      lastName: normalizeName(row.last_name),
+      dateOfBirth: formatDate(row.date_of_birth),
+      gender: row.gender,
+      address: row.address ? normalizeAddress(row.address) : null,
+      firstNamePhonetic: row.first_name_phonetic || [],
+      lastNamePhonetic: row.last_name_phonetic || [],
+      identifiers: typeof row.identifiers === 'string' ? JSON.parse(row.identifiers) : row.identifiers || []
+    };
+  }
+
+  /**
+   * Format a record row, leaving out identifier hashes and matching keys
+   * @param {Object} row - mpi_records row
+   * @returns {Object} - Record
+   */
+  formatRecord(row) {
+    const {
+      first_name_phonetic: firstNamePhonetic,
+      last_name_phonetic: lastNamePhonetic,
+      identifier_keys: identifierKeys,
+      identifiers,
+      date_of_birth: dateOfBirth,
+      ...fields
+    } = row;
+
+    const parsed = typeof identifiers === 'string' ? JSON.parse(identifiers) : identifiers || [];
+
+    return {
+      ...fields,
+      date_of_birth: formatDate(dateOfBirth),
+      identifier_systems: [...new Set(parsed.map(identifier => identifier.system))]
+    };
+  }
+}
+
+module.exports = new MasterPatientIndexService();
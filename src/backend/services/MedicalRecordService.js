@@ -0,0 +1,111 @@
+/**
+ * Medical Record Service
+ * Handles business logic for clinical records such as visits, lab results and imaging,
+ * including the sensitivity labels that decide whether they may be shared
+ */
+
+const db = require('../database/connection');
+const { normalizeSensitivityLabels } = require('../config/sensitivityLabels');
+
+// Columns returned for a medical record, in the shape shared with other hospitals
+const RECORD_COLUMNS = `
+  record_id AS id,
+  patient_id AS "patientId",
+  hospital_id AS "hospitalId",
+  record_type AS "recordType",
+  record_date AS "recordDate",
+  provider_id AS "providerId",
+  diagnosis_codes AS "diagnosisCodes",
+  notes,
+  data,
+  sensitivity_labels AS "sensitivityLabels",
+  created_at AS "createdAt",
+  updated_at AS "updatedAt"
+`;
+
+class MedicalRecordService {
+  /**
+   * Get all medical records for a patient
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Array>} - Medical records, most recent first
+   */
+  async getPatientMedicalRecords(patientId) {
+    try {
+      const result = await db.query(
+        `SELECT ${RECORD_COLUMNS}
+         FROM medical_records
+         WHERE patient_id = $1
+         ORDER BY record_date DESC`,
+        [patientId]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error in getPatientMedicalRecords:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a medical record
+   * @param {Object} recordData - Medical record data
+   * @param {string} recordData.patientId - Patient ID
+   * @param {string} recordData.hospitalId - ID of the hospital holding the record
+   * @param {string} recordData.recordType - Record type, e.g. 'visit', 'lab_result', 'imaging'
+   * @param {Date} recordData.recordDate - When the care the record describes took place
+   * @param {string} recordData.providerId - ID of the treating provider
+   * @param {Array} recordData.diagnosisCodes - Diagnosis codes (ICD-10, etc.)
+   * @param {string} recordData.notes - Free-text notes
+   * @param {Object} recordData.data - Record content, structured by record type
+   * @param {Array<string>} recordData.sensitivityLabels - Sensitive categories the record falls under
+   * @returns {Promise<Object>} - Created medical record
+   */
+  async createMedicalRecord(recordData) {
+    try {
+      const {
+        patientId,
+        hospitalId,
+        recordType,
+        recordDate,
+        providerId,
+        diagnosisCodes,
+        notes,
+        data,
+        sensitivityLabels
+      } = recordData;
+
+      const result = await db.query(
+        `INSERT INTO medical_records (
+           patient_id,
+           hospital_id,
+           record_type,
+           record_date,
+           provider_id,
+           diagnosis_codes,
+           notes,
+           data,
+           sensitivity_labels
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING ${RECORD_COLUMNS}`,
+        [
+          patientId,
+          hospitalId,
+          recordType,
+          recordDate,
+          providerId || null,
+          diagnosisCodes ? JSON.stringify(diagnosisCodes) : null,
+          notes || null,
+          JSON.stringify(data),
+          JSON.stringify(normalizeSensitivityLabels(sensitivityLabels))
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error in createMedicalRecord:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MedicalRecordService();
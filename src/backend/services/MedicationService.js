@@ -4,6 +4,7 @@ const { encryptData, decryptData } = require('../security/encryption');
 const AccessTokenService = require('./AccessTokenService');
 const PatientService = require('./PatientService');
 const HospitalService = require('./HospitalService');
+const { normalizeSensitivityLabels } = require('../config/sensitivityLabels');
 const axios = require('axios');
 
 /**
@@ -80,8 +81,8 @@ class MedicationService {
         INSERT INTO patient_medications (
           id, patient_id, hospital_id, name, rxnorm_code, dosage, frequency, 
           route, start_date, end_date, prescribed_by, active, created_at, 
-          created_by, updated_at, updated_by
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          created_by, updated_at, updated_by, sensitivity_labels
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
         RETURNING *
       `;
       
@@ -101,7 +102,8 @@ class MedicationService {
         now,
         medicationData.createdBy,
         now,
-        medicationData.createdBy
+        medicationData.createdBy,
+        JSON.stringify(normalizeSensitivityLabels(medicationData.sensitivityLabels))
       ];
       
       const result = await db.query(query, params);
@@ -142,6 +144,9 @@ class MedicationService {
                  medicationData.endDate ? new Date(medicationData.endDate) : undefined,
         prescribed_by: medicationData.prescribedBy,
         active: medicationData.active,
+        sensitivity_labels: medicationData.sensitivityLabels !== undefined
+          ? JSON.stringify(normalizeSensitivityLabels(medicationData.sensitivityLabels))
+          : undefined,
         updated_at: new Date(),
         updated_by: medicationData.updatedBy
       };
@@ -376,6 +381,7 @@ class MedicationService {
       endDate: dbRecord.end_date,
       prescribedBy: dbRecord.prescribed_by,
       active: dbRecord.active,
+      sensitivityLabels: dbRecord.sensitivity_labels || [],
       createdAt: dbRecord.created_at,
       createdBy: dbRecord.created_by,
       updatedAt: dbRecord.updated_at,
@@ -11,8 +11,10 @@ const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { v4: uuidv4 } = require('uuid');
+const config = require('../config/config');
 const hospitalService = require('./HospitalService');
 const auditService = require('./AuditService');
+const replayProtectionService = require('./ReplayProtectionService');
 
 class NetworkService {
   constructor() {
@@ -28,6 +30,7 @@ class NetworkService {
       privateKeyPath: process.env.TLS_KEY_PATH,
       caPath: process.env.TLS_CA_PATH,
       networkId: process.env.HOSPITAL_NETWORK_ID || 'default-network',
+      localHospitalId: config.hospitalId,
       heartbeatInterval: parseInt(process.env.NETWORK_HEARTBEAT_INTERVAL || '300000', 10), // 5 minutes
       connectionTimeout: parseInt(process.env.NETWORK_CONNECTION_TIMEOUT || '30000', 10), // 30 seconds
       maxRetries: parseInt(process.env.NETWORK_MAX_RETRIES || '3', 10)
@@ -183,39 +186,45 @@ class NetworkService {
         // Get hospital ID and signature from headers
         const hospitalId = req.headers['x-hospital-id'];
         const signature = req.headers['x-hospital-signature'];
+        const keyId = req.headers['x-key-id'];
         const timestamp = req.headers['x-timestamp'];
+        const nonce = req.headers['x-nonce'];
 
-        if (!hospitalId || !signature || !timestamp) {
+        if (!hospitalId || !signature || !keyId || !timestamp || !nonce) {
           return res.status(401).json({ error: 'Missing authentication headers' });
         }
 
-        // Check if timestamp is recent (within 5 minutes)
-        const requestTime = new Date(timestamp);
-        const now = new Date();
-        const timeDiff = (now - requestTime) / 1000 / 60; // difference in minutes
-        if (timeDiff > 5) {
-          return res.status(401).json({ error: 'Request has expired' });
-        }
-
         // Get hospital from database
         const hospital = await hospitalService.getHospitalById(hospitalId);
         if (!hospital) {
           return res.status(401).json({ error: 'Hospital not found' });
         }
 
-        // Verify signature
-        const payload = JSON.stringify({
+        // Verify against the hospital's registered key named in the request
+        const isValid = await this.verifySignedRequest({
           hospitalId,
+          keyId,
+          signature,
           timestamp,
+          nonce,
           path: req.path,
           method: req.method
         });
-
-        const isValid = this.verifySignature(payload, signature, hospital.publicKey);
         if (!isValid) {
           return res.status(401).json({ error: 'Invalid signature' });
         }
 
+        // Reject stale requests and signed requests that have been received before
+        const freshness = await replayProtectionService.checkRequest({
+          hospitalId,
+          nonce,
+          timestamp,
+          path: req.path
+        });
+        if (!freshness.accepted) {
+          return res.status(401).json({ error: freshness.message });
+        }
+
         // Add hospital to request object
         req.hospital = hospital;
         next();
@@ -416,25 +425,9 @@ class NetworkService {
     try {
       console.log(`Connecting to hospital ${hospital.name} (${hospital.id})...`);
 
-      // Get local hospital ID
-      const localHospitalId = await hospitalService.getLocalHospitalId();
-
-      // Create connection timestamp
-      const timestamp = new Date().toISOString();
-
-      // Create payload for signature
-      const payload = JSON.stringify({
-        hospitalId: localHospitalId,
-        timestamp,
-        path: '/api/network/heartbeat',
-        method: 'GET'
-      });
-
-      // Get local hospital private key for signing
-      const privateKey = await hospitalService.getLocalHospitalPrivateKey();
-
-      // Sign the payload
-      const signature = this.createSignature(payload, privateKey);
+      // Sign the heartbeat request with the local hospital's current key
+      const headers = await this.createSignedHeaders('/api/network/heartbeat', 'GET');
+      const timestamp = headers['x-timestamp'];
 
       // Send heartbeat request to hospital
       const startTime = Date.now();
@@ -535,25 +528,9 @@ class NetworkService {
    */
   async sendHeartbeat(hospital) {
     try {
-      // Get local hospital ID
-      const localHospitalId = await hospitalService.getLocalHospitalId();
-
-      // Create heartbeat timestamp
-      const timestamp = new Date().toISOString();
-
-      // Create payload for signature
-      const payload = JSON.stringify({
-        hospitalId: localHospitalId,
-        timestamp,
-        path: '/api/network/heartbeat',
-        method: 'GET'
-      });
-
-      // Get local hospital private key for signing
-      const privateKey = await hospitalService.getLocalHospitalPrivateKey();
-
-      // Sign the payload
-      const signature = this.createSignature(payload, privateKey);
+      // Sign the heartbeat request with the local hospital's current key
+      const headers = await this.createSignedHeaders('/api/network/heartbeat', 'GET');
+      const timestamp = headers['x-timestamp'];
 
       // Send heartbeat request to hospital
       const startTime = Date.now();
@@ -657,6 +634,75 @@ class NetworkService {
     }
   }
 
+  /**
+   * Build the authentication headers for a signed request to another hospital
+   * @param {string} requestPath - Path of the request on the receiving hospital
+   * @param {string} method - HTTP method
+   * @returns {Promise<Object>} - Hospital ID, key ID, timestamp, nonce and signature headers
+   */
+  async createSignedHeaders(requestPath, method) {
+    try {
+      const hospitalId = this.config.localHospitalId;
+      const { keyId, privateKey } = await hospitalService.getLocalSigningKey();
+      const timestamp = new Date().toISOString();
+      const nonce = uuidv4();
+
+      // Same payload the receiving hospital rebuilds from the headers before verifying
+      const payload = JSON.stringify({
+        hospitalId,
+        timestamp,
+        nonce,
+        path: requestPath,
+        method
+      });
+
+      return {
+        'x-hospital-id': hospitalId,
+        'x-key-id': keyId,
+        'x-timestamp': timestamp,
+        'x-nonce': nonce,
+        'x-hospital-signature': this.createSignature(payload, privateKey)
+      };
+    } catch (error) {
+      console.error('Error creating signed request headers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a signed hospital request against the sending hospital's registered key
+   * @param {Object} request - Request details, as taken from its authentication headers
+   * @param {string} request.hospitalId - Sending hospital
+   * @param {string} request.keyId - ID of the key the request was signed with
+   * @param {string} request.signature - Base64 encoded signature
+   * @param {string} request.timestamp - Signed request timestamp
+   * @param {string} request.nonce - Signed request nonce
+   * @param {string} request.path - Request path
+   * @param {string} request.method - HTTP method
+   * @returns {Promise<boolean>} - Whether the signature is valid
+   */
+  async verifySignedRequest({ hospitalId, keyId, signature, timestamp, nonce, path: requestPath, method }) {
+    try {
+      const key = await hospitalService.getVerificationKey(hospitalId, keyId);
+      if (!key) {
+        return false;
+      }
+
+      const payload = JSON.stringify({
+        hospitalId,
+        timestamp,
+        nonce,
+        path: requestPath,
+        method
+      });
+
+      return this.verifySignature(payload, signature, key.public_key);
+    } catch (error) {
+      console.error('Error verifying signed request:', error);
+      throw error;
+    }
+  }
+
   /**
    * Verify digital signature
    * @param {string} payload - Original payload
@@ -0,0 +1,536 @@
+/**
+ * Patient Relationship Service
+ * Parents, legal guardians and healthcare proxies who manage consent on a patient's behalf.
+ * A representative's authority needs a verified authority document, holds only between its
+ * effective dates and, for parents of minors, lapses when the patient reaches the age of majority.
+ */
+
+const db = require('../database/connection');
+const config = require('../config/config');
+const auditService = require('./AuditService');
+const consentVersionService = require('./ConsentVersionService');
+const messageBrokerService = require('./MessageBrokerService');
+
+const RELATIONSHIP_TYPES = ['parent', 'legal_guardian', 'healthcare_proxy'];
+
+// What a representative may do for the patient
+const PERMISSIONS = ['manage_consent', 'view_disclosures'];
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with status
+ */
+function relationshipError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class PatientRelationshipService {
+  constructor() {
+    this.config = {
+      ageOfMajority: parseInt(process.env.AGE_OF_MAJORITY || '18', 10)
+    };
+
+    this.db = db;
+  }
+
+  /**
+   * Date on which a patient reaches the age of majority
+   * @param {Date|string} dateOfBirth - Patient's date of birth
+   * @returns {Date} - Date of majority
+   */
+  getMajorityDate(dateOfBirth) {
+    const majority = new Date(dateOfBirth);
+    majority.setFullYear(majority.getFullYear() + this.config.ageOfMajority);
+    return majority;
+  }
+
+  /**
+   * Record a representative for a patient, pending verification of the authority document
+   * Parental authority needs a minor and always ends at majority; a guardianship of a minor
+   * ends at majority unless ends_at_majority is false (e.g. the patient is incapacitated).
+   * @param {Object} data - Relationship details
+   * @param {string} data.patient_id - Patient ID
+   * @param {string} data.representative_user_id - ID of the user who will act for the patient
+   * @param {string} data.representative_name - Representative's name
+   * @param {string} data.relationship_type - 'parent', 'legal_guardian' or 'healthcare_proxy'
+   * @param {Array<string>} data.permissions - Permissions granted (all if omitted)
+   * @param {Date} data.effective_from - Start of the authority (defaults to now)
+   * @param {Date} data.effective_until - End of the authority (indefinite if omitted)
+   * @param {boolean} data.ends_at_majority - Whether the authority lapses at the age of majority
+   * @param {Object} data.document - Uploaded authority document ({ path, mimeType })
+   * @param {Object} user - User recording the relationship ({ id, hospital_id })
+   * @returns {Promise<Object>} - Created relationship
+   */
+  async createRelationship(data, user) {
+    try {
+      if (!RELATIONSHIP_TYPES.includes(data.relationship_type)) {
+        throw relationshipError(400, `relationship_type must be one of: ${RELATIONSHIP_TYPES.join(', ')}`);
+      }
+
+      const permissions = data.permissions || PERMISSIONS;
+      const unknownPermission = permissions.find(permission => !PERMISSIONS.includes(permission));
+      if (unknownPermission) {
+        throw relationshipError(400, `Unknown permission: ${unknownPermission}`);
+      }
+
+      const patientResult = await this.db.query(
+        'SELECT patient_id, date_of_birth FROM patients WHERE patient_id = $1',
+        [data.patient_id]
+      );
+      if (patientResult.rows.length === 0) {
+        throw relationshipError(404, 'Patient not found');
+      }
+
+      const effectiveFrom = data.effective_from ? new Date(data.effective_from) : new Date();
+      const isMinor = this.getMajorityDate(patientResult.rows[0].date_of_birth) > effectiveFrom;
+
+      if (data.relationship_type === 'parent' && !isMinor) {
+        throw relationshipError(400, 'Parental authority applies only while the patient is a minor');
+      }
+
+      const endsAtMajority = data.relationship_type === 'parent' ||
+        (isMinor && data.relationship_type === 'legal_guardian' && data.ends_at_majority !== false) ||
+        (isMinor && data.ends_at_majority === true);
+
+      const documentHash = data.document ? await consentVersionService.hashFile(data.document.path) : null;
+
+      const result = await this.db.query(
+        `INSERT INTO patient_relationships (
+          patient_id, representative_user_id, representative_name, relationship_type, permissions,
+          authority_document_path, authority_document_mime_type, authority_document_hash,
+          effective_from, effective_until, ends_at_majority, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *`,
+        [
+          data.patient_id,
+          data.representative_user_id,
+          data.representative_name,
+          data.relationship_type,
+          JSON.stringify(permissions),
+          data.document ? data.document.path : null,
+          data.document ? data.document.mimeType : null,
+          documentHash,
+          effectiveFrom,
+          data.effective_until || null,
+          endsAtMajority,
+          user.id
+        ]
+      );
+
+      const relationship = this.formatRelationship(result.rows[0]);
+
+      await auditService.logConsentEvent({
+        eventType: 'representative_added',
+        status: 'success',
+        patientId: relationship.patient_id,
+        userId: user.id,
+        hospitalId: user.hospital_id,
+        action: 'grant',
+        expiresAt: relationship.effective_until,
+        details: {
+          relationshipId: relationship.id,
+          representativeUserId: relationship.representative_user_id,
+          relationshipType: relationship.relationship_type,
+          permissions,
+          endsAtMajority,
+          hasAuthorityDocument: Boolean(data.document)
+        }
+      });
+
+      return relationship;
+    } catch (error) {
+      console.error('Error creating patient relationship:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach an authority document to a relationship awaiting verification
+   * @param {string} relationshipId - Relationship ID
+   * @param {Object} document - Uploaded document ({ path, mimeType })
+   * @param {Object} user - User attaching the document ({ id, hospital_id })
+   * @returns {Promise<Object|null>} - Updated relationship, or null if not found
+   */
+  async attachAuthorityDocument(relationshipId, document, user) {
+    try {
+      const existing = await this.getRelationshipById(relationshipId);
+      if (!existing) {
+        return null;
+      }
+
+      if (existing.verification_status !== 'pending') {
+        throw relationshipError(409, `Relationship is already ${existing.verification_status}`);
+      }
+
+      const documentHash = await consentVersionService.hashFile(document.path);
+
+      const result = await this.db.query(
+        `UPDATE patient_relationships
+         SET authority_document_path = $2,
+             authority_document_mime_type = $3,
+             authority_document_hash = $4,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE relationship_id = $1 AND verification_status = 'pending'
+         RETURNING *`,
+        [relationshipId, document.path, document.mimeType, documentHash]
+      );
+
+      if (result.rows.length === 0) {
+        throw relationshipError(409, 'Relationship is no longer pending verification');
+      }
+
+      const relationship = this.formatRelationship(result.rows[0]);
+
+      await auditService.logConsentEvent({
+        eventType: 'representative_document_uploaded',
+        status: 'success',
+        patientId: relationship.patient_id,
+        userId: user.id,
+        hospitalId: user.hospital_id,
+        action: 'update',
+        details: {
+          relationshipId,
+          documentHash
+        }
+      });
+
+      return relationship;
+    } catch (error) {
+      console.error('Error attaching authority document:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the verification decision for a relationship's authority document
+   * @param {string} relationshipId - Relationship ID
+   * @param {Object} review - Review details
+   * @param {string} review.decision - 'verified' or 'rejected'
+   * @param {string} review.notes - Reviewer notes
+   * @param {Object} user - Reviewing user ({ id, hospital_id })
+   * @returns {Promise<Object|null>} - Reviewed relationship, or null if not found
+   */
+  async verifyRelationship(relationshipId, { decision, notes = null }, user) {
+    try {
+      if (!['verified', 'rejected'].includes(decision)) {
+        throw relationshipError(400, `Invalid verification decision: ${decision}`);
+      }
+
+      const existingResult = await this.db.query(
+        'SELECT * FROM patient_relationships WHERE relationship_id = $1',
+        [relationshipId]
+      );
+      if (existingResult.rows.length === 0) {
+        return null;
+      }
+
+      const existing = existingResult.rows[0];
+      if (existing.verification_status !== 'pending') {
+        throw relationshipError(409, `Relationship is already ${existing.verification_status}`);
+      }
+
+      if (decision === 'verified') {
+        if (!existing.authority_document_path) {
+          throw relationshipError(409, 'An authority document is required before the relationship can be verified');
+        }
+
+        // The document verified must be the one on file when it was uploaded
+        const documentHash = await consentVersionService.hashFile(existing.authority_document_path);
+        if (documentHash !== existing.authority_document_hash) {
+          throw relationshipError(409, 'Authority document no longer matches its recorded hash');
+        }
+      }
+
+      const result = await this.db.query(
+        `UPDATE patient_relationships
+         SET verification_status = $2,
+             verification_notes = $3,
+             verified_by = $4,
+             verified_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE relationship_id = $1 AND verification_status = 'pending'
+         RETURNING *`,
+        [relationshipId, decision, notes, user.id]
+      );
+
+      if (result.rows.length === 0) {
+        throw relationshipError(409, 'Relationship is no longer pending verification');
+      }
+
+      const relationship = this.formatRelationship(result.rows[0]);
+
+      await auditService.logConsentEvent({
+        eventType: `representative_${decision}`,
+        status: 'success',
+        patientId: relationship.patient_id,
+        userId: user.id,
+        hospitalId: user.hospital_id,
+        action: decision === 'verified' ? 'verify' : 'reject',
+        details: {
+          relationshipId,
+          representativeUserId: relationship.representative_user_id,
+          relationshipType: relationship.relationship_type,
+          notes
+        }
+      });
+
+      return relationship;
+    } catch (error) {
+      console.error('Error verifying patient relationship:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End a representative's authority before its end date
+   * @param {string} relationshipId - Relationship ID
+   * @param {string} reason - Reason for ending the authority
+   * @param {Object} user - User ending the relationship ({ id, hospital_id })
+   * @returns {Promise<Object|null>} - Revoked relationship, or null if no active relationship matched
+   */
+  async revokeRelationship(relationshipId, reason, user) {
+    try {
+      const result = await this.db.query(
+        `UPDATE patient_relationships
+         SET status = 'revoked',
+             ended_at = CURRENT_TIMESTAMP,
+             end_reason = $2,
+             ended_by = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE relationship_id = $1 AND status = 'active'
+         RETURNING *`,
+        [relationshipId, reason, user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const relationship = this.formatRelationship(result.rows[0]);
+
+      await auditService.logConsentEvent({
+        eventType: 'representative_revoked',
+        status: 'success',
+        patientId: relationship.patient_id,
+        userId: user.id,
+        hospitalId: user.hospital_id,
+        action: 'revoke',
+        details: {
+          relationshipId,
+          representativeUserId: relationship.representative_user_id,
+          relationshipType: relationship.relationship_type,
+          reason
+        }
+      });
+
+      return relationship;
+    } catch (error) {
+      console.error('Error revoking patient relationship:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a relationship by ID
+   * @param {string} relationshipId - Relationship ID
+   * @returns {Promise<Object|null>} - Relationship or null if not found
+   */
+  async getRelationshipById(relationshipId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM patient_relationships WHERE relationship_id = $1',
+        [relationshipId]
+      );
+
+      return result.rows.length > 0 ? this.formatRelationship(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting patient relationship:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the representatives recorded for a patient
+   * @param {string} patientId - Patient ID
+   * @returns {Promise<Array>} - Relationships, newest first
+   */
+  async getRelationshipsByPatient(patientId) {
+    try {
+      const result = await this.db.query(
+        'SELECT * FROM patient_relationships WHERE patient_id = $1 ORDER BY created_at DESC',
+        [patientId]
+      );
+
+      return result.rows.map(row => this.formatRelationship(row));
+    } catch (error) {
+      console.error('Error getting patient relationships:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the patients a user currently represents
+   * @param {string} userId - Representative's user ID
+   * @returns {Promise<Array>} - Relationships in force
+   */
+  async getRepresentedPatients(userId) {
+    try {
+      const result = await this.db.query(
+        `SELECT r.* FROM patient_relationships r
+         JOIN patients p ON p.patient_id = r.patient_id
+         WHERE r.representative_user_id = $1 AND ${this.inForceCondition()}
+         ORDER BY r.created_at DESC`,
+        [userId, this.config.ageOfMajority]
+      );
+
+      return result.rows.map(row => this.formatRelationship(row));
+    } catch (error) {
+      console.error('Error getting represented patients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the relationship under which a user may act for a patient
+   * @param {string} userId - Representative's user ID
+   * @param {string} patientId - Patient ID
+   * @param {string} permission - Permission needed
+   * @returns {Promise<Object|null>} - Relationship in force, or null if the user has no such authority
+   */
+  async findAuthority(userId, patientId, permission) {
+    try {
+      const result = await this.db.query(
+        `SELECT r.* FROM patient_relationships r
+         JOIN patients p ON p.patient_id = r.patient_id
+         WHERE r.representative_user_id = $1 AND ${this.inForceCondition()}
+           AND r.patient_id = $3
+           AND r.permissions ? $4
+         ORDER BY r.verified_at DESC
+         LIMIT 1`,
+        [userId, this.config.ageOfMajority, patientId, permission]
+      );
+
+      return result.rows.length > 0 ? this.formatRelationship(result.rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding representative authority:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide whether a user may act for a patient
+   * Staff are authorized by role; portal users may act for themselves or for patients
+   * they represent under a relationship in force.
+   * @param {Object} user - Authenticated user ({ id, role, patient_id })
+   * @param {string} patientId - Patient ID
+   * @param {string} permission - Permission needed
+   * @returns {Promise<Object>} - { allowed, relationship } where relationship is set when acting for someone else
+   */
+  async authorizeActor(user, patientId, permission) {
+    if (user.role !== 'patient' || user.patient_id === patientId) {
+      return { allowed: true, relationship: null };
+    }
+
+    const relationship = await this.findAuthority(user.id, patientId, permission);
+    return { allowed: Boolean(relationship), relationship };
+  }
+
+  /**
+   * SQL condition for relationships in force, for queries aliasing patient_relationships
+   * as r and patients as p, with the age of majority as $2
+   * @returns {string} - SQL condition
+   */
+  inForceCondition() {
+    return `r.status = 'active'
+           AND r.verification_status = 'verified'
+           AND r.effective_from <= CURRENT_TIMESTAMP
+           AND (r.effective_until IS NULL OR r.effective_until > CURRENT_TIMESTAMP)
+           AND (NOT r.ends_at_majority OR p.date_of_birth + make_interval(years => $2::int) > CURRENT_DATE)`;
+  }
+
+  /**
+   * End relationships whose patient has come of age or whose end date has passed, and
+   * tell the patient that they now manage their own consent
+   * @returns {Promise<number>} - Number of relationships ended
+   */
+  async endLapsedRelationships() {
+    try {
+      const result = await this.db.query(
+        `UPDATE patient_relationships r
+         SET status = 'ended',
+             ended_at = CURRENT_TIMESTAMP,
+             end_reason = CASE
+               WHEN r.ends_at_majority AND p.date_of_birth + make_interval(years => $1::int) <= CURRENT_DATE
+                 THEN 'age_of_majority'
+               ELSE 'expired'
+             END,
+             updated_at = CURRENT_TIMESTAMP
+         FROM patients p
+         WHERE p.patient_id = r.patient_id
+           AND r.status = 'active'
+           AND ((r.ends_at_majority AND p.date_of_birth + make_interval(years => $1::int) <= CURRENT_DATE)
+             OR r.effective_until <= CURRENT_TIMESTAMP)
+         RETURNING r.*`,
+        [this.config.ageOfMajority]
+      );
+
+      for (const row of result.rows) {
+        const relationship = this.formatRelationship(row);
+
+        // The status change is already committed, so one failure must not stop the rest
+        try {
+          await auditService.logConsentEvent({
+            eventType: 'representative_ended',
+            status: 'success',
+            patientId: relationship.patient_id,
+            action: 'expire',
+            details: {
+              relationshipId: relationship.id,
+              representativeUserId: relationship.representative_user_id,
+              relationshipType: relationship.relationship_type,
+              reason: relationship.end_reason
+            }
+          });
+
+          await messageBrokerService.publish('patient.notification', {
+            type: relationship.end_reason === 'age_of_majority' ? 'age_of_majority' : 'representative_ended',
+            patientId: relationship.patient_id,
+            relationshipId: relationship.id,
+            relationshipType: relationship.relationship_type,
+            endedAt: new Date(relationship.ended_at).toISOString()
+          });
+        } catch (error) {
+          console.error(`Error processing end of relationship ${relationship.id}:`, error);
+        }
+      }
+
+      return result.rows.length;
+    } catch (error) {
+      console.error('Error ending lapsed patient relationships:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a patient_relationships row to a relationship record
+   * The document's location on disk is internal and not returned.
+   * @param {Object} row - Database row
+   * @returns {Object} - Relationship record
+   */
+  formatRelationship(row) {
+    const { relationship_id: id, permissions, authority_document_path: documentPath, ...fields } = row;
+
+    return {
+      id,
+      ...fields,
+      permissions: typeof permissions === 'string' ? JSON.parse(permissions) : permissions,
+      has_authority_document: Boolean(documentPath)
+    };
+  }
+}
+
+module.exports = new PatientRelationshipService();
@@ -6,10 +6,10 @@
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 const config = require('../config/config');
+const AuditService = require('./AuditService');
 
 // This would be replaced with actual database models in a real implementation
 let patients = [];
-let consents = [];
 
 /**
  * Patient Service class for managing patient data
@@ -216,111 +216,121 @@ class PatientService {
   }
   
   /**
-   * Create a consent record for cross-hospital access
-   * @param {Object} consentData - Consent data
-   * @returns {Object} Created consent record
+   * Build an accounting of disclosures for a patient
+   * Covers local access, cross-hospital token use, FHIR/DICOM operations and
+   * consent changes recorded in the audit log. Failed attempts disclosed nothing
+   * and are left out.
+   * @param {string} patientId - Patient ID
+   * @param {Object} options - Report options
+   * @param {Date|string} options.startDate - Start of the reporting period (defaults to six years ago)
+   * @param {Date|string} options.endDate - End of the reporting period (defaults to now)
+   * @returns {Object} Disclosure report
    */
-  static async createConsent(consentData) {
+  static async getDisclosureReport(patientId, { startDate, endDate } = {}) {
     try {
-      // Create consent object
-      const consent = {
-        id: uuidv4(),
-        ...consentData,
-        status: 'active',
-        created_at: new Date(),
-        updated_at: new Date()
-      };
+      const periodEnd = endDate ? new Date(endDate) : new Date();
+      // HIPAA gives patients the right to an accounting covering the past six years
+      const periodStart = startDate
+        ? new Date(startDate)
+        : new Date(periodEnd.getFullYear() - 6, periodEnd.getMonth(), periodEnd.getDate());
       
-      // In a real implementation, this would insert into the database
-      consents.push(consent);
+      const disclosures = [];
+      await AuditService.streamLogs({
+        patientId,
+        type: ['data_access', 'cross_hospital', 'fhir', 'dicom', 'consent'],
+        startDate: periodStart,
+        endDate: periodEnd
+      }, log => {
+        if (AuditService.isSuccessfulLog(log)) {
+          disclosures.push(this.describeDisclosure(log));
+        }
+      });
       
-      return consent;
-    } catch (error) {
-      console.error('Error in createConsent:', error);
-      throw error;
-    }
-  }
-  
-  /**
-   * Get all consent records for a patient
-   * @param {string} patientId - Patient ID
-   * @returns {Array} Consent records
-   */
-  static async getPatientConsents(patientId) {
-    try {
-      // In a real implementation, this would query the database
-      const patientConsents = consents.filter(c => c.patient_id === patientId && c.status === 'active');
-      return patientConsents;
-    } catch (error) {
-      console.error('Error in getPatientConsents:', error);
-      throw error;
-    }
-  }
-  
-  /**
-   * Get a consent record by ID
-   * @param {string} consentId - Consent ID
-   * @returns {Object|null} Consent record or null if not found
-   */
-  static async getConsentById(consentId) {
-    try {
-      // In a real implementation, this would query the database
-      const consent = consents.find(c => c.id === consentId);
-      return consent || null;
-    } catch (error) {
-      console.error('Error in getConsentById:', error);
-      throw error;
-    }
-  }
-  
-  /**
-   * Revoke a consent record
-   * @param {string} consentId - Consent ID
-   * @returns {boolean} Success status
-   */
-  static async revokeConsent(consentId) {
-    try {
-      // Find consent index
-      const consentIndex = consents.findIndex(c => c.id === consentId);
-      if (consentIndex === -1) {
-        throw new Error('Consent record not found');
+      disclosures.sort((a, b) => new Date(b.date) - new Date(a.date));
+      
+      const summary = { byCategory: {}, byRecipientHospital: {} };
+      for (const disclosure of disclosures) {
+        summary.byCategory[disclosure.category] = (summary.byCategory[disclosure.category] || 0) + 1;
+        if (disclosure.recipient.hospitalId) {
+          const hospitalId = disclosure.recipient.hospitalId;
+          summary.byRecipientHospital[hospitalId] = (summary.byRecipientHospital[hospitalId] || 0) + 1;
+        }
       }
       
-      // Update consent status
-      consents[consentIndex] = {
-        ...consents[consentIndex],
-        status: 'revoked',
-        updated_at: new Date()
+      return {
+        patientId,
+        period: {
+          start: periodStart.toISOString(),
+          end: periodEnd.toISOString()
+        },
+        generatedAt: new Date().toISOString(),
+        totalDisclosures: disclosures.length,
+        summary,
+        disclosures
       };
-      
-      return true;
     } catch (error) {
-      console.error('Error in revokeConsent:', error);
+      console.error('Error in getDisclosureReport:', error);
       throw error;
     }
   }
   
   /**
-   * Check if a patient has given consent for a hospital
-   * @param {string} patientId - Patient ID
-   * @param {string} hospitalId - Hospital ID
-   * @returns {Object|null} Consent record or null if not found
+   * Describe an audit log entry as a disclosure
+   * @param {Object} log - Audit log entry
+   * @returns {Object} Disclosure entry
    */
-  static async checkPatientConsent(patientId, hospitalId) {
-    try {
-      // In a real implementation, this would query the database
-      const consent = consents.find(c => 
-        c.patient_id === patientId && 
-        c.target_hospital_id === hospitalId && 
-        c.status === 'active' &&
-        (!c.end_date || new Date(c.end_date) > new Date())
-      );
-      
-      return consent || null;
-    } catch (error) {
-      console.error('Error in checkPatientConsent:', error);
-      throw error;
+  static describeDisclosure(log) {
+    const categories = {
+      data_access: 'Local access',
+      cross_hospital: 'Cross-hospital disclosure',
+      fhir: 'FHIR data exchange',
+      dicom: 'Medical imaging access',
+      consent: 'Consent change'
+    };
+    const verbs = {
+      create: 'created',
+      read: 'viewed',
+      list: 'viewed',
+      update: 'updated',
+      delete: 'deleted',
+      grant: 'granted',
+      revoke: 'revoked',
+      search: 'searched'
+    };
+    
+    const action = (log.action || log.eventType || 'access').toString().toLowerCase();
+    const resourceType = (log.resourceType || 'record').toString().replace(/_/g, ' ').toLowerCase();
+    const dataType = resourceType === 'patient' ? 'patient record' : resourceType;
+    const hospitalId = log.type === 'cross_hospital'
+      ? log.sourceHospitalId || log.hospitalId
+      : log.hospitalId;
+    const actor = log.userId ? `User ${log.userId}` : 'A system process';
+    const location = hospitalId ? ` at hospital ${hospitalId}` : '';
+    
+    let description;
+    if (log.type === 'consent') {
+      const target = log.targetHospitalId ? ` for hospital ${log.targetHospitalId}` : '';
+      description = `${actor}${location} ${verbs[action] || action} ${(log.consentType || 'a').replace(/_/g, ' ')} consent${target}`;
+    } else if (log.type === 'cross_hospital') {
+      const target = log.targetHospitalId ? ` from hospital ${log.targetHospitalId}` : '';
+      description = `${actor}${location} received your ${dataType}${target}`;
+    } else {
+      description = `${actor}${location} ${verbs[action] || action} your ${dataType}`;
     }
+    
+    return {
+      id: log.id,
+      date: log.timestamp,
+      category: categories[log.type] || log.type,
+      action,
+      dataType,
+      recipient: {
+        userId: log.userId || null,
+        hospitalId: hospitalId || null
+      },
+      purpose: log.reason || null,
+      description
+    };
   }
   
   /**
@@ -0,0 +1,427 @@
+/**
+ * Patient Timeline Service
+ * Merges the records received from several hospitals into one chronological view,
+ * noting which hospital each entry came from, folding duplicates together and
+ * surfacing demographics the hospitals disagree on
+ */
+
+const crossHospitalService = require('./CrossHospitalService');
+const hospitalService = require('./HospitalService');
+const auditService = require('./AuditService');
+
+// Demographic fields shown in the merged view, with the names hospitals may send them under
+const DEMOGRAPHIC_FIELDS = {
+  firstName: ['firstName', 'first_name'],
+  lastName: ['lastName', 'last_name'],
+  dateOfBirth: ['dateOfBirth', 'date_of_birth'],
+  gender: ['gender'],
+  address: ['address'],
+  bloodType: ['bloodType', 'blood_type']
+};
+
+// Fields where disagreement between hospitals is clinically significant
+const CONFLICT_FIELDS = ['dateOfBirth', 'gender', 'bloodType'];
+
+/**
+ * Get the first value present under any of a record's alternative field names
+ * @param {Object} record - Record as sent by a hospital
+ * @param {string[]} names - Field names to try
+ * @returns {*} - Field value, or undefined
+ */
+function pick(record, names) {
+  for (const name of names) {
+    if (record && record[name] !== undefined && record[name] !== null && record[name] !== '') {
+      return record[name];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Normalize free text for comparison
+ * @param {*} value - Text
+ * @returns {string} - Lowercase text with collapsed whitespace
+ */
+function normalizeText(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get the calendar day of a date, for comparison
+ * @param {*} value - Date or date string
+ * @returns {string|null} - YYYY-MM-DD, or null if the value is not a date
+ */
+function toDay(value) {
+  if (!value) {
+    return null;
+  }
+
+  // Date-only strings are compared as sent, so time zones cannot shift them
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalize a demographic value so equivalent values from different hospitals compare equal
+ * @param {string} field - Demographic field
+ * @param {*} value - Value as sent
+ * @returns {string} - Comparable value
+ */
+function comparableDemographic(field, value) {
+  if (field === 'dateOfBirth') {
+    return toDay(value) || normalizeText(value);
+  }
+  if (field === 'bloodType') {
+    return String(value).toUpperCase().replace(/\s+/g, '');
+  }
+  return normalizeText(typeof value === 'object' ? JSON.stringify(value) : value);
+}
+
+class PatientTimelineService {
+  /**
+   * Build one timeline of a patient's records from the access tokens received from several hospitals
+   * @param {string} patientGlobalId - Global patient identifier
+   * @param {string[]} accessTokens - Access tokens issued by the providing hospitals
+   * @param {string} hospitalId - ID of the requesting (local) hospital
+   * @param {string} userId - ID of the user viewing the timeline
+   * @returns {Promise<Object>} - Merged demographics, timeline, conflicts and the sources used
+   */
+  async getTimeline(patientGlobalId, accessTokens, hospitalId, userId) {
+    try {
+      const responses = await Promise.all(accessTokens.map(async accessToken => {
+        try {
+          return await crossHospitalService.getPatientDataWithToken(
+            patientGlobalId,
+            accessToken,
+            hospitalId,
+            userId
+          );
+        } catch (error) {
+          // One hospital's refusal should not hide what the others sent
+          return { error };
+        }
+      }));
+
+      const sources = [];
+      const failures = [];
+
+      for (const [index, response] of responses.entries()) {
+        if (response.error) {
+          failures.push({
+            tokenIndex: index,
+            status: response.error.status || 500,
+            error: response.error.status ? response.error.message : 'Failed to get records'
+          });
+          continue;
+        }
+
+        const hospital = await hospitalService.getHospitalById(response.provider_hospital_id);
+        sources.push({
+          hospitalId: response.provider_hospital_id,
+          hospitalName: hospital ? hospital.name : null,
+          retrievedAt: response.cached_at,
+          records: response.records || {}
+        });
+      }
+
+      const timeline = this.mergeSources(sources);
+
+      await auditService.logDataAccess({
+        eventType: 'patient_timeline_viewed',
+        status: 'success',
+        userId,
+        hospitalId,
+        resourceType: 'patient',
+        resourceId: patientGlobalId,
+        action: 'read',
+        details: {
+          sourceHospitalIds: timeline.sources.map(source => source.hospitalId),
+          failedSources: failures.length,
+          duplicates: timeline.entries.filter(entry => entry.provenance.length > 1).length,
+          conflicts: timeline.conflicts.map(conflict => conflict.field)
+        }
+      });
+
+      return {
+        patientGlobalId,
+        ...timeline,
+        failures
+      };
+    } catch (error) {
+      console.error('Error building patient timeline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge record sets from several hospitals
+   * @param {Object[]} sources - Record sets
+   * @param {string} sources[].hospitalId - Providing hospital
+   * @param {string} sources[].hospitalName - Providing hospital's name
+   * @param {string} sources[].retrievedAt - When the records were received
+   * @param {Object} sources[].records - Records by type: demographics, medications, documents, medicalRecords
+   * @returns {Object} - { sources, demographics, entries, conflicts }
+   */
+  mergeSources(sources) {
+    const demographics = this.mergeDemographics(sources);
+
+    const entries = [
+      ...this.mergeEntries(sources, 'medications', 'medication', this.medicationKey),
+      ...this.mergeEntries(sources, 'documents', 'document', this.documentKey),
+      ...this.mergeEntries(sources, 'medicalRecords', 'medicalRecord', null)
+    ];
+
+    // Newest first; entries without a date go last
+    entries.sort((a, b) => {
+      if (!a.date || !b.date) {
+        return a.date ? -1 : b.date ? 1 : 0;
+      }
+      return new Date(b.date) - new Date(a.date);
+    });
+
+    return {
+      sources: sources.map(source => ({
+        hospitalId: source.hospitalId,
+        hospitalName: source.hospitalName,
+        retrievedAt: source.retrievedAt,
+        recordTypes: Object.keys(source.records)
+      })),
+      demographics: demographics.merged,
+      entries,
+      conflicts: demographics.conflicts
+    };
+  }
+
+  /**
+   * Merge demographics, showing the value most hospitals agree on and flagging clinically significant disagreements
+   * @param {Object[]} sources - Record sets
+   * @returns {Object} - { merged, conflicts }
+   */
+  mergeDemographics(sources) {
+    const merged = {};
+    const conflicts = [];
+
+    for (const [field, names] of Object.entries(DEMOGRAPHIC_FIELDS)) {
+      const values = [];
+
+      for (const source of sources) {
+        const value = pick(source.records.demographics, names);
+        if (value === undefined) {
+          continue;
+        }
+
+        const comparable = comparableDemographic(field, value);
+        let entry = values.find(candidate => candidate.comparable === comparable);
+        if (!entry) {
+          entry = { comparable, value, hospitalIds: [] };
+          values.push(entry);
+        }
+        entry.hospitalIds.push(source.hospitalId);
+      }
+
+      if (values.length === 0) {
+        continue;
+      }
+
+      // Show the value most hospitals agree on; the first source wins a tie
+      const shown = values.reduce((best, entry) => entry.hospitalIds.length > best.hospitalIds.length ? entry : best);
+      const conflicting = values.length > 1 && CONFLICT_FIELDS.includes(field);
+      merged[field] = {
+        value: shown.value,
+        hospitalIds: shown.hospitalIds,
+        conflicting
+      };
+
+      if (conflicting) {
+        conflicts.push({
+          field,
+          values: values.map(({ value, hospitalIds }) => ({ value, hospitalIds }))
+        });
+      }
+    }
+
+    const allergies = this.mergeAllergies(sources);
+    if (allergies) {
+      merged.allergies = allergies.merged;
+      if (allergies.conflict) {
+        conflicts.push(allergies.conflict);
+      }
+    }
+
+    return { merged, conflicts };
+  }
+
+  /**
+   * Merge allergy lists. Every allergy any hospital reports is kept, since leaving one out
+   * is the unsafe mistake; hospitals whose lists differ are reported as a conflict.
+   * @param {Object[]} sources - Record sets
+   * @returns {Object|null} - { merged, conflict }, or null if no hospital sent allergies
+   */
+  mergeAllergies(sources) {
+    const reporting = [];
+    const allergies = new Map();
+
+    for (const source of sources) {
+      const demographics = source.records.demographics || {};
+      const history = demographics.medicalHistory || demographics.medical_history || {};
+      const list = demographics.allergies || history.allergies;
+
+      if (!Array.isArray(list)) {
+        continue;
+      }
+
+      reporting.push(source.hospitalId);
+
+      for (const allergy of list) {
+        const key = normalizeText(allergy);
+        if (!allergies.has(key)) {
+          allergies.set(key, { value: allergy, hospitalIds: [] });
+        }
+        const entry = allergies.get(key);
+        if (!entry.hospitalIds.includes(source.hospitalId)) {
+          entry.hospitalIds.push(source.hospitalId);
+        }
+      }
+    }
+
+    if (reporting.length === 0) {
+      return null;
+    }
+
+    const values = [...allergies.values()].map(entry => ({
+      ...entry,
+      notReportedBy: reporting.filter(hospitalId => !entry.hospitalIds.includes(hospitalId))
+    }));
+
+    const conflicting = values.some(entry => entry.notReportedBy.length > 0);
+
+    return {
+      merged: {
+        value: values.map(entry => entry.value),
+        hospitalIds: reporting,
+        conflicting
+      },
+      conflict: conflicting ? { field: 'allergies', values } : null
+    };
+  }
+
+  /**
+   * Turn one record type from every source into timeline entries, folding duplicates together
+   * @param {Object[]} sources - Record sets
+   * @param {string} recordType - Record type in the record sets
+   * @param {string} entryType - Entry type in the timeline
+   * @param {Function|null} keyOf - Duplicate key of a record, or null if the type is never deduplicated
+   * @returns {Object[]} - Timeline entries
+   */
+  mergeEntries(sources, recordType, entryType, keyOf) {
+    const entries = [];
+    const byKey = new Map();
+
+    for (const source of sources) {
+      const records = source.records[recordType];
+      if (!Array.isArray(records)) {
+        continue;
+      }
+
+      for (const record of records) {
+        const provenance = {
+          hospitalId: source.hospitalId,
+          hospitalName: source.hospitalName,
+          recordId: pick(record, ['id', 'recordId', 'record_id', 'documentId', 'document_id'])
+        };
+
+        // Only another hospital's copy is a duplicate; two matching records from one hospital are both kept
+        const key = keyOf ? keyOf(record) : null;
+        const existing = key
+          ? (byKey.get(key) || []).find(entry => !entry.provenance.some(item => item.hospitalId === source.hospitalId))
+          : null;
+
+        // A duplicate adds its source to the entry it repeats; the first copy is the one shown
+        if (existing) {
+          existing.provenance.push(provenance);
+          continue;
+        }
+
+        const entry = {
+          entryType,
+          date: this.entryDate(entryType, record),
+          record,
+          provenance: [provenance]
+        };
+        entries.push(entry);
+        if (key) {
+          byKey.set(key, [...(byKey.get(key) || []), entry]);
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get the date an entry is placed at in the timeline
+   * @param {string} entryType - Entry type
+   * @param {Object} record - Record
+   * @returns {string|null} - Date
+   */
+  entryDate(entryType, record) {
+    const names = {
+      medication: ['startDate', 'start_date', 'prescribedDate', 'prescribed_date', 'createdAt', 'created_at'],
+      document: ['documentDate', 'document_date', 'createdAt', 'created_at', 'uploadDate', 'upload_date'],
+      medicalRecord: ['recordDate', 'record_date', 'createdAt', 'created_at']
+    }[entryType];
+
+    const value = pick(record, names);
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Duplicate key of a medication: the same drug at the same dose started on the same day
+   * @param {Object} medication - Medication record
+   * @returns {string|null} - Key, or null if the medication cannot be identified or has no start date
+   */
+  medicationKey(medication) {
+    const code = pick(medication, ['rxnormCode', 'rxnorm_code']);
+    const name = pick(medication, ['name', 'medicationName', 'medication_name']);
+    const drug = code ? `rxnorm:${code}` : name ? `name:${normalizeText(name)}` : null;
+    const startDay = toDay(pick(medication, ['startDate', 'start_date']));
+
+    // Undated courses of a drug cannot be told apart, so none of them are folded together
+    if (!drug || !startDay) {
+      return null;
+    }
+
+    const dose = pick(medication, ['dosage', 'dose']);
+    return JSON.stringify([drug, dose === undefined ? null : normalizeText(dose), startDay]);
+  }
+
+  /**
+   * Duplicate key of a document: its checksum, or else its type, title, size and clinical date together
+   * @param {Object} document - Document record
+   * @returns {string|null} - Key, or null if the document cannot be identified
+   */
+  documentKey(document) {
+    const checksum = pick(document, ['md5Checksum', 'md5_checksum', 'checksum']);
+    if (checksum) {
+      return `checksum:${String(checksum).toLowerCase()}`;
+    }
+
+    const title = pick(document, ['title', 'originalFilename', 'original_filename']);
+    if (!title) {
+      return null;
+    }
+
+    return JSON.stringify([
+      normalizeText(pick(document, ['type', 'documentType', 'document_type']) || ''),
+      normalizeText(title),
+      pick(document, ['fileSize', 'file_size']) || null,
+      toDay(pick(document, ['documentDate', 'document_date']))
+    ]);
+  }
+}
+
+module.exports = new PatientTimelineService();
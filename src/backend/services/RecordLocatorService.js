@@ -0,0 +1,200 @@
+/**
+ * Record Locator Service
+ * Finds which connected hospitals hold records for a patient by sending a signed
+ * existence check to every one of them at once
+ */
+
+const crypto = require('crypto');
+const config = require('../config/config');
+const crossHospitalService = require('./CrossHospitalService');
+const networkService = require('./NetworkService');
+const auditService = require('./AuditService');
+
+class RecordLocatorService {
+  constructor() {
+    this.config = {
+      localHospitalId: config.hospitalId,
+      hospitalTimeout: parseInt(process.env.RECORD_LOCATOR_TIMEOUT || '5000', 10), // per hospital
+      cacheTtl: parseInt(process.env.RECORD_LOCATOR_CACHE_TTL || '60000', 10), // 1 minute
+      maxCacheEntries: parseInt(process.env.RECORD_LOCATOR_MAX_CACHE_ENTRIES || '1000', 10)
+    };
+
+    // Recent results by patient global ID; kept short so new admissions show up quickly
+    this.cache = new Map();
+  }
+
+  /**
+   * Find the connected hospitals that hold records for a patient
+   * @param {string} patientGlobalId - Global patient identifier
+   * @param {Object} user - User making the lookup
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.refresh - Query the hospitals even if a recent result is cached
+   * @returns {Promise<Object>} - Hospitals holding records, and hospitals that could not answer
+   */
+  async locatePatient(patientGlobalId, user, { refresh = false } = {}) {
+    try {
+      let result = refresh ? null : this.getCached(patientGlobalId);
+      const cached = Boolean(result);
+
+      if (!result) {
+        const hospitals = (await networkService.getConnectedHospitals())
+          .filter(hospital => hospital.id !== this.config.localHospitalId);
+
+        const responses = await Promise.all(
+          hospitals.map(hospital => this.queryHospital(hospital, patientGlobalId))
+        );
+
+        result = {
+          patientGlobalId,
+          locations: responses
+            .filter(response => response.status === 'found')
+            .map(({ status, error, ...location }) => location),
+          unavailable: responses
+            .filter(response => response.status === 'timeout' || response.status === 'error')
+            .map(({ hospitalId, hospitalName, status, error }) => ({ hospitalId, hospitalName, status, error })),
+          hospitalsQueried: hospitals.length,
+          locatedAt: new Date().toISOString()
+        };
+
+        this.setCached(patientGlobalId, result);
+      }
+
+      await auditService.logCrossHospitalAccess({
+        eventType: 'patient_records_located',
+        status: 'success',
+        sourceHospitalId: this.config.localHospitalId,
+        userId: user.id,
+        resourceType: 'patient',
+        resourceId: patientGlobalId,
+        action: 'locate',
+        details: {
+          cached,
+          hospitalsQueried: result.hospitalsQueried,
+          hospitalsWithRecords: result.locations.map(location => location.hospitalId),
+          unavailable: result.unavailable.map(hospital => hospital.hospitalId)
+        }
+      });
+
+      return { ...result, cached };
+    } catch (error) {
+      console.error('Error locating patient records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask one hospital whether it holds records for a patient, giving up after the per-hospital timeout
+   * @param {Object} hospital - Connected hospital
+   * @param {string} patientGlobalId - Global patient identifier
+   * @returns {Promise<Object>} - Outcome: 'found', 'not_found', 'timeout' or 'error'
+   */
+  async queryHospital(hospital, patientGlobalId) {
+    const startedAt = Date.now();
+    const outcome = {
+      hospitalId: hospital.id,
+      hospitalName: hospital.name
+    };
+    let timer;
+
+    try {
+      const signedRequest = await crossHospitalService.signRequest({
+        patientGlobalId,
+        requestingHospitalId: this.config.localHospitalId,
+        requestType: 'existence_check',
+        includeSummary: true,
+        timestamp: new Date().toISOString(),
+        requestId: crypto.randomUUID()
+      });
+
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`No response within ${this.config.hospitalTimeout}ms`);
+          error.code = 'ETIMEDOUT';
+          reject(error);
+        }, this.config.hospitalTimeout);
+      });
+
+      const response = await Promise.race([
+        crossHospitalService.sendExistenceCheckRequest(hospital.apiEndpoint, signedRequest),
+        timeout
+      ]);
+
+      if (!response || !response.success) {
+        return {
+          ...outcome,
+          status: 'error',
+          error: (response && response.message) || 'Existence check failed'
+        };
+      }
+
+      return {
+        ...outcome,
+        status: response.exists ? 'found' : 'not_found',
+        recordSummary: response.exists ? response.recordSummary || {} : undefined,
+        responseTime: Date.now() - startedAt
+      };
+    } catch (error) {
+      console.error(`Error checking patient existence at hospital ${hospital.id}:`, error.message);
+
+      return {
+        ...outcome,
+        status: error.code === 'ETIMEDOUT' ? 'timeout' : 'error',
+        error: error.message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get a cached lookup result if it is still fresh
+   * @param {string} patientGlobalId - Global patient identifier
+   * @returns {Object|null} - Cached result
+   */
+  getCached(patientGlobalId) {
+    const entry = this.cache.get(patientGlobalId);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(patientGlobalId);
+      return null;
+    }
+
+    return entry.result;
+  }
+
+  /**
+   * Cache a lookup result, dropping the oldest entries once the cache is full
+   * @param {string} patientGlobalId - Global patient identifier
+   * @param {Object} result - Lookup result
+   */
+  setCached(patientGlobalId, result) {
+    this.cache.delete(patientGlobalId);
+
+    while (this.cache.size >= this.config.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    this.cache.set(patientGlobalId, {
+      result,
+      expiresAt: Date.now() + this.config.cacheTtl
+    });
+  }
+
+  /**
+   * Forget cached results, for one patient or for all of them
+   * @param {string} patientGlobalId - Global patient identifier; omit to clear everything
+   */
+  clearCache(patientGlobalId) {
+    if (patientGlobalId) {
+      this.cache.delete(patientGlobalId);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+module.exports = new RecordLocatorService();
@@ -0,0 +1,240 @@
+/**
+ * Replay Protection Service
+ * Rejects signed hospital requests that are stale or have been seen before, by remembering
+ * each request's nonce for as long as its timestamp would still be accepted
+ */
+
+const db = require('../database/connection');
+const config = require('../config/config');
+const auditService = require('./AuditService');
+
+/**
+ * Nonces held in this process; enough when a single node receives a hospital's requests
+ */
+class MemoryNonceStore {
+  constructor() {
+    this.nonces = new Map();
+  }
+
+  /**
+   * Remember a nonce unless it is already held
+   * @param {string} scope - Hospital that signed the request
+   * @param {string} nonce - Nonce or request ID
+   * @param {Date} expiresAt - When the nonce can be forgotten
+   * @returns {Promise<boolean>} - False if the nonce was already held
+   */
+  async claim(scope, nonce, expiresAt) {
+    const key = JSON.stringify([scope, nonce]);
+    const heldUntil = this.nonces.get(key);
+
+    if (heldUntil && heldUntil > Date.now()) {
+      return false;
+    }
+
+    this.nonces.set(key, expiresAt.getTime());
+    return true;
+  }
+
+  /**
+   * Forget expired nonces
+   * @returns {Promise<number>} - Number of nonces removed
+   */
+  async purgeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, heldUntil] of this.nonces) {
+      if (heldUntil <= now) {
+        this.nonces.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Release resources held by the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.nonces.clear();
+  }
+}
+
+/**
+ * Nonces held in the request_nonces table, shared by every node of a hospital
+ */
+class PostgresNonceStore {
+  constructor() {
+    this.db = db;
+  }
+
+  /**
+   * Remember a nonce unless it is already held; the insert is atomic across nodes
+   * @param {string} scope - Hospital that signed the request
+   * @param {string} nonce - Nonce or request ID
+   * @param {Date} expiresAt - When the nonce can be forgotten
+   * @returns {Promise<boolean>} - False if the nonce was already held
+   */
+  async claim(scope, nonce, expiresAt) {
+    // An expired row that has not been purged yet is taken over rather than counted as a replay
+    const result = await this.db.query(
+      `INSERT INTO request_nonces (scope, nonce, expires_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (scope, nonce) DO UPDATE
+         SET expires_at = EXCLUDED.expires_at, created_at = CURRENT_TIMESTAMP
+         WHERE request_nonces.expires_at <= CURRENT_TIMESTAMP
+       RETURNING nonce`,
+      [scope, nonce, expiresAt]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Delete expired nonces
+   * @returns {Promise<number>} - Number of nonces removed
+   */
+  async purgeExpired() {
+    const result = await this.db.query(
+      'DELETE FROM request_nonces WHERE expires_at <= CURRENT_TIMESTAMP'
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Release resources held by the store; the shared connection pool stays open for other services
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+// Why a request was rejected, as reported to the sending hospital
+const REJECTION_MESSAGES = {
+  missing_nonce: 'Request nonce is missing',
+  expired: 'Request has expired',
+  replayed: 'Request has already been received'
+};
+
+const NONCE_STORES = {
+  memory: MemoryNonceStore,
+  postgres: PostgresNonceStore
+};
+
+class ReplayProtectionService {
+  constructor() {
+    this.config = {
+      storeType: process.env.REPLAY_STORE_TYPE || 'memory',
+      // How far a request's timestamp may be from now, in either direction
+      window: parseInt(process.env.REPLAY_WINDOW || '300000', 10), // 5 minutes
+      purgeInterval: parseInt(process.env.REPLAY_PURGE_INTERVAL || '60000', 10) // 1 minute
+    };
+
+    const NonceStore = NONCE_STORES[this.config.storeType];
+    if (!NonceStore) {
+      throw new Error(`Unsupported replay store type: ${this.config.storeType}`);
+    }
+
+    this.store = new NonceStore();
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Start purging expired nonces
+   */
+  start() {
+    if (this.purgeTimer) {
+      return;
+    }
+
+    this.purgeTimer = setInterval(() => {
+      this.store.purgeExpired().catch(error => {
+        console.error('Error purging expired nonces:', error);
+      });
+    }, this.config.purgeInterval);
+
+    // Purging should not keep the process alive on its own
+    if (this.purgeTimer.unref) {
+      this.purgeTimer.unref();
+    }
+  }
+
+  /**
+   * Stop purging expired nonces and release the store
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+
+    await this.store.close();
+  }
+
+  /**
+   * Check that a signed request is fresh and has not been seen before, and remember it.
+   * Call only after the request's signature has been verified, so that forged requests
+   * cannot use up a hospital's nonces.
+   * @param {Object} request - Request details
+   * @param {string} request.hospitalId - Hospital that signed the request
+   * @param {string} request.nonce - Nonce or request ID, unique per hospital
+   * @param {string} request.timestamp - Signed request timestamp
+   * @param {string} request.path - Endpoint or message type, for the audit trail
+   * @returns {Promise<Object>} - { accepted, reason, message }, reason being 'missing_nonce', 'expired' or 'replayed'
+   */
+  async checkRequest({ hospitalId, nonce, timestamp, path = null }) {
+    try {
+      if (!nonce) {
+        return this.reject('missing_nonce');
+      }
+
+      const requestTime = new Date(timestamp).getTime();
+      if (Number.isNaN(requestTime) || Math.abs(Date.now() - requestTime) > this.config.window) {
+        return this.reject('expired');
+      }
+
+      // Past this point the timestamp is rejected anyway, so the nonce need not be kept
+      const expiresAt = new Date(requestTime + this.config.window);
+      const claimed = await this.store.claim(String(hospitalId), String(nonce), expiresAt);
+
+      if (!claimed) {
+        await auditService.logSecurityEvent({
+          eventType: 'replayed_request_rejected',
+          status: 'failure',
+          severity: 'warning',
+          hospitalId,
+          details: {
+            nonce,
+            timestamp,
+            path
+          }
+        });
+
+        return this.reject('replayed');
+      }
+
+      return { accepted: true };
+    } catch (error) {
+      console.error('Error checking request for replay:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the result for a rejected request
+   * @param {string} reason - Rejection reason
+   * @returns {Object} - Rejection result
+   */
+  reject(reason) {
+    return {
+      accepted: false,
+      reason,
+      message: REJECTION_MESSAGES[reason]
+    };
+  }
+}
+
+module.exports = new ReplayProtectionService();
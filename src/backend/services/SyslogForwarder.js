@@ -0,0 +1,491 @@
+/**
+ * Syslog Forwarder
+ * Forwards audit log entries to a syslog collector as RFC 5424 or CEF messages
+ */
+
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+// RFC 5424 severities
+const SYSLOG_SEVERITY = {
+  critical: 2,
+  error: 3,
+  warning: 4,
+  info: 6,
+  debug: 7
+};
+
+// CEF severities (0-10)
+const CEF_SEVERITY = {
+  critical: 10,
+  error: 8,
+  warning: 6,
+  info: 3,
+  debug: 1
+};
+
+// Audit log fields carried as RFC 5424 structured data parameters
+const STRUCTURED_FIELDS = [
+  'id', 'type', 'eventType', 'status', 'userId', 'username', 'role',
+  'hospitalId', 'ipAddress', 'userAgent'
+];
+
+class SyslogForwarder {
+  /**
+   * @param {Object} options - Forwarder options
+   * @param {string} options.host - Collector host
+   * @param {number} options.port - Collector port
+   * @param {string} options.protocol - 'udp', 'tcp' or 'tls'
+   * @param {string} options.format - 'rfc5424' or 'cef'
+   * @param {number} options.facility - Syslog facility (0-23)
+   * @param {string} options.appName - RFC 5424 APP-NAME
+   * @param {string} options.enterpriseId - Private enterprise number for structured data IDs
+   * @param {string} options.caPath - CA certificate for TLS
+   * @param {string} options.certPath - Client certificate for TLS
+   * @param {string} options.keyPath - Client key for TLS
+   * @param {boolean} options.rejectUnauthorized - Verify the collector's TLS certificate
+   * @param {number} options.bufferSize - Maximum messages held while the collector is unreachable
+   * @param {number} options.retryInterval - Initial reconnect delay (ms)
+   * @param {number} options.maxRetryInterval - Maximum reconnect delay (ms)
+   * @param {number} options.maxMessageSize - Messages are truncated to this many bytes
+   */
+  constructor(options = {}) {
+    this.config = {
+      host: options.host || 'localhost',
+      port: options.port || (options.protocol === 'tls' ? 6514 : 514),
+      protocol: options.protocol || 'udp',
+      format: options.format || 'rfc5424',
+      facility: options.facility !== undefined ? options.facility : 13, // log audit
+      appName: options.appName || 'hospital-network',
+      enterpriseId: options.enterpriseId || '32473',
+      caPath: options.caPath,
+      certPath: options.certPath,
+      keyPath: options.keyPath,
+      rejectUnauthorized: options.rejectUnauthorized !== false,
+      bufferSize: options.bufferSize || 10000,
+      retryInterval: options.retryInterval || 1000,
+      maxRetryInterval: options.maxRetryInterval || 60000,
+      maxMessageSize: options.maxMessageSize || (options.protocol === 'udp' || !options.protocol ? 2048 : 65536)
+    };
+
+    if (!['udp', 'tcp', 'tls'].includes(this.config.protocol)) {
+      throw new Error(`Unsupported syslog protocol: ${this.config.protocol}`);
+    }
+
+    if (!['rfc5424', 'cef'].includes(this.config.format)) {
+      throw new Error(`Unsupported syslog format: ${this.config.format}`);
+    }
+
+    this.hostname = os.hostname();
+
+    // Messages wait here until the collector accepts them; held in memory only,
+    // the audit log itself remains the durable record
+    this.queue = [];
+    this.dropped = 0;
+    this.sending = false;
+    this.closed = false;
+
+    this.socket = null;
+    this.connected = false;
+    this.connecting = false;
+    this.retryDelay = this.config.retryInterval;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Queue an audit log entry for forwarding
+   * @param {Object} log - Audit log entry (after masking)
+   */
+  forward(log) {
+    if (this.closed) {
+      return;
+    }
+
+    this.queue.push(this.formatMessage(log));
+
+    if (this.queue.length > this.config.bufferSize) {
+      // Keep the newest messages when the collector has been down for long
+      const overflow = this.queue.length - this.config.bufferSize;
+      this.queue.splice(0, overflow);
+      this.dropped += overflow;
+      console.error(`Syslog buffer full, dropped ${overflow} message(s) (${this.dropped} total)`);
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Format an audit log entry in the configured format
+   * @param {Object} log - Audit log entry
+   * @returns {string} - Syslog message
+   */
+  formatMessage(log) {
+    const message = this.config.format === 'cef'
+      ? this.formatSyslog(log, '-', this.formatCef(log))
+      : this.formatSyslog(log, this.formatStructuredData(log), this.formatMsg(log));
+
+    return this.truncate(message);
+  }
+
+  /**
+   * Build an RFC 5424 message
+   * @param {Object} log - Audit log entry
+   * @param {string} structuredData - STRUCTURED-DATA field
+   * @param {string} msg - MSG field
+   * @returns {string} - Syslog message
+   */
+  formatSyslog(log, structuredData, msg) {
+    const severity = SYSLOG_SEVERITY[log.level] !== undefined ? SYSLOG_SEVERITY[log.level] : SYSLOG_SEVERITY.info;
+    const priority = this.config.facility * 8 + severity;
+
+    const header = [
+      `<${priority}>1`,
+      new Date(log.timestamp || Date.now()).toISOString(),
+      this.headerField(log.hostname || this.hostname, 255),
+      this.headerField(this.config.appName, 48),
+      this.headerField(String(log.processId || process.pid), 128),
+      this.headerField(log.eventType || log.type, 32)
+    ].join(' ');
+
+    return `${header} ${structuredData}${msg ? ` ${msg}` : ''}`;
+  }
+
+  /**
+   * Build the RFC 5424 structured data element for an entry
+   * @param {Object} log - Audit log entry
+   * @returns {string} - SD-ELEMENT
+   */
+  formatStructuredData(log) {
+    const params = STRUCTURED_FIELDS
+      .filter(field => log[field] !== undefined && log[field] !== null)
+      .map(field => `${field}="${this.escapeParamValue(String(log[field]))}"`);
+
+    if (log.level) {
+      params.push(`level="${this.escapeParamValue(log.level)}"`);
+    }
+
+    return `[audit@${this.config.enterpriseId}${params.length ? ` ${params.join(' ')}` : ''}]`;
+  }
+
+  /**
+   * Build the free-form MSG of an RFC 5424 message
+   * @param {Object} log - Audit log entry
+   * @returns {string} - MSG, or an empty string
+   */
+  formatMsg(log) {
+    if (!log.details || Object.keys(log.details).length === 0) {
+      return '';
+    }
+
+    // The BOM marks the MSG as UTF-8 (RFC 5424 section 6.4)
+    return `\ufeff${JSON.stringify(log.details)}`;
+  }
+
+  /**
+   * Build a CEF record for an entry
+   * @param {Object} log - Audit log entry
+   * @returns {string} - CEF record
+   */
+  formatCef(log) {
+    const severity = CEF_SEVERITY[log.level] !== undefined ? CEF_SEVERITY[log.level] : CEF_SEVERITY.info;
+
+    const header = [
+      'CEF:0',
+      'Hospital Network',
+      this.config.appName,
+      '1.0',
+      `${log.type || 'audit'}:${log.eventType || 'event'}`,
+      `${log.type || 'audit'} ${log.eventType || 'event'}${log.status ? ` ${log.status}` : ''}`,
+      severity
+    ].map(field => this.escapeCefHeader(String(field))).join('|');
+
+    const extension = {
+      rt: new Date(log.timestamp || Date.now()).getTime(),
+      externalId: log.id,
+      cat: log.type,
+      act: log.eventType,
+      outcome: log.status,
+      suid: log.userId,
+      suser: log.username,
+      spriv: log.role,
+      src: log.ipAddress,
+      requestClientApplication: log.userAgent,
+      dvchost: log.hostname || this.hostname,
+      dvcpid: log.processId,
+      cs1Label: log.hospitalId ? 'hospitalId' : undefined,
+      cs1: log.hospitalId,
+      msg: log.details && Object.keys(log.details).length > 0 ? JSON.stringify(log.details) : undefined
+    };
+
+    const pairs = Object.entries(extension)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `${key}=${this.escapeCefExtension(String(value))}`);
+
+    return `${header}|${pairs.join(' ')}`;
+  }
+
+  /**
+   * Make a value safe for an RFC 5424 header field
+   * @param {string} value - Field value
+   * @param {number} maxLength - Maximum field length
+   * @returns {string} - Printable ASCII without spaces, or the nil value
+   */
+  headerField(value, maxLength) {
+    const printable = String(value || '').replace(/[^\x21-\x7e]/g, '_').slice(0, maxLength);
+    return printable || '-';
+  }
+
+  /**
+   * Escape an RFC 5424 structured data parameter value
+   * @param {string} value - Parameter value
+   * @returns {string} - Escaped value
+   */
+  escapeParamValue(value) {
+    return value.replace(/["\\\]]/g, match => `\\${match}`);
+  }
+
+  /**
+   * Escape a CEF header field
+   * @param {string} value - Header value
+   * @returns {string} - Escaped value
+   */
+  escapeCefHeader(value) {
+    return value.replace(/[\\|]/g, match => `\\${match}`).replace(/[\r\n]+/g, ' ');
+  }
+
+  /**
+   * Escape a CEF extension value
+   * @param {string} value - Extension value
+   * @returns {string} - Escaped value
+   */
+  escapeCefExtension(value) {
+    return value
+      .replace(/[\\=]/g, match => `\\${match}`)
+      .replace(/\r/g, '\\r')
+      .replace(/\n/g, '\\n');
+  }
+
+  /**
+   * Truncate a message to the maximum message size
+   * @param {string} message - Syslog message
+   * @returns {string} - Message within the size limit
+   */
+  truncate(message) {
+    const buffer = Buffer.from(message);
+    if (buffer.length <= this.config.maxMessageSize) {
+      return message;
+    }
+
+    // Drop any multi-byte character cut in half
+    return buffer.subarray(0, this.config.maxMessageSize).toString().replace(/\ufffd$/, '');
+  }
+
+  /**
+   * Send queued messages until the queue is empty or the collector is unreachable
+   */
+  async drain() {
+    if (this.sending || this.closed) {
+      return;
+    }
+
+    this.sending = true;
+
+    try {
+      while (this.queue.length > 0) {
+        if (!this.connected) {
+          this.connect();
+          return;
+        }
+
+        // A message leaves the queue only once the transport has accepted it
+        await this.send(this.queue[0]);
+        this.queue.shift();
+        this.retryDelay = this.config.retryInterval;
+      }
+    } catch (error) {
+      console.error(`Failed to forward audit log to syslog at ${this.config.host}:${this.config.port}:`, error.message);
+      this.disconnect();
+      this.scheduleRetry();
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  /**
+   * Open the transport to the collector
+   */
+  connect() {
+    if (this.connecting || this.connected || this.retryTimer || this.closed) {
+      return;
+    }
+
+    this.connecting = true;
+
+    if (this.config.protocol === 'udp') {
+      const socket = dgram.createSocket(net.isIPv6(this.config.host) ? 'udp6' : 'udp4');
+      socket.on('error', error => this.handleSocketError(socket, error));
+      socket.connect(this.config.port, this.config.host, () => this.handleConnect(socket));
+      this.socket = socket;
+      return;
+    }
+
+    const socket = this.config.protocol === 'tls'
+      ? tls.connect({
+        host: this.config.host,
+        port: this.config.port,
+        servername: net.isIP(this.config.host) ? undefined : this.config.host,
+        ca: this.config.caPath ? fs.readFileSync(this.config.caPath) : undefined,
+        cert: this.config.certPath ? fs.readFileSync(this.config.certPath) : undefined,
+        key: this.config.keyPath ? fs.readFileSync(this.config.keyPath) : undefined,
+        rejectUnauthorized: this.config.rejectUnauthorized
+      }, () => this.handleConnect(socket))
+      : net.connect({ host: this.config.host, port: this.config.port }, () => this.handleConnect(socket));
+
+    socket.setKeepAlive(true);
+    socket.on('error', error => this.handleSocketError(socket, error));
+    socket.on('close', () => {
+      if (this.socket === socket) {
+        this.disconnect();
+        this.scheduleRetry();
+      }
+    });
+    this.socket = socket;
+  }
+
+  /**
+   * Mark the transport as connected and send what was buffered
+   * @param {Object} socket - Connected socket
+   */
+  handleConnect(socket) {
+    if (this.socket !== socket) {
+      return;
+    }
+
+    this.connecting = false;
+    this.connected = true;
+    this.drain();
+  }
+
+  /**
+   * Drop a failed transport and retry later
+   * @param {Object} socket - Socket that failed
+   * @param {Error} error - Socket error
+   */
+  handleSocketError(socket, error) {
+    if (this.socket !== socket) {
+      return;
+    }
+
+    console.error(`Syslog connection to ${this.config.host}:${this.config.port} failed:`, error.message);
+    this.disconnect();
+    this.scheduleRetry();
+  }
+
+  /**
+   * Close the current transport
+   */
+  disconnect() {
+    const socket = this.socket;
+    this.socket = null;
+    this.connected = false;
+    this.connecting = false;
+
+    if (!socket) {
+      return;
+    }
+
+    try {
+      if (this.config.protocol === 'udp') {
+        socket.close();
+      } else {
+        socket.destroy();
+      }
+    } catch (error) {
+      // Already closed
+    }
+  }
+
+  /**
+   * Reconnect after a delay that doubles on each consecutive failure
+   */
+  scheduleRetry() {
+    if (this.retryTimer || this.closed) {
+      return;
+    }
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.drain();
+    }, this.retryDelay);
+    this.retryTimer.unref();
+
+    this.retryDelay = Math.min(this.retryDelay * 2, this.config.maxRetryInterval);
+  }
+
+  /**
+   * Send one message over the open transport
+   * @param {string} message - Syslog message
+   * @returns {Promise<void>}
+   */
+  send(message) {
+    return new Promise((resolve, reject) => {
+      const socket = this.socket;
+
+      if (this.config.protocol === 'udp') {
+        socket.send(Buffer.from(message), error => (error ? reject(error) : resolve()));
+        return;
+      }
+
+      // Stream transports use octet-counting framing (RFC 6587 / RFC 5425)
+      const payload = Buffer.from(message);
+      socket.write(`${payload.length} ${message}`, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Get the forwarder's status
+   * @returns {Object} - Connection and buffer status
+   */
+  getStatus() {
+    return {
+      protocol: this.config.protocol,
+      format: this.config.format,
+      host: this.config.host,
+      port: this.config.port,
+      connected: this.connected,
+      queued: this.queue.length,
+      dropped: this.dropped
+    };
+  }
+
+  /**
+   * Send what is buffered and close the transport
+   * @param {number} timeout - Maximum time to wait for the buffer to drain (ms)
+   * @returns {Promise<void>}
+   */
+  async close(timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (this.queue.length > 0 && Date.now() < deadline) {
+      this.drain();
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    this.closed = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (this.socket && this.config.protocol !== 'udp') {
+      // Let pending writes reach the collector before closing
+      const socket = this.socket;
+      this.socket = null;
+      await new Promise(resolve => socket.end(resolve));
+    }
+
+    this.disconnect();
+  }
+}
+
+module.exports = SyslogForwarder;
@@ -0,0 +1,135 @@
+/**
+ * Access Anomaly Detector tests
+ * Covers each detection rule, alert cooldowns, and discarding state for inactive users
+ */
+
+const AccessAnomalyDetector = require('../AccessAnomalyDetector');
+
+// A Wednesday, inside working hours
+const MIDDAY = new Date(2024, 2, 6, 12, 0, 0).getTime();
+const HOUR = 3600000;
+
+/**
+ * Build a record access entry
+ * @param {Object} fields - Entry fields
+ * @returns {Object} - Audit log entry
+ */
+function access(fields) {
+  return { type: 'data_access', userId: 'doctor-1', hospitalId: 'hospital-1', timestamp: MIDDAY, ...fields };
+}
+
+/**
+ * Build an authorization failure entry
+ * @param {Object} fields - Entry fields
+ * @returns {Object} - Audit log entry
+ */
+function failure(fields) {
+  return { type: 'auth', status: 'denied', userId: 'doctor-1', timestamp: MIDDAY, ...fields };
+}
+
+describe('AccessAnomalyDetector', () => {
+  describe('record volume', () => {
+    it('flags a user opening far more patients than their baseline', () => {
+      const detector = new AccessAnomalyDetector({ minBaselineHours: 2, thresholds: { default: { minRecordsPerHour: 5 } } });
+
+      for (let hour = 0; hour < 3; hour++) {
+        detector.inspect(access({ patientId: `patient-${hour}`, timestamp: MIDDAY + hour * HOUR }));
+      }
+
+      const anomalies = [];
+      for (let i = 0; i < 5; i++) {
+        anomalies.push(...detector.inspect(access({ patientId: `burst-${i}`, timestamp: MIDDAY + 3 * HOUR + i })));
+      }
+
+      expect(anomalies).toEqual([expect.objectContaining({
+        pattern: 'excessive_record_access',
+        severity: 'warning',
+        details: expect.objectContaining({ patientsThisHour: 5, baselinePerHour: 1 })
+      })]);
+    });
+
+    it('flags volumes over the role maximum without a baseline', () => {
+      const detector = new AccessAnomalyDetector({ thresholds: { nurse: { maxRecordsPerHour: 3 } } });
+
+      const anomalies = [];
+      for (let i = 0; i < 4; i++) {
+        anomalies.push(...detector.inspect(access({ role: 'nurse', patientId: `patient-${i}` })));
+      }
+
+      expect(anomalies).toEqual([expect.objectContaining({ pattern: 'excessive_record_access', severity: 'critical' })]);
+    });
+  });
+
+  it('flags access to another hospital\'s patient unless the role allows it', () => {
+    const detector = new AccessAnomalyDetector();
+    const entry = { patientId: 'patient-1', patientHospitalId: 'hospital-2' };
+
+    expect(detector.inspect(access(entry))).toEqual([expect.objectContaining({ pattern: 'other_hospital_patient_access' })]);
+    expect(detector.inspect(access({ ...entry, userId: 'admin-1', role: 'admin' }))).toEqual([]);
+  });
+
+  it('flags bulk downloads outside working hours only', () => {
+    const detector = new AccessAnomalyDetector();
+    const download = { action: 'download', details: { recordCount: 11 } };
+
+    expect(detector.inspect(access(download))).toEqual([]);
+    expect(detector.inspect(access({ ...download, timestamp: new Date(2024, 2, 6, 22, 0, 0).getTime() })))
+      .toEqual([expect.objectContaining({ pattern: 'off_hours_bulk_download', details: expect.objectContaining({ recordsDownloaded: 11 }) })]);
+  });
+
+  it('flags repeated failures within the failure window', () => {
+    const detector = new AccessAnomalyDetector({ thresholds: { default: { maxAuthFailures: 3 } } });
+
+    expect(detector.inspect(failure({ timestamp: MIDDAY - 11 * 60000 }))).toEqual([]);
+    expect(detector.inspect(failure({}))).toEqual([]);
+    expect(detector.inspect(failure({ timestamp: MIDDAY + 1 }))).toEqual([]);
+    expect(detector.inspect(failure({ timestamp: MIDDAY + 2 })))
+      .toEqual([expect.objectContaining({ pattern: 'repeated_authorization_failures', details: expect.objectContaining({ failures: 3 }) })]);
+  });
+
+  it('raises an alert once per cooldown', () => {
+    const detector = new AccessAnomalyDetector();
+    const entry = { patientId: 'patient-1', patientHospitalId: 'hospital-2' };
+
+    expect(detector.inspect(access(entry))).toHaveLength(1);
+    expect(detector.inspect(access({ ...entry, timestamp: MIDDAY + 60000 }))).toHaveLength(0);
+    expect(detector.inspect(access({ ...entry, timestamp: MIDDAY + 15 * 60000 }))).toHaveLength(1);
+  });
+
+  describe('pruning', () => {
+    it('discards users idle for longer than the baseline window and anonymous failures past the failure window', () => {
+      const detector = new AccessAnomalyDetector({ baselineHours: 24 });
+
+      detector.inspect(access({ userId: 'doctor-1', patientId: 'patient-1' }));
+      detector.inspect(failure({ userId: undefined, ipAddress: '10.0.0.1' }));
+      detector.inspect(access({ userId: 'doctor-2', patientId: 'patient-2', timestamp: MIDDAY + 23 * HOUR }));
+
+      expect([...detector.users.keys()]).toEqual(['doctor-1', 'doctor-2']);
+
+      detector.inspect(access({ userId: 'doctor-3', patientId: 'patient-3', timestamp: MIDDAY + 25 * HOUR }));
+
+      expect([...detector.users.keys()]).toEqual(['doctor-2', 'doctor-3']);
+    });
+
+    it('discards alerts whose cooldown has passed', () => {
+      const detector = new AccessAnomalyDetector();
+
+      detector.inspect(access({ patientId: 'patient-1', patientHospitalId: 'hospital-2' }));
+      expect(detector.lastAlerts.size).toBe(1);
+
+      detector.inspect(access({ userId: 'doctor-2', patientId: 'patient-2', timestamp: MIDDAY + HOUR }));
+      expect(detector.lastAlerts.size).toBe(0);
+    });
+
+    it('only scans for inactive state once per prune interval', () => {
+      const detector = new AccessAnomalyDetector({ baselineHours: 1, pruneInterval: 2 * HOUR });
+
+      detector.inspect(access({ userId: 'doctor-1', patientId: 'patient-1' }));
+      detector.inspect(access({ userId: 'doctor-2', patientId: 'patient-2', timestamp: MIDDAY + 1.5 * HOUR }));
+      expect(detector.users.has('doctor-1')).toBe(true);
+
+      detector.inspect(access({ userId: 'doctor-2', patientId: 'patient-2', timestamp: MIDDAY + 2 * HOUR }));
+      expect(detector.users.has('doctor-1')).toBe(false);
+    });
+  });
+});
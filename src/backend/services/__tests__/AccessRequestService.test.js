@@ -0,0 +1,409 @@
+/**
+ * Access Request Service tests
+ * Drives record requests through the holding hospital with a mocked database and broker,
+ * and covers how a reviewed approval's token reaches the requesting hospital
+ */
+
+process.env.AUDIT_SIGNATURE_KEY = 'test-signature-key';
+process.env.MPI_IDENTIFIER_KEY = 'test-identifier-key';
+process.env.CROSS_HOSPITAL_JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../AuditService', () => ({
+  logSecurityEvent: jest.fn(),
+  logCrossHospitalAccess: jest.fn(),
+  logConsentEvent: jest.fn()
+}));
+jest.mock('../MessageBrokerService', () => ({ publish: jest.fn(), subscribe: jest.fn() }));
+jest.mock('../PatientService', () => ({ getPatientByGlobalId: jest.fn() }));
+jest.mock('../HospitalService', () => ({
+  getLocalSigningKey: jest.fn(),
+  getVerificationKey: jest.fn(),
+  getHospitalById: jest.fn()
+}));
+jest.mock('../MasterPatientIndexService', () => ({}));
+jest.mock('../ConsentVersionService', () => ({}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../../database/connection');
+const auditService = require('../AuditService');
+const messageBrokerService = require('../MessageBrokerService');
+const patientService = require('../PatientService');
+const hospitalService = require('../HospitalService');
+const consentService = require('../ConsentService');
+const replayProtectionService = require('../ReplayProtectionService');
+const crossHospitalService = require('../CrossHospitalService');
+const accessRequestService = require('../AccessRequestService');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+  namedCurve: 'prime256v1',
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+});
+
+const JUSTIFICATION = 'Unconscious patient admitted to the emergency department';
+
+// The single access request row the mocked database holds
+let stored;
+
+/**
+ * Apply an UPDATE to the stored row when its status precondition holds
+ * @param {string} sql - Query
+ * @param {Array} params - Query parameters
+ * @returns {Object} - Query result
+ */
+function update(sql, params) {
+  const precondition = sql.match(/status = ANY\(\$(\d+)\)/);
+  const requiredStatus = sql.match(/AND status = '(\w+)'/);
+  if (!stored ||
+      (precondition && !params[precondition[1] - 1].includes(stored.status)) ||
+      (requiredStatus && stored.status !== requiredStatus[1])) {
+    return { rows: [] };
+  }
+
+  const newStatus = sql.match(/SET status = '(\w+)'/);
+  if (newStatus) {
+    stored.status = newStatus[1];
+  }
+
+  for (const [, column, index] of sql.matchAll(/(\w+) = (?:COALESCE\()?\$(\d+)/g)) {
+    const value = params[index - 1];
+    if (value !== null && value !== undefined) {
+      stored[column] = value;
+    }
+  }
+  if (/grant_collected_at = CURRENT_TIMESTAMP/.test(sql)) {
+    stored.grant_collected_at = new Date();
+  }
+
+  return { rows: [{ ...stored }] };
+}
+
+/**
+ * Answer queries by the table they touch
+ * @param {string} sql - Query
+ * @param {Array} params - Query parameters
+ * @returns {Object} - Query result
+ */
+function respond(sql, params) {
+  if (/INSERT INTO access_requests/.test(sql)) {
+    if (stored && stored.request_id === params[0]) {
+      return { rows: [] };
+    }
+    stored = {
+      request_id: params[0],
+      direction: 'incoming',
+      patient_id: params[1],
+      patient_global_id: params[2],
+      requesting_hospital_id: params[3],
+      target_hospital_id: params[4],
+      requesting_user_id: params[5],
+      requesting_user_role: params[6],
+      purpose: params[7],
+      record_types: params[8],
+      emergency: params[9],
+      requested_scope: params[11],
+      status: 'pending'
+    };
+    return { rows: [{ ...stored }] };
+  }
+  if (/SELECT \* FROM access_requests/.test(sql)) {
+    return { rows: stored ? [{ ...stored }] : [] };
+  }
+  if (/UPDATE access_requests/.test(sql)) {
+    return update(sql, params);
+  }
+  if (/INSERT INTO emergency_access_overrides/.test(sql)) {
+    return { rows: [{ override_id: 'override-1', created_at: new Date(), expires_at: new Date(Date.now() + 900000) }] };
+  }
+  if (/INSERT INTO access_tokens/.test(sql)) {
+    return { rows: [{ token_id: 'token-1' }] };
+  }
+  if (/INSERT INTO received_access_grants/.test(sql)) {
+    return { rows: [{ grant_id: 'grant-1' }] };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+/**
+ * Build a record request signed by the requesting hospital
+ * @param {Object} fields - Payload fields to override
+ * @returns {Promise<Object>} - Signed request
+ */
+function signedRequest(fields = {}) {
+  return crossHospitalService.signRequest({
+    patientGlobalId: 'global-1',
+    requestingHospitalId: 'hospital-2',
+    requestingHospitalName: 'Hospital 2',
+    requestingUserId: 'doctor-1',
+    requestingUserRole: 'doctor',
+    purpose: 'treatment',
+    recordTypes: ['medications'],
+    timestamp: new Date().toISOString(),
+    requestId: crypto.randomUUID(),
+    ...fields
+  });
+}
+
+/**
+ * Payloads of the status notifications published to the requesting hospital
+ * @returns {Array<Object>} - Notification payloads
+ */
+function notifications() {
+  return messageBrokerService.publish.mock.calls
+    .filter(([topic]) => topic === 'cross-hospital.access_request.hospital-2')
+    .map(([, message]) => message.payload);
+}
+
+describe('AccessRequestService', () => {
+  const consent = { id: 'consent-1', consent_type: 'full_access', purpose: null, specific_data_types: null };
+
+  beforeEach(() => {
+    stored = null;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(consentService, 'getMatchingConsents').mockResolvedValue([consent]);
+    db.query.mockReset().mockImplementation(async (sql, params) => respond(sql, params));
+    db.connect.mockReset().mockResolvedValue({ query: db.query, release: jest.fn() });
+    auditService.logCrossHospitalAccess.mockReset();
+    messageBrokerService.publish.mockReset();
+    patientService.getPatientByGlobalId.mockResolvedValue({ id: 'patient-1' });
+    hospitalService.getLocalSigningKey.mockResolvedValue({ keyId: 'key-1', privateKey });
+    hospitalService.getVerificationKey.mockResolvedValue({ public_key: publicKey });
+    hospitalService.getHospitalById.mockImplementation(async id => ({ id, name: id, apiEndpoint: `https://${id}.example` }));
+  });
+
+  afterEach(async () => {
+    await replayProtectionService.store.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('processRecordRequest', () => {
+    it('approves a consented request and returns its token only in the response', async () => {
+      const request = await signedRequest();
+      const response = await crossHospitalService.processRecordRequest(request);
+
+      expect(response).toMatchObject({ success: true, status: 'approved', requestId: request.payload.requestId });
+      expect(jwt.verify(response.accessToken, 'test-jwt-secret')).toMatchObject({
+        patientId: 'patient-1',
+        requestingHospitalId: 'hospital-2',
+        recordTypes: ['medications'],
+        consentIds: ['consent-1']
+      });
+
+      expect(stored).toMatchObject({ status: 'approved', decision_basis: 'auto_consent', target_hospital_id: 'hospital-1' });
+      expect(auditService.logCrossHospitalAccess.mock.calls.map(([event]) => event.eventType))
+        .toEqual(['record_request_received', 'access_request_approved', 'record_request_approved']);
+      expect(notifications()).toEqual([expect.objectContaining({ status: 'approved' })]);
+      expect(notifications()[0].accessToken).toBeUndefined();
+    });
+
+    it('holds a request without consent for review', async () => {
+      consentService.getMatchingConsents.mockResolvedValue([]);
+
+      const response = await crossHospitalService.processRecordRequest(await signedRequest());
+
+      expect(response).toMatchObject({ success: false, status: 'pending' });
+      expect(response.accessToken).toBeUndefined();
+      expect(stored.status).toBe('pending');
+      expect(db.query.mock.calls.some(([sql]) => /INSERT INTO access_tokens/.test(sql))).toBe(false);
+      expect(auditService.logCrossHospitalAccess).toHaveBeenLastCalledWith(expect.objectContaining({
+        eventType: 'record_request_pending',
+        sourceHospitalId: 'hospital-2',
+        targetHospitalId: 'hospital-1'
+      }));
+    });
+
+    it('grants emergency access within the emergency scope when there is no consent', async () => {
+      consentService.getMatchingConsents.mockResolvedValue([]);
+
+      const response = await crossHospitalService.processRecordRequest(await signedRequest({
+        purpose: 'emergency_treatment',
+        recordTypes: ['medications', 'documents'],
+        emergency: { justification: JUSTIFICATION }
+      }));
+
+      expect(response).toMatchObject({ success: true, status: 'approved', emergency: true, recordTypes: ['medications'] });
+      expect(stored).toMatchObject({ status: 'approved', decision_basis: 'emergency' });
+    });
+
+    it('refuses a request it has already received', async () => {
+      const request = await signedRequest();
+
+      await crossHospitalService.processRecordRequest(request);
+      const replayed = await crossHospitalService.processRecordRequest(request);
+
+      expect(replayed).toEqual({ success: false, message: 'Request has already been received', requestId: request.payload.requestId });
+      expect(db.query.mock.calls.filter(([sql]) => /INSERT INTO access_requests/.test(sql))).toHaveLength(1);
+    });
+
+    it('refuses and audits a request not signed with the requesting hospital\'s key', async () => {
+      hospitalService.getVerificationKey.mockResolvedValue(null);
+
+      const response = await crossHospitalService.processRecordRequest(await signedRequest());
+
+      expect(response).toMatchObject({ success: false, message: 'Error processing request: Invalid request signature' });
+      expect(stored).toBeNull();
+      expect(auditService.logCrossHospitalAccess).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'record_request_error',
+        status: 'error'
+      }));
+    });
+  });
+
+  describe('reviewed approval', () => {
+    const expiresAt = () => new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+
+    beforeEach(async () => {
+      consentService.getMatchingConsents.mockResolvedValue([]);
+      await crossHospitalService.processRecordRequest(await signedRequest({ requestId: 'request-1' }));
+      consentService.getMatchingConsents.mockResolvedValue([consent]);
+      messageBrokerService.publish.mockReset();
+    });
+
+    it('notifies the requesting hospital without sending it the token', async () => {
+      const approved = await accessRequestService.approveRequest('hospital-2', 'request-1', 'admin-1', { expiresAt: expiresAt() });
+
+      expect(approved).toMatchObject({ status: 'approved', decision_basis: 'manual', decided_by: 'admin-1' });
+      expect(notifications()).toEqual([expect.objectContaining({ status: 'approved', grantAvailable: true })]);
+      expect(notifications()[0].accessToken).toBeUndefined();
+      expect(db.query.mock.calls.some(([sql]) => /INSERT INTO access_tokens/.test(sql))).toBe(false);
+    });
+
+    it('issues the token once to the hospital that collects it', async () => {
+      const accessExpiresAt = expiresAt();
+      await accessRequestService.approveRequest('hospital-2', 'request-1', 'admin-1', {
+        expiresAt: accessExpiresAt,
+        scope: { maxUses: 2 }
+      });
+
+      const grant = await accessRequestService.collectGrant('hospital-2', 'request-1');
+
+      expect(grant).toMatchObject({ requestId: 'request-1', recordTypes: ['medications'], scope: { maxUses: 2 } });
+      const claims = jwt.verify(grant.accessToken, 'test-jwt-secret');
+      expect(claims).toMatchObject({ requestingHospitalId: 'hospital-2', requestId: 'request-1', max_uses: 2 });
+      expect(Math.abs(claims.exp * 1000 - new Date(accessExpiresAt).getTime())).toBeLessThan(2000);
+      expect(stored.grant_collected_at).toBeInstanceOf(Date);
+
+      await expect(accessRequestService.collectGrant('hospital-2', 'request-1'))
+        .rejects.toMatchObject({ status: 409, message: 'Access grant has already been collected' });
+    });
+
+    it('refuses to issue a token once consent has been withdrawn', async () => {
+      await accessRequestService.approveRequest('hospital-2', 'request-1', 'admin-1', { expiresAt: expiresAt() });
+      consentService.getMatchingConsents.mockResolvedValue([]);
+
+      await expect(accessRequestService.collectGrant('hospital-2', 'request-1')).rejects.toMatchObject({ status: 409 });
+      expect(stored.grant_collected_at).toBeUndefined();
+      expect(db.query.mock.calls.some(([sql]) => /INSERT INTO access_tokens/.test(sql))).toBe(false);
+    });
+
+    it('has nothing to collect for a request that was not approved on review', async () => {
+      await expect(accessRequestService.collectGrant('hospital-2', 'request-1'))
+        .rejects.toMatchObject({ status: 409, message: 'Access request is pending and has no grant to collect' });
+
+      stored = null;
+      await expect(accessRequestService.collectGrant('hospital-2', 'request-1'))
+        .rejects.toMatchObject({ status: 404, message: 'Access request not found' });
+    });
+  });
+
+  describe('status transitions', () => {
+    beforeEach(() => {
+      stored = {
+        request_id: 'request-1',
+        direction: 'incoming',
+        requesting_hospital_id: 'hospital-2',
+        target_hospital_id: 'hospital-1',
+        status: 'pending'
+      };
+    });
+
+    it('denies a pending request and tells the requesting hospital why', async () => {
+      const request = await accessRequestService.denyRequest('hospital-2', 'request-1', 'admin-1', 'Not the treating hospital');
+
+      expect(request).toMatchObject({ status: 'denied', decided_by: 'admin-1', status_reason: 'Not the treating hospital' });
+      expect(notifications()).toEqual([expect.objectContaining({ status: 'denied', reason: 'Not the treating hospital' })]);
+    });
+
+    it('refuses a change the current status does not allow', async () => {
+      stored.status = 'denied';
+
+      await expect(accessRequestService.transition('hospital-2', 'request-1', 'approved'))
+        .rejects.toMatchObject({ status: 409, message: 'Access request is denied and cannot be approved' });
+      await expect(accessRequestService.denyRequest('hospital-2', 'request-1', 'admin-1', 'Again'))
+        .rejects.toMatchObject({ status: 409 });
+      expect(stored.status).toBe('denied');
+
+      stored = null;
+      await expect(accessRequestService.transition('hospital-2', 'request-9', 'approved'))
+        .rejects.toMatchObject({ status: 404 });
+    });
+
+    it('fulfils an approved request once', async () => {
+      stored.status = 'approved';
+
+      expect(await accessRequestService.markFulfilled('hospital-2', 'request-1')).toMatchObject({ status: 'fulfilled' });
+      stored.status = 'fulfilled';
+      db.query.mockClear();
+
+      expect(await accessRequestService.markFulfilled('hospital-2', 'request-1')).toBeNull();
+      expect(db.query.mock.calls[0][0]).toContain("status = 'approved'");
+    });
+
+    it('revokes approved and fulfilled requests but not closed ones', async () => {
+      stored.status = 'fulfilled';
+
+      expect(await accessRequestService.markRevoked([{ requestingHospitalId: 'hospital-2', requestId: 'request-1' }], 'consent_revoked')).toBe(1);
+      expect(stored).toMatchObject({ status: 'revoked', status_reason: 'consent_revoked' });
+
+      const [, params] = db.query.mock.calls.find(([sql]) => /status = 'revoked'/.test(sql));
+      expect(params[2].sort()).toEqual(['approved', 'fulfilled']);
+
+      stored.status = 'denied';
+      expect(await accessRequestService.markRevoked([{ requestingHospitalId: 'hospital-2', requestId: 'request-1' }], 'consent_revoked')).toBe(0);
+      expect(await accessRequestService.markRevoked([{ requestId: 'request-1' }], 'consent_revoked')).toBe(0);
+    });
+
+    it('expires requests not reviewed before their deadline', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ ...stored, status: 'expired', status_reason: 'Not reviewed before the response deadline' }]
+      });
+
+      expect(await accessRequestService.expireOverdueRequests()).toBe(1);
+      expect(db.query.mock.calls[0][0]).toContain("status = 'pending' AND due_at <= CURRENT_TIMESTAMP");
+      expect(notifications()).toEqual([expect.objectContaining({ status: 'expired' })]);
+    });
+  });
+
+  describe('handleStatusNotification', () => {
+    it('collects the token of an approval from the hospital holding the records', async () => {
+      stored = { request_id: 'request-1', direction: 'outgoing', target_hospital_id: 'hospital-3', status: 'pending' };
+      const token = jwt.sign({ consentIds: ['consent-9'] }, 'other-secret', { expiresIn: 3600 });
+      jest.spyOn(crossHospitalService, 'sendGrantCollection').mockResolvedValue({
+        success: true,
+        accessToken: token,
+        recordTypes: ['medications']
+      });
+
+      const message = await crossHospitalService.signRequest({
+        type: 'access_request_status',
+        requestId: 'request-1',
+        providerHospitalId: 'hospital-3',
+        requestingHospitalId: 'hospital-1',
+        patientGlobalId: 'global-1',
+        status: 'approved',
+        approvedRecordTypes: ['medications'],
+        grantAvailable: true,
+        timestamp: new Date().toISOString()
+      });
+
+      const request = await accessRequestService.handleStatusNotification(message);
+
+      expect(request.status).toBe('approved');
+      expect(crossHospitalService.sendGrantCollection).toHaveBeenCalledWith('https://hospital-3.example', 'request-1');
+      const [, grantParams] = db.query.mock.calls.find(([sql]) => /INSERT INTO received_access_grants/.test(sql));
+      expect(grantParams).toEqual(expect.arrayContaining(['request-1', 'hospital-3', crossHospitalService.hashToken(token)]));
+    });
+  });
+});
@@ -0,0 +1,469 @@
+/**
+ * Audit Service tests
+ * Logs are written to a temporary directory; database storage runs against a mocked client
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const auditDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+
+process.env.AUDIT_SIGNATURE_KEY = 'test-signature-key';
+process.env.AUDIT_FILE_PATH = auditDirectory;
+process.env.AUDIT_FLUSH_INTERVAL = '3600000';
+
+const auditService = require('../AuditService');
+
+clearInterval(auditService.flushTimer);
+
+/**
+ * Write some system events to the current chain
+ * @param {number} count - Number of events
+ * @returns {Promise<void>}
+ */
+async function writeEvents(count) {
+  for (let i = 0; i < count; i++) {
+    await auditService.logSystemEvent({ eventType: 'test_event', status: 'success', details: { index: i } });
+  }
+  await auditService.flush();
+}
+
+/**
+ * Path of the log file the current chain is written to
+ * @returns {string} - File path
+ */
+function currentLogFile() {
+  return path.join(auditDirectory, auditService.getLogFileName(new Date()));
+}
+
+describe('AuditService', () => {
+  const defaultConfig = { ...auditService.config };
+
+  beforeEach(() => {
+    fs.rmSync(auditDirectory, { recursive: true, force: true });
+    fs.mkdirSync(auditDirectory, { recursive: true });
+    auditService.chainState.clear();
+    auditService.logBatch = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    auditService.config = { ...defaultConfig };
+    delete auditService.db;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(auditDirectory, { recursive: true, force: true });
+  });
+
+  describe('searchLogs', () => {
+    const now = Date.now();
+
+    beforeEach(async () => {
+      await auditService.addLog({ type: 'data_access', eventType: 'record_viewed', status: 'success', userId: 'doctor-1', hospitalId: 'hospital-1', patientId: 'patient-1', timestamp: new Date(now - 3000).toISOString() });
+      await auditService.addLog({ type: 'data_access', eventType: 'record_viewed', status: 'denied', userId: 'doctor-2', hospitalId: 'hospital-1', patientId: 'patient-2', timestamp: new Date(now - 2000).toISOString() });
+      await auditService.addLog({ type: 'cross_hospital', eventType: 'records_requested', status: 'success', userId: 'doctor-1', sourceHospitalId: 'hospital-2', targetHospitalId: 'hospital-1', patientId: 'patient-1', timestamp: new Date(now - 1000).toISOString() });
+    });
+
+    /**
+     * Search and return the event types found, in result order
+     * @param {Object} criteria - Search criteria
+     * @param {Object} options - Search options
+     * @returns {Promise<Array<string>>} - Event types
+     */
+    const search = async (criteria, options) =>
+      (await auditService.searchLogs(criteria, options)).logs.map(log => `${log.userId}:${log.eventType}`);
+
+    it('filters written entries by actor, type, event type and outcome', async () => {
+      expect(await search({ actorId: 'doctor-1' })).toEqual(['doctor-1:records_requested', 'doctor-1:record_viewed']);
+      expect(await search({ type: ['data_access'], success: 'false' })).toEqual(['doctor-2:record_viewed']);
+      expect(await search({ eventType: 'records_requested' })).toEqual(['doctor-1:records_requested']);
+    });
+
+    it('finds a patient\'s entries although their ID is masked', async () => {
+      const { logs } = await auditService.searchLogs({ patientId: 'patient-1' });
+
+      expect(logs).toHaveLength(2);
+      expect(logs.every(log => log.patientId !== 'patient-1')).toBe(true);
+    });
+
+    it('matches the hospital on either side of a cross-hospital event', async () => {
+      expect(await search({ hospitalId: 'hospital-2' })).toEqual(['doctor-1:records_requested']);
+      expect(await search({ hospitalId: 'hospital-1' })).toHaveLength(3);
+    });
+
+    it('limits by date, sorts and pages the results', async () => {
+      const results = await auditService.searchLogs(
+        { startDate: new Date(now - 2500).toISOString() },
+        { sortOrder: 'asc', pageSize: 1, page: 2 }
+      );
+
+      expect(results).toMatchObject({ total: 2, page: 2, pageSize: 1, totalPages: 2 });
+      expect(results.logs.map(log => log.eventType)).toEqual(['records_requested']);
+    });
+
+    it('queries the database with parameterized conditions', async () => {
+      auditService.logBatch = [];
+      auditService.config.storageType = 'database';
+      auditService.db = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ count: '41' }] })
+          .mockResolvedValueOnce({ rows: [{ log_id: 'log-1', timestamp: new Date(now), details: { eventType: 'record_viewed' } }] })
+      };
+
+      const results = await auditService.searchLogs({ actorId: 'doctor-1', eventType: 'record_viewed' }, { page: 3, pageSize: 20, sortBy: 'userId' });
+
+      const [countSql, countParams] = auditService.db.query.mock.calls[0];
+      expect(countSql).toContain('WHERE 1=1 AND actor_id = $1 AND event_type = ANY($2)');
+      expect(countParams).toEqual(['doctor-1', ['record_viewed']]);
+      const [logsSql, logsParams] = auditService.db.query.mock.calls[1];
+      expect(logsSql).toMatch(/ORDER BY actor_id DESC\s+LIMIT \$3 OFFSET \$4/);
+      expect(logsParams).toEqual(['doctor-1', ['record_viewed'], 20, 40]);
+      expect(results).toEqual({
+        total: 41,
+        logs: [{ id: 'log-1', eventType: 'record_viewed', timestamp: new Date(now).toISOString() }],
+        page: 3,
+        pageSize: 20,
+        totalPages: 3
+      });
+    });
+  });
+
+  describe('hash chain verification', () => {
+    it('verifies an untouched chain', async () => {
+      await writeEvents(3);
+
+      const results = await auditService.verifyIntegrity();
+
+      expect(results).toMatchObject({ verified: true, chains: 1, totalLogs: 3, validLogs: 3, missingLogs: 0 });
+    });
+
+    it('links each entry to the one before it', async () => {
+      await writeEvents(3);
+
+      const entries = fs.readFileSync(currentLogFile(), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+      expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+      expect(entries[0].previousHash).toBe(auditService.getGenesisHash(entries[0].chainId));
+      expect(entries[1].previousHash).toBe(entries[0].hash);
+      expect(entries[2].previousHash).toBe(entries[1].hash);
+    });
+
+    it('reports an entry whose content was changed', async () => {
+      await writeEvents(3);
+
+      const lines = fs.readFileSync(currentLogFile(), 'utf8').trim().split('\n');
+      const altered = JSON.parse(lines[1]);
+      altered.details.index = 99;
+      lines[1] = JSON.stringify(altered);
+      fs.writeFileSync(currentLogFile(), lines.join('\n') + '\n');
+
+      const results = await auditService.verifyIntegrity();
+
+      expect(results.verified).toBe(false);
+      expect(results.altered).toEqual([expect.objectContaining({ sequence: 2 })]);
+    });
+
+    it('reports entries removed from the middle of a chain', async () => {
+      await writeEvents(4);
+
+      const lines = fs.readFileSync(currentLogFile(), 'utf8').trim().split('\n');
+      fs.writeFileSync(currentLogFile(), [lines[0], lines[3]].join('\n') + '\n');
+
+      const results = await auditService.verifyIntegrity();
+
+      expect(results.verified).toBe(false);
+      expect(results.missing).toEqual([expect.objectContaining({ fromSequence: 2, toSequence: 3 })]);
+    });
+
+    it('continues a chain from its stored head after a restart', async () => {
+      await writeEvents(2);
+      auditService.chainState.clear();
+      await writeEvents(1);
+
+      const entries = fs.readFileSync(currentLogFile(), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+      expect(entries.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+      expect((await auditService.verifyIntegrity()).verified).toBe(true);
+    });
+  });
+
+  describe('database chain head', () => {
+    let client;
+    let head;
+
+    beforeEach(() => {
+      auditService.config.storageType = 'database';
+      head = { sequence: '7', entry_hash: 'a'.repeat(64) };
+      client = {
+        query: jest.fn(async sql => (/SELECT sequence, entry_hash/.test(sql) ? { rows: [head] } : { rows: [] })),
+        release: jest.fn()
+      };
+      auditService.db = { connect: jest.fn().mockResolvedValue(client), query: jest.fn().mockResolvedValue({ rows: [] }) };
+    });
+
+    /**
+     * Parameters of the entries inserted into the audit table
+     * @returns {Array<Object>} - Sequence and previous hash of each inserted entry
+     */
+    const inserted = () => client.query.mock.calls
+      .filter(([sql]) => /INSERT INTO audit_logs/.test(sql))
+      .flatMap(([, values]) => {
+        const rows = [];
+        for (let i = 0; i < values.length; i += 21) {
+          rows.push({ sequence: values[i + 17], previousHash: values[i + 18] });
+        }
+        return rows;
+      });
+
+    it('reads the head under the chain lock inside the insert transaction', async () => {
+      await writeEvents(2);
+
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      expect(statements).toEqual(['BEGIN', 'SELECT pg_advisory_xact_lock(hashtext($1))', 'SELECT sequence,', 'INSERT INTO', 'COMMIT']);
+      expect(client.query.mock.calls[1][1]).toEqual([`audit_chain:${auditService.getChainId(new Date())}`]);
+      expect(inserted()).toEqual([
+        { sequence: 8, previousHash: 'a'.repeat(64) },
+        { sequence: 9, previousHash: expect.stringMatching(/^[0-9a-f]{64}$/) }
+      ]);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('follows entries another process appended since its last write', async () => {
+      await writeEvents(1);
+      head = { sequence: '12', entry_hash: 'b'.repeat(64) };
+      await writeEvents(1);
+
+      expect(inserted()).toEqual([
+        { sequence: 8, previousHash: 'a'.repeat(64) },
+        { sequence: 13, previousHash: 'b'.repeat(64) }
+      ]);
+    });
+
+    it('rolls back and keeps the entries when the insert fails', async () => {
+      client.query.mockImplementation(async sql => {
+        if (/INSERT INTO audit_logs/.test(sql)) {
+          throw new Error('duplicate key value violates unique constraint "idx_audit_logs_chain"');
+        }
+        return /SELECT sequence, entry_hash/.test(sql) ? { rows: [head] } : { rows: [] };
+      });
+
+      await writeEvents(2);
+
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(auditService.logBatch).toHaveLength(2);
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('exportLogs', () => {
+    beforeEach(async () => {
+      auditService.config.exportPath = path.join(auditDirectory, 'exports');
+      await auditService.addLog({ type: 'data_access', eventType: 'record_viewed', action: 'view', status: 'success', userId: 'doctor-1', hospitalId: 'hospital-1', patientId: 'patient-1', reason: '=HYPERLINK("x")' });
+      await auditService.addLog({ type: 'auth', eventType: 'login', status: 'failure', level: 'error', userId: 'doctor-2', ipAddress: '10.0.0.1' });
+    });
+
+    it('writes CSV rows that spreadsheets will not evaluate', async () => {
+      const { filePath, manifest } = await auditService.exportLogs({}, 'csv');
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+      expect(lines[0]).toBe(auditService.getCsvColumns().join(','));
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain('"\'=HYPERLINK(""x"")"');
+      expect(lines[1]).not.toContain('patient-1');
+      expect(manifest).toMatchObject({ format: 'csv', contentType: 'text/csv', recordCount: 2, signatureAlgorithm: 'HMAC-SHA256' });
+    });
+
+    it('writes the matching entries as NDJSON', async () => {
+      const { filePath, manifest } = await auditService.exportLogs({ type: 'auth' }, 'ndjson');
+
+      const entries = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(entries.map(entry => entry.eventType)).toEqual(['login']);
+      expect(manifest.criteria).toEqual({ type: 'auth' });
+    });
+
+    it('writes a bundle of FHIR AuditEvents', async () => {
+      const { filePath } = await auditService.exportLogs({}, 'fhir');
+
+      const bundle = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+      expect(bundle.entry.map(entry => entry.resource)).toEqual([
+        expect.objectContaining({
+          resourceType: 'AuditEvent',
+          type: expect.objectContaining({ code: '110110' }),
+          action: 'R',
+          outcome: '0',
+          purposeOfEvent: [{ text: '=HYPERLINK("x")' }]
+        }),
+        expect.objectContaining({
+          type: expect.objectContaining({ code: '110114' }),
+          outcome: '8',
+          agent: [expect.objectContaining({ network: { address: '10.0.0.1', type: '2' } })]
+        })
+      ]);
+    });
+
+    it('signs a manifest that detects a modified export', async () => {
+      const { filePath, manifestPath } = await auditService.exportLogs({}, 'ndjson');
+
+      expect(await auditService.verifyManifest(manifestPath)).toMatchObject({ verified: true, signatureValid: true, digestValid: true });
+
+      fs.appendFileSync(filePath, '{}\n');
+      expect(await auditService.verifyManifest(manifestPath)).toMatchObject({ verified: false, signatureValid: true, digestValid: false });
+    });
+
+    it('only looks up exports by the names it generates', async () => {
+      const { filePath } = await auditService.exportLogs({}, 'csv');
+
+      expect(await auditService.getExport(path.basename(filePath))).toMatchObject({ filePath });
+      expect(await auditService.getExport('../audit-export-x.csv')).toBeNull();
+      expect(await auditService.getExport('audit-export-missing.csv')).toBeNull();
+    });
+
+    it('rejects unknown formats', async () => {
+      await expect(auditService.exportLogs({}, 'xml')).rejects.toThrow('Unsupported audit export format: xml');
+    });
+  });
+
+  describe('getStatistics', () => {
+    beforeEach(async () => {
+      await auditService.addLog({ type: 'data_access', eventType: 'record_viewed', level: 'info', status: 'success', hospitalId: 'hospital-1', timestamp: '2024-03-03T23:30:00.000Z' });
+      await auditService.addLog({ type: 'cross_hospital', eventType: 'records_requested', level: 'info', status: 'success', sourceHospitalId: 'hospital-2', targetHospitalId: 'hospital-1', timestamp: '2024-03-04T00:10:00.000Z' });
+      await auditService.addLog({ type: 'data_access', eventType: 'record_viewed', status: 'denied', hospitalId: 'hospital-1', targetHospitalId: 'hospital-1', timestamp: '2024-03-04T00:50:00.000Z' });
+    });
+
+    it('counts entries by type, event, level, status and every hospital involved', async () => {
+      const statistics = await auditService.getStatistics({}, { intervals: [] });
+
+      expect(statistics).toEqual({
+        totalLogs: 3,
+        byType: { data_access: 2, cross_hospital: 1 },
+        byEventType: { record_viewed: 2, records_requested: 1 },
+        byLevel: { info: 2, unknown: 1 },
+        byStatus: { success: 2, denied: 1 },
+        byHospital: { 'hospital-1': 3, 'hospital-2': 1 },
+        byTimeRange: {}
+      });
+    });
+
+    it('buckets entries by UTC hour, day and Monday-based week', async () => {
+      const { byTimeRange } = await auditService.getStatistics({ type: 'data_access' });
+
+      expect(byTimeRange).toEqual({
+        hourly: { '2024-03-03T23:00Z': 1, '2024-03-04T00:00Z': 1 },
+        daily: { '2024-03-03': 1, '2024-03-04': 1 },
+        weekly: { '2024-02-26': 1, '2024-03-04': 1 }
+      });
+    });
+
+    it('aggregates in the database when logs are stored there', async () => {
+      auditService.logBatch = [];
+      auditService.config.storageType = 'database';
+      auditService.db = {
+        query: jest.fn(async sql => (/AS key/.test(sql)
+          ? { rows: [{ key: 'data_access', count: '2' }, { key: null, count: '1' }] }
+          : { rows: [{ count: '3' }] }))
+      };
+
+      const statistics = await auditService.getStatistics({ actorId: 'doctor-1' }, { intervals: ['daily'] });
+
+      expect(statistics.totalLogs).toBe(3);
+      expect(statistics.byType).toEqual({ data_access: 2 });
+      expect(Object.keys(statistics.byTimeRange)).toEqual(['daily']);
+      expect(auditService.db.query.mock.calls.every(([, params]) => params[0] === 'doctor-1')).toBe(true);
+      expect(auditService.db.query.mock.calls.some(([sql]) => sql.includes("date_trunc('day'"))).toBe(true);
+    });
+  });
+
+  describe('archival and retention', () => {
+    /**
+     * Write a rotated log file for a past day
+     * @param {string} day - Day as YYYY-MM-DD
+     * @param {Array<Object>} entries - Log entries
+     * @returns {string} - Log file name
+     */
+    const writeRotatedFile = (day, entries) => {
+      const file = `audit-${day}.log`;
+      const lines = entries.map(entry => JSON.stringify({ id: `${day}-${entry.type}`, timestamp: `${day}T12:00:00.000Z`, ...entry }));
+      fs.writeFileSync(path.join(auditDirectory, file), lines.join('\n') + '\n');
+      return file;
+    };
+
+    /**
+     * Names of the archives still on disk
+     * @returns {Promise<Array<string>>} - Archived log file names
+     */
+    const archived = () => auditService.listArchivedLogFiles();
+
+    beforeEach(() => {
+      // Archival and retention are run by hand here rather than from a flush
+      auditService.lastMaintenance = Date.now();
+      writeRotatedFile('2020-01-15', [
+        { type: 'data_access', patientId: auditService.maskValue('patient-1'), patientRef: auditService.getPatientRef('patient-1') },
+        { type: 'auth' }
+      ]);
+      writeRotatedFile('2020-02-15', [{ type: 'auth' }]);
+    });
+
+    it('compresses rotated files into signed archives that remain searchable', async () => {
+      const manifests = await auditService.archiveRotatedLogs();
+
+      expect(manifests.map(manifest => manifest.sourceFile)).toEqual(['audit-2020-01-15.log', 'audit-2020-02-15.log']);
+      expect(manifests[0]).toMatchObject({ entryCount: 2, categories: { data_access: 1, auth: 1 } });
+      expect(await auditService.listLogFiles()).not.toContain('audit-2020-01-15.log');
+      expect(await archived()).toEqual(['audit-2020-01-15.log', 'audit-2020-02-15.log']);
+
+      const manifestPath = path.join(auditService.getArchiveDirectory(), 'audit-2020-01-15.log.gz.manifest.json');
+      expect((await auditService.verifyManifest(manifestPath)).verified).toBe(true);
+      expect((await auditService.searchLogs({ patientId: 'patient-1' })).total).toBe(1);
+    });
+
+    it('deletes archives once every category they hold is past retention', async () => {
+      auditService.config.retentionPolicies = { data_access: 365 * 10 };
+      await auditService.archiveRotatedLogs();
+
+      expect(await auditService.applyRetention()).toEqual(['audit-2020-02-15.log']);
+      expect(await archived()).toEqual(['audit-2020-01-15.log']);
+    });
+
+    it('keeps archives a legal hold covers until it is released', async () => {
+      await auditService.archiveRotatedLogs();
+      const hold = await auditService.placeLegalHold(
+        { startDate: '2020-02-01', endDate: '2020-02-28', reason: 'Litigation', caseReference: 'case-1' },
+        { id: 'officer-1' }
+      );
+
+      expect(await auditService.applyRetention()).toEqual(['audit-2020-01-15.log']);
+      expect(await archived()).toEqual(['audit-2020-02-15.log']);
+
+      await auditService.releaseLegalHold(hold.id, { id: 'officer-1' }, 'Case closed');
+
+      expect(await auditService.applyRetention()).toEqual(['audit-2020-02-15.log']);
+      expect(await auditService.getLegalHolds({ includeReleased: true })).toEqual([
+        expect.objectContaining({ id: hold.id, releasedBy: 'officer-1', releaseReason: 'Case closed' })
+      ]);
+    });
+
+    it('holds only the archives with entries for a held patient', async () => {
+      await auditService.archiveRotatedLogs();
+      const hold = await auditService.placeLegalHold({ patientId: 'patient-1', reason: 'Investigation' });
+
+      expect(hold.patientId).not.toBe('patient-1');
+      expect(await auditService.applyRetention()).toEqual(['audit-2020-02-15.log']);
+      expect(await archived()).toEqual(['audit-2020-01-15.log']);
+    });
+
+    it('requires a hold to be scoped and refuses to release it twice', async () => {
+      await expect(auditService.placeLegalHold({ reason: 'Everything' }))
+        .rejects.toThrow('A legal hold must be scoped by patient or date range');
+
+      const hold = await auditService.placeLegalHold({ startDate: '2020-01-01', reason: 'Audit' });
+      await auditService.releaseLegalHold(hold.id);
+
+      await expect(auditService.releaseLegalHold(hold.id)).rejects.toThrow('Legal hold has already been released');
+      expect(await auditService.releaseLegalHold('missing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Consent Expiry Scheduler tests
+ * Covers expiry warnings and expiring lapsed consents against a mocked database
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-expiry-test-'));
+
+process.env.UPLOAD_DIRECTORY = uploadDirectory;
+
+jest.mock('../../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../AuditService', () => ({ logConsentEvent: jest.fn(), logSystemEvent: jest.fn() }));
+jest.mock('../MessageBrokerService', () => ({ publish: jest.fn() }));
+jest.mock('../CrossHospitalService', () => ({ revokeTokensByConsent: jest.fn() }));
+
+const db = require('../../database/connection');
+const AuditService = require('../AuditService');
+const MessageBrokerService = require('../MessageBrokerService');
+const CrossHospitalService = require('../CrossHospitalService');
+const consentExpiryScheduler = require('../ConsentExpiryScheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a patient_consents row
+ * @param {string} id - Consent ID
+ * @param {number} daysRemaining - Days until the end date
+ * @returns {Object} - Row
+ */
+function consentRow(id, daysRemaining) {
+  return {
+    consent_id: id,
+    patient_id: 'patient-1',
+    consenting_hospital_id: 'hospital-1',
+    target_hospital_id: 'hospital-2',
+    consent_type: 'full_access',
+    end_date: new Date(Date.now() + daysRemaining * DAY),
+    status: 'active'
+  };
+}
+
+describe('ConsentExpiryScheduler', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.query.mockResolvedValue({ rows: [] });
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    db.connect.mockResolvedValue(client);
+    MessageBrokerService.publish.mockResolvedValue();
+    AuditService.logSystemEvent.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDirectory, { recursive: true, force: true });
+  });
+
+  describe('sendExpiryWarnings', () => {
+    it('warns once per consent at the nearest threshold', async () => {
+      db.query.mockResolvedValueOnce({ rows: [consentRow('consent-1', 5), consentRow('consent-2', 20)] });
+      client.query.mockImplementation(async sql => (/INSERT INTO consent_expiry_notifications/.test(sql)
+        ? { rows: [{ consent_id: 'claimed' }] }
+        : { rows: [] }));
+
+      expect(await consentExpiryScheduler.sendExpiryWarnings()).toBe(2);
+
+      expect(db.query.mock.calls[0][1]).toEqual([30]);
+      expect(MessageBrokerService.publish.mock.calls).toEqual([
+        ['consent.expiring', expect.objectContaining({ consentId: 'consent-1', warningDays: 7, daysRemaining: 5 })],
+        ['consent.expiring', expect.objectContaining({ consentId: 'consent-2', warningDays: 30, daysRemaining: 20 })]
+      ]);
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_expiry_warning',
+        consentId: 'consent-1',
+        action: 'notify',
+        details: { warningDays: 7 }
+      }));
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('does not repeat a warning that was already claimed', async () => {
+      db.query.mockResolvedValueOnce({ rows: [consentRow('consent-1', 5)] });
+
+      expect(await consentExpiryScheduler.sendExpiryWarnings()).toBe(0);
+      expect(MessageBrokerService.publish).not.toHaveBeenCalled();
+      expect(AuditService.logConsentEvent).not.toHaveBeenCalled();
+    });
+
+    it('releases the claim when the warning cannot be sent', async () => {
+      db.query.mockResolvedValueOnce({ rows: [consentRow('consent-1', 5)] });
+      client.query.mockImplementation(async sql => (/INSERT/.test(sql) ? { rows: [{ consent_id: 'consent-1' }] } : { rows: [] }));
+      MessageBrokerService.publish.mockRejectedValue(new Error('Broker unavailable'));
+
+      expect(await consentExpiryScheduler.sendExpiryWarnings()).toBe(0);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+      expect(AuditService.logConsentEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireConsents', () => {
+    beforeEach(() => {
+      db.query.mockResolvedValueOnce({ rows: [{ consent_id: 'consent-1' }, { consent_id: 'consent-2' }] });
+      client.query.mockImplementation(async (sql, params) => (/UPDATE patient_consents/.test(sql)
+        ? { rows: [consentRow(params[0], -1)] }
+        : { rows: [] }));
+      CrossHospitalService.revokeTokensByConsent.mockResolvedValue(2);
+    });
+
+    it('expires lapsed consents, revokes their tokens and announces the expiry', async () => {
+      expect(await consentExpiryScheduler.expireConsents()).toBe(2);
+
+      expect(CrossHospitalService.revokeTokensByConsent).toHaveBeenCalledWith('consent-1', 'consent_expired');
+      expect(MessageBrokerService.publish).toHaveBeenCalledWith('consent.expired', expect.objectContaining({
+        consentId: 'consent-2',
+        targetHospitalId: 'hospital-2',
+        revokedTokens: 2
+      }));
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_expired',
+        consentId: 'consent-1',
+        action: 'expire'
+      }));
+    });
+
+    it('keeps a consent active when its expiry cannot be announced', async () => {
+      MessageBrokerService.publish.mockRejectedValueOnce(new Error('Broker unavailable'));
+
+      expect(await consentExpiryScheduler.expireConsents()).toBe(1);
+
+      expect(client.query.mock.calls.map(([sql]) => sql).filter(sql => !/UPDATE/.test(sql)))
+        .toEqual(['BEGIN', 'ROLLBACK', 'BEGIN', 'COMMIT']);
+      expect(AuditService.logConsentEvent).toHaveBeenCalledTimes(1);
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({ consentId: 'consent-2' }));
+    });
+  });
+
+  describe('runChecks', () => {
+    it('does not overlap a run still in progress', async () => {
+      consentExpiryScheduler.running = true;
+
+      try {
+        expect(await consentExpiryScheduler.runChecks()).toMatchObject({ skipped: true });
+        expect(db.query).not.toHaveBeenCalled();
+      } finally {
+        consentExpiryScheduler.running = false;
+      }
+    });
+
+    it('records a failed run as a system event', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(consentExpiryScheduler.runChecks()).rejects.toThrow('Database unavailable');
+
+      expect(AuditService.logSystemEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_expiry_check',
+        status: 'error',
+        details: { error: 'Database unavailable' }
+      }));
+      expect(consentExpiryScheduler.running).toBe(false);
+    });
+  });
+});
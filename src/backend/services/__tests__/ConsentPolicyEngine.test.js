@@ -0,0 +1,140 @@
+/**
+ * Consent Policy Engine tests
+ * Consents come from a mocked lookup; coverage and sensitivity checks are ConsentService's own
+ */
+
+jest.mock('../../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../AuditService', () => ({}));
+jest.mock('../ConsentVersionService', () => ({}));
+
+const consentService = require('../ConsentService');
+const consentPolicyEngine = require('../ConsentPolicyEngine');
+
+const REQUEST = {
+  patientId: 'patient-1',
+  requestingHospitalId: 'hospital-2',
+  consentingHospitalId: 'hospital-1',
+  dataTypes: ['medications'],
+  purpose: 'treatment'
+};
+
+/**
+ * Build a consent record as returned by the consent lookup
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Consent
+ */
+function consent(fields = {}) {
+  return {
+    id: 'consent-1',
+    consent_type: 'full_access',
+    purpose: null,
+    specific_data_types: null,
+    included_sensitivity_labels: [],
+    excluded_sensitivity_labels: [],
+    ...fields
+  };
+}
+
+describe('ConsentPolicyEngine.evaluate', () => {
+  const defaultRules = consentPolicyEngine.rules;
+
+  beforeEach(() => {
+    jest.spyOn(consentService, 'getMatchingConsents').mockResolvedValue([consent()]);
+  });
+
+  afterEach(() => {
+    consentPolicyEngine.rules = defaultRules;
+    jest.restoreAllMocks();
+  });
+
+  it('permits data types covered by a consent and returns the consents relied on', async () => {
+    const decision = await consentPolicyEngine.evaluate({ ...REQUEST, dataTypes: ['medications', 'documents'] });
+
+    expect(consentService.getMatchingConsents).toHaveBeenCalledWith('patient-1', 'hospital-2', 'hospital-1');
+    expect(decision).toMatchObject({ permitted: true, decision: 'permit', purpose: 'treatment' });
+    expect(decision.reasons.map(reason => reason.code)).toEqual(['consent_permits', 'consent_permits']);
+    expect(decision.consents.map(found => found.id)).toEqual(['consent-1']);
+  });
+
+  it('denies an unrecognized purpose without looking up consents', async () => {
+    const decision = await consentPolicyEngine.evaluate({ ...REQUEST, purpose: 'marketing' });
+
+    expect(consentService.getMatchingConsents).not.toHaveBeenCalled();
+    expect(decision).toMatchObject({ permitted: false, decision: 'deny', purpose: null, consents: [] });
+    expect(decision.reasons).toEqual([expect.objectContaining({ effect: 'deny', code: 'unknown_purpose' })]);
+  });
+
+  it('denies a data type no consent covers', async () => {
+    consentService.getMatchingConsents.mockResolvedValue([
+      consent({ consent_type: 'specific_data', specific_data_types: ['documents'] })
+    ]);
+
+    const decision = await consentPolicyEngine.evaluate(REQUEST);
+
+    expect(decision.permitted).toBe(false);
+    expect(decision.consents).toEqual([]);
+    expect(decision.reasons).toEqual([expect.objectContaining({ code: 'no_consent', dataType: 'medications' })]);
+  });
+
+  it('lets a treatment consent cover emergency care but not research', async () => {
+    consentService.getMatchingConsents.mockResolvedValue([consent({ purpose: 'Treatment' })]);
+
+    const emergency = await consentPolicyEngine.evaluate({ ...REQUEST, purpose: 'Emergency Treatment' });
+    const research = await consentPolicyEngine.evaluate({ ...REQUEST, purpose: 'research' });
+
+    expect(emergency).toMatchObject({ permitted: true, purpose: 'emergency_treatment' });
+    expect(research.permitted).toBe(false);
+    expect(research.reasons).toEqual([expect.objectContaining({ code: 'purpose_not_consented', consentIds: ['consent-1'] })]);
+  });
+
+  it('denies under a consent whose purpose is not recognized', async () => {
+    consentService.getMatchingConsents.mockResolvedValue([consent({ purpose: 'Sharing with my family doctor only' })]);
+
+    const decision = await consentPolicyEngine.evaluate(REQUEST);
+
+    expect(decision.permitted).toBe(false);
+    expect(decision.reasons).toEqual([expect.objectContaining({ code: 'purpose_not_consented', consentIds: ['consent-1'] })]);
+  });
+
+  it('withholds labels that need explicit consent unless a consent names them', async () => {
+    const withheld = await consentPolicyEngine.evaluate({ ...REQUEST, sensitivityLabels: ['hiv'] });
+
+    expect(withheld.permitted).toBe(false);
+    expect(withheld.reasons).toEqual([expect.objectContaining({ code: 'sensitivity_label_withheld' })]);
+
+    consentService.getMatchingConsents.mockResolvedValue([
+      consent(),
+      consent({ id: 'consent-2', included_sensitivity_labels: ['hiv'] })
+    ]);
+
+    const released = await consentPolicyEngine.evaluate({ ...REQUEST, sensitivityLabels: ['hiv'] });
+
+    expect(released.permitted).toBe(true);
+    expect(released.consents.map(found => found.id)).toEqual(['consent-2']);
+  });
+
+  it('denies a disclosure a sharing rule matches even when consent permits it', async () => {
+    consentPolicyEngine.rules = [{
+      id: 'no-night-sharing',
+      description: 'Not shared with nurses overnight',
+      match: {
+        roles: ['nurse'],
+        timeWindow: { start: '22:00', end: '06:00', timezone: 'UTC' }
+      },
+      unless: { purposes: ['emergency_treatment'] }
+    }];
+
+    const night = new Date('2024-03-01T23:30:00Z');
+    const denied = await consentPolicyEngine.evaluate({ ...REQUEST, role: 'nurse', at: night });
+    const emergency = await consentPolicyEngine.evaluate({ ...REQUEST, role: 'nurse', at: night, purpose: 'emergency_treatment' });
+    const daytime = await consentPolicyEngine.evaluate({ ...REQUEST, role: 'nurse', at: new Date('2024-03-01T12:00:00Z') });
+
+    expect(denied).toMatchObject({ permitted: false, consents: [], evaluatedAt: night.toISOString() });
+    expect(denied.reasons).toEqual([
+      expect.objectContaining({ effect: 'permit', code: 'consent_permits' }),
+      expect.objectContaining({ effect: 'deny', code: 'rule_denied', ruleId: 'no-night-sharing' })
+    ]);
+    expect(emergency.permitted).toBe(true);
+    expect(daytime.permitted).toBe(true);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Consent Revocation Service tests
+ * Covers propagating revocations to receiving hospitals and their acknowledgements
+ */
+
+jest.mock('../../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../AuditService', () => ({ logConsentEvent: jest.fn(), logSecurityEvent: jest.fn() }));
+jest.mock('../MessageBrokerService', () => ({ publish: jest.fn(), subscribe: jest.fn(), unsubscribe: jest.fn() }));
+jest.mock('../CrossHospitalService', () => ({
+  revokeTokensByConsent: jest.fn(),
+  invalidateReceivedGrants: jest.fn(),
+  signRequest: jest.fn(),
+  verifyRequest: jest.fn()
+}));
+
+const db = require('../../database/connection');
+const AuditService = require('../AuditService');
+const MessageBrokerService = require('../MessageBrokerService');
+const CrossHospitalService = require('../CrossHospitalService');
+const consentRevocationService = require('../ConsentRevocationService');
+
+const CONSENT = {
+  id: 'consent-1',
+  patient_id: 'patient-1',
+  consenting_hospital_id: 'hospital-1',
+  target_hospital_id: 'hospital-2',
+  revocation_reason: 'Patient request'
+};
+
+const NOTICE = {
+  notice_id: 'notice-1',
+  consent_id: 'consent-1',
+  patient_id: 'patient-1',
+  target_hospital_id: 'hospital-2',
+  reason: 'Patient request',
+  attempts: 1,
+  status: 'pending'
+};
+
+/**
+ * Sign a payload the way the mocked CrossHospitalService does
+ * @param {Object} payload - Payload
+ * @returns {Object} - Signed message
+ */
+function signed(payload) {
+  return { payload, keyId: 'key-1', signature: 'valid' };
+}
+
+describe('ConsentRevocationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db.query.mockResolvedValue({ rows: [] });
+    CrossHospitalService.signRequest.mockImplementation(async payload => signed(payload));
+    CrossHospitalService.verifyRequest.mockImplementation(async message => (message.signature === 'valid' ? message.payload : null));
+    MessageBrokerService.publish.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  describe('queueRevocationNotices', () => {
+    it('queues a notice for the consent\'s receiving hospital in the revoking transaction', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [NOTICE] }) };
+
+      expect(await consentRevocationService.queueRevocationNotices(client, CONSENT)).toEqual([NOTICE]);
+      expect(client.query.mock.calls[0][1]).toEqual(['consent-1', 'patient-1', 'hospital-2', 'Patient request']);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('broadcastRevocation', () => {
+    it('revokes issued tokens and sends the signed notice', async () => {
+      CrossHospitalService.revokeTokensByConsent.mockResolvedValue(3);
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [NOTICE] });
+
+      await consentRevocationService.broadcastRevocation(CONSENT, [NOTICE]);
+
+      expect(CrossHospitalService.revokeTokensByConsent).toHaveBeenCalledWith('consent-1', 'consent_revoked');
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_revocation_broadcast',
+        details: { noticeIds: ['notice-1'], revokedTokens: 3 }
+      }));
+      expect(MessageBrokerService.publish).toHaveBeenCalledWith('consent.revocation.hospital-2', signed(expect.objectContaining({
+        type: 'consent_revocation',
+        noticeId: 'notice-1',
+        consentId: 'consent-1',
+        originHospitalId: 'hospital-1',
+        targetHospitalId: 'hospital-2',
+        attempt: 1
+      })));
+    });
+
+    it('leaves a notice pending with its error when it cannot be sent', async () => {
+      CrossHospitalService.revokeTokensByConsent.mockResolvedValue(0);
+      MessageBrokerService.publish.mockRejectedValue(new Error('Broker unavailable'));
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [NOTICE] });
+
+      await consentRevocationService.broadcastRevocation(CONSENT, [NOTICE]);
+
+      expect(db.query).toHaveBeenLastCalledWith(expect.stringContaining('SET last_error = $2'), ['notice-1', 'Broker unavailable']);
+    });
+  });
+
+  describe('processPendingNotices', () => {
+    it('reports notices that ran out of attempts', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...NOTICE, attempts: 8, last_error: 'Broker unavailable' }] });
+
+      expect(await consentRevocationService.processPendingNotices()).toEqual({ sent: 0, failed: 1 });
+      expect(db.query.mock.calls[0][1]).toEqual([8]);
+      expect(AuditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_revocation_unacknowledged',
+        details: expect.objectContaining({ noticeId: 'notice-1', attempts: 8, lastError: 'Broker unavailable' })
+      }));
+    });
+
+    it('does not overlap a run still in progress', async () => {
+      consentRevocationService.processing = true;
+
+      try {
+        expect(await consentRevocationService.processPendingNotices()).toMatchObject({ skipped: true });
+        expect(db.query).not.toHaveBeenCalled();
+      } finally {
+        consentRevocationService.processing = false;
+      }
+    });
+  });
+
+  describe('handleRevocationNotice', () => {
+    const notice = {
+      type: 'consent_revocation',
+      noticeId: 'notice-1',
+      consentId: 'consent-1',
+      originHospitalId: 'hospital-2',
+      targetHospitalId: 'hospital-1',
+      reason: 'Patient request'
+    };
+
+    it('invalidates grants received under the consent and acknowledges the notice', async () => {
+      CrossHospitalService.invalidateReceivedGrants.mockResolvedValue({ invalidatedTokens: 2, purgedRecords: 5 });
+
+      const acknowledgement = await consentRevocationService.handleRevocationNotice(signed(notice));
+
+      expect(CrossHospitalService.verifyRequest).toHaveBeenCalledWith(signed(notice), 'originHospitalId');
+      expect(CrossHospitalService.invalidateReceivedGrants).toHaveBeenCalledWith('consent-1', 'hospital-2');
+      expect(acknowledgement).toMatchObject({
+        type: 'consent_revocation_ack',
+        noticeId: 'notice-1',
+        hospitalId: 'hospital-1',
+        invalidatedTokens: 2,
+        purgedRecords: 5
+      });
+      expect(MessageBrokerService.publish).toHaveBeenCalledWith('consent.revocation_ack.hospital-2', signed(acknowledgement));
+    });
+
+    it('rejects an unsigned notice and ignores one meant for another hospital', async () => {
+      expect(await consentRevocationService.handleRevocationNotice({ payload: notice, signature: 'forged' })).toBeNull();
+      expect(AuditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_revocation_rejected',
+        details: { reason: 'Invalid signature', noticeId: 'notice-1' }
+      }));
+
+      expect(await consentRevocationService.handleRevocationNotice(signed({ ...notice, targetHospitalId: 'hospital-3' }))).toBeNull();
+      expect(CrossHospitalService.invalidateReceivedGrants).not.toHaveBeenCalled();
+      expect(MessageBrokerService.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleAcknowledgement', () => {
+    const acknowledgement = {
+      type: 'consent_revocation_ack',
+      noticeId: 'notice-1',
+      consentId: 'consent-1',
+      hospitalId: 'hospital-2',
+      invalidatedTokens: 2,
+      purgedRecords: 5,
+      timestamp: '2024-01-01T00:00:00.000Z'
+    };
+
+    it('marks the notice acknowledged by the hospital it was sent to', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...NOTICE, status: 'acknowledged' }] });
+
+      expect(await consentRevocationService.handleAcknowledgement(signed(acknowledgement))).toMatchObject({ notice_id: 'notice-1' });
+      expect(db.query.mock.calls[0][1].slice(0, 2)).toEqual(['notice-1', 'hospital-2']);
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_revocation_acknowledged',
+        consentId: 'consent-1',
+        targetHospitalId: 'hospital-2',
+        details: expect.objectContaining({ invalidatedTokens: 2, purgedRecords: 5 })
+      }));
+    });
+
+    it('ignores acknowledgements that match no outstanding notice', async () => {
+      expect(await consentRevocationService.handleAcknowledgement(signed(acknowledgement))).toBeNull();
+      expect(AuditService.logConsentEvent).not.toHaveBeenCalled();
+    });
+  });
+});
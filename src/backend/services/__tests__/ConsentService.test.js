@@ -0,0 +1,250 @@
+/**
+ * Consent Service tests
+ * Consents are stored in a single-table fake of patient_consents
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-test-'));
+
+process.env.UPLOAD_DIRECTORY = uploadDirectory;
+
+jest.mock('../../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../AuditService', () => ({ logConsentEvent: jest.fn() }));
+
+const db = require('../../database/connection');
+const AuditService = require('../AuditService');
+const consentService = require('../ConsentService');
+
+const FUTURE = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+const CONSENT = {
+  patient_id: 'patient-1',
+  consenting_hospital_id: 'hospital-1',
+  target_hospital_id: 'hospital-2',
+  consent_type: 'specific_data',
+  specific_data_types: ['medications', 'documents'],
+  end_date: FUTURE,
+  purpose: 'treatment',
+  created_by: 'doctor-1'
+};
+
+describe('ConsentService', () => {
+  let rows;
+
+  /**
+   * Answer queries against the fake patient_consents table
+   * @param {string} sql - Query
+   * @param {Array} params - Query parameters
+   * @returns {Object} - Query result
+   */
+  const respond = (sql, params = []) => {
+    if (/INSERT INTO patient_consents/.test(sql)) {
+      const row = {
+        consent_id: `consent-${rows.size + 1}`,
+        patient_id: params[0],
+        consenting_hospital_id: params[1],
+        target_hospital_id: params[2],
+        consent_type: params[3],
+        specific_data_types: params[4],
+        start_date: params[5],
+        end_date: params[6],
+        purpose: params[7],
+        status: 'active',
+        created_by: params[10],
+        current_version: 1
+      };
+      rows.set(row.consent_id, row);
+      return { rows: [row] };
+    }
+    if (/UPDATE patient_consents\s+SET consent_type/.test(sql)) {
+      const row = rows.get(params[0]);
+      if (!row || row.status !== 'active') {
+        return { rows: [] };
+      }
+      Object.assign(row, {
+        consent_type: params[1],
+        specific_data_types: params[2],
+        end_date: params[3],
+        purpose: params[4],
+        updated_by: params[6],
+        current_version: row.current_version + 1
+      });
+      return { rows: [row] };
+    }
+    if (/^SELECT \* FROM patient_consents WHERE consent_id/.test(sql) || /UPDATE patient_consents/.test(sql)) {
+      return { rows: rows.has(params[0]) ? [rows.get(params[0])] : [] };
+    }
+    if (/SELECT COUNT\(\*\) FROM patient_consents/.test(sql)) {
+      return { rows: [{ count: String(rows.size) }] };
+    }
+    if (/SELECT \* FROM patient_consents/.test(sql)) {
+      return { rows: [...rows.values()] };
+    }
+    return { rows: [] };
+  };
+
+  beforeEach(() => {
+    rows = new Map();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.query.mockReset().mockImplementation(async (sql, params) => respond(sql, params));
+    db.connect.mockReset().mockResolvedValue({ query: db.query, release: jest.fn() });
+    AuditService.logConsentEvent.mockReset();
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDirectory, { recursive: true, force: true });
+  });
+
+  describe('createConsent', () => {
+    it('stores the consent and returns it with its lists parsed', async () => {
+      const consent = await consentService.createConsent(CONSENT);
+
+      expect(consent).toMatchObject({
+        id: 'consent-1',
+        patient_id: 'patient-1',
+        status: 'active',
+        specific_data_types: ['medications', 'documents'],
+        included_sensitivity_labels: [],
+        excluded_sensitivity_labels: []
+      });
+      expect(db.query).toHaveBeenCalledWith('BEGIN');
+      expect(db.query).toHaveBeenCalledWith('COMMIT');
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_created',
+        consentId: 'consent-1',
+        hospitalId: 'hospital-1',
+        targetHospitalId: 'hospital-2',
+        action: 'grant'
+      }));
+    });
+
+    it.each([
+      ['no patient', { patient_id: undefined }, 'Missing required field: patient_id'],
+      ['the same hospital on both sides', { target_hospital_id: 'hospital-1' }, 'consenting_hospital_id and target_hospital_id must differ'],
+      ['no data types', { specific_data_types: undefined }, 'specific_data_types is required for specific_data consents'],
+      ['an empty data type list', { specific_data_types: [] }, 'specific_data_types must be a non-empty array'],
+      ['an end date in the past', { end_date: '2000-01-01' }, 'end_date must be after start_date and in the future']
+    ])('rejects a consent with %s', async (description, fields, message) => {
+      await expect(consentService.createConsent({ ...CONSENT, ...fields })).rejects.toMatchObject({ status: 400, message });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getConsents', () => {
+    it('filters by patient, either hospital and status, and pages the results', async () => {
+      await consentService.getConsents({ patientId: 'patient-1', hospitalId: 'hospital-2', status: ['active', 'expired'], page: 3, limit: 5, sortBy: 'start_date', sortOrder: 'asc' });
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('WHERE patient_id = $1 AND (consenting_hospital_id = $2 OR target_hospital_id = $2) AND status = ANY($3)');
+      expect(sql).toMatch(/ORDER BY start_date ASC\s+LIMIT \$4 OFFSET \$5/);
+      expect(params).toEqual(['patient-1', 'hospital-2', ['active', 'expired'], 5, 10]);
+    });
+
+    it('only sorts by known columns', async () => {
+      await consentService.getConsents({ sortBy: 'notes; DROP TABLE patient_consents' });
+
+      expect(db.query.mock.calls[1][0]).toMatch(/ORDER BY created_at DESC/);
+    });
+  });
+
+  describe('updateConsent', () => {
+    it('updates an active consent and audits which fields changed', async () => {
+      const { id } = await consentService.createConsent(CONSENT);
+
+      const updated = await consentService.updateConsent(id, { specific_data_types: ['medications'] }, 'doctor-2');
+
+      expect(updated).toMatchObject({ specific_data_types: ['medications'], updated_by: 'doctor-2', current_version: 2 });
+      expect(AuditService.logConsentEvent).toHaveBeenLastCalledWith(expect.objectContaining({
+        eventType: 'consent_updated',
+        userId: 'doctor-2',
+        details: expect.objectContaining({ changes: ['specific_data_types'] })
+      }));
+    });
+
+    it('refuses to update a missing or inactive consent', async () => {
+      const { id } = await consentService.createConsent(CONSENT);
+      rows.get(id).status = 'revoked';
+
+      await expect(consentService.updateConsent('consent-9', { purpose: 'research' })).rejects.toMatchObject({ status: 404 });
+      await expect(consentService.updateConsent(id, { purpose: 'research' })).rejects.toMatchObject({
+        status: 409,
+        message: 'Cannot update a revoked consent'
+      });
+    });
+  });
+
+  describe('sensitivity labels', () => {
+    const GENERAL = { consent_type: 'full_access', specific_data_types: null };
+
+    it('releases labels that need no explicit consent unless the consent excludes them', () => {
+      expect(consentService.permitsSensitivityLabels(GENERAL, ['mental_health', 'genetic'])).toBe(true);
+      expect(consentService.permitsSensitivityLabels({ ...GENERAL, excluded_sensitivity_labels: ['genetic'] }, ['mental_health', 'genetic'])).toBe(false);
+    });
+
+    it('withholds labels that need explicit consent unless the consent includes them', () => {
+      expect(consentService.permitsSensitivityLabels(GENERAL, ['substance_use'])).toBe(false);
+      expect(consentService.permitsSensitivityLabels({ ...GENERAL, included_sensitivity_labels: ['substance_use'] }, ['substance_use'])).toBe(true);
+      expect(consentService.permitsSensitivityLabels({ ...GENERAL, included_sensitivity_labels: ['unlisted'] }, ['unlisted'])).toBe(true);
+      expect(consentService.permitsSensitivityLabels(GENERAL, ['unlisted'])).toBe(false);
+    });
+
+    it('releases a record when any consent covering its type permits its labels', () => {
+      const consents = [
+        GENERAL,
+        { consent_type: 'specific_data', specific_data_types: ['documents'], included_sensitivity_labels: ['hiv'] }
+      ];
+      const records = [
+        { id: 'record-1' },
+        { id: 'record-2', sensitivityLabels: ['hiv'] },
+        { id: 'record-3', sensitivity_labels: ['substance_use'] }
+      ];
+
+      const documents = consentService.filterRecordsByConsent(consents, 'documents', records);
+      const medications = consentService.filterRecordsByConsent(consents, 'medications', records);
+
+      expect(documents.released.map(record => record.id)).toEqual(['record-1', 'record-2']);
+      expect(documents.withheld.map(record => record.id)).toEqual(['record-3']);
+      expect(medications.released.map(record => record.id)).toEqual(['record-1']);
+    });
+
+    it.each([
+      ['an unknown label', { included_sensitivity_labels: ['astrology'] }, 'Unknown sensitivity label: astrology'],
+      ['labels that are not a list', { excluded_sensitivity_labels: 'hiv' }, 'Sensitivity labels must be an array'],
+      ['a label both included and excluded', { included_sensitivity_labels: ['hiv'], excluded_sensitivity_labels: ['hiv'] }, 'Sensitivity labels cannot be both included and excluded: hiv']
+    ])('rejects a consent with %s', async (description, fields, message) => {
+      await expect(consentService.createConsent({ ...CONSENT, ...fields })).rejects.toMatchObject({ status: 400, message });
+    });
+
+    it('stores normalized labels', async () => {
+      const consent = await consentService.createConsent({ ...CONSENT, included_sensitivity_labels: ['hiv', 'hiv'] });
+
+      expect(db.query.mock.calls[1][1]).toContain(JSON.stringify(['hiv']));
+      expect(consent.id).toBe('consent-1');
+    });
+  });
+
+  describe('getConsentStatistics', () => {
+    it('counts consents by status, data type and hospital', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ total: '4', active: '2', expired: '1', revoked: '1' }] })
+        .mockResolvedValueOnce({ rows: [{ data_type: 'medications', count: '3' }, { data_type: 'full_access', count: '1' }] })
+        .mockResolvedValueOnce({ rows: [{ hospital_id: 'hospital-1', granted: '4', received: '0' }] });
+
+      expect(await consentService.getConsentStatistics()).toEqual({
+        total: 4,
+        active: 2,
+        expired: 1,
+        revoked: 1,
+        byDataType: { medications: 3, full_access: 1 },
+        byHospital: { 'hospital-1': { granted: 4, received: 0 } }
+      });
+    });
+  });
+});
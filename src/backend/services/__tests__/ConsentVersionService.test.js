@@ -0,0 +1,272 @@
+/**
+ * Consent Version Service tests
+ * Consent forms are written to a temporary upload directory and signed with real keys
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'consent-version-test-'));
+
+process.env.UPLOAD_DIRECTORY = uploadDirectory;
+
+jest.mock('../../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../AuditService', () => ({ logConsentEvent: jest.fn() }));
+
+const db = require('../../database/connection');
+const AuditService = require('../AuditService');
+const consentVersionService = require('../ConsentVersionService');
+
+const CONSENT = {
+  id: 'consent-1',
+  patient_id: 'patient-1',
+  consenting_hospital_id: 'hospital-1',
+  target_hospital_id: 'hospital-2',
+  consent_type: 'specific_data',
+  specific_data_types: ['medications'],
+  included_sensitivity_labels: ['hiv'],
+  excluded_sensitivity_labels: [],
+  start_date: '2024-01-01T00:00:00.000Z',
+  end_date: '2025-01-01T00:00:00.000Z',
+  purpose: 'treatment',
+  status: 'active',
+  current_version: 2,
+  consent_verified: true
+};
+
+describe('ConsentVersionService', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    client = {
+      query: jest.fn().mockImplementation(async (sql, params) => (/UPDATE patient_consents/.test(sql)
+        ? { rows: [{ consent_id: params[0], consent_document_path: params[1], consent_verified: false }] }
+        : { rows: [] })),
+      release: jest.fn()
+    };
+    db.connect.mockResolvedValue(client);
+    db.query.mockReset().mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDirectory, { recursive: true, force: true });
+  });
+
+  /**
+   * Record a version of CONSENT and return its consent_versions row
+   * @returns {Promise<Object>} - Row as inserted
+   */
+  async function recordVersion() {
+    await consentVersionService.createVersion(client, CONSENT, { changeType: 'updated', changedBy: 'doctor-1' });
+
+    const [, params] = client.query.mock.calls.find(([sql]) => /INSERT INTO consent_versions/.test(sql));
+    return {
+      version_id: 'version-2',
+      consent_id: params[0],
+      version_number: params[1],
+      document_path: params[4],
+      document_hash: params[7],
+      current_version: 2
+    };
+  }
+
+  describe('createVersion', () => {
+    it('records the terms with a generated form and clears verification', async () => {
+      const row = await consentVersionService.createVersion(client, CONSENT, { changeType: 'updated', changedBy: 'doctor-1' });
+
+      const [, params] = client.query.mock.calls[0];
+      const formPath = path.join(uploadDirectory, 'consents', 'consent-1', 'v2.txt');
+      const form = fs.readFileSync(formPath);
+
+      expect(params.slice(0, 3)).toEqual(['consent-1', 2, 'updated']);
+      expect(JSON.parse(params[3])).toMatchObject({
+        consent_type: 'specific_data',
+        specific_data_types: ['medications'],
+        included_sensitivity_labels: ['hiv'],
+        notes: null,
+        status: 'active'
+      });
+      expect(params.slice(4)).toEqual([
+        formPath,
+        'generated',
+        'text/plain',
+        crypto.createHash('sha256').update(form).digest('hex'),
+        'doctor-1',
+        null
+      ]);
+      expect(form.toString()).toContain('Sensitive information released: HIV/AIDS information sensitivity (hiv)');
+      expect(row).toMatchObject({ consent_document_path: formPath, consent_verified: false });
+    });
+
+    it('links an uploaded form instead of generating one', async () => {
+      const uploaded = path.join(uploadDirectory, 'signed-form.pdf');
+      fs.writeFileSync(uploaded, 'scanned form');
+
+      await consentVersionService.createVersion(client, CONSENT, {
+        changeType: 'form_uploaded',
+        document: { path: uploaded, mimeType: 'application/pdf' }
+      });
+
+      expect(client.query.mock.calls[0][1].slice(4, 7)).toEqual([uploaded, 'uploaded', 'application/pdf']);
+    });
+  });
+
+  describe('getVersionAt', () => {
+    it('reports whether the version in force at the time permitted sharing', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ version_id: 'version-2', version_number: 2, terms: JSON.stringify(CONSENT), document_path: '/forms/v2.txt' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const inForce = await consentVersionService.getVersionAt('consent-1', new Date('2024-06-01T00:00:00.000Z'));
+
+      expect(inForce).toMatchObject({ id: 'version-2', version_number: 2, in_force: true, signatures: [] });
+      expect(inForce).not.toHaveProperty('document_path');
+
+      db.query
+        .mockResolvedValueOnce({ rows: [{ version_id: 'version-2', terms: CONSENT }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      expect((await consentVersionService.getVersionAt('consent-1', new Date('2025-06-01T00:00:00.000Z'))).in_force).toBe(false);
+    });
+  });
+
+  describe('addSignature', () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+
+    /**
+     * Sign the consent form of a version row
+     * @param {Object} row - Version row
+     * @param {Object} key - Private key
+     * @returns {string} - Base64 signature
+     */
+    const sign = (row, key = privateKey) => {
+      const digest = key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+      return crypto.sign(digest, fs.readFileSync(row.document_path), key).toString('base64');
+    };
+
+    it('records a patient signature and verifies the consent when the patient submitted it', async () => {
+      const row = await recordVersion();
+      db.query.mockResolvedValueOnce({ rows: [row] });
+      client.query.mockReset().mockImplementation(async (sql, params) => (/INSERT/.test(sql)
+        ? { rows: [{ signer_role: params[1], signer_id: params[3], algorithm: params[4] }] }
+        : { rows: [] }));
+
+      const signature = await consentVersionService.addSignature('consent-1', 2, {
+        signer_role: 'patient',
+        signer_name: 'Pat Patient',
+        signer_id: 'patient-1',
+        public_key: publicKeyPem,
+        signature: sign(row)
+      }, 'patient-1', true);
+
+      expect(signature).toMatchObject({ signer_role: 'patient', algorithm: 'ed25519' });
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET consent_verified = TRUE'), ['consent-1', 2]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'consent_signed',
+        details: expect.objectContaining({ versionNumber: 2, signerRole: 'patient', documentHash: row.document_hash, submittedBySigner: true })
+      }));
+    });
+
+    it.each(['rsa', 'ec'])('accepts %s signatures without verifying a signature recorded by staff', async type => {
+      const keys = crypto.generateKeyPairSync(type, type === 'rsa' ? { modulusLength: 2048 } : { namedCurve: 'P-256' });
+      const row = await recordVersion();
+      db.query.mockResolvedValueOnce({ rows: [row] });
+      client.query.mockReset().mockImplementation(async (sql, params) => (/INSERT/.test(sql)
+        ? { rows: [{ signer_role: params[1], algorithm: params[4] }] }
+        : { rows: [] }));
+
+      const signature = await consentVersionService.addSignature('consent-1', 2, {
+        signer_role: 'patient',
+        signer_name: 'Pat Patient',
+        public_key: keys.publicKey.export({ type: 'spki', format: 'pem' }),
+        signature: sign(row, keys.privateKey)
+      }, 'clerk-1');
+
+      expect(signature.algorithm).toBe(`${type}-sha256`);
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('SET consent_verified = TRUE'), expect.anything());
+    });
+
+    it('rejects a signature over a different document', async () => {
+      const row = await recordVersion();
+      db.query.mockResolvedValueOnce({ rows: [row] });
+
+      await expect(consentVersionService.addSignature('consent-1', 2, {
+        signer_role: 'witness',
+        signer_name: 'Wit Ness',
+        public_key: publicKeyPem,
+        signature: crypto.sign(null, Buffer.from('another form'), privateKey).toString('base64')
+      })).rejects.toMatchObject({ status: 400, message: 'Signature does not match the consent form' });
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+
+    it('refuses to sign a form that changed after it was recorded', async () => {
+      const row = await recordVersion();
+      const signature = sign(row);
+      fs.appendFileSync(row.document_path, 'Amended by hand\n');
+      db.query.mockResolvedValueOnce({ rows: [row] });
+
+      await expect(consentVersionService.addSignature('consent-1', 2, {
+        signer_role: 'patient',
+        signer_name: 'Pat Patient',
+        public_key: publicKeyPem,
+        signature
+      })).rejects.toMatchObject({ status: 409, message: 'Consent form for version 2 no longer matches its recorded hash' });
+
+      db.query.mockResolvedValueOnce({ rows: [row] });
+      expect(await consentVersionService.getVersionDocument('consent-1', 2)).toMatchObject({ hash: row.document_hash, intact: false });
+    });
+
+    it('allows one signature per role on a version', async () => {
+      const row = await recordVersion();
+      db.query.mockResolvedValueOnce({ rows: [row] });
+      client.query.mockReset().mockImplementation(async sql => {
+        if (/INSERT/.test(sql)) {
+          throw Object.assign(new Error('duplicate key value'), { code: '23505' });
+        }
+        return { rows: [] };
+      });
+
+      await expect(consentVersionService.addSignature('consent-1', 2, {
+        signer_role: 'clinician',
+        signer_name: 'Dr Doctor',
+        public_key: publicKeyPem,
+        signature: sign(row)
+      })).rejects.toMatchObject({ status: 409, message: 'Version 2 already has a clinician signature' });
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it.each([
+      ['an unknown signer role', { signer_role: 'notary' }, 400, 'signer_role must be one of: patient, representative, witness, clinician'],
+      ['an invalid public key', { public_key: 'not a key' }, 400, 'public_key is not a valid PEM public key']
+    ])('rejects %s', async (description, fields, status, message) => {
+      db.query.mockResolvedValueOnce({ rows: [await recordVersion()] });
+
+      await expect(consentVersionService.addSignature('consent-1', 2, {
+        signer_role: 'patient',
+        signer_name: 'Pat Patient',
+        public_key: publicKeyPem,
+        signature: 'c2lnbmF0dXJl',
+        ...fields
+      })).rejects.toMatchObject({ status, message });
+    });
+
+    it('answers 404 for a version that does not exist', async () => {
+      await expect(consentVersionService.addSignature('consent-1', 9, {
+        signer_role: 'patient',
+        public_key: publicKeyPem,
+        signature: 'c2lnbmF0dXJl'
+      })).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Cross-Hospital Service tests
+ * Covers how token scopes are combined and applied to released records
+ */
+
+process.env.CROSS_HOSPITAL_JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../PatientService', () => ({}));
+jest.mock('../ConsentService', () => ({ getConsentById: jest.fn() }));
+jest.mock('../HospitalService', () => ({}));
+jest.mock('../AuditService', () => ({ logCrossHospitalAccess: jest.fn(), logConsentEvent: jest.fn() }));
+jest.mock('../EmergencyAccessService', () => ({}));
+jest.mock('../ConsentPolicyEngine', () => ({ filterRecords: jest.fn() }));
+jest.mock('../MasterPatientIndexService', () => ({}));
+jest.mock('../NetworkService', () => ({}));
+jest.mock('../ReplayProtectionService', () => ({}));
+jest.mock('../MedicationService', () => ({ getMedications: jest.fn() }));
+jest.mock('../DocumentService', () => ({ getPatientDocuments: jest.fn() }));
+jest.mock('../AccessRequestService', () => ({ markFulfilled: jest.fn() }));
+
+const db = require('../../database/connection');
+const auditService = require('../AuditService');
+const consentService = require('../ConsentService');
+const consentPolicyEngine = require('../ConsentPolicyEngine');
+const medicationService = require('../MedicationService');
+const documentService = require('../DocumentService');
+const crossHospitalService = require('../CrossHospitalService');
+
+describe('CrossHospitalService', () => {
+  describe('narrowScope', () => {
+    it('returns an unlimited scope when nothing limits it', () => {
+      expect(crossHospitalService.narrowScope({}, null)).toEqual({
+        dateFrom: null,
+        dateTo: null,
+        documentIds: null,
+        maxUses: null
+      });
+    });
+
+    it('keeps the tightest limit of each kind', () => {
+      const scope = crossHospitalService.narrowScope(
+        { dateFrom: '2020-01-01', dateTo: '2024-01-01', documentIds: ['doc-1', 'doc-2'], maxUses: 5 },
+        { dateFrom: '2022-06-01', dateTo: '2025-01-01', documentIds: ['doc-2', 'doc-3'], maxUses: 10 }
+      );
+
+      expect(scope).toEqual({
+        dateFrom: '2022-06-01T00:00:00.000Z',
+        dateTo: '2024-01-01T00:00:00.000Z',
+        documentIds: ['doc-2'],
+        maxUses: 5
+      });
+    });
+
+    it('takes a limit from whichever scope sets it', () => {
+      const scope = crossHospitalService.narrowScope(
+        { documentIds: ['doc-1'] },
+        { maxUses: 3 },
+        null
+      );
+
+      expect(scope).toEqual({ dateFrom: null, dateTo: null, documentIds: ['doc-1'], maxUses: 3 });
+    });
+
+    it('leaves no documents when the document lists do not overlap', () => {
+      const scope = crossHospitalService.narrowScope({ documentIds: ['doc-1'] }, { documentIds: ['doc-2'] });
+
+      expect(scope.documentIds).toEqual([]);
+    });
+
+    it('rejects a scope whose combined date range is empty', () => {
+      expect(() => crossHospitalService.narrowScope({ dateFrom: '2024-01-01' }, { dateTo: '2023-01-01' }))
+        .toThrow(expect.objectContaining({ status: 400, message: 'Scope dateFrom must not be after dateTo' }));
+    });
+
+    it.each([
+      [{ dateFrom: 'yesterday' }, 'Scope dateFrom is not a valid date'],
+      [{ documentIds: 'doc-1' }, 'Scope documentIds must be a list of document IDs'],
+      [{ maxUses: 0 }, 'Scope maxUses must be a positive integer']
+    ])('rejects the invalid scope %j', (scope, message) => {
+      expect(() => crossHospitalService.narrowScope(scope)).toThrow(expect.objectContaining({ status: 400, message }));
+    });
+  });
+
+  describe('applyScope', () => {
+    const unlimited = crossHospitalService.narrowScope({});
+
+    it('returns every record when the scope does not limit them', () => {
+      const records = [{ id: 1 }, { id: 2 }];
+
+      expect(crossHospitalService.applyScope('medications', records, unlimited)).toEqual(records);
+    });
+
+    it('keeps records dated inside the range and drops undated ones', () => {
+      const scope = crossHospitalService.narrowScope({ dateFrom: '2023-01-01', dateTo: '2023-12-31' });
+      const records = [
+        { id: 1, recordDate: '2022-12-31' },
+        { id: 2, recordDate: '2023-01-01' },
+        { id: 3, record_date: '2023-06-15' },
+        { id: 4, recordDate: '2024-01-01' },
+        { id: 5 },
+        { id: 6, recordDate: 'unknown' }
+      ];
+
+      expect(crossHospitalService.applyScope('medicalRecords', records, scope).map(record => record.id)).toEqual([2, 3]);
+    });
+
+    it('dates documents by their document date before their creation date', () => {
+      const scope = crossHospitalService.narrowScope({ dateFrom: '2023-01-01' });
+      const records = [
+        { id: 'doc-1', documentDate: '2022-05-01', createdAt: '2023-05-01' },
+        { id: 'doc-2', createdAt: '2023-05-01' }
+      ];
+
+      expect(crossHospitalService.applyScope('documents', records, scope).map(record => record.id)).toEqual(['doc-2']);
+    });
+
+    it('limits documents to the listed IDs', () => {
+      const scope = crossHospitalService.narrowScope({ documentIds: ['7', 'doc-2'] });
+      const records = [{ id: 7 }, { id: 'doc-2' }, { id: 'doc-3' }];
+
+      expect(crossHospitalService.applyScope('documents', records, scope).map(record => record.id)).toEqual([7, 'doc-2']);
+    });
+
+    it('does not filter record types without a date by the date range', () => {
+      const scope = crossHospitalService.narrowScope({ dateFrom: '2023-01-01', documentIds: ['doc-1'] });
+      const records = [{ id: 'patient-1' }];
+
+      expect(crossHospitalService.applyScope('demographics', records, scope)).toEqual(records);
+    });
+  });
+
+  describe('retrieveRecordsWithToken', () => {
+    let tokenRow;
+
+    /**
+     * Issue a token the mocked database knows about
+     * @param {Array<string>} recordTypes - Record types the token covers
+     * @returns {string} - JWT access token
+     */
+    const token = recordTypes => crossHospitalService.generateAccessToken({
+      patientId: 'patient-1',
+      patientGlobalId: 'global-1',
+      requestingHospitalId: 'hospital-2',
+      requestingUserId: 'doctor-1',
+      recordTypes,
+      purpose: 'treatment',
+      requestId: 'request-1',
+      consentIds: ['consent-1']
+    });
+
+    beforeEach(() => {
+      tokenRow = { scope_date_from: null, scope_date_to: null, scope_document_ids: null, max_uses: null, use_count: 0 };
+
+      db.query.mockReset().mockImplementation(async sql => {
+        if (/SELECT 1 FROM access_tokens/.test(sql)) {
+          return { rows: [{}] };
+        }
+        if (/UPDATE access_tokens/.test(sql)) {
+          if (tokenRow.max_uses && tokenRow.use_count >= tokenRow.max_uses) {
+            return { rows: [] };
+          }
+          tokenRow.use_count += 1;
+          return { rows: [{ ...tokenRow }] };
+        }
+        return { rows: [] };
+      });
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      auditService.logCrossHospitalAccess.mockReset();
+      consentService.getConsentById.mockResolvedValue({ id: 'consent-1', status: 'active' });
+      consentPolicyEngine.filterRecords.mockImplementation((consents, recordType, items) => ({ released: items, withheld: [] }));
+      medicationService.getMedications.mockReset().mockResolvedValue([
+        { id: 'med-1', startDate: '2022-11-01' },
+        { id: 'med-2', startDate: '2023-03-15' },
+        { id: 'med-3' }
+      ]);
+      documentService.getPatientDocuments.mockReset().mockResolvedValue([
+        { id: 'doc-1', createdAt: '2023-02-01' },
+        { id: 'doc-2', createdAt: '2023-04-01' }
+      ]);
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('releases only records dated inside the token\'s date range', async () => {
+      Object.assign(tokenRow, { scope_date_from: '2023-01-01', scope_date_to: '2023-12-31' });
+
+      const result = await crossHospitalService.retrieveRecordsWithToken(token(['medications', 'documents']));
+
+      expect(result.records.medications.map(record => record.id)).toEqual(['med-2']);
+      expect(result.records.documents.map(record => record.id)).toEqual(['doc-1', 'doc-2']);
+      expect(result.scope).toMatchObject({ dateFrom: '2023-01-01T00:00:00.000Z', dateTo: '2023-12-31T00:00:00.000Z' });
+    });
+
+    it('releases only the documents the token lists', async () => {
+      tokenRow.scope_document_ids = JSON.stringify(['doc-2']);
+
+      const result = await crossHospitalService.retrieveRecordsWithToken(token(['documents']));
+
+      expect(result.records.documents.map(record => record.id)).toEqual(['doc-2']);
+    });
+
+    it('counts each retrieval and refuses one past the token\'s allowance', async () => {
+      tokenRow.max_uses = 2;
+      const accessToken = token(['medications']);
+
+      expect((await crossHospitalService.retrieveRecordsWithToken(accessToken)).scope.usesRemaining).toBe(1);
+      expect((await crossHospitalService.retrieveRecordsWithToken(accessToken)).scope.usesRemaining).toBe(0);
+      await expect(crossHospitalService.retrieveRecordsWithToken(accessToken)).rejects.toThrow('Access token has no uses remaining');
+
+      expect(medicationService.getMedications).toHaveBeenCalledTimes(2);
+      expect(auditService.logCrossHospitalAccess.mock.calls.map(([event]) => [event.eventType, event.targetHospitalId])).toEqual([
+        ['records_released', 'hospital-1'],
+        ['records_released', 'hospital-1'],
+        ['records_release_failed', 'hospital-1']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Emergency Access Service tests
+ * Covers deciding a break-the-glass request, the token granted for it, and the review queue
+ */
+
+process.env.AUDIT_SIGNATURE_KEY = 'test-signature-key';
+process.env.MPI_IDENTIFIER_KEY = 'test-identifier-key';
+process.env.CROSS_HOSPITAL_JWT_SECRET = 'test-jwt-secret';
+
+jest.mock('../../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../AuditService', () => ({
+  logSecurityEvent: jest.fn(),
+  logCrossHospitalAccess: jest.fn(),
+  logConsentEvent: jest.fn()
+}));
+jest.mock('../MessageBrokerService', () => ({ publish: jest.fn() }));
+jest.mock('../PatientService', () => ({}));
+jest.mock('../HospitalService', () => ({}));
+
+const jwt = require('jsonwebtoken');
+const db = require('../../database/connection');
+const auditService = require('../AuditService');
+const messageBrokerService = require('../MessageBrokerService');
+const emergencyAccessService = require('../EmergencyAccessService');
+const crossHospitalService = require('../CrossHospitalService');
+
+const JUSTIFICATION = 'Unconscious patient admitted to the emergency department';
+
+const OVERRIDE = {
+  override_id: 'override-1',
+  request_id: 'request-1',
+  patient_id: 'patient-1',
+  requesting_hospital_id: 'hospital-2',
+  requesting_user_id: 'doctor-1',
+  justification: JUSTIFICATION,
+  granted_record_types: ['medications'],
+  created_at: '2024-03-01T12:00:00.000Z',
+  expires_at: '2024-03-01T12:15:00.000Z'
+};
+
+/**
+ * Answer queries by the table they touch
+ * @param {string} sql - Query
+ * @returns {Object} - Query result
+ */
+function respond(sql) {
+  if (/INSERT INTO emergency_access_overrides/.test(sql)) {
+    return { rows: [OVERRIDE] };
+  }
+  if (/UPDATE emergency_access_overrides/.test(sql)) {
+    return { rows: [{ ...OVERRIDE, review_status: 'flagged' }] };
+  }
+  if (/INSERT INTO access_tokens/.test(sql)) {
+    return { rows: [{ token_id: 'token-1' }] };
+  }
+  if (/UPDATE access_requests/.test(sql)) {
+    return { rows: [{ request_id: 'request-1', requesting_hospital_id: 'hospital-2', status: 'approved' }] };
+  }
+  if (/UPDATE access_tokens/.test(sql)) {
+    return { rows: [{ token_id: 'token-1', patient_id: 'patient-1', target_hospital_id: 'hospital-1' }], rowCount: 1 };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+describe('EmergencyAccessService', () => {
+  const defaultConfig = { ...emergencyAccessService.config };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.query.mockReset().mockImplementation(async sql => respond(sql));
+    db.connect.mockReset().mockResolvedValue({ query: db.query, release: jest.fn() });
+    auditService.logSecurityEvent.mockReset();
+    messageBrokerService.publish.mockReset();
+  });
+
+  afterEach(() => {
+    emergencyAccessService.config = { ...defaultConfig };
+    console.error.mockRestore();
+  });
+
+  describe('evaluateRequest', () => {
+    it('narrows the request to the record types an override may release', () => {
+      expect(emergencyAccessService.evaluateRequest({ justification: JUSTIFICATION }, ['medications', 'documents']))
+        .toEqual({ allowed: true, recordTypes: ['medications'] });
+    });
+
+    it('refuses a short or missing justification', () => {
+      expect(emergencyAccessService.evaluateRequest({ justification: '  urgent  ' }, ['medications']))
+        .toMatchObject({ allowed: false, reason: expect.stringContaining('at least 20 characters') });
+      expect(emergencyAccessService.evaluateRequest(null, ['medications']).allowed).toBe(false);
+    });
+
+    it('refuses requests for record types outside the emergency scope', () => {
+      expect(emergencyAccessService.evaluateRequest({ justification: JUSTIFICATION }, ['documents']))
+        .toEqual({ allowed: false, reason: 'Emergency access is limited to: demographics, medications' });
+    });
+
+    it('refuses everything when emergency access is disabled', () => {
+      emergencyAccessService.config.enabled = false;
+
+      expect(emergencyAccessService.evaluateRequest({ justification: JUSTIFICATION }, ['medications']))
+        .toEqual({ allowed: false, reason: 'Emergency access is disabled at this hospital' });
+    });
+  });
+
+  describe('granting an override', () => {
+    const request = {
+      requestId: 'request-1',
+      patientGlobalId: 'global-1',
+      requestingHospitalId: 'hospital-2',
+      requestingUserId: 'doctor-1',
+      recordTypes: ['medications', 'documents'],
+      purpose: 'emergency_treatment',
+      emergency: { justification: JUSTIFICATION }
+    };
+
+    it('issues a short-lived token limited to the emergency scope and the requested limits', async () => {
+      const response = await crossHospitalService.grantEmergencyAccess(
+        request,
+        { id: 'patient-1' },
+        'hospital-1',
+        { dateFrom: '2023-01-01', maxUses: 2 }
+      );
+
+      expect(response).toMatchObject({
+        success: true,
+        status: 'approved',
+        emergency: true,
+        recordTypes: ['medications'],
+        scope: { dateFrom: '2023-01-01T00:00:00.000Z', dateTo: null, documentIds: null, maxUses: 2 }
+      });
+
+      const claims = jwt.verify(response.accessToken, 'test-jwt-secret');
+      expect(claims).toMatchObject({
+        patientId: 'patient-1',
+        requestingHospitalId: 'hospital-2',
+        recordTypes: ['medications'],
+        purpose: 'emergency_treatment',
+        emergency: true,
+        date_from: '2023-01-01T00:00:00.000Z',
+        max_uses: 2
+      });
+      expect(claims.exp - claims.iat).toBe(15 * 60);
+
+      const [, overrideParams] = db.query.mock.calls.find(([sql]) => /INSERT INTO emergency_access_overrides/.test(sql));
+      expect(overrideParams).toEqual(expect.arrayContaining([
+        JUSTIFICATION,
+        JSON.stringify(['medications', 'documents']),
+        JSON.stringify(['medications'])
+      ]));
+
+      const [, tokenParams] = db.query.mock.calls.find(([sql]) => /INSERT INTO access_tokens/.test(sql));
+      expect(tokenParams).toContain('override-1');
+    });
+
+    it('raises a critical audit event and alerts the patient and privacy officer', async () => {
+      await crossHospitalService.grantEmergencyAccess(request, { id: 'patient-1' }, 'hospital-1');
+
+      expect(auditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'emergency_access_granted',
+        severity: 'critical',
+        patientId: 'patient-1'
+      }));
+      expect(messageBrokerService.publish.mock.calls.map(([topic]) => topic)).toEqual(['patient.notification', 'privacy.alert']);
+      expect(messageBrokerService.publish).toHaveBeenCalledWith('privacy.alert', expect.objectContaining({
+        overrideId: 'override-1',
+        justification: JUSTIFICATION
+      }));
+    });
+
+    it('denies a request the emergency provision does not allow without issuing a token', async () => {
+      const response = await crossHospitalService.grantEmergencyAccess(
+        { ...request, recordTypes: ['documents'] },
+        { id: 'patient-1' },
+        'hospital-1'
+      );
+
+      expect(response).toMatchObject({ success: false, status: 'denied' });
+      expect(response.accessToken).toBeUndefined();
+      expect(db.query.mock.calls.some(([sql]) => /INSERT INTO (emergency_access_overrides|access_tokens)/.test(sql))).toBe(false);
+    });
+  });
+
+  describe('reviewOverride', () => {
+    const reviewer = { id: 'officer-1', hospital_id: 'hospital-1' };
+
+    it('flags an override and revokes its live token', async () => {
+      const override = await emergencyAccessService.reviewOverride('override-1', { decision: 'flagged', notes: 'No emergency' }, reviewer);
+
+      expect(override.review_status).toBe('flagged');
+      expect(db.query.mock.calls[0][1]).toEqual(['override-1', 'flagged', 'No emergency', 'officer-1']);
+      expect(db.query.mock.calls.some(([sql, params]) =>
+        /UPDATE access_tokens/.test(sql) && /emergency_override_id = \$1/.test(sql) && params[0] === 'override-1'
+      )).toBe(true);
+      expect(auditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'emergency_access_flagged',
+        details: expect.objectContaining({ revokedTokens: 1 })
+      }));
+    });
+
+    it('approves an override without touching its token', async () => {
+      await emergencyAccessService.reviewOverride('override-1', { decision: 'approved' }, reviewer);
+
+      expect(db.query.mock.calls.some(([sql]) => /UPDATE access_tokens/.test(sql))).toBe(false);
+      expect(auditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'emergency_access_approved',
+        details: expect.objectContaining({ revokedTokens: 0 })
+      }));
+    });
+
+    it('returns null when the override is not pending review', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await emergencyAccessService.reviewOverride('override-1', { decision: 'approved' }, reviewer)).toBeNull();
+      expect(auditService.logSecurityEvent).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unknown decision', async () => {
+      await expect(emergencyAccessService.reviewOverride('override-1', { decision: 'ignored' }, reviewer))
+        .rejects.toThrow('Invalid review decision: ignored');
+    });
+  });
+});
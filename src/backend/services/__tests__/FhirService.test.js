@@ -0,0 +1,145 @@
+/**
+ * FHIR Service tests
+ * Covers converting consents to and from FHIR R4 Consent resources
+ */
+
+jest.mock('../AuditService', () => ({}));
+
+const fhirService = require('../FhirService');
+
+const FUTURE = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+const CONSENT = {
+  id: 'consent-1',
+  patient_id: 'patient-1',
+  consenting_hospital_id: 'hospital-1',
+  target_hospital_id: 'hospital-2',
+  consent_type: 'specific_data',
+  specific_data_types: ['medications', 'lab_results'],
+  start_date: new Date('2024-01-01T00:00:00.000Z'),
+  end_date: FUTURE,
+  status: 'active',
+  created_at: new Date('2024-01-01T00:00:00.000Z')
+};
+
+describe('FhirService', () => {
+  describe('convertToFhirConsent', () => {
+    it('describes the consent as a permit for the receiving organization', () => {
+      const resource = fhirService.convertToFhirConsent(CONSENT);
+
+      expect(resource).toMatchObject({
+        resourceType: 'Consent',
+        id: 'consent-1',
+        status: 'active',
+        patient: { reference: 'Patient/patient-1' },
+        organization: [{ reference: 'Organization/hospital-1' }],
+        provision: {
+          type: 'permit',
+          period: { start: '2024-01-01T00:00:00.000Z', end: FUTURE.toISOString() },
+          actor: [expect.objectContaining({ reference: { reference: 'Organization/hospital-2' } })],
+          class: [
+            { system: 'http://hl7.org/fhir/resource-types', code: 'MedicationRequest' },
+            { system: 'http://hl7.org/fhir/resource-types', code: 'Observation' }
+          ]
+        }
+      });
+    });
+
+    it('marks revoked and lapsed consents inactive', () => {
+      expect(fhirService.convertToFhirConsent({ ...CONSENT, status: 'revoked' }).status).toBe('inactive');
+      expect(fhirService.convertToFhirConsent({ ...CONSENT, end_date: new Date('2024-02-01') }).status).toBe('inactive');
+    });
+  });
+
+  describe('convertFromFhirConsent', () => {
+    it('reads back the consent it exported', () => {
+      const consent = fhirService.convertFromFhirConsent(fhirService.convertToFhirConsent(CONSENT));
+
+      expect(consent).toMatchObject({
+        patient_id: 'patient-1',
+        consenting_hospital_id: 'hospital-1',
+        target_hospital_id: 'hospital-2',
+        consent_type: 'specific_data',
+        specific_data_types: ['medications', 'lab_results'],
+        start_date: '2024-01-01T00:00:00.000Z',
+        end_date: FUTURE.toISOString()
+      });
+    });
+
+    it('derives data types from resource classes when there are no data type codes', () => {
+      const consent = fhirService.convertFromFhirConsent({
+        resourceType: 'Consent',
+        status: 'active',
+        patient: { reference: 'Patient/patient-1' },
+        provision: {
+          actor: [{ reference: { reference: 'Organization/hospital-2' } }],
+          class: [{ code: 'MedicationRequest' }, { code: 'Condition' }]
+        }
+      });
+
+      expect(consent).toMatchObject({
+        consenting_hospital_id: null,
+        target_hospital_id: 'hospital-2',
+        consent_type: 'specific_data',
+        specific_data_types: ['medications', 'diagnoses']
+      });
+    });
+
+    it.each([
+      ['is not active', { status: 'proposed' }, 'Consent status proposed cannot be imported; only active consents are accepted'],
+      ['denies access', { provision: { type: 'deny' } }, 'Only permit provisions are supported'],
+      ['has no patient', { patient: undefined }, 'Consent.patient must reference a Patient'],
+      ['names no recipient', { provision: { actor: [] } }, 'Consent.provision.actor must identify the receiving Organization'],
+      ['covers an unknown resource class', { provision: { actor: [{ reference: { reference: 'Organization/hospital-2' } }], class: [{ code: 'Claim' }] } }, 'Unsupported provision class: Claim']
+    ])('rejects a resource that %s', (description, fields, message) => {
+      const resource = { ...fhirService.convertToFhirConsent(CONSENT), ...fields };
+
+      expect(() => fhirService.convertFromFhirConsent(resource)).toThrow(expect.objectContaining({ status: 400, message }));
+    });
+  });
+
+  describe('sensitivity labels', () => {
+    const LABELLED = {
+      ...CONSENT,
+      included_sensitivity_labels: ['substance_use'],
+      excluded_sensitivity_labels: ['hiv', 'genetic']
+    };
+
+    it('exports included labels on the provision and excluded labels as a nested deny', () => {
+      const { provision } = fhirService.convertToFhirConsent(LABELLED);
+
+      expect(provision.securityLabel).toEqual([
+        { system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'ETH', display: 'substance abuse information sensitivity' }
+      ]);
+      expect(provision.provision).toEqual([
+        {
+          type: 'deny',
+          securityLabel: [
+            expect.objectContaining({ code: 'HIV' }),
+            expect.objectContaining({ code: 'GDIS' })
+          ]
+        }
+      ]);
+    });
+
+    it('reads back the labels it exported', () => {
+      const consent = fhirService.convertFromFhirConsent(fhirService.convertToFhirConsent(LABELLED));
+
+      expect(consent.included_sensitivity_labels).toEqual(['substance_use']);
+      expect(consent.excluded_sensitivity_labels).toEqual(['hiv', 'genetic']);
+    });
+
+    it('rejects labels and nested provisions it cannot represent', () => {
+      const resource = fhirService.convertToFhirConsent(CONSENT);
+      const withLabel = securityLabel => ({ ...resource, provision: { ...resource.provision, securityLabel } });
+      const withNested = nested => ({ ...resource, provision: { ...resource.provision, provision: [nested] } });
+
+      expect(() => fhirService.convertFromFhirConsent(withLabel([{ system: 'urn:local', code: 'ETH' }])))
+        .toThrow('Unsupported security label: urn:local|ETH');
+      expect(() => fhirService.convertFromFhirConsent(withNested({ type: 'permit', securityLabel: [{ code: 'HIV' }] })))
+        .toThrow('Nested provisions are only supported as deny provisions on security labels');
+      expect(() => fhirService.convertFromFhirConsent(withNested({ type: 'deny', actor: [] })))
+        .toThrow('Nested provisions are only supported as deny provisions on security labels');
+    });
+  });
+});
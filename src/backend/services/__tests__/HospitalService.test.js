@@ -0,0 +1,174 @@
+/**
+ * Hospital Service tests
+ * Covers registering, rotating and revoking the key pairs hospitals sign requests with
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const keyDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'signing-key-test-'));
+
+process.env.HOSPITAL_SIGNING_KEY_DIR = keyDirectory;
+process.env.HOSPITAL_KEY_ROTATION_OVERLAP = '3600000';
+
+jest.mock('../../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../AuditService', () => ({ logSecurityEvent: jest.fn() }));
+
+const db = require('../../database/connection');
+const AuditService = require('../AuditService');
+const HospitalService = require('../HospitalService');
+const networkService = require('../NetworkService');
+
+/**
+ * Generate a PEM public key
+ * @param {string} type - Key type
+ * @returns {string} - PEM public key
+ */
+function publicKeyPem(type = 'ec') {
+  const options = { ec: { namedCurve: 'P-256' }, rsa: { modulusLength: 2048 }, ed25519: {} }[type];
+  return crypto.generateKeyPairSync(type, options).publicKey.export({ type: 'spki', format: 'pem' });
+}
+
+describe('HospitalService signing keys', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    client = {
+      query: jest.fn().mockImplementation(async (sql, params) => (/INSERT INTO hospital_signing_keys/.test(sql)
+        ? { rows: [{ hospital_id: params[0], key_id: params[1], public_key: params[2], algorithm: params[3], status: 'active', retires_at: null }] }
+        : { rows: [] })),
+      release: jest.fn()
+    };
+    db.connect.mockResolvedValue(client);
+    db.query.mockReset().mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(keyDirectory, { recursive: true, force: true });
+  });
+
+  describe('registerSigningKey', () => {
+    it('makes the key active and retires the previous one after the rotation overlap', async () => {
+      const pem = publicKeyPem();
+      const before = Date.now();
+
+      const key = await HospitalService.registerSigningKey('hospital-2', pem, 'admin-1');
+
+      expect(key).toMatchObject({
+        hospital_id: 'hospital-2',
+        key_id: HospitalService.getKeyId(crypto.createPublicKey(pem)),
+        algorithm: 'ec-sha256',
+        accepted: true
+      });
+      expect(key.key_id).toMatch(/^[0-9a-f]{64}$/);
+
+      const [sql, params] = client.query.mock.calls[2];
+      expect(sql).toContain("SET status = 'retiring'");
+      expect(params.slice(0, 2)).toEqual(['hospital-2', key.key_id]);
+      expect(params[2].getTime()).toBeGreaterThanOrEqual(before + 3600000);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(AuditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'signing_key_registered',
+        hospitalId: 'hospital-2',
+        details: { keyId: key.key_id, algorithm: 'ec-sha256', rotationOverlap: 3600000 }
+      }));
+    });
+
+    it('accepts RSA keys', async () => {
+      expect((await HospitalService.registerSigningKey('hospital-2', publicKeyPem('rsa'))).algorithm).toBe('rsa-sha256');
+    });
+
+    it('refuses to register the same key twice', async () => {
+      client.query.mockImplementation(async () => ({ rows: [] }));
+
+      await expect(HospitalService.registerSigningKey('hospital-2', publicKeyPem()))
+        .rejects.toMatchObject({ status: 409 });
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it.each([
+      ['an invalid public key', 'not a key', 'public_key is not a valid PEM public key'],
+      ['an unsupported key type', publicKeyPem('ed25519'), 'Unsupported key type: ed25519']
+    ])('rejects %s', async (description, pem, message) => {
+      await expect(HospitalService.registerSigningKey('hospital-2', pem)).rejects.toMatchObject({ status: 400, message });
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getVerificationKey', () => {
+    it('only accepts keys that are neither revoked nor past their overlap', async () => {
+      expect(await HospitalService.getVerificationKey('hospital-2', 'key-1')).toBeNull();
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("status <> 'revoked'");
+      expect(sql).toContain('retires_at IS NULL OR retires_at > CURRENT_TIMESTAMP');
+      expect(params).toEqual(['hospital-2', 'key-1']);
+    });
+
+    it('marks each listed key with whether it is still accepted', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { key_id: 'key-3', status: 'active', retires_at: null },
+          { key_id: 'key-2', status: 'retiring', retires_at: new Date(Date.now() + 60000) },
+          { key_id: 'key-1', status: 'retiring', retires_at: new Date(Date.now() - 60000) },
+          { key_id: 'key-0', status: 'revoked', retires_at: null }
+        ]
+      });
+
+      const keys = await HospitalService.getSigningKeys('hospital-2');
+
+      expect(keys.map(key => [key.key_id, key.accepted])).toEqual([
+        ['key-3', true],
+        ['key-2', true],
+        ['key-1', false],
+        ['key-0', false]
+      ]);
+    });
+  });
+
+  describe('local signing key', () => {
+    it('generates the first key pair and signs requests that verify against its registered key', async () => {
+      const { keyId, privateKey } = await HospitalService.getLocalSigningKey();
+
+      const registered = client.query.mock.calls[1][1];
+      expect(registered[0]).toBe('hospital-1');
+      expect(registered[1]).toBe(keyId);
+      expect(fs.statSync(path.join(keyDirectory, `${keyId}.pem`)).mode & 0o777).toBe(0o600);
+
+      const signature = networkService.createSignature('payload', privateKey);
+      expect(networkService.verifySignature('payload', signature, registered[2])).toBe(true);
+      expect(networkService.verifySignature('tampered', signature, registered[2])).toBe(false);
+    });
+
+    it('signs with the key most recently rotated in', async () => {
+      const { key_id: keyId, public_key: publicKey } = await HospitalService.rotateLocalSigningKey('admin-1');
+      db.query.mockResolvedValueOnce({ rows: [{ key_id: keyId }] });
+
+      const local = await HospitalService.getLocalSigningKey();
+
+      expect(local.keyId).toBe(keyId);
+      expect(db.connect).toHaveBeenCalledTimes(1);
+      expect(networkService.verifySignature('payload', networkService.createSignature('payload', local.privateKey), publicKey)).toBe(true);
+    });
+
+    it('stops using a revoked key', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ key_id: 'key-1', status: 'revoked' }] });
+
+      expect(await HospitalService.revokeSigningKey('hospital-1', 'key-1', 'Compromised', 'admin-1')).toMatchObject({ accepted: false });
+      expect(AuditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'signing_key_revoked',
+        severity: 'error',
+        details: { keyId: 'key-1', reason: 'Compromised' }
+      }));
+    });
+  });
+});
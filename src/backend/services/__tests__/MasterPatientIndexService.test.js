@@ -0,0 +1,101 @@
+/**
+ * Master Patient Index Service tests
+ * Scores records prepared the way they are before matching
+ */
+
+process.env.MPI_IDENTIFIER_KEY = 'test-identifier-key';
+
+jest.mock('../../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../AuditService', () => ({}));
+
+const masterPatientIndexService = require('../MasterPatientIndexService');
+
+const PATIENT = {
+  firstName: 'Catherine',
+  lastName: 'Smith',
+  dateOfBirth: '1980-04-12',
+  gender: 'female',
+  address: '12 Main St, Springfield',
+  identifiers: [{ system: 'ssn', value: '123-45-6789' }]
+};
+
+/**
+ * Score two sets of demographics
+ * @param {Object} a - Demographics, over PATIENT
+ * @param {Object} b - Demographics, over PATIENT
+ * @returns {Object} - Score and field similarities
+ */
+function score(a, b) {
+  return masterPatientIndexService.scoreMatch(
+    masterPatientIndexService.prepareRecord({ ...PATIENT, ...a }, false),
+    masterPatientIndexService.prepareRecord({ ...PATIENT, ...b }, false)
+  );
+}
+
+describe('MasterPatientIndexService.scoreMatch', () => {
+  it('scores identical records as a certain match', () => {
+    expect(score({}, {})).toEqual({
+      score: 1,
+      fields: { identifiers: 1, firstName: 1, lastName: 1, dateOfBirth: 1, gender: 1, address: 1 }
+    });
+  });
+
+  it('compares identifiers after normalizing their formatting', () => {
+    const { fields } = score({}, { identifiers: [{ system: ' SSN ', value: '123 45 6789' }] });
+
+    expect(fields.identifiers).toBe(1);
+  });
+
+  it('counts fields missing from either record as half agreement', () => {
+    const { score: value, fields } = score({ identifiers: [], gender: 'unknown', address: null }, {});
+
+    expect(fields).toMatchObject({ identifiers: null, gender: null, address: null });
+    // 0.3, 0.05 and 0.1 at half weight, the rest in full
+    expect(value).toBe(0.775);
+  });
+
+  it('treats spelling variants and accents as likely the same name', () => {
+    const { fields } = score({ firstName: 'Kathryn', lastName: 'Smyth' }, { firstName: 'Cathérine' });
+
+    expect(fields.firstName).toBeGreaterThanOrEqual(0.85);
+    expect(fields.lastName).toBeGreaterThanOrEqual(0.85);
+  });
+
+  it('accepts an initial for the first name only', () => {
+    const { fields } = score({ firstName: 'C.' }, {});
+
+    expect(fields.firstName).toBeGreaterThanOrEqual(0.6);
+  });
+
+  it('recognizes first and last names entered the wrong way round', () => {
+    const { fields } = score({ firstName: 'Smith', lastName: 'Catherine' }, {});
+
+    expect(fields.firstName).toBe(0.9);
+    expect(fields.lastName).toBe(0.9);
+  });
+
+  it('gives partial credit for swapped day and month or a single wrong date part', () => {
+    expect(score({ dateOfBirth: '1980-12-04' }, {}).fields.dateOfBirth).toBe(0.8);
+    expect(score({ dateOfBirth: '1981-04-12' }, {}).fields.dateOfBirth).toBe(0.6);
+    expect(score({ dateOfBirth: '1975-01-30' }, {}).fields.dateOfBirth).toBe(0);
+  });
+
+  it('expands address abbreviations before comparing', () => {
+    expect(score({ address: '12 Main Street Springfield' }, {}).fields.address).toBe(1);
+  });
+
+  it('scores different people below the review threshold', () => {
+    const { score: value, fields } = score({}, {
+      firstName: 'Robert',
+      lastName: 'Jones',
+      dateOfBirth: '1955-09-30',
+      gender: 'male',
+      address: '400 Oak Avenue, Shelbyville',
+      identifiers: [{ system: 'ssn', value: '987-65-4321' }]
+    });
+
+    expect(fields.identifiers).toBe(0);
+    expect(fields.gender).toBe(0);
+    expect(value).toBeLessThan(masterPatientIndexService.config.reviewThreshold);
+  });
+});
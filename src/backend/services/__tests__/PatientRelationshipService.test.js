@@ -0,0 +1,222 @@
+/**
+ * Patient Relationship Service tests
+ * Covers when representatives may be recorded, verified and act for a patient
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'relationship-test-'));
+
+process.env.UPLOAD_DIRECTORY = uploadDirectory;
+
+jest.mock('../../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../AuditService', () => ({ logConsentEvent: jest.fn() }));
+jest.mock('../MessageBrokerService', () => ({ publish: jest.fn() }));
+
+const db = require('../../database/connection');
+const AuditService = require('../AuditService');
+const MessageBrokerService = require('../MessageBrokerService');
+const ConsentVersionService = require('../ConsentVersionService');
+const patientRelationshipService = require('../PatientRelationshipService');
+
+const USER = { id: 'clerk-1', hospital_id: 'hospital-1' };
+
+/**
+ * Date of birth for a patient of the given age today
+ * @param {number} years - Age in years
+ * @returns {string} - ISO date
+ */
+function bornYearsAgo(years) {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - years);
+  return date.toISOString();
+}
+
+describe('PatientRelationshipService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.query.mockReset().mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDirectory, { recursive: true, force: true });
+  });
+
+  describe('createRelationship', () => {
+    /**
+     * Record a relationship for a patient of the given age
+     * @param {number} age - Patient's age in years
+     * @param {Object} data - Relationship details
+     * @returns {Promise<Array>} - INSERT parameters
+     */
+    async function create(age, data) {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ patient_id: 'patient-1', date_of_birth: bornYearsAgo(age) }] })
+        .mockImplementationOnce(async (sql, params) => ({
+          rows: [{ relationship_id: 'relationship-1', patient_id: params[0], permissions: params[4], authority_document_path: params[5] }]
+        }));
+
+      await patientRelationshipService.createRelationship({
+        patient_id: 'patient-1',
+        representative_user_id: 'parent-1',
+        representative_name: 'Pat Parent',
+        ...data
+      }, USER);
+
+      return db.query.mock.calls[db.query.mock.calls.length - 1][1];
+    }
+
+    it('ends a parent\'s or a minor\'s guardian\'s authority at majority', async () => {
+      expect((await create(10, { relationship_type: 'parent' }))[10]).toBe(true);
+      expect((await create(10, { relationship_type: 'legal_guardian' }))[10]).toBe(true);
+      expect((await create(10, { relationship_type: 'legal_guardian', ends_at_majority: false }))[10]).toBe(false);
+      expect((await create(40, { relationship_type: 'legal_guardian' }))[10]).toBe(false);
+      expect((await create(40, { relationship_type: 'healthcare_proxy', ends_at_majority: true }))[10]).toBe(false);
+    });
+
+    it('records the authority document hash and audits the new representative', async () => {
+      const document = path.join(uploadDirectory, 'guardianship-order.pdf');
+      fs.writeFileSync(document, 'court order');
+
+      const params = await create(40, {
+        relationship_type: 'healthcare_proxy',
+        permissions: ['view_disclosures'],
+        document: { path: document, mimeType: 'application/pdf' }
+      });
+
+      expect(params.slice(4, 8)).toEqual([
+        JSON.stringify(['view_disclosures']),
+        document,
+        'application/pdf',
+        await ConsentVersionService.hashFile(document)
+      ]);
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'representative_added',
+        userId: 'clerk-1',
+        details: expect.objectContaining({ relationshipId: 'relationship-1', permissions: ['view_disclosures'], hasAuthorityDocument: true })
+      }));
+    });
+
+    it.each([
+      ['a parent of an adult', 40, { relationship_type: 'parent' }, 400, 'Parental authority applies only while the patient is a minor'],
+      ['an unknown relationship type', 10, { relationship_type: 'neighbour' }, 400, 'relationship_type must be one of: parent, legal_guardian, healthcare_proxy'],
+      ['an unknown permission', 10, { relationship_type: 'parent', permissions: ['prescribe'] }, 400, 'Unknown permission: prescribe']
+    ])('rejects %s', async (description, age, data, status, message) => {
+      await expect(create(age, data)).rejects.toMatchObject({ status, message });
+    });
+
+    it('answers 404 for an unknown patient', async () => {
+      await expect(patientRelationshipService.createRelationship({ patient_id: 'patient-9', relationship_type: 'parent' }, USER))
+        .rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('verifyRelationship', () => {
+    let existing;
+
+    beforeEach(async () => {
+      const document = path.join(uploadDirectory, 'birth-certificate.pdf');
+      fs.writeFileSync(document, 'birth certificate');
+      existing = {
+        relationship_id: 'relationship-1',
+        patient_id: 'patient-1',
+        verification_status: 'pending',
+        authority_document_path: document,
+        authority_document_hash: await ConsentVersionService.hashFile(document)
+      };
+    });
+
+    it('verifies a relationship whose document is unchanged', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [existing] })
+        .mockResolvedValueOnce({ rows: [{ ...existing, verification_status: 'verified' }] });
+
+      const relationship = await patientRelationshipService.verifyRelationship('relationship-1', { decision: 'verified' }, USER);
+
+      expect(relationship).toMatchObject({ id: 'relationship-1', verification_status: 'verified', has_authority_document: true });
+      expect(relationship).not.toHaveProperty('authority_document_path');
+      expect(db.query.mock.calls[1][1]).toEqual(['relationship-1', 'verified', null, 'clerk-1']);
+      expect(AuditService.logConsentEvent).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'representative_verified', action: 'verify' }));
+    });
+
+    it.each([
+      ['has no authority document', { authority_document_path: null }, 'An authority document is required before the relationship can be verified'],
+      ['has a document that changed since upload', { authority_document_hash: '0'.repeat(64) }, 'Authority document no longer matches its recorded hash'],
+      ['was already reviewed', { verification_status: 'rejected' }, 'Relationship is already rejected']
+    ])('refuses to verify a relationship that %s', async (description, fields, message) => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...existing, ...fields }] });
+
+      await expect(patientRelationshipService.verifyRelationship('relationship-1', { decision: 'verified' }, USER))
+        .rejects.toMatchObject({ status: 409, message });
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a relationship without needing its document', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...existing, authority_document_path: null }] })
+        .mockResolvedValueOnce({ rows: [{ ...existing, verification_status: 'rejected' }] });
+
+      await patientRelationshipService.verifyRelationship('relationship-1', { decision: 'rejected', notes: 'Unreadable' }, USER);
+
+      expect(db.query.mock.calls[1][1]).toEqual(['relationship-1', 'rejected', 'Unreadable', 'clerk-1']);
+    });
+  });
+
+  describe('authorizeActor', () => {
+    it('lets staff and patients acting for themselves through without a relationship', async () => {
+      expect(await patientRelationshipService.authorizeActor({ id: 'doctor-1', role: 'doctor' }, 'patient-1', 'manage_consent'))
+        .toEqual({ allowed: true, relationship: null });
+      expect(await patientRelationshipService.authorizeActor({ id: 'user-1', role: 'patient', patient_id: 'patient-1' }, 'patient-1', 'manage_consent'))
+        .toEqual({ allowed: true, relationship: null });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('lets a portal user act for another patient only under a relationship in force', async () => {
+      const parent = { id: 'parent-1', role: 'patient', patient_id: 'patient-2' };
+
+      expect(await patientRelationshipService.authorizeActor(parent, 'patient-1', 'manage_consent')).toEqual({ allowed: false, relationship: null });
+
+      db.query.mockResolvedValueOnce({ rows: [{ relationship_id: 'relationship-1', permissions: ['manage_consent'] }] });
+      expect(await patientRelationshipService.authorizeActor(parent, 'patient-1', 'manage_consent')).toMatchObject({
+        allowed: true,
+        relationship: { id: 'relationship-1' }
+      });
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain("r.verification_status = 'verified'");
+      expect(sql).toContain('NOT r.ends_at_majority OR p.date_of_birth + make_interval(years => $2::int) > CURRENT_DATE');
+      expect(params).toEqual(['parent-1', 18, 'patient-1', 'manage_consent']);
+    });
+  });
+
+  describe('endLapsedRelationships', () => {
+    it('ends lapsed relationships and tells patients who came of age', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { relationship_id: 'relationship-1', patient_id: 'patient-1', relationship_type: 'parent', end_reason: 'age_of_majority', ended_at: '2024-01-01T00:00:00.000Z' },
+          { relationship_id: 'relationship-2', patient_id: 'patient-2', relationship_type: 'healthcare_proxy', end_reason: 'expired', ended_at: '2024-01-01T00:00:00.000Z' }
+        ]
+      });
+      AuditService.logConsentEvent.mockRejectedValueOnce(new Error('Audit unavailable'));
+
+      expect(await patientRelationshipService.endLapsedRelationships()).toBe(2);
+      expect(db.query.mock.calls[0][1]).toEqual([18]);
+      expect(MessageBrokerService.publish.mock.calls).toEqual([
+        ['patient.notification', {
+          type: 'representative_ended',
+          patientId: 'patient-2',
+          relationshipId: 'relationship-2',
+          relationshipType: 'healthcare_proxy',
+          endedAt: '2024-01-01T00:00:00.000Z'
+        }]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Patient Service tests
+ * Covers the accounting of disclosures built from a patient's audit trail
+ */
+
+jest.mock('../AuditService', () => ({ streamLogs: jest.fn(), isSuccessfulLog: jest.fn() }));
+
+const AuditService = require('../AuditService');
+const PatientService = require('../PatientService');
+
+const LOGS = [
+  {
+    id: 'log-1',
+    type: 'data_access',
+    timestamp: '2024-01-05T09:00:00.000Z',
+    status: 'success',
+    action: 'READ',
+    userId: 'doctor-1',
+    hospitalId: 'hospital-1',
+    resourceType: 'patient',
+    reason: 'treatment'
+  },
+  {
+    id: 'log-2',
+    type: 'cross_hospital',
+    timestamp: '2024-02-10T09:00:00.000Z',
+    status: 'success',
+    eventType: 'records_released',
+    userId: 'doctor-2',
+    sourceHospitalId: 'hospital-2',
+    targetHospitalId: 'hospital-1',
+    resourceType: 'medications'
+  },
+  {
+    id: 'log-3',
+    type: 'consent',
+    timestamp: '2024-01-20T09:00:00.000Z',
+    status: 'success',
+    action: 'grant',
+    userId: 'patient-1',
+    hospitalId: 'hospital-1',
+    consentType: 'data_sharing',
+    targetHospitalId: 'hospital-2'
+  },
+  {
+    id: 'log-4',
+    type: 'data_access',
+    timestamp: '2024-01-06T09:00:00.000Z',
+    status: 'denied',
+    action: 'READ',
+    userId: 'doctor-3',
+    hospitalId: 'hospital-3'
+  }
+];
+
+describe('PatientService', () => {
+  describe('getDisclosureReport', () => {
+    beforeEach(() => {
+      AuditService.streamLogs.mockReset().mockImplementation(async (criteria, onLog) => {
+        for (const log of LOGS) {
+          await onLog(log);
+        }
+      });
+      AuditService.isSuccessfulLog.mockImplementation(log => log.status === 'success');
+    });
+
+    it('lists successful disclosures newest first, described for the patient', async () => {
+      const report = await PatientService.getDisclosureReport('patient-1', {
+        startDate: '2024-01-01T00:00:00.000Z',
+        endDate: '2024-03-01T00:00:00.000Z'
+      });
+
+      expect(report).toMatchObject({
+        patientId: 'patient-1',
+        period: { start: '2024-01-01T00:00:00.000Z', end: '2024-03-01T00:00:00.000Z' },
+        totalDisclosures: 3
+      });
+      expect(report.disclosures.map(disclosure => disclosure.description)).toEqual([
+        'User doctor-2 at hospital hospital-2 received your medications from hospital hospital-1',
+        'User patient-1 at hospital hospital-1 granted data sharing consent for hospital hospital-2',
+        'User doctor-1 at hospital hospital-1 viewed your patient record'
+      ]);
+      expect(report.disclosures[2]).toMatchObject({
+        id: 'log-1',
+        date: '2024-01-05T09:00:00.000Z',
+        category: 'Local access',
+        action: 'read',
+        dataType: 'patient record',
+        recipient: { userId: 'doctor-1', hospitalId: 'hospital-1' },
+        purpose: 'treatment'
+      });
+    });
+
+    it('summarizes disclosures by category and receiving hospital', async () => {
+      const { summary } = await PatientService.getDisclosureReport('patient-1');
+
+      expect(summary).toEqual({
+        byCategory: { 'Cross-hospital disclosure': 1, 'Consent change': 1, 'Local access': 1 },
+        byRecipientHospital: { 'hospital-1': 2, 'hospital-2': 1 }
+      });
+    });
+
+    it('reads the patient\'s disclosing events over the past six years by default', async () => {
+      const { period } = await PatientService.getDisclosureReport('patient-1', { endDate: '2024-06-15T00:00:00.000Z' });
+
+      const [criteria] = AuditService.streamLogs.mock.calls[0];
+      expect(criteria).toMatchObject({
+        patientId: 'patient-1',
+        type: ['data_access', 'cross_hospital', 'fhir', 'dicom', 'consent']
+      });
+      expect(new Date(period.start).getFullYear()).toBe(2018);
+      expect(criteria.endDate.toISOString()).toBe(period.end);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Patient Timeline Service tests
+ * Covers how records from several hospitals are merged, deduplicated and checked for conflicts
+ */
+
+jest.mock('../CrossHospitalService', () => ({ getPatientDataWithToken: jest.fn() }));
+jest.mock('../HospitalService', () => ({ getHospitalById: jest.fn() }));
+jest.mock('../AuditService', () => ({ logDataAccess: jest.fn() }));
+
+const crossHospitalService = require('../CrossHospitalService');
+const hospitalService = require('../HospitalService');
+const auditService = require('../AuditService');
+const patientTimelineService = require('../PatientTimelineService');
+
+/**
+ * Build a record set as received from one hospital
+ * @param {string} hospitalId - Providing hospital
+ * @param {Object} records - Records by type
+ * @returns {Object} - Record set
+ */
+function source(hospitalId, records) {
+  return { hospitalId, hospitalName: hospitalId, retrievedAt: '2024-03-01T12:00:00.000Z', records };
+}
+
+/**
+ * Summarize entries as their record IDs and the hospitals each came from
+ * @param {Object[]} entries - Timeline entries
+ * @returns {Array} - [recordId, hospitalIds] per entry
+ */
+function provenanceOf(entries) {
+  return entries.map(entry => [entry.record.id, entry.provenance.map(item => item.hospitalId)]);
+}
+
+describe('PatientTimelineService', () => {
+  describe('deduplication', () => {
+    it('folds the same medication reported by two hospitals into one entry', () => {
+      const { entries } = patientTimelineService.mergeSources([
+        source('hospital-1', { medications: [{ id: 'a-1', rxnormCode: '197361', dosage: '5 mg', startDate: '2024-01-10' }] }),
+        source('hospital-2', { medications: [{ id: 'b-1', rxnorm_code: '197361', dosage: '5 MG', start_date: '2024-01-10T08:00:00Z' }] })
+      ]);
+
+      expect(provenanceOf(entries)).toEqual([['a-1', ['hospital-1', 'hospital-2']]]);
+      expect(entries[0].provenance[1]).toEqual({ hospitalId: 'hospital-2', hospitalName: 'hospital-2', recordId: 'b-1' });
+    });
+
+    it('keeps matching records from the same hospital as separate entries', () => {
+      const { entries } = patientTimelineService.mergeSources([
+        source('hospital-1', {
+          medications: [
+            { id: 'a-1', name: 'Amoxicillin', dosage: '500 mg', startDate: '2024-01-10' },
+            { id: 'a-2', name: 'Amoxicillin', dosage: '500 mg', startDate: '2024-01-10' }
+          ]
+        }),
+        source('hospital-2', {
+          medications: [{ id: 'b-1', name: 'amoxicillin', dosage: '500 mg', startDate: '2024-01-10' }]
+        })
+      ]);
+
+      expect(provenanceOf(entries)).toEqual([
+        ['a-1', ['hospital-1', 'hospital-2']],
+        ['a-2', ['hospital-1']]
+      ]);
+    });
+
+    it('does not fold together different doses or undated courses of a drug', () => {
+      const { entries } = patientTimelineService.mergeSources([
+        source('hospital-1', {
+          medications: [
+            { id: 'a-1', name: 'Warfarin', dosage: '5 mg', startDate: '2024-01-10' },
+            { id: 'a-2', name: 'Warfarin', dosage: '2 mg' }
+          ]
+        }),
+        source('hospital-2', {
+          medications: [
+            { id: 'b-1', name: 'Warfarin', dosage: '2.5 mg', startDate: '2024-01-10' },
+            { id: 'b-2', name: 'Warfarin', dosage: '2 mg' }
+          ]
+        })
+      ]);
+
+      expect(entries.map(entry => entry.record.id)).toEqual(['a-1', 'b-1', 'a-2', 'b-2']);
+      expect(entries.every(entry => entry.provenance.length === 1)).toBe(true);
+    });
+
+    it('matches documents by checksum, or else by type, title, size and date', () => {
+      const { entries } = patientTimelineService.mergeSources([
+        source('hospital-1', {
+          documents: [
+            { id: 'a-1', title: 'Discharge summary', md5Checksum: 'ABC123', documentDate: '2024-02-01' },
+            { id: 'a-2', type: 'lab', title: 'Lipid panel', fileSize: 2048, documentDate: '2024-02-03' }
+          ]
+        }),
+        source('hospital-2', {
+          documents: [
+            { id: 'b-1', title: 'Summary.pdf', md5_checksum: 'abc123', documentDate: '2024-02-01' },
+            { id: 'b-2', documentType: 'Lab', title: 'lipid panel', file_size: 2048, document_date: '2024-02-03' }
+          ]
+        })
+      ]);
+
+      expect(provenanceOf(entries)).toEqual([
+        ['a-2', ['hospital-1', 'hospital-2']],
+        ['a-1', ['hospital-1', 'hospital-2']]
+      ]);
+    });
+
+    it('never folds medical records together and orders entries newest first', () => {
+      const { entries } = patientTimelineService.mergeSources([
+        source('hospital-1', { medicalRecords: [{ id: 'a-1', recordDate: '2023-05-01' }, { id: 'a-2' }] }),
+        source('hospital-2', { medicalRecords: [{ id: 'b-1', recordDate: '2023-05-01' }, { id: 'b-2', record_date: '2024-01-01' }] })
+      ]);
+
+      expect(entries.map(entry => entry.record.id)).toEqual(['b-2', 'a-1', 'b-1', 'a-2']);
+    });
+  });
+
+  describe('conflicts', () => {
+    it('shows the demographic most hospitals agree on and flags significant disagreements', () => {
+      const { demographics, conflicts } = patientTimelineService.mergeSources([
+        source('hospital-1', { demographics: { firstName: 'Ann', dateOfBirth: '1980-04-12', bloodType: 'A+' } }),
+        source('hospital-2', { demographics: { first_name: 'Anne', date_of_birth: '1980-04-12T00:00:00Z', blood_type: 'a +' } }),
+        source('hospital-3', { demographics: { firstName: 'Ann', dateOfBirth: '1980-12-04', bloodType: 'O-' } })
+      ]);
+
+      expect(demographics.firstName).toEqual({ value: 'Ann', hospitalIds: ['hospital-1', 'hospital-3'], conflicting: false });
+      expect(demographics.dateOfBirth).toMatchObject({ value: '1980-04-12', hospitalIds: ['hospital-1', 'hospital-2'], conflicting: true });
+      expect(conflicts).toEqual([
+        {
+          field: 'dateOfBirth',
+          values: [
+            { value: '1980-04-12', hospitalIds: ['hospital-1', 'hospital-2'] },
+            { value: '1980-12-04', hospitalIds: ['hospital-3'] }
+          ]
+        },
+        {
+          field: 'bloodType',
+          values: [
+            { value: 'A+', hospitalIds: ['hospital-1', 'hospital-2'] },
+            { value: 'O-', hospitalIds: ['hospital-3'] }
+          ]
+        }
+      ]);
+    });
+
+    it('keeps every reported allergy and flags the hospitals that left one out', () => {
+      const { demographics, conflicts } = patientTimelineService.mergeSources([
+        source('hospital-1', { demographics: { allergies: ['Penicillin'] } }),
+        source('hospital-2', { demographics: { medicalHistory: { allergies: ['penicillin', 'Latex'] } } }),
+        source('hospital-3', { demographics: {} })
+      ]);
+
+      expect(demographics.allergies).toEqual({
+        value: ['Penicillin', 'Latex'],
+        hospitalIds: ['hospital-1', 'hospital-2'],
+        conflicting: true
+      });
+      expect(conflicts).toEqual([{
+        field: 'allergies',
+        values: [
+          { value: 'Penicillin', hospitalIds: ['hospital-1', 'hospital-2'], notReportedBy: [] },
+          { value: 'Latex', hospitalIds: ['hospital-2'], notReportedBy: ['hospital-1'] }
+        ]
+      }]);
+    });
+  });
+
+  describe('getTimeline', () => {
+    it('builds the timeline from the hospitals that answered and reports the ones that refused', async () => {
+      const refused = new Error('Access token has been revoked');
+      refused.status = 403;
+      crossHospitalService.getPatientDataWithToken.mockImplementation(async (patientGlobalId, token) => {
+        if (token === 'token-2') {
+          throw refused;
+        }
+        return {
+          provider_hospital_id: 'hospital-2',
+          cached_at: '2024-03-01T12:00:00.000Z',
+          records: { medications: [{ id: 'b-1', name: 'Metformin', startDate: '2024-01-10' }] }
+        };
+      });
+      hospitalService.getHospitalById.mockResolvedValue({ id: 'hospital-2', name: 'North' });
+
+      const timeline = await patientTimelineService.getTimeline('global-1', ['token-1', 'token-2'], 'hospital-1', 'doctor-1');
+
+      expect(timeline.sources).toEqual([{
+        hospitalId: 'hospital-2',
+        hospitalName: 'North',
+        retrievedAt: '2024-03-01T12:00:00.000Z',
+        recordTypes: ['medications']
+      }]);
+      expect(timeline.entries.map(entry => entry.record.id)).toEqual(['b-1']);
+      expect(timeline.failures).toEqual([{ tokenIndex: 1, status: 403, error: 'Access token has been revoked' }]);
+      expect(auditService.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'patient_timeline_viewed',
+        details: expect.objectContaining({ sourceHospitalIds: ['hospital-2'], failedSources: 1 })
+      }));
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Record Locator Service tests
+ * Covers the locator's fan-out over connected hospitals and the existence check that answers it
+ */
+
+process.env.AUDIT_SIGNATURE_KEY = 'test-signature-key';
+process.env.MPI_IDENTIFIER_KEY = 'test-identifier-key';
+
+jest.mock('../../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../AuditService', () => ({ logCrossHospitalAccess: jest.fn(), logSecurityEvent: jest.fn() }));
+jest.mock('../PatientService', () => ({ getPatientByGlobalId: jest.fn() }));
+jest.mock('../ConsentService', () => ({}));
+jest.mock('../HospitalService', () => ({}));
+jest.mock('../EmergencyAccessService', () => ({}));
+jest.mock('../ConsentPolicyEngine', () => ({}));
+jest.mock('../NetworkService', () => ({ getConnectedHospitals: jest.fn() }));
+jest.mock('../MedicationService', () => ({ getMedications: jest.fn() }));
+jest.mock('../DocumentService', () => ({ getPatientDocuments: jest.fn() }));
+jest.mock('../MedicalRecordService', () => ({ getPatientMedicalRecords: jest.fn() }));
+
+const db = require('../../database/connection');
+const auditService = require('../AuditService');
+const patientService = require('../PatientService');
+const networkService = require('../NetworkService');
+const medicationService = require('../MedicationService');
+const documentService = require('../DocumentService');
+const medicalRecordService = require('../MedicalRecordService');
+const crossHospitalService = require('../CrossHospitalService');
+const recordLocatorService = require('../RecordLocatorService');
+
+const HOSPITALS = [
+  { id: 'hospital-1', name: 'Local', apiEndpoint: 'https://hospital-1.example' },
+  { id: 'hospital-2', name: 'North', apiEndpoint: 'https://hospital-2.example' },
+  { id: 'hospital-3', name: 'South', apiEndpoint: 'https://hospital-3.example' },
+  { id: 'hospital-4', name: 'East', apiEndpoint: 'https://hospital-4.example' }
+];
+
+describe('RecordLocatorService', () => {
+  const user = { id: 'doctor-1' };
+
+  beforeEach(() => {
+    recordLocatorService.clearCache();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(crossHospitalService, 'signRequest').mockImplementation(async payload => ({ payload, keyId: 'key-1', signature: 'signed' }));
+    jest.spyOn(crossHospitalService, 'sendExistenceCheckRequest');
+    networkService.getConnectedHospitals.mockResolvedValue(HOSPITALS);
+    auditService.logCrossHospitalAccess.mockReset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('locatePatient', () => {
+    it('asks every other connected hospital and sorts their answers', async () => {
+      const summary = { medications: { count: 2, lastUpdated: '2024-02-01T00:00:00.000Z' } };
+      crossHospitalService.sendExistenceCheckRequest.mockImplementation(async endpoint => ({
+        'https://hospital-2.example': { success: true, exists: true, recordSummary: summary },
+        'https://hospital-3.example': { success: true, exists: false },
+        'https://hospital-4.example': { success: false, message: 'Patient lookup failed' }
+      }[endpoint]));
+
+      const result = await recordLocatorService.locatePatient('global-1', user);
+
+      expect(crossHospitalService.sendExistenceCheckRequest).toHaveBeenCalledTimes(3);
+      expect(crossHospitalService.signRequest).toHaveBeenCalledWith(expect.objectContaining({
+        patientGlobalId: 'global-1',
+        requestingHospitalId: 'hospital-1',
+        requestType: 'existence_check',
+        includeSummary: true
+      }));
+      expect(result).toMatchObject({ patientGlobalId: 'global-1', hospitalsQueried: 3, cached: false });
+      expect(result.locations).toEqual([
+        { hospitalId: 'hospital-2', hospitalName: 'North', recordSummary: summary, responseTime: expect.any(Number) }
+      ]);
+      expect(result.unavailable).toEqual([
+        { hospitalId: 'hospital-4', hospitalName: 'East', status: 'error', error: 'Patient lookup failed' }
+      ]);
+      expect(auditService.logCrossHospitalAccess).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'patient_records_located',
+        details: expect.objectContaining({ hospitalsWithRecords: ['hospital-2'], unavailable: ['hospital-4'] })
+      }));
+    });
+
+    it('reports a hospital that does not answer in time without waiting for it', async () => {
+      jest.useFakeTimers();
+      crossHospitalService.sendExistenceCheckRequest.mockImplementation(endpoint => (endpoint === 'https://hospital-3.example'
+        ? new Promise(() => {})
+        : Promise.resolve({ success: true, exists: true })));
+
+      const located = recordLocatorService.locatePatient('global-1', user);
+      await jest.advanceTimersByTimeAsync(recordLocatorService.config.hospitalTimeout);
+      const result = await located;
+
+      expect(result.locations.map(location => location.hospitalId)).toEqual(['hospital-2', 'hospital-4']);
+      expect(result.unavailable).toEqual([{
+        hospitalId: 'hospital-3',
+        hospitalName: 'South',
+        status: 'timeout',
+        error: `No response within ${recordLocatorService.config.hospitalTimeout}ms`
+      }]);
+    });
+
+    it('answers repeat lookups from the cache until asked to refresh', async () => {
+      crossHospitalService.sendExistenceCheckRequest.mockResolvedValue({ success: true, exists: false });
+
+      await recordLocatorService.locatePatient('global-1', user);
+      const cached = await recordLocatorService.locatePatient('global-1', user);
+      const refreshed = await recordLocatorService.locatePatient('global-1', user, { refresh: true });
+
+      expect(cached.cached).toBe(true);
+      expect(refreshed.cached).toBe(false);
+      expect(crossHospitalService.sendExistenceCheckRequest).toHaveBeenCalledTimes(6);
+    });
+  });
+
+  describe('answering an existence check', () => {
+    /**
+     * Build an existence check as the locator sends it
+     * @param {Object} fields - Payload fields to override
+     * @returns {Object} - Request
+     */
+    const check = (fields = {}) => ({
+      payload: {
+        patientGlobalId: 'global-1',
+        requestingHospitalId: 'hospital-2',
+        requestType: 'existence_check',
+        includeSummary: true,
+        timestamp: new Date().toISOString(),
+        requestId: `check-${Math.random()}`,
+        ...fields
+      }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(crossHospitalService, 'verifyRequest').mockImplementation(async request => request.payload);
+      db.query.mockResolvedValue({ rows: [] });
+      patientService.getPatientByGlobalId.mockImplementation(async (globalId, hospitalId) =>
+        (globalId === 'global-1' && hospitalId === 'hospital-1' ? { id: 'patient-1' } : null));
+      medicationService.getMedications.mockReset().mockResolvedValue([
+        { id: 'med-1', updatedAt: '2024-01-10T00:00:00.000Z' },
+        { id: 'med-2', updatedAt: '2024-02-01T00:00:00.000Z' },
+        { id: 'med-3', sensitivityLabels: ['hiv'], updatedAt: '2024-03-01T00:00:00.000Z' }
+      ]);
+      documentService.getPatientDocuments.mockResolvedValue([{ id: 'doc-1', sensitivity_labels: ['mental_health'] }]);
+      medicalRecordService.getPatientMedicalRecords.mockRejectedValue(new Error('Records unavailable'));
+    });
+
+    it('summarizes the records held for a patient at this hospital', async () => {
+      const response = await crossHospitalService.processExistenceCheckRequest(check());
+
+      expect(patientService.getPatientByGlobalId).toHaveBeenCalledWith('global-1', 'hospital-1');
+      expect(response).toMatchObject({
+        success: true,
+        exists: true,
+        recordSummary: { medications: { count: 2, lastUpdated: '2024-02-01T00:00:00.000Z' } }
+      });
+    });
+
+    it('leaves labeled records and record types that fail to load out of the summary', async () => {
+      const summary = await crossHospitalService.getRecordSummary('patient-1');
+
+      expect(Object.keys(summary)).toEqual(['medications']);
+      expect(summary.medications.count).toBe(2);
+    });
+
+    it('only confirms existence when no summary is asked for', async () => {
+      const response = await crossHospitalService.processExistenceCheckRequest(check({ includeSummary: false }));
+
+      expect(response).toEqual({ success: true, exists: true, requestId: expect.any(String) });
+      expect(medicationService.getMedications).not.toHaveBeenCalled();
+    });
+
+    it('answers an existence check once and refuses it when replayed', async () => {
+      const request = check({ includeSummary: false });
+
+      expect(await crossHospitalService.processExistenceCheckRequest(request)).toMatchObject({ success: true, exists: true });
+      expect(await crossHospitalService.processExistenceCheckRequest(request)).toEqual({
+        success: false,
+        message: 'Request has already been received',
+        requestId: request.payload.requestId
+      });
+    });
+
+    it('reports a patient this hospital does not know', async () => {
+      const response = await crossHospitalService.processExistenceCheckRequest(check({ patientGlobalId: 'global-9' }));
+
+      expect(response).toMatchObject({ success: true, exists: false });
+      expect(response.recordSummary).toBeUndefined();
+    });
+  });
+});
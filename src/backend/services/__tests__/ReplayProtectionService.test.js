@@ -0,0 +1,88 @@
+/**
+ * Replay Protection Service tests
+ * Uses the in-memory nonce store, which is the default
+ */
+
+jest.mock('../../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../AuditService', () => ({ logSecurityEvent: jest.fn() }));
+
+const auditService = require('../AuditService');
+const replayProtectionService = require('../ReplayProtectionService');
+
+describe('ReplayProtectionService.checkRequest', () => {
+  const now = new Date('2024-03-01T12:00:00.000Z');
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now });
+    auditService.logSecurityEvent.mockReset();
+  });
+
+  afterEach(async () => {
+    await replayProtectionService.store.close();
+    jest.useRealTimers();
+  });
+
+  it('accepts a fresh request', async () => {
+    const result = await replayProtectionService.checkRequest({
+      hospitalId: 'hospital-2',
+      nonce: 'nonce-1',
+      timestamp: now.toISOString()
+    });
+
+    expect(result).toEqual({ accepted: true });
+    expect(auditService.logSecurityEvent).not.toHaveBeenCalled();
+  });
+
+  it('rejects a request without a nonce', async () => {
+    const result = await replayProtectionService.checkRequest({ hospitalId: 'hospital-2', timestamp: now.toISOString() });
+
+    expect(result).toEqual({ accepted: false, reason: 'missing_nonce', message: 'Request nonce is missing' });
+  });
+
+  it.each([
+    ['too old', new Date(now.getTime() - 300001).toISOString()],
+    ['too far ahead', new Date(now.getTime() + 300001).toISOString()],
+    ['not a date', 'yesterday']
+  ])('rejects a timestamp that is %s', async (description, timestamp) => {
+    const result = await replayProtectionService.checkRequest({ hospitalId: 'hospital-2', nonce: 'nonce-1', timestamp });
+
+    expect(result).toMatchObject({ accepted: false, reason: 'expired' });
+  });
+
+  it('rejects and audits a nonce seen before from the same hospital', async () => {
+    const request = { hospitalId: 'hospital-2', nonce: 'nonce-1', timestamp: now.toISOString(), path: '/records' };
+
+    await replayProtectionService.checkRequest(request);
+    const result = await replayProtectionService.checkRequest(request);
+
+    expect(result).toEqual({ accepted: false, reason: 'replayed', message: 'Request has already been received' });
+    expect(auditService.logSecurityEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: 'replayed_request_rejected',
+      hospitalId: 'hospital-2',
+      details: { nonce: 'nonce-1', timestamp: request.timestamp, path: '/records' }
+    }));
+  });
+
+  it('keeps nonces separate per hospital', async () => {
+    const timestamp = now.toISOString();
+
+    await replayProtectionService.checkRequest({ hospitalId: 'hospital-2', nonce: 'nonce-1', timestamp });
+    const result = await replayProtectionService.checkRequest({ hospitalId: 'hospital-3', nonce: 'nonce-1', timestamp });
+
+    expect(result).toEqual({ accepted: true });
+  });
+
+  it('accepts a nonce again once its timestamp could no longer be accepted', async () => {
+    const timestamp = now.toISOString();
+
+    await replayProtectionService.checkRequest({ hospitalId: 'hospital-2', nonce: 'nonce-1', timestamp });
+    jest.advanceTimersByTime(300001);
+
+    expect(await replayProtectionService.store.purgeExpired()).toBe(1);
+    expect(await replayProtectionService.checkRequest({
+      hospitalId: 'hospital-2',
+      nonce: 'nonce-1',
+      timestamp: new Date().toISOString()
+    })).toEqual({ accepted: true });
+  });
+});
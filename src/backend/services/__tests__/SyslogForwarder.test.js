@@ -0,0 +1,255 @@
+/**
+ * Syslog Forwarder tests
+ * Message formats are checked directly; transports against collectors listening on localhost
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const SyslogForwarder = require('../SyslogForwarder');
+
+const LOG = {
+  id: 'log-1',
+  timestamp: '2024-03-01T12:00:00.000Z',
+  level: 'warning',
+  type: 'security',
+  eventType: 'login_failed',
+  status: 'failure',
+  userId: 'user-1',
+  hospitalId: 'hospital-1',
+  hostname: 'node-1',
+  processId: 42,
+  details: { reason: 'bad password' }
+};
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Condition to poll
+ * @param {number} timeout - Maximum time to wait (ms)
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Start a TCP collector that splits the stream into octet-counted frames
+ * @param {number} port - Port to listen on (0 for any)
+ * @returns {Promise<Object>} - { server, port, frames }
+ */
+function startTcpCollector(port = 0) {
+  const frames = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffered = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffered = Buffer.concat([buffered, chunk]);
+
+      for (;;) {
+        const space = buffered.indexOf(' ');
+        if (space === -1) {
+          return;
+        }
+        const length = parseInt(buffered.subarray(0, space).toString(), 10);
+        if (buffered.length < space + 1 + length) {
+          return;
+        }
+        frames.push(buffered.subarray(space + 1, space + 1 + length).toString());
+        buffered = buffered.subarray(space + 1 + length);
+      }
+    });
+  });
+
+  // Open connections would otherwise keep close() waiting
+  server.stop = () => new Promise(resolve => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(resolve);
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => resolve({ server, port: server.address().port, frames }));
+  });
+}
+
+describe('SyslogForwarder', () => {
+  let forwarder;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (forwarder) {
+      await forwarder.close(0);
+      forwarder = null;
+    }
+    console.error.mockRestore();
+  });
+
+  describe('formatMessage', () => {
+    it('builds an RFC 5424 message with structured data and a UTF-8 MSG', () => {
+      forwarder = new SyslogForwarder();
+      forwarder.drain = jest.fn();
+
+      const message = forwarder.formatMessage(LOG);
+
+      // Facility 13 (log audit) * 8 + severity 4 (warning)
+      expect(message).toBe(
+        '<108>1 2024-03-01T12:00:00.000Z node-1 hospital-network 42 login_failed ' +
+        '[audit@32473 id="log-1" type="security" eventType="login_failed" status="failure" ' +
+        'userId="user-1" hospitalId="hospital-1" level="warning"] ' +
+        '\ufeff{"reason":"bad password"}'
+      );
+    });
+
+    it('escapes structured data values and sanitizes header fields', () => {
+      forwarder = new SyslogForwarder();
+
+      const message = forwarder.formatMessage({
+        ...LOG,
+        eventType: 'login failed',
+        username: 'a"b\\c]d',
+        details: {}
+      });
+
+      expect(message).toContain(' login_failed ');
+      expect(message).toContain('username="a\\"b\\\\c\\]d"');
+      expect(message.endsWith(']')).toBe(true);
+    });
+
+    it('builds a CEF record with escaped header and extension values', () => {
+      forwarder = new SyslogForwarder({ format: 'cef' });
+
+      const message = forwarder.formatMessage({
+        ...LOG,
+        eventType: 'login|failed',
+        username: 'x=y\nz',
+        details: undefined
+      });
+
+      expect(message).toMatch(/^<108>1 \S+ node-1 hospital-network 42 login\|failed - CEF:0\|/);
+      expect(message).toContain('|security:login\\|failed|');
+      expect(message).toContain('|6|rt=');
+      expect(message).toContain('suser=x\\=y\\nz');
+      expect(message).toContain('cs1Label=hospitalId cs1=hospital-1');
+      expect(message).not.toContain('msg=');
+    });
+
+    it('truncates without leaving half a multi-byte character', () => {
+      forwarder = new SyslogForwarder({ maxMessageSize: 120 });
+
+      const message = forwarder.formatMessage({ ...LOG, details: { note: 'é'.repeat(200) } });
+
+      expect(Buffer.byteLength(message)).toBeLessThanOrEqual(120);
+      expect(message).not.toContain('\ufffd');
+    });
+  });
+
+  describe('buffering', () => {
+    it('keeps the newest messages when the buffer is full', () => {
+      forwarder = new SyslogForwarder({ bufferSize: 2 });
+      forwarder.drain = jest.fn();
+
+      forwarder.forward({ ...LOG, id: 'first' });
+      forwarder.forward({ ...LOG, id: 'second' });
+      forwarder.forward({ ...LOG, id: 'third' });
+
+      expect(forwarder.queue).toHaveLength(2);
+      expect(forwarder.queue[0]).toContain('id="second"');
+      expect(forwarder.queue[1]).toContain('id="third"');
+      expect(forwarder.getStatus()).toMatchObject({ queued: 2, dropped: 1 });
+    });
+
+    it('ignores entries once closed', async () => {
+      forwarder = new SyslogForwarder();
+      await forwarder.close(0);
+
+      forwarder.forward(LOG);
+
+      expect(forwarder.queue).toHaveLength(0);
+    });
+  });
+
+  describe('UDP transport', () => {
+    let collector;
+
+    beforeEach(async () => {
+      collector = dgram.createSocket('udp4');
+      await new Promise(resolve => collector.bind(0, '127.0.0.1', resolve));
+    });
+
+    afterEach(() => {
+      collector.close();
+    });
+
+    it('sends each message as one datagram', async () => {
+      const received = [];
+      collector.on('message', message => received.push(message.toString()));
+
+      forwarder = new SyslogForwarder({ host: '127.0.0.1', port: collector.address().port, protocol: 'udp' });
+      forwarder.forward({ ...LOG, id: 'first' });
+      forwarder.forward({ ...LOG, id: 'second' });
+
+      await waitFor(() => received.length === 2);
+
+      expect(received[0]).toMatch(/^<108>1 /);
+      expect(received[0]).toContain('id="first"');
+      expect(received[1]).toContain('id="second"');
+      expect(forwarder.getStatus()).toMatchObject({ connected: true, queued: 0 });
+    });
+  });
+
+  describe('TCP transport', () => {
+    let collector;
+
+    afterEach(async () => {
+      if (collector) {
+        await collector.server.stop();
+        collector = null;
+      }
+    });
+
+    it('frames messages with octet counting', async () => {
+      collector = await startTcpCollector();
+
+      forwarder = new SyslogForwarder({ host: '127.0.0.1', port: collector.port, protocol: 'tcp' });
+      forwarder.forward({ ...LOG, id: 'first', details: { note: 'é' } });
+      forwarder.forward({ ...LOG, id: 'second' });
+
+      await waitFor(() => collector.frames.length === 2);
+
+      expect(collector.frames[0]).toBe(forwarder.formatMessage({ ...LOG, id: 'first', details: { note: 'é' } }));
+      expect(collector.frames[1]).toBe(forwarder.formatMessage({ ...LOG, id: 'second' }));
+    });
+
+    it('holds messages while the collector is down and sends them once it is back', async () => {
+      // Find a free port, then leave nothing listening on it
+      const probe = await startTcpCollector();
+      const port = probe.port;
+      await probe.server.stop();
+
+      forwarder = new SyslogForwarder({ host: '127.0.0.1', port, protocol: 'tcp', retryInterval: 50 });
+      forwarder.forward({ ...LOG, id: 'while-down' });
+
+      await waitFor(() => forwarder.retryTimer !== null);
+      expect(forwarder.getStatus()).toMatchObject({ connected: false, queued: 1 });
+
+      collector = await startTcpCollector(port);
+
+      await waitFor(() => collector.frames.length === 1);
+
+      expect(collector.frames[0]).toContain('id="while-down"');
+      expect(forwarder.getStatus()).toMatchObject({ connected: true, queued: 0 });
+      expect(forwarder.retryDelay).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+-- Migration: Extend audit_logs for AuditService database storage
+
+-- Store the AuditService log classification alongside the entry
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS log_type VARCHAR(50);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS event_type VARCHAR(100);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS level VARCHAR(20);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS status VARCHAR(50);
+
+-- System, message and network events have no actor or resource
+ALTER TABLE audit_logs DROP CONSTRAINT IF EXISTS audit_logs_actor_hospital_id_fkey;
+ALTER TABLE audit_logs ALTER COLUMN actor_id TYPE VARCHAR(255);
+ALTER TABLE audit_logs ALTER COLUMN actor_id DROP NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN actor_hospital_id TYPE VARCHAR(255);
+ALTER TABLE audit_logs ALTER COLUMN actor_hospital_id DROP NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN action_type TYPE VARCHAR(100);
+ALTER TABLE audit_logs ALTER COLUMN action_type DROP NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN resource_id TYPE VARCHAR(255);
+ALTER TABLE audit_logs ALTER COLUMN resource_id DROP NOT NULL;
+ALTER TABLE audit_logs ALTER COLUMN patient_id TYPE VARCHAR(255);
+ALTER TABLE audit_logs ALTER COLUMN ip_address DROP NOT NULL;
+
+-- Create indexes for audit log search
+CREATE INDEX IF NOT EXISTS idx_audit_logs_log_type ON audit_logs(log_type);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_event_type ON audit_logs(event_type);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor_hospital_id ON audit_logs(actor_hospital_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_success ON audit_logs(success);
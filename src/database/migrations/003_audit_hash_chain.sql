@@ -0,0 +1,33 @@
+-- Migration: Hash-chain audit log entries and store signed checkpoints
+
+-- Each entry links to the previous entry of its chain (one chain per rotation partition)
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS chain_id VARCHAR(100);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS sequence BIGINT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS previous_hash VARCHAR(64);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS entry_hash VARCHAR(64);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS signature VARCHAR(64);
+
+-- Insertion order, used to detect entries stored out of sequence
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS log_position BIGSERIAL;
+
+-- One entry per position, so two writers can never both extend the same chain head
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_logs_chain ON audit_logs(chain_id, sequence);
+
+-- Signed checkpoints of each chain's head
+CREATE TABLE IF NOT EXISTS audit_checkpoints (
+    checkpoint_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chain_id VARCHAR(100) NOT NULL,
+    sequence BIGINT NOT NULL,
+    entry_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    signature VARCHAR(64) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_checkpoints_chain ON audit_checkpoints(chain_id, sequence);
+CREATE INDEX IF NOT EXISTS idx_audit_checkpoints_created_at ON audit_checkpoints(created_at);
+
+-- Create a rule to prevent updates to audit_checkpoints
+CREATE RULE audit_checkpoints_no_update AS ON UPDATE TO audit_checkpoints DO INSTEAD NOTHING;
+
+-- Create a rule to prevent deletions from audit_checkpoints
+CREATE RULE audit_checkpoints_no_delete AS ON DELETE TO audit_checkpoints DO INSTEAD NOTHING;
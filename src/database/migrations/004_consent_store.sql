@@ -0,0 +1,29 @@
+-- Migration: Make patient_consents the single consent store used by ConsentService
+
+-- Lifecycle and provenance columns previously only held in memory
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active';
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS purpose TEXT;
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS notes TEXT;
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS witness_name VARCHAR(255);
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS created_by VARCHAR(255);
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS updated_by VARCHAR(255);
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS revoked_by VARCHAR(255);
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS revocation_reason TEXT;
+
+ALTER TABLE patient_consents DROP CONSTRAINT IF EXISTS patient_consents_status_check;
+ALTER TABLE patient_consents ADD CONSTRAINT patient_consents_status_check
+    CHECK (status IN ('active', 'revoked', 'expired'));
+
+-- Existing rows: consents already past their end date are expired,
+-- and a single data type stored as a string becomes a one-element array
+UPDATE patient_consents SET status = 'expired'
+    WHERE status = 'active' AND end_date IS NOT NULL AND end_date <= CURRENT_TIMESTAMP;
+
+UPDATE patient_consents SET specific_data_types = jsonb_build_array(specific_data_types)
+    WHERE specific_data_types IS NOT NULL AND jsonb_typeof(specific_data_types) = 'string';
+
+-- Create indexes for consent lookups
+CREATE INDEX IF NOT EXISTS idx_patient_consents_patient_id ON patient_consents(patient_id, status);
+CREATE INDEX IF NOT EXISTS idx_patient_consents_target_hospital_id ON patient_consents(target_hospital_id, status);
+CREATE INDEX IF NOT EXISTS idx_patient_consents_consenting_hospital_id ON patient_consents(consenting_hospital_id);
@@ -0,0 +1,23 @@
+-- Migration: Consent expiry warnings and consent-bound access tokens
+
+-- One row per expiry warning sent; keyed on end_date so that an extended
+-- consent is warned again against its new end date
+CREATE TABLE IF NOT EXISTS consent_expiry_notifications (
+    consent_id UUID NOT NULL REFERENCES patient_consents(consent_id) ON DELETE CASCADE,
+    end_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    warning_days INTEGER NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (consent_id, end_date, warning_days)
+);
+
+-- A token may rely on several consents when different consents cover
+-- different record types; access_tokens.consent_id keeps the first of them
+CREATE TABLE IF NOT EXISTS access_token_consents (
+    token_id UUID NOT NULL REFERENCES access_tokens(token_id) ON DELETE CASCADE,
+    consent_id UUID NOT NULL REFERENCES patient_consents(consent_id) ON DELETE CASCADE,
+    PRIMARY KEY (token_id, consent_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_token_consents_consent_id ON access_token_consents(consent_id);
+CREATE INDEX IF NOT EXISTS idx_access_tokens_active ON access_tokens(expires_at) WHERE revoked = FALSE;
+CREATE INDEX IF NOT EXISTS idx_patient_consents_end_date ON patient_consents(end_date) WHERE status = 'active';
@@ -0,0 +1,15 @@
+-- Migration: Sensitivity labels on records and consent provisions for labeled categories
+
+-- Labels such as 'substance_use' or 'mental_health' (see config/sensitivityLabels.js)
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS sensitivity_labels JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE patient_medications ADD COLUMN IF NOT EXISTS sensitivity_labels JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE medical_records ADD COLUMN IF NOT EXISTS sensitivity_labels JSONB NOT NULL DEFAULT '[]';
+
+-- Included labels release categories that need explicit consent;
+-- excluded labels withhold categories a general consent would otherwise share
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS included_sensitivity_labels JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS excluded_sensitivity_labels JSONB NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_documents_sensitivity_labels ON documents USING GIN (sensitivity_labels);
+CREATE INDEX IF NOT EXISTS idx_patient_medications_sensitivity_labels ON patient_medications USING GIN (sensitivity_labels);
+CREATE INDEX IF NOT EXISTS idx_medical_records_sensitivity_labels ON medical_records USING GIN (sensitivity_labels);
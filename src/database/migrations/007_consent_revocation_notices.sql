@@ -0,0 +1,42 @@
+-- Migration: Propagate consent revocations to the hospitals that received access
+
+-- Revocation notices sent by the hospital holding the data, one per receiving hospital
+CREATE TABLE IF NOT EXISTS consent_revocation_notices (
+    notice_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    consent_id UUID NOT NULL REFERENCES patient_consents(consent_id),
+    patient_id UUID NOT NULL,
+    target_hospital_id UUID NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'acknowledged', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    acknowledged_at TIMESTAMP WITH TIME ZONE,
+    acknowledgement JSONB,  -- What the receiving hospital reported invalidating
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_revocation_notices_due ON consent_revocation_notices(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_consent_revocation_notices_consent_id ON consent_revocation_notices(consent_id);
+
+-- Access tokens this hospital received from partners, with any records fetched with them,
+-- so that both can be invalidated when the consent behind them is revoked
+CREATE TABLE IF NOT EXISTS received_access_grants (
+    grant_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    request_id VARCHAR(255),
+    provider_hospital_id UUID NOT NULL,
+    patient_global_id VARCHAR(255) NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    consent_ids JSONB NOT NULL DEFAULT '[]',
+    record_types JSONB,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked BOOLEAN DEFAULT FALSE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    cached_records JSONB,
+    cached_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_received_access_grants_consent_ids ON received_access_grants USING GIN (consent_ids);
+CREATE INDEX IF NOT EXISTS idx_received_access_grants_provider ON received_access_grants(provider_hospital_id);
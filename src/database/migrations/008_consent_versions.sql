@@ -0,0 +1,87 @@
+-- Migration: Immutable consent versions with their consent forms and detached signatures
+
+-- Number of the version currently in force; patient_consents always mirrors it
+ALTER TABLE patient_consents ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 0;
+
+-- One row per change to a consent, holding the terms as they stood from effective_from
+CREATE TABLE IF NOT EXISTS consent_versions (
+    version_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    consent_id UUID NOT NULL REFERENCES patient_consents(consent_id),
+    version_number INTEGER NOT NULL,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('migrated', 'created', 'updated', 'revoked', 'form_uploaded')),
+    terms JSONB NOT NULL,  -- Snapshot of the consent terms and status
+    document_path TEXT,  -- Consent form; NULL only for consents recorded before versioning
+    document_source VARCHAR(20) CHECK (document_source IN ('generated', 'uploaded')),
+    document_mime_type VARCHAR(100),
+    document_hash VARCHAR(64),  -- SHA-256 of the consent form, the content signatures cover
+    changed_by VARCHAR(255),
+    effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (consent_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_versions_effective_from ON consent_versions(consent_id, effective_from);
+
+-- Detached signatures over a version's consent form, at most one per signer role
+CREATE TABLE IF NOT EXISTS consent_version_signatures (
+    signature_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    version_id UUID NOT NULL REFERENCES consent_versions(version_id),
+    signer_role VARCHAR(20) NOT NULL CHECK (signer_role IN ('patient', 'witness', 'clinician')),
+    signer_name VARCHAR(255) NOT NULL,
+    signer_id VARCHAR(255),
+    algorithm VARCHAR(50) NOT NULL,  -- e.g. 'rsa-sha256', 'ec-sha256', 'ed25519'
+    public_key TEXT NOT NULL,  -- PEM key the signature was verified against
+    signature TEXT NOT NULL,  -- Base64 signature
+    document_hash VARCHAR(64) NOT NULL,  -- Hash of the form that was verified
+    signed_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    recorded_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (version_id, signer_role)
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_version_signatures_version_id ON consent_version_signatures(version_id);
+
+-- Versions and signatures are evidence for dispute resolution and are never changed
+CREATE OR REPLACE FUNCTION prevent_consent_version_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION '% rows are immutable', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS consent_versions_immutable ON consent_versions;
+CREATE TRIGGER consent_versions_immutable
+BEFORE UPDATE OR DELETE ON consent_versions
+FOR EACH ROW EXECUTE FUNCTION prevent_consent_version_changes();
+
+DROP TRIGGER IF EXISTS consent_version_signatures_immutable ON consent_version_signatures;
+CREATE TRIGGER consent_version_signatures_immutable
+BEFORE UPDATE OR DELETE ON consent_version_signatures
+FOR EACH ROW EXECUTE FUNCTION prevent_consent_version_changes();
+
+-- Existing consents: record their current state as version 1, without a form
+INSERT INTO consent_versions (consent_id, version_number, change_type, terms, document_path, changed_by, effective_from)
+SELECT consent_id, 1, 'migrated',
+       jsonb_build_object(
+         'patient_id', patient_id,
+         'consenting_hospital_id', consenting_hospital_id,
+         'target_hospital_id', target_hospital_id,
+         'consent_type', consent_type,
+         'specific_data_types', specific_data_types,
+         'included_sensitivity_labels', included_sensitivity_labels,
+         'excluded_sensitivity_labels', excluded_sensitivity_labels,
+         'start_date', start_date,
+         'end_date', end_date,
+         'purpose', purpose,
+         'notes', notes,
+         'witness_name', witness_name,
+         'status', status,
+         'revoked_at', revoked_at,
+         'revocation_reason', revocation_reason
+       ),
+       consent_document_path, COALESCE(updated_by, created_by), COALESCE(updated_at, created_at)
+FROM patient_consents
+WHERE current_version = 0
+ON CONFLICT (consent_id, version_number) DO NOTHING;
+
+UPDATE patient_consents SET current_version = 1 WHERE current_version = 0;
@@ -0,0 +1,33 @@
+-- Migration: Break-the-glass emergency access without consent, with post-hoc review
+
+-- Each emergency override granted to another hospital, queued for review by a privacy officer
+CREATE TABLE IF NOT EXISTS emergency_access_overrides (
+    override_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    request_id VARCHAR(255) NOT NULL,
+    patient_id UUID NOT NULL REFERENCES patients(patient_id),
+    patient_global_id VARCHAR(255) NOT NULL,
+    requesting_hospital_id UUID NOT NULL REFERENCES hospitals(hospital_id),
+    requesting_user_id VARCHAR(255) NOT NULL,
+    justification TEXT NOT NULL,
+    requested_record_types JSONB NOT NULL,
+    granted_record_types JSONB NOT NULL,  -- Requested types narrowed to the emergency scope
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    review_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (review_status IN ('pending', 'approved', 'flagged')),
+    reviewed_by VARCHAR(255),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_access_overrides_review ON emergency_access_overrides(review_status, created_at);
+CREATE INDEX IF NOT EXISTS idx_emergency_access_overrides_patient_id ON emergency_access_overrides(patient_id);
+
+-- Emergency tokens rest on an override instead of a consent
+ALTER TABLE access_tokens ALTER COLUMN consent_id DROP NOT NULL;
+ALTER TABLE access_tokens ADD COLUMN IF NOT EXISTS emergency_override_id UUID REFERENCES emergency_access_overrides(override_id);
+
+ALTER TABLE access_tokens DROP CONSTRAINT IF EXISTS access_tokens_basis_check;
+ALTER TABLE access_tokens ADD CONSTRAINT access_tokens_basis_check
+    CHECK (consent_id IS NOT NULL OR emergency_override_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_access_tokens_emergency_override_id ON access_tokens(emergency_override_id);
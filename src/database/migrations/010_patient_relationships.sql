@@ -0,0 +1,39 @@
+-- Migration: Parents, legal guardians and healthcare proxies acting for a patient
+
+-- A user's authority to manage consent for a patient, backed by a verified authority document
+CREATE TABLE IF NOT EXISTS patient_relationships (
+    relationship_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(patient_id),
+    representative_user_id VARCHAR(255) NOT NULL,  -- Portal user acting for the patient
+    representative_name VARCHAR(255) NOT NULL,
+    relationship_type VARCHAR(30) NOT NULL CHECK (relationship_type IN ('parent', 'legal_guardian', 'healthcare_proxy')),
+    permissions JSONB NOT NULL,  -- e.g. ["manage_consent", "view_disclosures"]
+    authority_document_path TEXT,  -- Birth certificate, court order or proxy designation
+    authority_document_mime_type VARCHAR(100),
+    authority_document_hash VARCHAR(64),  -- SHA-256 of the document as verified
+    verification_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (verification_status IN ('pending', 'verified', 'rejected')),
+    verified_by VARCHAR(255),
+    verified_at TIMESTAMP WITH TIME ZONE,
+    verification_notes TEXT,
+    effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    effective_until TIMESTAMP WITH TIME ZONE,
+    ends_at_majority BOOLEAN NOT NULL DEFAULT FALSE,  -- Authority lapses when the patient comes of age
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended', 'revoked')),
+    ended_at TIMESTAMP WITH TIME ZONE,
+    end_reason VARCHAR(100),  -- 'age_of_majority', 'expired' or a revocation reason
+    ended_by VARCHAR(255),
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_relationships_patient_id ON patient_relationships(patient_id);
+CREATE INDEX IF NOT EXISTS idx_patient_relationships_representative ON patient_relationships(representative_user_id, status);
+
+-- Consent versions record the relationship under which a representative made the change
+ALTER TABLE consent_versions ADD COLUMN IF NOT EXISTS acting_relationship_id UUID REFERENCES patient_relationships(relationship_id);
+
+-- Representatives sign consent forms in their own role
+ALTER TABLE consent_version_signatures DROP CONSTRAINT IF EXISTS consent_version_signatures_signer_role_check;
+ALTER TABLE consent_version_signatures ADD CONSTRAINT consent_version_signatures_signer_role_check
+    CHECK (signer_role IN ('patient', 'representative', 'witness', 'clinician'));
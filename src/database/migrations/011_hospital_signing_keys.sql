@@ -0,0 +1,18 @@
+-- Migration: Per-hospital key pairs for signing cross-hospital requests
+
+-- Public keys each hospital signs with, identified by key ID; private keys never leave their hospital
+CREATE TABLE IF NOT EXISTS hospital_signing_keys (
+    hospital_id UUID NOT NULL REFERENCES hospitals(hospital_id),
+    key_id VARCHAR(64) NOT NULL,  -- SHA-256 fingerprint of the public key
+    public_key TEXT NOT NULL,  -- PEM (SPKI)
+    algorithm VARCHAR(20) NOT NULL CHECK (algorithm IN ('rsa-sha256', 'ec-sha256')),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retiring', 'revoked')),
+    retires_at TIMESTAMP WITH TIME ZONE,  -- End of the rotation overlap for a retiring key
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revocation_reason TEXT,
+    registered_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (hospital_id, key_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hospital_signing_keys_status ON hospital_signing_keys(hospital_id, status);
@@ -0,0 +1,43 @@
+-- Migration: Persistent cross-hospital access requests
+
+-- Both sides keep a row per request: the holding hospital ('incoming') decides it,
+-- the requesting hospital ('outgoing') mirrors the status it is notified of
+CREATE TABLE IF NOT EXISTS access_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    request_id VARCHAR(255) NOT NULL,  -- Request ID chosen by the requesting hospital
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('incoming', 'outgoing')),
+    patient_id UUID NOT NULL REFERENCES patients(patient_id),
+    patient_global_id VARCHAR(255) NOT NULL,
+    requesting_hospital_id UUID NOT NULL REFERENCES hospitals(hospital_id),
+    target_hospital_id UUID NOT NULL REFERENCES hospitals(hospital_id),
+    requesting_user_id VARCHAR(255) NOT NULL,
+    requesting_user_role VARCHAR(50),
+    purpose VARCHAR(100) NOT NULL,
+    record_types JSONB NOT NULL,
+    approved_record_types JSONB,
+    emergency BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'denied', 'expired', 'fulfilled', 'revoked')),
+    status_reason TEXT,
+    decision_basis VARCHAR(20) CHECK (decision_basis IN ('auto_consent', 'manual', 'emergency')),
+    decided_by VARCHAR(255),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    due_at TIMESTAMP WITH TIME ZONE,  -- Review deadline for a pending incoming request
+    sla_warned_at TIMESTAMP WITH TIME ZONE,
+    access_expires_at TIMESTAMP WITH TIME ZONE,
+    grant_collected_at TIMESTAMP WITH TIME ZONE,  -- When the requesting hospital collected a reviewed approval's token
+    fulfilled_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- Request IDs are chosen by the requesting hospital, so they are only unique per hospital
+    UNIQUE (requesting_hospital_id, request_id, direction)
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_requests_status ON access_requests(direction, status);
+CREATE INDEX IF NOT EXISTS idx_access_requests_due_at ON access_requests(due_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_access_requests_patient_id ON access_requests(patient_id);
+
+-- Tokens point back at the request they were issued for, so revoking them closes the request
+ALTER TABLE access_tokens ADD COLUMN IF NOT EXISTS request_id VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_access_tokens_request_id ON access_tokens(request_id);
@@ -0,0 +1,63 @@
+-- Migration: Master patient index linking a patient's records across hospitals
+
+-- Demographics each hospital registered for a patient; records of the same person share an enterprise ID
+CREATE TABLE IF NOT EXISTS mpi_records (
+    record_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    hospital_id UUID NOT NULL REFERENCES hospitals(hospital_id),
+    source_patient_id VARCHAR(255) NOT NULL,  -- Patient's global ID as registered at that hospital
+    enterprise_id UUID NOT NULL,
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    date_of_birth DATE NOT NULL,
+    gender VARCHAR(20),
+    address TEXT,
+    first_name_phonetic TEXT[] NOT NULL DEFAULT '{}',  -- Double Metaphone codes
+    last_name_phonetic TEXT[] NOT NULL DEFAULT '{}',
+    identifiers JSONB NOT NULL DEFAULT '[]',  -- [{ system, hash }]; values are never stored in the clear
+    identifier_keys TEXT[] NOT NULL DEFAULT '{}',  -- Identifier hashes, for finding candidates
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (hospital_id, source_patient_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mpi_records_enterprise_id ON mpi_records(enterprise_id);
+CREATE INDEX IF NOT EXISTS idx_mpi_records_date_of_birth ON mpi_records(date_of_birth);
+CREATE INDEX IF NOT EXISTS idx_mpi_records_last_name_phonetic ON mpi_records USING GIN (last_name_phonetic);
+CREATE INDEX IF NOT EXISTS idx_mpi_records_identifier_keys ON mpi_records USING GIN (identifier_keys);
+
+-- Every enterprise ID a record has had, and why; the open link is the current one
+CREATE TABLE IF NOT EXISTS mpi_links (
+    link_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    record_id UUID NOT NULL REFERENCES mpi_records(record_id),
+    enterprise_id UUID NOT NULL,
+    link_type VARCHAR(20) NOT NULL CHECK (link_type IN ('new', 'auto', 'manual')),
+    matched_record_id UUID REFERENCES mpi_records(record_id),  -- Record whose match justified the link
+    match_score NUMERIC(5, 4),
+    created_by VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    ended_by VARCHAR(255),
+    end_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_mpi_links_record_id ON mpi_links(record_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_mpi_links_current ON mpi_links(record_id) WHERE ended_at IS NULL;
+
+-- Uncertain matches waiting for a person to decide; rejected pairs are never linked automatically
+CREATE TABLE IF NOT EXISTS mpi_match_reviews (
+    review_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    record_id UUID NOT NULL REFERENCES mpi_records(record_id),
+    candidate_record_id UUID NOT NULL REFERENCES mpi_records(record_id),
+    score NUMERIC(5, 4) NOT NULL,
+    score_details JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'linked', 'rejected', 'superseded')),
+    decided_by VARCHAR(255),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (record_id, candidate_record_id),
+    CONSTRAINT different_records CHECK (record_id != candidate_record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mpi_match_reviews_status ON mpi_match_reviews(status, created_at);
@@ -0,0 +1,11 @@
+-- Migration: Nonces of signed hospital requests, shared by every node of a hospital to reject replays
+
+CREATE TABLE IF NOT EXISTS request_nonces (
+    scope VARCHAR(255) NOT NULL,  -- Hospital that signed the request
+    nonce VARCHAR(255) NOT NULL,  -- Nonce or request ID, unique per signing hospital
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,  -- After this the request's timestamp is rejected anyway
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, nonce)
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_nonces_expires_at ON request_nonces(expires_at);
@@ -0,0 +1,16 @@
+-- Migration: Access tokens limited to a date range, specific documents and a number of uses
+
+ALTER TABLE access_tokens ADD COLUMN IF NOT EXISTS scope_date_from TIMESTAMP WITH TIME ZONE;  -- Records dated before this are withheld
+ALTER TABLE access_tokens ADD COLUMN IF NOT EXISTS scope_date_to TIMESTAMP WITH TIME ZONE;  -- Records dated after this are withheld
+ALTER TABLE access_tokens ADD COLUMN IF NOT EXISTS scope_document_ids JSONB;  -- Only these documents are released; NULL means any
+ALTER TABLE access_tokens ADD COLUMN IF NOT EXISTS max_uses INTEGER CHECK (max_uses > 0);  -- NULL means unlimited
+ALTER TABLE access_tokens ADD COLUMN IF NOT EXISTS use_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE access_tokens ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE access_tokens DROP CONSTRAINT IF EXISTS access_tokens_scope_dates_check;
+ALTER TABLE access_tokens ADD CONSTRAINT access_tokens_scope_dates_check
+    CHECK (scope_date_from IS NULL OR scope_date_to IS NULL OR scope_date_from <= scope_date_to);
+
+-- Scope asked for by the requesting hospital, and the scope the token was issued with: { dateFrom, dateTo, documentIds, maxUses }
+ALTER TABLE access_requests ADD COLUMN IF NOT EXISTS requested_scope JSONB;
+ALTER TABLE access_requests ADD COLUMN IF NOT EXISTS approved_scope JSONB;